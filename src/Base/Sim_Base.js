@@ -16,7 +16,7 @@
    - Clear extension points for future systems
    ============================================================ */
 
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 
 /*
   Recharts provides visualization components.
@@ -27,30 +27,126 @@ import { useEffect, useState } from 'react';
 import {
   LineChart,
   Line,
+  AreaChart,
+  Area,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   Legend,
   ReferenceArea,
-  ReferenceLine
+  ReferenceLine,
+  ComposedChart,
+  BarChart,
+  Bar,
+  Cell
 } from 'recharts';
 
+/*
+  The simulation engine is framework-free: the component only
+  passes it a config and seed, then renders the returned series.
+*/
+import {
+  DEFAULT_CONFIG,
+  buildSeasons,
+  orderSeasons,
+  buildCropPortfolio,
+  calculateGrowthFactor,
+  calculateBasicGrowth
+} from './Sim_Engine';
+import { EVENT_TYPES } from './Sim_Events';
+import { CLIMATE_TRENDS, MAX_CURVE_POINTS } from './Sim_Climate';
+import { CROP_EVENT_TYPES } from './Sim_Crops';
+import {
+  CLASSIC_SEASONS,
+  CLASSIC_SEASON_COLORS,
+  MAX_SEASONS,
+  addSeason,
+  hasSeasonList,
+  renameSeason,
+  seasonNames,
+  setSeasonListEnabled,
+  sowingSeasonChoices
+} from './Sim_Seasons';
+import { AGE_BAND_YEARS, COHORTS, cohortForAge } from './Sim_Cohorts';
+import { normalizeSeed, randomSeed } from './Sim_Random';
+import { CONFIG_SCHEMA, createScenario, parseScenario, scenarioFileName } from './Sim_Scenario';
+import { buildDailyTable, tableToCsv, tableToJson } from './Sim_Export';
+import { MAX_BATCH_RUNS } from './Sim_Batch';
+import { COMPARISON_ROWS, diffConfigs, mergeComparison, summarizeRun } from './Sim_Compare';
+import {
+  OUTCOME_METRICS,
+  defaultRange,
+  fieldLabel,
+  sweepableFields
+} from './Sim_Sweep';
+import { createJobRunner, loadSimulationWorker } from './Sim_WorkerClient';
+import { decodeShareHash, encodeShareHash } from './Sim_Share';
+import { SEASON_LENGTHS, normalizeSeasonLengths, seasonTotal, validateConfig } from './Sim_Validation';
+import {
+  CUSTOM_PRESET_PREFIX,
+  PRESET_FIELDS,
+  PRESET_KINDS,
+  PRESET_PACK_FILE_NAME,
+  createPresetPack,
+  deletePreset,
+  parsePresetPack,
+  presetFromConfig,
+  savePreset,
+  validatePreset
+} from './Sim_Presets';
+import {
+  addScenario,
+  deleteScenario,
+  duplicateScenario,
+  loadCustomPresets,
+  loadLibrary,
+  loadWorkspace,
+  renameScenario,
+  saveCustomPresets,
+  saveLibrary,
+  saveWorkspace,
+  summarizeForLibrary
+} from './Sim_Library';
+import { MIN_SEASON_PIXELS, cullAreas, cullMarkers, downsampleSeries } from './Sim_Downsample';
+import { ChartFrame, ChartGrid, ChartPanel, MIN_CHART_WIDTH } from './Sim_Layout';
+
 /* ============================================================
    VISUAL CONSTANTS
    ============================================================ */
 
 /**
- * Color mapping for seasonal background shading on charts.
- * Uses semi-transparent RGBA to allow chart content to remain visible.
+ * Opacity of the seasonal background shading on charts, so chart
+ * content stays visible. Colors come from the classic seasons or the
+ * custom season list (see Sim_Seasons.js).
+ */
+const SEASON_SHADE_OPACITY = 0.25;
+
+/**
+ * Icons shown next to the classic season names in the settings.
  */
-const SEASON_COLORS = {
-  Winter: 'rgba(173, 216, 230, 0.25)', // Light blue
-  Spring: 'rgba(222, 208, 135, 0.25)', // Pale yellow
-  Summer: 'rgba(144, 238, 144, 0.25)', // Light green
-  Fall:   'rgba(222, 174, 135, 0.25)'  // Pale orange
+const CLASSIC_SEASON_ICONS = {
+  Winter: '❄️',
+  Spring: '🌸',
+  Summer: '☀️',
+  Fall: '🍂'
 };
 
+/**
+ * Colors for the crops of a portfolio, assigned in portfolio order
+ * (wraps around for more crops than colors).
+ */
+const CROP_COLORS = [
+  '#2ecc71', // Green
+  '#f1c40f', // Yellow
+  '#e67e22', // Orange
+  '#9b59b6', // Purple
+  '#1abc9c', // Teal
+  '#e74c3c', // Red
+  '#3498db', // Blue
+  '#95a5a6'  // Gray
+];
+
 /* ============================================================
    CLIMATE PRESETS
    ============================================================ */
@@ -66,6 +162,8 @@ const SEASON_COLORS = {
  *   - {season}Length: Days in each season (must sum to 365)
  *   - {season}Mean: Target average temperature for season
  *   - {season}Amp: Amplitude of temperature variation within season
+ *   - {event}ReturnPeriod/Duration/Intensity: Extreme event settings (see Sim_Events.js)
+ *   - {season}WetChance/WetPersistence/Rainfall: Precipitation (used by the Weather module)
  */
   const CLIMATE_PRESETS = {
     temperate: {
@@ -84,6 +182,27 @@ const SEASON_COLORS = {
         summerAmp: 10,
         fallMean: 50,
         fallAmp: 12,
+        heatWaveReturnPeriod: 60,
+        heatWaveDuration: 5,
+        heatWaveIntensity: 10,
+        coldSnapReturnPeriod: 60,
+        coldSnapDuration: 4,
+        coldSnapIntensity: 10,
+        blizzardReturnPeriod: 120,
+        blizzardDuration: 2,
+        blizzardIntensity: 12,
+        winterWetChance: 0.3,
+        winterWetPersistence: 0.55,
+        winterRainfall: 0.3,
+        springWetChance: 0.35,
+        springWetPersistence: 0.6,
+        springRainfall: 0.4,
+        summerWetChance: 0.3,
+        summerWetPersistence: 0.5,
+        summerRainfall: 0.45,
+        fallWetChance: 0.3,
+        fallWetPersistence: 0.55,
+        fallRainfall: 0.35,
       }
     },
 
@@ -103,6 +222,27 @@ const SEASON_COLORS = {
         summerAmp: 20,      // Extreme temperature variation
         fallMean: 65,
         fallAmp: 15,
+        heatWaveReturnPeriod: 30,  // Frequent, long heat waves
+        heatWaveDuration: 7,
+        heatWaveIntensity: 12,
+        coldSnapReturnPeriod: 90,
+        coldSnapDuration: 3,
+        coldSnapIntensity: 12,
+        blizzardReturnPeriod: 0,  // Too warm for blizzards
+        blizzardDuration: 2,
+        blizzardIntensity: 10,
+        winterWetChance: 0.06,  // Rare, light rain all year
+        winterWetPersistence: 0.3,
+        winterRainfall: 0.2,
+        springWetChance: 0.04,
+        springWetPersistence: 0.25,
+        springRainfall: 0.15,
+        summerWetChance: 0.02,
+        summerWetPersistence: 0.2,
+        summerRainfall: 0.2,
+        fallWetChance: 0.04,
+        fallWetPersistence: 0.25,
+        fallRainfall: 0.15,
       }
     },
 
@@ -122,6 +262,27 @@ const SEASON_COLORS = {
         summerAmp: 5,
         fallMean: 78,
         fallAmp: 5,
+        heatWaveReturnPeriod: 90,
+        heatWaveDuration: 4,
+        heatWaveIntensity: 6,
+        coldSnapReturnPeriod: 0,  // No cold snaps in the tropics
+        coldSnapDuration: 3,
+        coldSnapIntensity: 6,
+        blizzardReturnPeriod: 0,
+        blizzardDuration: 2,
+        blizzardIntensity: 10,
+        winterWetChance: 0.35,  // Rainy season peaks in summer
+        winterWetPersistence: 0.6,
+        winterRainfall: 0.4,
+        springWetChance: 0.45,
+        springWetPersistence: 0.7,
+        springRainfall: 0.5,
+        summerWetChance: 0.6,
+        summerWetPersistence: 0.8,
+        summerRainfall: 0.6,
+        fallWetChance: 0.45,
+        fallWetPersistence: 0.7,
+        fallRainfall: 0.5,
       }
     },
 
@@ -141,6 +302,27 @@ const SEASON_COLORS = {
         summerAmp: 12,
         fallMean: 10,
         fallAmp: 10,
+        heatWaveReturnPeriod: 120,
+        heatWaveDuration: 3,
+        heatWaveIntensity: 10,
+        coldSnapReturnPeriod: 40,
+        coldSnapDuration: 5,
+        coldSnapIntensity: 15,
+        blizzardReturnPeriod: 25,  // Frequent winter blizzards
+        blizzardDuration: 3,
+        blizzardIntensity: 18,
+        winterWetChance: 0.2,
+        winterWetPersistence: 0.5,
+        winterRainfall: 0.15,
+        springWetChance: 0.15,
+        springWetPersistence: 0.45,
+        springRainfall: 0.2,
+        summerWetChance: 0.25,
+        summerWetPersistence: 0.55,
+        summerRainfall: 0.3,
+        fallWetChance: 0.25,
+        fallWetPersistence: 0.55,
+        fallRainfall: 0.25,
       }
     },
 
@@ -160,6 +342,27 @@ const SEASON_COLORS = {
         summerAmp: 12,
         fallMean: 65,
         fallAmp: 10,
+        heatWaveReturnPeriod: 40,  // Summer heat waves
+        heatWaveDuration: 6,
+        heatWaveIntensity: 12,
+        coldSnapReturnPeriod: 100,
+        coldSnapDuration: 3,
+        coldSnapIntensity: 8,
+        blizzardReturnPeriod: 0,
+        blizzardDuration: 2,
+        blizzardIntensity: 10,
+        winterWetChance: 0.4,  // Wet winters, almost no summer rain
+        winterWetPersistence: 0.65,
+        winterRainfall: 0.45,
+        springWetChance: 0.2,
+        springWetPersistence: 0.5,
+        springRainfall: 0.3,
+        summerWetChance: 0.03,
+        summerWetPersistence: 0.2,
+        summerRainfall: 0.1,
+        fallWetChance: 0.2,
+        fallWetPersistence: 0.5,
+        fallRainfall: 0.35,
       }
     }
   };
@@ -180,6 +383,12 @@ const SEASON_COLORS = {
  *   - tolerance: Standard deviation (wider = more forgiving)
  *   - minGrowth: Safety floor (food produced at worst temps)
  *   - maxGrowth: Peak production (food at optimal temp)
+ *   - sowingSeason: Season when sowing is allowed ('Any' = all year)
+ *   - baseTemp: GDD base temperature and minimum sowing temperature (°F)
+ *   - maturityGDD: Growing degree days from sowing to harvest
+ *   - frostKillTemp: A standing crop dies at or below this (°F)
+ *   (The lifecycle fields are only used with planting & harvest cycles, see Sim_Crops.js)
+ *   - spoilageRate: Fraction of the stored harvest that spoils per day (see Sim_Storage.js)
  */
 const CROP_PRESETS = {
   wheat: {
@@ -189,7 +398,12 @@ const CROP_PRESETS = {
       optimalTemp: 64,
       tolerance: 13,
       minGrowth: 50,
-      maxGrowth: 600
+      maxGrowth: 600,
+      sowingSeason: "Spring",
+      baseTemp: 32,
+      maturityGDD: 2200,
+      frostKillTemp: 20,
+      spoilageRate: 0.001
     }
   },
 
@@ -200,7 +414,12 @@ const CROP_PRESETS = {
       optimalTemp: 77,
       tolerance: 11,
       minGrowth: 50,
-      maxGrowth: 500
+      maxGrowth: 500,
+      sowingSeason: "Spring",
+      baseTemp: 50,
+      maturityGDD: 2500,
+      frostKillTemp: 30,
+      spoilageRate: 0.0015
     }
   },
 
@@ -211,7 +430,12 @@ const CROP_PRESETS = {
       optimalTemp: 82,
       tolerance: 9,
       minGrowth: 100,
-      maxGrowth: 800
+      maxGrowth: 800,
+      sowingSeason: "Spring",
+      baseTemp: 50,
+      maturityGDD: 2200,
+      frostKillTemp: 32,
+      spoilageRate: 0.001
     }
   },
 
@@ -222,7 +446,12 @@ const CROP_PRESETS = {
       optimalTemp: 63,
       tolerance: 7,
       minGrowth: 70,
-      maxGrowth: 700
+      maxGrowth: 700,
+      sowingSeason: "Spring",
+      baseTemp: 45,
+      maturityGDD: 1600,
+      frostKillTemp: 28,
+      spoilageRate: 0.004
     }
   },
 
@@ -233,7 +462,12 @@ const CROP_PRESETS = {
       optimalTemp: 61,
       tolerance: 7,
       minGrowth: 50,
-      maxGrowth: 500
+      maxGrowth: 500,
+      sowingSeason: "Spring",
+      baseTemp: 40,
+      maturityGDD: 1400,
+      frostKillTemp: 24,
+      spoilageRate: 0.006
     }
   },
 
@@ -244,7 +478,12 @@ const CROP_PRESETS = {
       optimalTemp: 86,
       tolerance: 11,
       minGrowth: 150,
-      maxGrowth: 1200
+      maxGrowth: 1200,
+      sowingSeason: "Any",
+      baseTemp: 55,
+      maturityGDD: 5000,
+      frostKillTemp: 30,
+      spoilageRate: 0.01
     }
   },
 
@@ -255,7 +494,12 @@ const CROP_PRESETS = {
       optimalTemp: 79,
       tolerance: 9,
       minGrowth: 30,
-      maxGrowth: 400
+      maxGrowth: 400,
+      sowingSeason: "Any",
+      baseTemp: 60,
+      maturityGDD: 4000,
+      frostKillTemp: 32,
+      spoilageRate: 0.03
     }
   },
 
@@ -266,7 +510,12 @@ const CROP_PRESETS = {
       optimalTemp: 63,
       tolerance: 11,
       minGrowth: 50,
-      maxGrowth: 500
+      maxGrowth: 500,
+      sowingSeason: "Spring",
+      baseTemp: 32,
+      maturityGDD: 2000,
+      frostKillTemp: 22,
+      spoilageRate: 0.001
     }
   },
 
@@ -277,7 +526,12 @@ const CROP_PRESETS = {
       optimalTemp: 84,
       tolerance: 7,
       minGrowth: 100,
-      maxGrowth: 1000
+      maxGrowth: 1000,
+      sowingSeason: "Any",
+      baseTemp: 57,
+      maturityGDD: 3500,
+      frostKillTemp: 32,
+      spoilageRate: 0.04
     }
   },
 
@@ -288,364 +542,882 @@ const CROP_PRESETS = {
       optimalTemp: 81,
       tolerance: 11,
       minGrowth: 40,
-      maxGrowth: 600
+      maxGrowth: 600,
+      sowingSeason: "Spring",
+      baseTemp: 60,
+      maturityGDD: 2400,
+      frostKillTemp: 32,
+      spoilageRate: 0.0005
     }
   }  
 }
 
 /* ============================================================
-   HELPER FUNCTIONS - SEASON LOGIC
+   CUSTOM PRESETS
    ============================================================ */
 
 /**
- * Determine which season a given day falls into.
- * 
- * The year is divided into seasons based on configured lengths.
- * Each season tracks its own progress (0 to 1) for smooth transitions.
- * 
- * @param {number} dayOfYear - Day index within the year (0-364)
- * @param {Array<{name: string, length: number}>} seasons - Season definitions
- * @returns {{name: string, progress: number}} Season name and normalized progress (0-1)
- * 
- * Example:
- * - dayOfYear = 45, seasons = [{Winter, 90}, {Spring, 92}, ...]
- * - Returns: {name: 'Winter', progress: 0.5} (halfway through winter)
+ * Names of the built-in presets, which custom presets may not reuse (see Sim_Presets.js).
  */
-function getSeasonForDay(dayOfYear, seasons) {
-  let accumulated = 0; // Running total of days consumed by previous seasons
+const BUILT_IN_PRESET_NAMES = {
+  climate: Object.values(CLIMATE_PRESETS).map(preset => preset.name),
+  crop: Object.values(CROP_PRESETS).map(preset => preset.name)
+};
 
-  // Iterate through seasons in order
-  for (const season of seasons) {
-    // Check if this day falls within the current season's range
-    if (dayOfYear < accumulated + season.length) {
-      // Calculate how far through this season we are (0.0 to 1.0)
-      const progress = (dayOfYear - accumulated) / season.length;
-      
-      return {
-        name: season.name,
-        progress: progress
-      };
-    }
-    
-    // This season is complete, add its length to the accumulator
-    accumulated += season.length;
-  }
+/**
+ * Built-in presets followed by the user's own.
+ *
+ * @param {{climate: Object, crop: Object}} customPresets - Custom presets keyed by "custom-..." keys
+ * @returns {{climate: Object, crop: Object}} All presets keyed by preset key
+ */
+function withCustomPresets(customPresets) {
+  return {
+    climate: { ...CLIMATE_PRESETS, ...customPresets.climate },
+    crop: { ...CROP_PRESETS, ...customPresets.crop }
+  };
+}
 
-  // Defensive fallback (should never occur if seasons sum to 365)
-  return { name: 'Winter', progress: 0 };
+/**
+ * Preset keys a shared link, the workspace or a saved scenario may name.
+ *
+ * @param {{climate: Object, crop: Object}} presets - All presets (see withCustomPresets())
+ * @returns {{climate: Array<string>, crop: Array<string>}}
+ */
+function presetKeysOf(presets) {
+  return { climate: Object.keys(presets.climate), crop: Object.keys(presets.crop) };
+}
+
+/**
+ * Options of a preset dropdown: built-in presets, then the custom ones in their own group.
+ *
+ * @param {Object} props
+ * @param {Object} props.presets - Presets of one kind, keyed by preset key
+ */
+function PresetOptions({ presets }) {
+  const entries = Object.entries(presets);
+  const custom = entries.filter(([key]) => key.startsWith(CUSTOM_PRESET_PREFIX));
+  return (
+    <>
+      {entries.filter(([key]) => !key.startsWith(CUSTOM_PRESET_PREFIX)).map(([key, preset]) => (
+        <option key={key} value={key}>
+          {preset.name}
+        </option>
+      ))}
+      {custom.length > 0 && (
+        <optgroup label="Custom">
+          {custom.map(([key, preset]) => (
+            <option key={key} value={key}>
+              {preset.name}
+            </option>
+          ))}
+        </optgroup>
+      )}
+    </>
+  );
 }
 
 /* ============================================================
-   HELPER FUNCTIONS - TEMPERATURE GENERATION
+   FILE DOWNLOADS
    ============================================================ */
 
 /**
- * Generate the smooth annual temperature baseline.
- * 
- * This is the "climate backbone" - a smooth curve that defines
- * the expected temperature throughout the year. All other temperature
- * effects (daily weather, noise, extremes) are layered on top.
- * 
- * Algorithm:
- * 1. Reorder seasons starting from the user's chosen starting season
- * 2. Calculate the midpoint day of each season
- * 3. Find which two season midpoints the current day falls between
- * 4. Interpolate between those two temperatures using cosine smoothing
- * 5. Add small intra-seasonal variation based on season amplitude
- * 
- * @param {string} seasonName - Name of current season (not used, kept for future)
- * @param {number} progress - Progress through current season 0-1 (used for intra-season variation)
- * @param {number} dayOfYear - Day index within the year (0-364)
- * @param {Object} seasonProfiles - Temperature characteristics per season {Winter: {mean, amp}, ...}
- * @param {Array} seasons - Season definitions [{name, length}, ...]
- * @param {string} startingSeason - Which season the year starts with
- * @returns {number} Baseline temperature in °F
+ * Let the browser download some text as a file.
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type
  */
-function seasonalBaseline(seasonName, progress, dayOfYear, seasonProfiles, seasons, startingSeason) {
-  // === STEP 1: Reorder seasons to start from user's chosen season ===
-  const seasonNames = seasons.map(s => s.name);
-  const startIndex = seasonNames.indexOf(startingSeason);
-  
-  // Create a new array: seasons from startingSeason onward, then wrap around
-  const orderedSeasons = [
-    ...seasons.slice(startIndex),    // From starting season to end
-    ...seasons.slice(0, startIndex)  // From beginning to starting season
-  ];
-
-  // === STEP 2: Calculate midpoint of each season ===
-  const seasonMidpoints = [];
-  let cumulativeDays = 0; // Track total days as we go
+function downloadFile(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  for (let i = 0; i < orderedSeasons.length; i++) {
-    const season = orderedSeasons[i];
-    
-    // Midpoint is halfway through this season
-    const midpoint = cumulativeDays + season.length / 2;
-
-    seasonMidpoints.push({
-      name: season.name,
-      midpointDay: midpoint,
-      mean: seasonProfiles[season.name]?.mean ?? 50,  // Target temp
-      amp: seasonProfiles[season.name]?.amp ?? 0,     // Variation amount
-      length: season.length
-    });
+/* ============================================================
+   SHAREABLE LINKS
+   ============================================================ */
 
-    cumulativeDays += season.length;
-  }
+/**
+ * No preset picked (the settings dropdowns show "-- Select a Preset --").
+ */
+const NO_PRESETS = { climate: null, crop: null };
 
-  // === STEP 3: Find current position in year ===
-  const currentDayInYear = dayOfYear % 365;
+/**
+ * How long the URL waits for the scrubber or playback to settle
+ * before it is rewritten (ms). Browsers limit how often a page
+ * may replace its URL.
+ */
+const LINK_UPDATE_DELAY = 300;
 
-  // === STEP 4: Find the two closest season midpoints ===
-  // We'll interpolate between these two temperatures
-  let prevMidpoint = seasonMidpoints[seasonMidpoints.length - 1]; // Default to last
-  let nextMidpoint = seasonMidpoints[0];                           // Default to first
+/* ============================================================
+   CHART ZOOM
+   ============================================================ */
 
-  for (let i = 0; i < seasonMidpoints.length; i++) {
-    const curr = seasonMidpoints[i];
-    const next = seasonMidpoints[(i + 1) % seasonMidpoints.length]; // Wrap around
+/**
+ * Narrowest zoom window (days).
+ */
+const MIN_ZOOM_DAYS = 7;
 
-    // Handle wrap-around case (last season to first season of next year)
-    if (i === seasonMidpoints.length - 1) {
-      if (currentDayInYear >= curr.midpointDay || currentDayInYear < next.midpointDay) {
-        prevMidpoint = curr;
-        nextMidpoint = next;
-        break;
-      }
-    } 
-    // Normal case: day falls between two consecutive midpoints
-    else {
-      if (currentDayInYear >= curr.midpointDay && currentDayInYear < next.midpointDay) {
-        prevMidpoint = curr;
-        nextMidpoint = next;
-        break;
-      }
-    }
-  }
+/**
+ * Playback speeds offered next to the scrubber (days per second).
+ */
+const PLAYBACK_SPEEDS = [1, 5, 30];
 
-  // === STEP 5: Calculate distance between midpoints ===
-  let distanceFromPrev;  // How far from previous midpoint
-  let totalDistance;     // Total distance between the two midpoints
+/**
+ * Fit a zoom window inside the run: at least MIN_ZOOM_DAYS wide,
+ * whole days, and shifted (not shrunk) back inside [0, totalDays].
+ *
+ * @param {Array<number>} range - Proposed [start, end] (days)
+ * @param {number} totalDays - Length of the time-series axis
+ * @returns {Array<number>|null} Fitted [start, end], or null when it covers the whole run
+ */
+function fitZoomRange([start, end], totalDays) {
+  const width = Math.round(Math.max(MIN_ZOOM_DAYS, end - start));
+  if (width >= totalDays) return null;
+  const fittedStart = Math.round(Math.max(0, Math.min(totalDays - width, start)));
+  return [fittedStart, fittedStart + width];
+}
 
-  // Handle year wrap-around (e.g., from Fall to Winter of next year)
-  if (prevMidpoint.midpointDay > nextMidpoint.midpointDay) {
-    // We're wrapping around the year boundary
-    if (currentDayInYear >= prevMidpoint.midpointDay) {
-      // We're after the previous midpoint
-      distanceFromPrev = currentDayInYear - prevMidpoint.midpointDay;
-    } else {
-      // We've wrapped to next year
-      distanceFromPrev = (365 - prevMidpoint.midpointDay) + currentDayInYear;
-    }
-    totalDistance = (365 - prevMidpoint.midpointDay) + nextMidpoint.midpointDay;
-  } 
-  // Normal case: both midpoints in same year
-  else {
-    distanceFromPrev = currentDayInYear - prevMidpoint.midpointDay;
-    totalDistance = nextMidpoint.midpointDay - prevMidpoint.midpointDay;
-  }
+/**
+ * Header text for a day range, e.g. "Days 2190–2555 · Year 7–8".
+ *
+ * @param {Array<number>} range - [start, end] (days)
+ * @returns {string} Label (years counted from 1, as in the readout)
+ */
+function dayRangeLabel([start, end]) {
+  const firstYear = Math.floor(start / 365) + 1;
+  const lastYear = Math.floor(Math.max(start, end - 1) / 365) + 1;
+  const years = firstYear === lastYear ? `Year ${firstYear}` : `Year ${firstYear}–${lastYear}`;
+  return `Days ${Math.round(start)}–${Math.round(end)} · ${years}`;
+}
 
-  // === STEP 6: Interpolate between the two temperatures ===
-  // Normalize to 0-1 range
-  const progressBetweenMidpoints = distanceFromPrev / totalDistance;
+/* ============================================================
+   BACKGROUND JOBS
+   ============================================================ */
 
-  // Use cosine interpolation for smooth, natural transitions
-  // This creates an S-curve that avoids sudden temperature changes
-  const smoothProgress = (1 - Math.cos(progressBetweenMidpoints * Math.PI)) / 2;
-  
-  // Calculate base temperature by blending the two season means
-  const baseTemp = prevMidpoint.mean + (nextMidpoint.mean - prevMidpoint.mean) * smoothProgress;
+/**
+ * Job runner owned by one component (see Sim_WorkerClient.js).
+ * Its worker is released when the component unmounts.
+ *
+ * @param {Function} loadWorker - () → Promise<Worker> (read on the first render only)
+ * @returns {{run: Function, cancel: Function, dispose: Function}} Stable runner
+ */
+function useJobRunner(loadWorker) {
+  const runner = useRef(null);
+  if (runner.current === null) runner.current = createJobRunner(loadWorker);
 
-  // === STEP 7: Add intra-seasonal variation ===
-  // Small temperature wiggle within the season based on its amplitude setting
-  const currentSeasonMidpoint = progressBetweenMidpoints < 0.5 ? prevMidpoint : nextMidpoint;
-  
-  // Use sine wave to create gentle mid-season temperature bump
-  // Factor of 0.3 keeps this subtle (not overwhelming the main curve)
-  const intraSeason = currentSeasonMidpoint.amp * Math.sin(progress * Math.PI) * 0.3;
+  useEffect(() => {
+    const current = runner.current;
+    return () => current.dispose();
+  }, []);
 
-  return baseTemp + intraSeason;
+  return runner.current;
 }
 
 /**
- * Inject rare but deterministic extreme weather events.
- * 
- * Uses sine functions with the seed to create pseudo-random but
- * repeatable weather events. Events are rare (3% chance per day)
- * but have significant temperature impact when they occur.
- * 
- * Seasonal behavior:
- * - Summer: Heat waves (positive delta)
- * - Winter: Cold snaps (negative delta)
- * - Spring/Fall: Can swing either way
- * 
- * @param {number} dayIndex - Absolute day index in simulation
- * @param {string} seasonName - Current season ('Winter', 'Spring', 'Summer', 'Fall')
- * @param {number} seed - Simulation seed for determinism
- * @returns {number} Temperature delta to add (°F), usually 0
+ * Progress bar with a Cancel button for a running job.
+ *
+ * @param {Object} props
+ * @param {number} props.fraction - Fraction done (0-1)
+ * @param {string} props.label - What is running
+ * @param {Function} props.onCancel - Stops the job
  */
-function extremeEvent(dayIndex, seasonName, seed) {
-  // Generate a pseudo-random signal based on day and seed
-  // Range: 0 to 1
-  const signal = Math.sin(dayIndex * 0.173 + seed * 100) * 0.5 + 0.5;
-
-  // Only 3% of days have extreme events (signal > 0.97)
-  if (signal < 0.97) return 0;
-
-  // Calculate event magnitude (8-14°F range)
-  // Uses different frequency to decorrelate from the trigger signal
-  const magnitude = 8 + 6 * Math.abs(Math.sin(dayIndex * 0.91));
-
-  // Determine direction based on season
-  if (seasonName === 'Summer') return +magnitude;  // Heat wave
-  if (seasonName === 'Winter') return -magnitude;  // Cold snap
-
-  // Spring and Fall can swing either way (use another sine function)
-  return Math.sin(dayIndex * 0.37) > 0 ? +magnitude : -magnitude;
+function ProgressBar({ fraction, label, onCancel }) {
+  const percent = Math.round(fraction * 100);
+  return (
+    <div className="no-print" style={{ display: 'inline-flex', alignItems: 'center', gap: 8, marginLeft: 10, fontSize: 13 }}>
+      <span>{label}</span>
+      <div style={{ width: 160, height: 10, background: '#ddd', borderRadius: 5, overflow: 'hidden' }}>
+        <div style={{ width: `${percent}%`, height: '100%', background: '#3498db', transition: 'width 0.1s linear' }} />
+      </div>
+      <span style={{ width: 36 }}>{percent}%</span>
+      <button
+        onClick={onCancel}
+        style={{
+          padding: '3px 10px',
+          backgroundColor: '#e74c3c',
+          color: 'white',
+          border: 'none',
+          borderRadius: '4px',
+          cursor: 'pointer'
+        }}
+      >
+        Cancel
+      </button>
+    </div>
+  );
 }
 
 /* ============================================================
-   HELPER FUNCTIONS - CROP & FOOD PRODUCTION
+   SETTINGS ISSUES
    ============================================================ */
 
-function calculateGrowthFactor(population) {
-  let populationFactor = 0;
-
-  // === Population scaling factor ===
-  // Small populations (< 1000) use baseline growth
-  // Larger populations expand farmland: +0.09x multiplier per 50 people
-  if (population <= 10000) {
-    populationFactor = population < 1000 ? 1 : (Math.floor(population / 50) * 0.1);
-  }
-  else {
-    populationFactor = 20; // Cap growth factor for very large populations
-  }
-  return populationFactor;
+/**
+ * Errors and warnings for one settings field, shown under its input
+ * (see Sim_Validation.js).
+ *
+ * @param {Object} props
+ * @param {({errors: Array<string>, warnings: Array<string>}|undefined)} props.issues - Field issues
+ */
+function FieldIssues({ issues }) {
+  if (!issues) return null;
+  return (
+    <div style={{ fontSize: 11, margin: '0 0 10px 0' }}>
+      {issues.errors.map(message => (
+        <div key={message} style={{ color: '#e74c3c' }}>✖ {message}</div>
+      ))}
+      {issues.warnings.map(message => (
+        <div key={message} style={{ color: '#e67e22' }}>⚠ {message}</div>
+      ))}
+    </div>
+  );
 }
 
+/* ============================================================
+   CUSTOM PRESETS PANEL
+   ============================================================ */
+
 /**
- * Calculate daily food production based on temperature and population.
- * 
- * Uses a Gaussian (bell curve) distribution centered on the crop's
- * optimal temperature. Production scales with population size to
- * simulate farmland expansion as civilization grows.
- * 
- * Formula:
- * 1. Base growth = minGrowth + maxGrowth * bellCurve(temp)
- * 2. Population factor = 1.0 for pop < 1000, increases by 0.09 per 50 people
- * 3. Final growth = minGrowth + (scaledMaxGrowth * bellCurve)
- * 
- * @param {number} temperature - Current day's temperature (°F)
- * @param {Object} cropConfig - Crop parameters {optimalTemp, tolerance, maxGrowth, minGrowth}
- * @param {number} population - Current population size
- * @returns {number} Food units produced this day
+ * Settings panel section for the user's own climate and crop presets
+ * (see Sim_Presets.js): create them from the current settings, edit,
+ * delete, and share them as a preset pack file.
+ *
+ * @param {Object} props
+ * @param {{climate: Object, crop: Object}} props.customPresets - Custom presets
+ * @param {Function} props.onChange - (customPresets) → store a new set of custom presets
+ * @param {Object} props.workingConfig - Settings being edited (new presets start from them)
+ * @param {(string|null)} props.storageError - Set when the presets couldn't be stored
+ * @param {number} props.skipped - Stored presets left out because they no longer validate
  */
-function calculateGrowth(temperature, cropConfig, population) {
-  const { optimalTemp, tolerance, maxGrowth, minGrowth } = cropConfig;
-  
-  const populationFactor = calculateGrowthFactor(population);
+function CustomPresetsPanel({ customPresets, onChange, workingConfig, storageError, skipped }) {
+  /**
+   * Preset being edited: {kind, key (null for a new preset), name, description, config}, or null.
+   */
+  const [draft, setDraft] = useState(null);
 
-  const scaledMaxGrowth = maxGrowth * populationFactor;
+  /**
+   * Result of the last pack import: {fileName, added, replaced, errors}, or null.
+   */
+  const [packStatus, setPackStatus] = useState(null);
 
-  // === Temperature optimality calculation ===
-  // How far from ideal temperature?
-  const deviation = temperature - optimalTemp;
+  const takenNames = draft && [
+    ...BUILT_IN_PRESET_NAMES[draft.kind],
+    ...Object.entries(customPresets[draft.kind]).filter(([key]) => key !== draft.key).map(([, preset]) => preset.name)
+  ];
+  const draftErrors = draft ? validatePreset(draft, draft.kind, takenNames) : [];
+  const hasPresets = PRESET_KINDS.some(kind => Object.keys(customPresets[kind]).length > 0);
 
-  // Gaussian bell curve: e^(-(x²)/(2σ²))
-  // - At optimal temp: bellCurve = 1.0 (maximum)
-  // - Far from optimal: bellCurve approaches 0
-  // - tolerance is standard deviation (σ)
-  const bellCurve = Math.exp(-(deviation ** 2) / (2 * tolerance ** 2));
+  const saveDraft = () => {
+    const { kind, key, ...preset } = draft;
+    onChange(savePreset(customPresets, kind, key, preset).presets);
+    setDraft(null);
+  };
 
-  // === Final production ===
-  // Always produce at least minGrowth, even in terrible conditions
-  // Add scaled maximum production weighted by how close to optimal we are
-  return minGrowth + scaledMaxGrowth * bellCurve;
+  const importPack = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = parsePresetPack(String(reader.result), customPresets, BUILT_IN_PRESET_NAMES);
+      setPackStatus({ fileName: file.name, added: result.added, replaced: result.replaced, errors: result.errors });
+      if (result.added + result.replaced > 0) onChange(result.presets);
+    };
+    reader.onerror = () => {
+      setPackStatus({ fileName: file.name, added: 0, replaced: 0, errors: ['Could not read the file'] });
+    };
+    reader.readAsText(file);
+  };
+
+  const buttonStyle = {
+    padding: '3px 8px',
+    border: '1px solid #ccc',
+    borderRadius: 4,
+    background: 'white',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{ marginBottom: 20, padding: 15, backgroundColor: '#f4f4f4', borderRadius: 5 }}>
+      <strong>🧩 Custom Presets</strong>
+      <p style={{ fontSize: 11, color: '#666', margin: '5px 0 10px 0' }}>
+        Your own climate and crop presets, listed under "Custom" in the preset dropdowns.
+        New presets start from the current settings.
+      </p>
+
+      {PRESET_KINDS.map(kind => (
+        <div key={kind} style={{ marginBottom: 10 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <strong style={{ fontSize: 13 }}>{kind === 'climate' ? '🌍 Climate' : '🌾 Crop'}</strong>
+            <button
+              onClick={() => setDraft({ kind, key: null, ...presetFromConfig(workingConfig, kind) })}
+              style={buttonStyle}
+            >
+              + New
+            </button>
+          </div>
+          {Object.keys(customPresets[kind]).length === 0 && (
+            <p style={{ margin: '5px 0 0 0', fontSize: 12, color: '#666', fontStyle: 'italic' }}>None yet</p>
+          )}
+          {Object.entries(customPresets[kind]).map(([key, preset]) => (
+            <div
+              key={key}
+              style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 5, padding: 6, background: 'white', borderRadius: 4, fontSize: 12 }}
+            >
+              <span style={{ flex: 1 }} title={preset.description}>{preset.name}</span>
+              <button onClick={() => setDraft({ kind, key, ...preset, config: { ...preset.config } })} style={buttonStyle}>
+                ✏️ Edit
+              </button>
+              <button
+                onClick={() => {
+                  if (window.confirm(`Delete ${kind} preset "${preset.name}"?`)) {
+                    onChange(deletePreset(customPresets, kind, key));
+                    if (draft?.key === key) setDraft(null);
+                  }
+                }}
+                style={buttonStyle}
+              >
+                🗑 Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      {/* Editor for a new or existing preset */}
+      {draft && (
+        <div style={{ margin: '10px 0', padding: 10, background: 'white', border: '1px solid #ccc', borderRadius: 4, fontSize: 13 }}>
+          <strong>{draft.key ? 'Edit' : 'New'} {draft.kind} preset</strong>
+          <label style={{ display: 'block', margin: '8px 0 5px 0' }}>
+            Name:
+            <input
+              type="text"
+              value={draft.name}
+              autoFocus
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              style={{ marginLeft: 10, padding: 3, width: 200 }}
+            />
+          </label>
+          <label style={{ display: 'block', marginBottom: 8 }}>
+            Description:
+            <input
+              type="text"
+              value={draft.description}
+              onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+              style={{ marginLeft: 10, padding: 3, width: 200 }}
+            />
+          </label>
+          {PRESET_FIELDS[draft.kind].map(field => (
+            <label key={field} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4, fontSize: 12 }}>
+              {fieldLabel(field)}:
+              {CONFIG_SCHEMA[field].type === 'seasons' ? (
+                // The season list is taken from the settings as it is (edited under Season Lengths)
+                <span style={{ color: '#666' }}>
+                  {draft.config[field]?.length > 0 ? `${draft.config[field].length} custom seasons` : 'Classic seasons'}
+                </span>
+              ) : CONFIG_SCHEMA[field].type === 'string' ? (
+                <select
+                  value={draft.config[field]}
+                  onChange={(e) => setDraft({ ...draft, config: { ...draft.config, [field]: e.target.value } })}
+                  style={{ padding: 3, width: 90 }}
+                >
+                  {[...new Set([...sowingSeasonChoices(workingConfig), draft.config[field]])].map(value => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="number"
+                  min={CONFIG_SCHEMA[field].min}
+                  max={CONFIG_SCHEMA[field].max}
+                  value={draft.config[field]}
+                  onChange={(e) => setDraft({ ...draft, config: { ...draft.config, [field]: Number(e.target.value) } })}
+                  style={{ padding: 3, width: 80 }}
+                />
+              )}
+            </label>
+          ))}
+          {draftErrors.length > 0 && (
+            <ul style={{ margin: '8px 0 0 0', paddingLeft: 18, fontSize: 11, color: '#e74c3c' }}>
+              {draftErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          <div style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+            <button
+              onClick={saveDraft}
+              disabled={draftErrors.length > 0}
+              style={{
+                padding: '5px 12px',
+                backgroundColor: draftErrors.length > 0 ? '#95a5a6' : '#27ae60',
+                color: 'white',
+                border: 'none',
+                borderRadius: 4,
+                cursor: draftErrors.length > 0 ? 'not-allowed' : 'pointer'
+              }}
+            >
+              Save Preset
+            </button>
+            <button onClick={() => setDraft(null)} style={buttonStyle}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {/* Preset pack: share custom presets as a file */}
+      <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap', marginTop: 10 }}>
+        <button
+          onClick={() => downloadFile(
+            JSON.stringify(createPresetPack(customPresets), null, 2),
+            PRESET_PACK_FILE_NAME,
+            'application/json'
+          )}
+          disabled={!hasPresets}
+          style={{
+            padding: '6px 12px',
+            backgroundColor: hasPresets ? '#3498db' : '#95a5a6',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: hasPresets ? 'pointer' : 'not-allowed'
+          }}
+        >
+          ⬇ Export Pack
+        </button>
+        <label
+          style={{
+            padding: '6px 12px',
+            backgroundColor: '#8e44ad',
+            color: 'white',
+            borderRadius: '4px',
+            cursor: 'pointer'
+          }}
+        >
+          ⬆ Import Pack
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={(e) => {
+              if (e.target.files[0]) importPack(e.target.files[0]);
+              e.target.value = ''; // Allow importing the same file again
+            }}
+            style={{ display: 'none' }}
+          />
+        </label>
+      </div>
+
+      {packStatus && (packStatus.added + packStatus.replaced > 0 || packStatus.errors.length === 0) && (
+        <p style={{ margin: '10px 0 0 0', fontSize: 12, color: '#27ae60' }}>
+          Imported {packStatus.fileName}: {packStatus.added} new, {packStatus.replaced} updated
+        </p>
+      )}
+      {packStatus && packStatus.errors.length > 0 && (
+        <div style={{ marginTop: 10, fontSize: 12, color: '#c0392b' }}>
+          <strong>
+            {packStatus.added + packStatus.replaced > 0 ? 'Some presets were left out:' : `Could not import ${packStatus.fileName}:`}
+          </strong>
+          <ul style={{ margin: '5px 0 0 0', paddingLeft: 18 }}>
+            {packStatus.errors.map((error, index) => <li key={index}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+      {storageError && <p style={{ margin: '8px 0 0 0', fontSize: 12, color: '#c0392b' }}>⚠ {storageError}</p>}
+      {skipped > 0 && (
+        <p style={{ margin: '8px 0 0 0', fontSize: 11, color: '#e67e22' }}>
+          {skipped} stored preset{skipped === 1 ? '' : 's'} no longer match{skipped === 1 ? 'es' : ''} this
+          version's settings and {skipped === 1 ? 'was' : 'were'} left out
+        </p>
+      )}
+    </div>
+  );
 }
 
+/* ============================================================
+   PARAMETER SWEEP PANEL
+   ============================================================ */
+
 /**
- * Calculate basic crop growth without population scaling.
- * 
- * This is the "pure" growth curve used for visualization.
- * Shows how temperature alone affects crop yields.
- * 
- * @param {number} temperature - Current temperature (°F)
- * @param {Object} cropConfig - Crop parameters {optimalTemp, tolerance, maxGrowth, minGrowth}
- * @returns {number} Base food units produced (no population factor)
+ * Color of a heatmap cell: light yellow (lowest) to dark red (highest).
+ *
+ * @param {number} fraction - Position of the value between the grid's min and max (0-1)
+ * @returns {string} CSS color
  */
-function calculateBasicGrowth(temperature, cropConfig) {
-  const { optimalTemp, tolerance, maxGrowth, minGrowth } = cropConfig;
-  
-  // Distance from optimal temperature
-  const deviation = temperature - optimalTemp;
-  
-  // Gaussian bell curve
-  const bellCurve = Math.exp(-(deviation ** 2) / (2 * tolerance ** 2));
-  
-  return minGrowth + maxGrowth * bellCurve;
+function heatColor(fraction) {
+  const f = Number.isFinite(fraction) ? Math.max(0, Math.min(1, fraction)) : 0;
+  const hue = 55 - 55 * f;        // Yellow → red
+  const lightness = 88 - 50 * f;  // Light → dark
+  return `hsl(${hue}, 85%, ${lightness}%)`;
 }
 
-/* ============================================================
-   HELPER FUNCTIONS - POPULATION DYNAMICS
-   ============================================================ */
+/**
+ * Format a swept value for axis labels and tables.
+ *
+ * @param {number} value - Field or metric value
+ * @returns {string} Short text
+ */
+function formatSweepValue(value) {
+  if (Number.isInteger(value)) return String(value);
+  return Math.abs(value) >= 100 ? value.toFixed(0) : Number(value.toPrecision(3)).toString();
+}
 
 /**
- * Calculate population change based on food availability.
- * 
- * Models birth and death rates that respond to food security:
- * - Adequate food: Normal birth rate, low death rate
- * - Food shortage: Reduced births, increased deaths
- * - No food: Minimal births, doubled death rate
- * 
- * @param {number} population - Current population count
- * @param {number} foodStock - Available food units
- * @param {number} totalFoodNeeded - Food required to feed everyone
- * @param {Object} config - Population parameters {baseBirthRate, baseDeathRate}
- * @returns {{births: number, deaths: number, newPopulation: number}} Population change data
+ * Sweep and sensitivity panel (see Sim_Sweep.js).
+ *
+ * - 1D sweep: metric vs one field as a line plot
+ * - 2D sweep: metric over two fields as a heatmap
+ * - Sensitivity: every numeric field ±X%, ranked in a tornado chart
+ *
+ * Runs on the active config and seed; results are hidden once the
+ * config changes, because they no longer describe the run on screen.
+ *
+ * @param {Object} props
+ * @param {Object} props.activeConfig - Config of the run on screen
+ * @param {number} props.seed - Seed shared by every sweep run
+ * @param {Array<Function>} props.layers - Model layer factories
+ * @param {Function} props.loadWorker - Starts the worker the sweeps run in
+ * @param {Object} props.configSchema - Validation rules (ranges for clamping)
  */
-function calculatePopulationChange(population, foodStock, totalFoodNeeded, config) {
-  const { baseBirthRate, baseDeathRate } = config;
-  let birthRate = 0;
-
-  // === Food availability factor ===
-  // Range: 0.0 (no food) to 1.0 (adequate food)
-  // Capped at 1.0 so surplus food doesn't boost rates beyond baseline
-  const foodRatio = Math.min(1, foodStock / totalFoodNeeded);
-
-  // === Adjust rates based on food security ===
-  // Birth rate: Scales linearly with food (no food = no births)
-  if(foodRatio === 0) {
-    birthRate = baseBirthRate * 0.1; // Minimal birth rate during crisis
-  } else {
-    birthRate = baseBirthRate * foodRatio; // Proportional to food availability
-  }
+function SweepPanel({ activeConfig, seed, layers, loadWorker, configSchema }) {
+  const fields = sweepableFields(activeConfig);
+
+  /**
+   * Axis settings for a field, starting from its suggested range.
+   */
+  const axisFor = (field, steps) => ({ field, ...defaultRange(field, activeConfig[field], configSchema), steps });
+
+  const [expanded, setExpanded] = useState(false);
+  const [mode, setMode] = useState('1d');             // '1d' | '2d' | 'tornado'
+  const [metric, setMetric] = useState('finalPopulation');
+  const [xAxis, setXAxis] = useState(() => axisFor('baseBirthRate', 11));
+  const [yAxis, setYAxis] = useState(() => axisFor('tolerance', 8));
+  const [sensitivityChange, setSensitivityChange] = useState(20); // ± percent
+  const [progress, setProgress] = useState(null);      // Fraction done while running, null when idle
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);          // {mode, metric, config, ...output}
+  const runner = useJobRunner(loadWorker);
+  const running = progress !== null;
+
+  const activeResult = result && result.config === activeConfig ? result : null;
+  const metricInfo = OUTCOME_METRICS[activeResult?.metric ?? metric];
 
-  // Death rate: Inverted relationship (more food = fewer deaths)
-  // Formula: baseDeathRate * (2 - foodRatio)
-  // - foodRatio = 1.0: deathRate = baseDeathRate (normal)
-  // - foodRatio = 0.5: deathRate = 1.5 × baseDeathRate (elevated)
-  // - foodRatio = 0.0: deathRate = 2 × baseDeathRate (crisis)
-  const deathRate = baseDeathRate * (2 - foodRatio);
-
-  // === Calculate absolute numbers ===
-  const births = Math.floor(population * birthRate);
-  const deaths = Math.floor(population * deathRate);
-
-  // === Update population ===
-  // Cannot go below zero
-  const newPopulation = Math.max(0, population + births - deaths);
-
-  return { 
-    births, 
-    deaths, 
-    newPopulation 
+  /**
+   * Run the selected analysis in the background (see Sim_Jobs.js).
+   */
+  const run = () => {
+    const settings = { mode, metric, config: activeConfig, change: sensitivityChange, xAxis, yAxis };
+    const job = {
+      type: { '1d': 'sweep1d', '2d': 'sweep2d', tornado: 'sensitivity' }[mode],
+      config: activeConfig,
+      seed,
+      xAxis,
+      yAxis,
+      metric,
+      change: sensitivityChange / 100,
+      schema: configSchema
+    };
+
+    setProgress(0);
+    setError(null);
+    runner.run(job, layers, {
+      onProgress: setProgress,
+      onResult: (output) => {
+        setResult({ ...settings, ...output });
+        setProgress(null);
+      },
+      onError: (message) => {
+        setError(message);
+        setProgress(null);
+      }
+    });
+  };
+
+  const cancel = () => {
+    runner.cancel();
+    setProgress(null);
   };
+
+  /**
+   * Field, range and step inputs for one sweep axis.
+   */
+  const renderAxis = (label, axis, setAxis) => (
+    <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
+      <strong style={{ width: 60 }}>{label}:</strong>
+      <select
+        value={axis.field}
+        onChange={(e) => setAxis(axisFor(e.target.value, axis.steps))}
+        style={{ padding: 5 }}
+      >
+        {fields.map(field => (
+          <option key={field} value={field}>{fieldLabel(field)}</option>
+        ))}
+      </select>
+      <span>from</span>
+      <input
+        type="number"
+        value={axis.min}
+        onChange={(e) => setAxis({ ...axis, min: Number(e.target.value) })}
+        style={{ padding: 5, width: 80 }}
+      />
+      <span>to</span>
+      <input
+        type="number"
+        value={axis.max}
+        onChange={(e) => setAxis({ ...axis, max: Number(e.target.value) })}
+        style={{ padding: 5, width: 80 }}
+      />
+      <span>in</span>
+      <input
+        type="number"
+        min="2"
+        max="50"
+        value={axis.steps}
+        onChange={(e) => setAxis({ ...axis, steps: Math.max(2, Math.min(50, Number(e.target.value))) })}
+        style={{ padding: 5, width: 50 }}
+      />
+      <span>steps</span>
+      <span style={{ fontSize: 11, color: '#666' }}>(current: {formatSweepValue(activeConfig[axis.field])})</span>
+    </div>
+  );
+
+  // Heatmap color scale
+  const heatValues = activeResult?.mode === '2d' ? activeResult.grid.flat() : [];
+  const heatMin = Math.min(...heatValues);
+  const heatMax = Math.max(...heatValues);
+
+  // Tornado rows: the fields that move the metric most, as effects relative to the baseline
+  const tornadoData = activeResult?.mode === 'tornado'
+    ? activeResult.fields
+        .filter(entry => entry.swing > 0)
+        .slice(0, 15)
+        .map(entry => {
+          const lowEffect = entry.low - activeResult.baseline;
+          const highEffect = entry.high - activeResult.baseline;
+          return {
+            ...entry,
+            label: fieldLabel(entry.field),
+            lowRange: [Math.min(0, lowEffect), Math.max(0, lowEffect)],
+            highRange: [Math.min(0, highEffect), Math.max(0, highEffect)]
+          };
+        })
+    : [];
+
+  return (
+    <div style={{ marginTop: 40, padding: 10, background: '#f4f4f4' }}>
+      <div
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          cursor: 'pointer',
+          fontWeight: 'bold',
+          fontSize: '16px',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}
+      >
+        <span>📈 Parameter Sweep & Sensitivity</span>
+        <span>{expanded ? '▼' : '▶'}</span>
+      </div>
+
+      {expanded && (
+        <div style={{ marginTop: 10 }}>
+          <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
+            Runs the active config with seed {seed} across a grid of values. Every run uses the same seed, so differences come from the parameters, not the weather.
+          </p>
+
+          {/* === Mode and metric === */}
+          <div style={{ display: 'flex', gap: 15, alignItems: 'center', flexWrap: 'wrap', marginBottom: 10 }}>
+            {[
+              { key: '1d', label: '1D Sweep (line)' },
+              { key: '2d', label: '2D Sweep (heatmap)' },
+              { key: 'tornado', label: 'Sensitivity (tornado)' }
+            ].map(option => (
+              <label key={option.key}>
+                <input
+                  type="radio"
+                  name="sweep-mode"
+                  checked={mode === option.key}
+                  onChange={() => setMode(option.key)}
+                  style={{ marginRight: 5 }}
+                />
+                {option.label}
+              </label>
+            ))}
+            <label>
+              <strong>Outcome:</strong>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)} style={{ marginLeft: 8, padding: 5 }}>
+                {Object.entries(OUTCOME_METRICS).map(([key, info]) => (
+                  <option key={key} value={key}>{info.name}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {/* === Axes / sensitivity settings === */}
+          {mode !== 'tornado' && renderAxis(mode === '2d' ? 'X Axis' : 'Field', xAxis, setXAxis)}
+          {mode === '2d' && renderAxis('Y Axis', yAxis, setYAxis)}
+          {mode === 'tornado' && (
+            <label style={{ display: 'block', marginBottom: 8 }}>
+              <strong>Change each field by ±</strong>
+              <input
+                type="number"
+                min="1"
+                max="90"
+                value={sensitivityChange}
+                onChange={(e) => setSensitivityChange(Math.max(1, Math.min(90, Number(e.target.value))))}
+                style={{ marginLeft: 5, padding: 5, width: 60 }}
+              />
+              <strong> %</strong>
+              <span style={{ fontSize: 11, color: '#666', marginLeft: 10 }}>
+                {fields.length * 2 + 1} runs, one field at a time
+              </span>
+            </label>
+          )}
+
+          <button
+            onClick={run}
+            disabled={running}
+            style={{
+              padding: '6px 12px',
+              backgroundColor: running ? '#95a5a6' : '#2980b9',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: running ? 'wait' : 'pointer'
+            }}
+          >
+            {running ? 'Running…' : 'Run'}
+          </button>
+          {running && <ProgressBar fraction={progress} label="Sweeping…" onCancel={cancel} />}
+          {error && <span style={{ marginLeft: 10, color: '#c0392b' }}>⚠ {error}</span>}
+
+          {/* === 1D: line plot === */}
+          {activeResult?.mode === '1d' && (
+            <ChartFrame height={350}>
+            <LineChart
+              data={activeResult.points}
+              margin={{ top: 20, right: 20, left: 20, bottom: 40 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="value"
+                type="number"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={formatSweepValue}
+                label={{ value: fieldLabel(activeResult.xAxis.field), position: 'insideBottom', offset: -10 }}
+              />
+              <YAxis label={{ value: metricInfo.name, angle: -90, position: 'insideLeft' }} />
+              <Tooltip
+                labelFormatter={(value) => `${fieldLabel(activeResult.xAxis.field)}: ${formatSweepValue(value)}`}
+                formatter={(value) => [`${formatSweepValue(value)} ${metricInfo.unit}`, metricInfo.name]}
+              />
+              <ReferenceLine x={activeConfig[activeResult.xAxis.field]} stroke="#2ecc71" strokeDasharray="4 4" />
+              <Line type="monotone" dataKey="result" stroke="#2980b9" strokeWidth={2} name={metricInfo.name} />
+            </LineChart>
+            </ChartFrame>
+          )}
+
+          {/* === 2D: heatmap (grid of colored cells, highest Y value on top) === */}
+          {activeResult?.mode === '2d' && (
+            <div style={{ marginTop: 15, display: 'inline-block', maxWidth: '100%', overflowX: 'auto' }}>
+              <div style={{ fontSize: 12, marginBottom: 5 }}>
+                <strong>{metricInfo.name}</strong> by {fieldLabel(activeResult.xAxis.field)} (columns) and {fieldLabel(activeResult.yAxis.field)} (rows)
+              </div>
+              <table style={{ borderCollapse: 'collapse', fontSize: 11 }}>
+                <tbody>
+                  {[...activeResult.yValues].map((yValue, row) => ({ yValue, row })).reverse().map(({ yValue, row }) => (
+                    <tr key={row}>
+                      <th style={{ padding: '0 6px', textAlign: 'right' }}>{formatSweepValue(yValue)}</th>
+                      {activeResult.grid[row].map((value, column) => (
+                        <td
+                          key={column}
+                          title={`${fieldLabel(activeResult.xAxis.field)} ${formatSweepValue(activeResult.xValues[column])}, ${fieldLabel(activeResult.yAxis.field)} ${formatSweepValue(yValue)}: ${formatSweepValue(value)} ${metricInfo.unit}`}
+                          style={{
+                            width: 44,
+                            height: 28,
+                            textAlign: 'center',
+                            border: '1px solid white',
+                            backgroundColor: heatColor((value - heatMin) / (heatMax - heatMin))
+                          }}
+                        >
+                          {formatSweepValue(value)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <th />
+                    {activeResult.xValues.map((xValue, column) => (
+                      <th key={column} style={{ padding: '2px 0', fontWeight: 'normal' }}>{formatSweepValue(xValue)}</th>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 11, marginTop: 8 }}>
+                <span>{formatSweepValue(heatMin)}</span>
+                <div style={{ width: 150, height: 10, background: `linear-gradient(to right, ${heatColor(0)}, ${heatColor(0.5)}, ${heatColor(1)})` }} />
+                <span>{formatSweepValue(heatMax)} {metricInfo.unit}</span>
+              </div>
+            </div>
+          )}
+
+          {/* === Sensitivity: tornado chart === */}
+          {activeResult?.mode === 'tornado' && (
+            <div style={{ marginTop: 15 }}>
+              <div style={{ fontSize: 12, marginBottom: 5 }}>
+                Change in <strong>{metricInfo.name}</strong> from the current config ({formatSweepValue(activeResult.baseline)} {metricInfo.unit})
+                when each field is moved ±{activeResult.change}%; largest effects on top
+              </div>
+              {tornadoData.length === 0 ? (
+                <p style={{ fontSize: 12, color: '#666' }}>No field moves this outcome.</p>
+              ) : (
+                <ChartFrame height={40 + tornadoData.length * 28}>
+                <BarChart
+                  data={tornadoData}
+                  layout="vertical"
+                  margin={{ top: 10, right: 30, left: 20, bottom: 10 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" tickFormatter={formatSweepValue} />
+                  <YAxis type="category" dataKey="label" width={170} />
+                  <Tooltip
+                    content={({ active, payload }) => {
+                      if (active && payload && payload.length) {
+                        const entry = payload[0].payload;
+                        return (
+                          <div style={{ background: 'white', padding: 10, border: '1px solid #ccc', borderRadius: 4 }}>
+                            <p><strong>{entry.label}</strong></p>
+                            <p>At {formatSweepValue(entry.lowValue)}: {formatSweepValue(entry.low)} {metricInfo.unit}</p>
+                            <p>At {formatSweepValue(entry.highValue)}: {formatSweepValue(entry.high)} {metricInfo.unit}</p>
+                          </div>
+                        );
+                      }
+                      return null;
+                    }}
+                  />
+                  <Legend />
+                  <ReferenceLine x={0} stroke="#333" />
+                  <Bar dataKey="lowRange" fill="#3498db" name={`-${activeResult.change}%`} isAnimationActive={false} />
+                  <Bar dataKey="highRange" fill="#e67e22" name={`+${activeResult.change}%`} isAnimationActive={false} />
+                </BarChart>
+                </ChartFrame>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
 }
 
 /* ============================================================
    MAIN REACT COMPONENT
    ============================================================ */
 
+/**
+ * Default for the `layers` prop.
+ * Module-level so the simulation effect sees a stable reference.
+ */
+const NO_LAYERS = [];
+
 /**
  * Main simulation component.
  * 
@@ -655,371 +1427,760 @@ function calculatePopulationChange(population, foodStock, totalFoodNeeded, confi
  * - Population dynamics (birth/death based on food)
  * - Interactive visualization of all three systems
  * - User configuration via settings panel
+ *
+ * Extension props (used by the Disease and Weather modules so they
+ * reuse this component instead of copying it):
+ * @param {Object} props
+ * @param {string} [props.title] - Page heading
+ * @param {Array<Function>} [props.layers] - Engine model layer factories (see runSimulation);
+ *   must be a stable reference (module constant), or the simulation re-runs every render
+ * @param {Function} [props.loadWorker] - () → Promise<Worker> for a worker script that registers
+ *   the module's layers (see registerLayer()); without it the Base worker is used
+ * @param {Object} [props.defaultConfig] - Initial config, including any layer-specific fields
+ * @param {Function} [props.renderSettings] - ({workingConfig, setWorkingConfig, renderIssues}) → extra settings sections;
+ *   renderIssues(field) shows the field's validation errors and warnings
+ * @param {Function} [props.renderReadout] - ({current, currentDay, populationData, foodData}) → extra readout panel
+ * @param {Function} [props.renderCharts] - ({currentDay, data, populationData, foodData, activeConfig, viewRange}) → extra charts;
+ *   viewRange is the [start, end] day range of the time-series charts
+ * @param {string} [props.moduleName] - Module name written into exported scenario files
+ * @param {Object} [props.configSchema] - Validation rules for imported scenarios (see Sim_Scenario.js),
+ *   including rules for any layer-specific fields
  */
-export default function TemperatureSimulation() {
+export default function TemperatureSimulation({
+  title = 'Multi-Year Temperature & Food Simulation',
+  layers = NO_LAYERS,
+  loadWorker = loadSimulationWorker,
+  defaultConfig = DEFAULT_CONFIG,
+  renderSettings,
+  renderReadout,
+  renderCharts,
+  moduleName = 'Base',
+  configSchema = CONFIG_SCHEMA
+}) {
   /* ============================================================
      STATE MANAGEMENT
      ============================================================ */
 
   /**
-   * Full temperature timeline.
-   * Array of objects: [{dayIndex, year, dayOfYear, season, temperature}, ...]
-   * Generated once per seed change, then used for all visualizations.
+   * Custom presets stored on the last visit (see Sim_Presets.js): {presets, skipped}.
+   * Read once: customPresets below holds them from then on.
+   */
+  const [storedPresets] = useState(() => loadCustomPresets(BUILT_IN_PRESET_NAMES));
+
+  /**
+   * The user's own climate and crop presets, {climate, crop} keyed by "custom-..." keys.
+   */
+  const [customPresets, setCustomPresets] = useState(storedPresets.presets);
+
+  /**
+   * Set when the custom presets couldn't be written to browser storage.
+   */
+  const [presetsError, setPresetsError] = useState(null);
+
+  /**
+   * Built-in and custom presets, and their keys (for links, workspace and library).
+   */
+  const allPresets = withCustomPresets(customPresets);
+  const presetKeys = presetKeysOf(allPresets);
+
+  /**
+   * Run described by the URL hash the page was opened with (see Sim_Share.js).
+   * {link, errors, warnings}; link is null without a hash or when it's invalid.
+   * Read once: it only seeds the initial state below.
+   */
+  const [openedLink] = useState(() => decodeShareHash(window.location.hash, defaultConfig, configSchema, presetKeys));
+
+  /**
+   * Workspace autosaved on the last visit (see Sim_Library.js), or null.
+   * A shared link wins over it. Read once, like openedLink.
+   */
+  const [savedWorkspace] = useState(() => (
+    openedLink.link ? null : loadWorkspace(moduleName, defaultConfig, configSchema, presetKeys)
+  ));
+
+  /**
+   * Full temperature timeline.
+   * Array of objects: [{dayIndex, year, dayOfYear, season, temperature}, ...]
+   * Generated once per seed change, then used for all visualizations.
+   */
+  const [data, setData] = useState([]);
+
+  /**
+   * Currently viewed day in the timeline.
+   * Controlled by the scrubber slider.
+   * Range: 0 to (totalDays - 1)
+   */
+  const [currentDay, setCurrentDay] = useState(() => openedLink.link?.currentDay ?? 0);
+
+  /**
+   * Integer seed for all stochastic parts of the model (see Sim_Random.js).
+   * Same seed + same config always produces the same simulation.
+   * Changes when user clicks "Generate New Pattern" or types a seed.
+   */
+  const [seed, setSeed] = useState(() => openedLink.link?.seed ?? savedWorkspace?.seed ?? randomSeed());
+
+  /**
+   * Text currently in the seed input.
+   * Kept separate from `seed` so partial typing doesn't re-run the
+   * simulation; applied on Enter or when the input loses focus.
+   */
+  const [seedInput, setSeedInput] = useState(String(seed));
+
+  /**
+   * Active simulation configuration.
+   * These are the parameters currently being used for simulation.
+   * Updated only when user clicks "Save Changes & Regenerate".
+   * Starts from the shared link the page was opened with, or else the autosaved workspace.
+   */
+  const [activeConfig, setActiveConfig] = useState(() => ({
+    ...(openedLink.link?.config ?? savedWorkspace?.activeConfig ?? defaultConfig)
+  }));
+
+  /**
+   * Working configuration being edited in settings panel.
+   * Changes here don't affect simulation until user saves.
+   */
+  const [workingConfig, setWorkingConfig] = useState(() => ({ ...(savedWorkspace?.workingConfig ?? activeConfig) }));
+
+  /**
+   * Presets picked for the active config ({climate, crop}: preset keys or null).
+   * Written into shared links so they reopen with the same dropdowns;
+   * the config itself holds the values.
+   */
+  const [activePresets, setActivePresets] = useState(() => (
+    openedLink.link?.presets ?? savedWorkspace?.activePresets ?? NO_PRESETS
+  ));
+
+  /**
+   * Presets picked in the settings panel, applied together with workingConfig.
+   */
+  const [workingPresets, setWorkingPresets] = useState(() => savedWorkspace?.workingPresets ?? activePresets);
+
+  /**
+   * Food stock timeline.
+   * Array of objects with two entries per day:
+   * 1. After harvest (x: day)
+   * 2. After consumption (x: day + 0.5)
+   * This creates the sawtooth pattern visible on the food chart.
+   */
+  const [foodData, setFoodData] = useState([]);
+
+  /**
+   * Population timeline.
+   * Array of objects: [{x, population, births, deaths, foodRatio}, ...]
+   * One entry per day tracking population changes and causes.
+   */
+  const [populationData, setPopulationData] = useState([]);
+
+  /**
+   * Extreme weather events of the current run.
+   * Array of objects: [{type, startDay, endDay, peakAnomaly}, ...]
+   * Used to annotate the temperature chart (see Sim_Events.js).
+   */
+  const [events, setEvents] = useState([]);
+
+  /**
+   * Crop lifecycle events of the current run (planting & harvest cycles only).
+   * Array of objects: [{type, day, cropIndex}, ...]
+   * Used to mark sowing, harvest and frost kill days on the food chart (see Sim_Crops.js).
+   */
+  const [cropEvents, setCropEvents] = useState([]);
+
+  /**
+   * Controls visibility of settings side panel.
+   * true: Panel slides in from right
+   * false: Panel hidden off-screen
+   */
+  const [showSettings, setShowSettings] = useState(false);
+
+  /**
+   * Legacy state variable (kept for compatibility).
+   * Actual year count is now stored in activeConfig.yearCount.
+   */
+  const [yearCount, setYearCount] = useState(1);
+
+  /**
+   * Track which sections of settings panel are expanded.
+   * Each section can be independently collapsed/expanded.
+   */
+  const [expandedSections, setExpandedSections] = useState({
+    time: true,       // Start with time section open
+    seasons: false,
+    profiles: false,
+    crop: false,
+    food: false,
+    events: false,
+    portfolio: false,
+    population: false,
+    trend: false
+  });
+
+  /* ============================================================
+     SIMULATION GENERATION
+     ============================================================ */
+
+  /**
+   * Runs the engine in a Web Worker (see Sim_WorkerClient.js), so the
+   * settings panel and scrubber stay usable while a run computes.
+   */
+  const simulationRunner = useJobRunner(loadWorker);
+
+  /**
+   * Fraction of the current run done (0-1), or null when no run is computing.
+   */
+  const [runProgress, setRunProgress] = useState(null);
+
+  /**
+   * Message of the last failed run, or null.
+   */
+  const [runError, setRunError] = useState(null);
+
+  /**
+   * Config, seed and layers of the run on screen.
+   * A ref, not state: it only decides whether the effect needs to run.
+   */
+  const completedRun = useRef(null);
+
+  /**
+   * Main simulation effect.
+   * Triggers when seed or activeConfig changes.
+   * 
+   * Process:
+   * 1. Run the engine in the background (temperature → food → population, see Sim_Engine.js);
+   *    a newer change cancels a run still computing
+   * 2. Store all results in state arrays for visualization
+   *    (the previous run stays on screen until then)
+   */
+  useEffect(() => {
+    // Nothing to do after a cancel restored the run on screen
+    const shown = completedRun.current;
+    if (shown && shown.config === activeConfig && shown.seed === seed && shown.layers === layers) return;
+
+    setRunProgress(0);
+    setRunError(null);
+    simulationRunner.run({ type: 'run', config: activeConfig, seed }, layers, {
+      onProgress: setRunProgress,
+      onResult: (result) => {
+        completedRun.current = { config: activeConfig, seed, layers };
+        setData(result.temperatureData);
+        setFoodData(result.foodData);
+        setPopulationData(result.populationData);
+        setEvents(result.events);
+        setCropEvents(result.cropEvents);
+        setRunProgress(null);
+      },
+      onError: (message) => {
+        setRunError(message);
+        setRunProgress(null);
+      }
+    });
+    return () => simulationRunner.cancel();
+  }, [seed, activeConfig, layers, simulationRunner]); // Effect dependencies: re-run when seed or config changes
+
+  /**
+   * Stop the run that is computing and go back to the settings
+   * and seed of the run on screen.
+   */
+  const cancelRun = () => {
+    simulationRunner.cancel();
+    setRunProgress(null);
+    const shown = completedRun.current;
+    if (shown) {
+      setActiveConfig(shown.config);
+      setSeed(shown.seed);
+    }
+  };
+
+  // Keep the seed input showing the seed actually in use
+  useEffect(() => {
+    setSeedInput(String(seed));
+  }, [seed]);
+
+  /**
+   * Problems with the last shared link opened.
+   * {errors: [...], warnings: [...]} or null when there's nothing to report.
+   */
+  const [linkStatus, setLinkStatus] = useState(() => (
+    openedLink.errors.length > 0 || openedLink.warnings.length > 0
+      ? { errors: openedLink.errors, warnings: openedLink.warnings }
+      : null
+  ));
+
+  /**
+   * Whether the Copy Link button was just used (shows "Copied" briefly).
+   */
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // Mirror the run on screen into the URL hash, once the scrubber settles
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const hash = encodeShareHash({ config: activeConfig, seed, currentDay, presets: activePresets }, defaultConfig);
+      if (hash !== window.location.hash) window.history.replaceState(null, '', hash);
+    }, LINK_UPDATE_DELAY);
+    return () => clearTimeout(timer);
+  }, [activeConfig, seed, currentDay, activePresets, defaultConfig]);
+
+  // Open a link pasted into the address bar of an already open page
+  useEffect(() => {
+    const openLink = () => {
+      const keys = presetKeysOf(withCustomPresets(customPresets));
+      const { link, errors, warnings } = decodeShareHash(window.location.hash, defaultConfig, configSchema, keys);
+      setLinkStatus(errors.length > 0 || warnings.length > 0 ? { errors, warnings } : null);
+      if (!link) return;
+
+      setActiveConfig({ ...link.config });
+      setWorkingConfig({ ...link.config });
+      setActivePresets(link.presets);
+      setWorkingPresets(link.presets);
+      setSeed(link.seed ?? randomSeed());
+      setCurrentDay(link.currentDay);
+    };
+    window.addEventListener('hashchange', openLink);
+    return () => window.removeEventListener('hashchange', openLink);
+  }, [defaultConfig, configSchema, customPresets]);
+
+  /**
+   * Copy a link to the run on screen, at the current day.
+   * Where the clipboard isn't available (e.g. plain http) the link is
+   * shown in a prompt to copy by hand.
+   */
+  const copyShareLink = () => {
+    const hash = encodeShareHash({ config: activeConfig, seed, currentDay, presets: activePresets }, defaultConfig);
+    const url = `${window.location.href.split('#')[0]}${hash}`;
+    if (!navigator.clipboard) {
+      window.prompt('Copy this link:', url);
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      },
+      () => window.prompt('Copy this link:', url)
+    );
+  };
+
+  // Autosave the workspace, so a page refresh comes back to it
+  useEffect(() => {
+    saveWorkspace(moduleName, { activeConfig, workingConfig, seed, activePresets, workingPresets });
+  }, [moduleName, activeConfig, workingConfig, seed, activePresets, workingPresets]);
+
+  /**
+   * Saved scenario library (see Sim_Library.js).
+   * {scenarios, skipped}: skipped counts stored entries that no longer validate.
+   */
+  const [library, setLibrary] = useState(() => loadLibrary(moduleName, defaultConfig, configSchema, presetKeys));
+
+  /**
+   * Set when the library couldn't be written to browser storage.
+   */
+  const [libraryError, setLibraryError] = useState(null);
+
+  /**
+   * Name typed for saving the run on screen.
+   */
+  const [scenarioName, setScenarioName] = useState('');
+
+  /**
+   * Saved scenario being renamed: {id, name} (name as typed so far), or null.
+   */
+  const [renaming, setRenaming] = useState(null);
+
+  /**
+   * Show a new library list and store it.
+   *
+   * @param {Array<Object>} scenarios - New list (from the Sim_Library.js list functions)
+   */
+  const updateLibrary = (scenarios) => {
+    setLibrary({ ...library, scenarios });
+    setLibraryError(saveLibrary(moduleName, scenarios)
+      ? null
+      : 'Browser storage is full or unavailable: the library will be lost when the page is closed');
+  };
+
+  /**
+   * Why the run on screen can't be saved (or pinned as scenario A) right
+   * now, or null if it can. The results must belong to the active config
+   * and seed: not while a newer run computes, and not after one failed
+   * (the older results would be saved under the new settings).
+   */
+  const saveBlocker = (() => {
+    if (runProgress !== null) return 'Wait for the run to finish';
+    const shown = completedRun.current;
+    if (!shown || shown.config !== activeConfig || shown.seed !== seed) return 'The run on screen has no results for these settings';
+    return null;
+  })();
+
+  /**
+   * Save the run on screen, with its results summary, under the typed name.
    */
-  const [data, setData] = useState([]);
+  const saveCurrentScenario = () => {
+    const summary = summarizeForLibrary({ foodData, populationData });
+    if (saveBlocker || !summary) return;
+
+    updateLibrary(addScenario(library.scenarios, {
+      name: scenarioName,
+      config: activeConfig,
+      seed,
+      presets: activePresets,
+      summary
+    }));
+    setScenarioName('');
+  };
 
   /**
-   * Currently viewed day in the timeline.
-   * Controlled by the scrubber slider.
-   * Range: 0 to (totalDays - 1)
+   * Run a saved scenario from day 0.
+   *
+   * @param {Object} entry - Library entry
    */
-  const [currentDay, setCurrentDay] = useState(0);
+  const loadSavedScenario = (entry) => {
+    setActiveConfig({ ...entry.config });
+    setWorkingConfig({ ...entry.config });
+    setActivePresets(entry.presets);
+    setWorkingPresets(entry.presets);
+    setSeed(entry.seed);
+    setCurrentDay(0);
+    setShowSettings(false);
+  };
 
   /**
-   * Random seed for deterministic weather generation.
-   * Same seed always produces the same climate pattern.
-   * Changes when user clicks "Generate New Pattern" button.
+   * Apply the name typed in the rename box (blank or taken names are refused).
    */
-  const [seed, setSeed] = useState(Math.random());
+  const finishRenaming = () => {
+    if (renaming) updateLibrary(renameScenario(library.scenarios, renaming.id, renaming.name));
+    setRenaming(null);
+  };
 
   /**
-   * Active simulation configuration.
-   * These are the parameters currently being used for simulation.
-   * Updated only when user clicks "Save Changes & Regenerate".
+   * Show a new set of custom presets and store it. Picked presets
+   * that were deleted go back to "-- Select a Preset --".
+   *
+   * @param {{climate: Object, crop: Object}} presets - New custom presets (from the Sim_Presets.js functions)
    */
-  const [activeConfig, setActiveConfig] = useState({
-    // Time settings
-    yearCount: 1,                    // Number of years to simulate
-    startingSeason: 'Spring',        // Which season day 0 begins in
-    
-    // Season lengths (must sum to 365)
-    winterLength: 90,
-    springLength: 92,
-    summerLength: 92,
-    fallLength: 91,
-    
-    // Season temperature profiles
-    winterMean: 15,
-    winterAmp: 10,
-    springMean: 65,
-    springAmp: 12,
-    summerMean: 90,
-    summerAmp: 10,
-    fallMean: 55,
-    fallAmp: 12,
-    
-    // Crop characteristics
-    optimalTemp: 65,                 // Best growing temperature (°F)
-    tolerance: 18,                   // Temperature tolerance (σ)
-    maxGrowth: 1000,                 // Peak daily production
-    minGrowth: 100,                  // Minimum daily production
-    
-    // Food economy
-    startingFood: 10000,             // Initial food stockpile
-    foodPerPerson: 1,                // Daily food consumption per person
-    
-    // Population settings
-    startingPopulation: 1000,        // Initial population
-    baseBirthRate: 0.01,            // 1% birth rate at full food
-    baseDeathRate: 0.008,           // 0.8% death rate at full food
-  });
+  const updateCustomPresets = (presets) => {
+    setCustomPresets(presets);
+    setPresetsError(saveCustomPresets(presets)
+      ? null
+      : 'Browser storage is full or unavailable: custom presets will be lost when the page is closed');
+
+    const keys = presetKeysOf(withCustomPresets(presets));
+    const keepKnown = (picked) => ({
+      climate: keys.climate.includes(picked.climate) ? picked.climate : null,
+      crop: keys.crop.includes(picked.crop) ? picked.crop : null
+    });
+    setActivePresets(keepKnown(activePresets));
+    setWorkingPresets(keepKnown(workingPresets));
+  };
 
   /**
-   * Working configuration being edited in settings panel.
-   * Changes here don't affect simulation until user saves.
+   * Result of the last scenario import.
+   * {errors: [...], warnings: [...], fileName} or null before any import.
    */
-  const [workingConfig, setWorkingConfig] = useState({...activeConfig});
+  const [scenarioStatus, setScenarioStatus] = useState(null);
 
   /**
-   * Food stock timeline.
-   * Array of objects with two entries per day:
-   * 1. After harvest (x: day)
-   * 2. After consumption (x: day + 0.5)
-   * This creates the sawtooth pattern visible on the food chart.
+   * Download the running config and seed as a scenario file (see Sim_Scenario.js).
    */
-  const [foodData, setFoodData] = useState([]);
+  const exportScenario = () => {
+    const scenario = createScenario(activeConfig, seed, moduleName);
+    downloadFile(JSON.stringify(scenario, null, 2), scenarioFileName(moduleName, seed), 'application/json');
+  };
 
   /**
-   * Population timeline.
-   * Array of objects: [{x, population, births, deaths, foodRatio}, ...]
-   * One entry per day tracking population changes and causes.
+   * Number of runs for the next Monte Carlo batch.
    */
-  const [populationData, setPopulationData] = useState([]);
+  const [batchRuns, setBatchRuns] = useState(100);
 
   /**
-   * Controls visibility of settings side panel.
-   * true: Panel slides in from right
-   * false: Panel hidden off-screen
+   * Last Monte Carlo batch (see Sim_Batch.js), or null.
+   * Stores the config and layers it was run with, so it is only
+   * shown while the same config is active.
    */
-  const [showSettings, setShowSettings] = useState(false);
+  const [batch, setBatch] = useState(null);
 
   /**
-   * Legacy state variable (kept for compatibility).
-   * Actual year count is now stored in activeConfig.yearCount.
+   * Fraction of the batch done (0-1) while it runs, or null.
    */
-  const [yearCount, setYearCount] = useState(1);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+  const batchRunning = batchProgress !== null;
+  const batchRunner = useJobRunner(loadWorker);
 
   /**
-   * Track which sections of settings panel are expanded.
-   * Each section can be independently collapsed/expanded.
+   * Run a Monte Carlo batch for the active config in the background.
    */
-  const [expandedSections, setExpandedSections] = useState({
-    time: true,       // Start with time section open
-    seasons: false,
-    profiles: false,
-    crop: false,
-    food: false
-  });
+  const startBatch = () => {
+    const config = activeConfig;
+    setBatchProgress(0);
+    setBatchError(null);
+    batchRunner.run({ type: 'batch', config, seed, runs: batchRuns }, layers, {
+      onProgress: setBatchProgress,
+      onResult: (result) => {
+        setBatch({ ...result, config, layers });
+        setBatchProgress(null);
+      },
+      onError: (message) => {
+        setBatchError(message);
+        setBatchProgress(null);
+      }
+    });
+  };
 
-  /* ============================================================
-     SIMULATION GENERATION
-     ============================================================ */
+  const cancelBatch = () => {
+    batchRunner.cancel();
+    setBatchProgress(null);
+  };
 
   /**
-   * Main simulation effect.
-   * Triggers when seed or activeConfig changes.
-   * 
-   * Process:
-   * 1. Generate temperature data for all days
-   * 2. Simulate food production based on temperatures
-   * 3. Simulate population changes based on food availability
-   * 4. Store all results in state arrays for visualization
+   * Zoomed day range of the time-series charts ([start, end]), or null
+   * to show the whole run. Shared, so the charts always stay in sync.
    */
-  useEffect(() => {
-    // === SETUP: Extract configuration ===
-    const totalDays = 365 * activeConfig.yearCount;
-
-    // Build crop config object
-    const cropConfig = {
-      optimalTemp: activeConfig.optimalTemp,
-      tolerance: activeConfig.tolerance,
-      maxGrowth: activeConfig.maxGrowth,
-      minGrowth: activeConfig.minGrowth
-    };
+  const [zoomRange, setZoomRange] = useState(null);
 
-    // Build seasons array
-    const seasons = [
-      { name: 'Winter', length: activeConfig.winterLength },
-      { name: 'Spring', length: activeConfig.springLength },
-      { name: 'Summer', length: activeConfig.summerLength },
-      { name: 'Fall', length: activeConfig.fallLength }
-    ];
-
-    // Build season profiles (temperature characteristics)
-    const seasonProfiles = {
-      Winter: { mean: activeConfig.winterMean, amp: activeConfig.winterAmp },
-      Spring: { mean: activeConfig.springMean, amp: activeConfig.springAmp },
-      Summer: { mean: activeConfig.summerMean, amp: activeConfig.summerAmp },
-      Fall: { mean: activeConfig.fallMean, amp: activeConfig.fallAmp }
-    };
+  /**
+   * Brush selection being dragged across a chart, or null.
+   * {chart, start, end}: chart name and the days under the pointer.
+   */
+  const [brush, setBrush] = useState(null);
+
+  /**
+   * Measured width (pixels) of each time-series chart, reported by its
+   * ChartFrame before the chart is first drawn; the pixel budget its
+   * series are downsampled to.
+   */
+  const [chartWidths, setChartWidths] = useState({
+    food: MIN_CHART_WIDTH,
+    growth: MIN_CHART_WIDTH,
+    temperature: MIN_CHART_WIDTH,
+    population: MIN_CHART_WIDTH
+  });
 
-    const generated = [];
+  /**
+   * onWidthChange handler for one chart's ChartFrame.
+   *
+   * @param {string} chart - Key of chartWidths
+   * @returns {Function} (width) → void
+   */
+  const trackChartWidth = (chart) => (width) => {
+    setChartWidths(prev => (prev[chart] === width ? prev : { ...prev, [chart]: width }));
+  };
 
+  /**
+   * Mouse handlers that let a chart select a day range by dragging.
+   * Releasing the mouse zooms all time-series charts to the selection;
+   * a plain click (selection under MIN_ZOOM_DAYS) does nothing.
+   *
+   * @param {string} chart - Name of the chart (selections only show on the chart being dragged)
+   * @returns {Object} onMouseDown / onMouseMove / onMouseUp / onMouseLeave props
+   */
+  const brushHandlers = (chart) => ({
+    onMouseDown: (state) => {
+      if (state?.activeLabel === undefined) return;
+      setBrush({ chart, start: Number(state.activeLabel), end: Number(state.activeLabel) });
+    },
+    onMouseMove: (state) => {
+      if (brush?.chart !== chart || state?.activeLabel === undefined) return;
+      setBrush({ ...brush, end: Number(state.activeLabel) });
+    },
+    onMouseUp: (state) => {
+      if (brush?.chart !== chart) return;
+      const release = state?.activeLabel === undefined ? brush.end : Number(state.activeLabel);
+      const start = Math.min(brush.start, release);
+      const end = Math.max(brush.start, release);
+      if (end - start >= MIN_ZOOM_DAYS) setZoomRange(fitZoomRange([start, end], chartDays));
+      setBrush(null);
+    },
+    onMouseLeave: () => setBrush(null)
+  });
 
+  /**
+   * Zoom all time-series charts around the middle of the visible range.
+   *
+   * @param {number} factor - New width / current width (0.5 = zoom in, 2 = zoom out)
+   */
+  const zoomBy = (factor) => {
+    const [start, end] = viewRange;
+    const middle = (start + end) / 2;
+    const halfWidth = (end - start) * factor / 2;
+    setZoomRange(fitZoomRange([middle - halfWidth, middle + halfWidth], chartDays));
+  };
 
+  /**
+   * Move the zoom window by half its width.
+   *
+   * @param {number} direction - -1 (earlier) or 1 (later)
+   */
+  const panBy = (direction) => {
+    const [start, end] = viewRange;
+    const shift = direction * (end - start) / 2;
+    setZoomRange(fitZoomRange([start + shift, end + shift], chartDays));
+  };
 
-/* ==============================
-   TEMPERATURE SIMULATION
-   ============================== */
+  /**
+   * Whether playback is moving currentDay forward.
+   */
+  const [playing, setPlaying] = useState(false);
 
-// Iterate through every day in the simulation
-// This loop generates the complete temperature timeline before any rendering occurs
-for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
-  
-  // === Calculate temporal position ===
-  // Determine which year we're in (0-indexed)
-  // Example: day 400 → year 1 (400 ÷ 365 = 1.095... → floor = 1)
-  const year = Math.floor(dayIndex / 365);
-  
-  // Determine position within the current year (0-364)
-  // Example: day 400 → dayOfYear 35 (400 % 365 = 35)
-  const dayOfYear = dayIndex % 365;
-
-  // === Determine current season ===
-  // Get which season this day falls into and how far through it we are
-  // Returns: {name: 'Spring', progress: 0.42} for example
-  const season = getSeasonForDay(dayOfYear, seasons);
-
-  // === TEMPERATURE LAYER 1: Seasonal Baseline ===
-  // This is the smooth annual temperature curve that defines the climate
-  // It creates the fundamental "shape" of the year's temperatures
-  // All other temperature effects are variations on top of this foundation
-  const base = seasonalBaseline(
-    season.name,              // Current season name (for reference)
-    season.progress,          // How far through the season (0-1)
-    dayOfYear,                // Day within the year
-    seasonProfiles,           // Temperature characteristics per season
-    seasons,                  // Season length definitions
-    activeConfig.startingSeason  // Which season starts the year
-  );
+  /**
+   * Playback speed in days per second (one of PLAYBACK_SPEEDS).
+   */
+  const [playbackSpeed, setPlaybackSpeed] = useState(5);
 
-  // === TEMPERATURE LAYER 2: Weekly Weather Patterns ===
-  // Simulates the passage of weather fronts (high/low pressure systems)
-  // Creates a 7-day cycle that adds ±2°F variation
-  // Formula breakdown:
-  // - (2 * Math.PI * dayIndex) / 7 creates a full sine wave cycle every 7 days
-  // - Multiplying by 2 gives amplitude of ±2°F
-  // This mimics real-world weekly weather patterns
-  const daily = 2 * Math.sin((2 * Math.PI * dayIndex) / 7);
-
-  // === TEMPERATURE LAYER 3: Multi-Frequency Noise ===
-  // Adds natural-looking temperature variation at multiple time scales
-  // This prevents the weather from feeling too regular or predictable
-  // 
-  // Two overlapping sine waves with different frequencies:
-  // 1. Slow wave (20-day cycle): ±3°F - represents longer weather patterns
-  // 2. Fast wave (10-day cycle): ±2°F - represents shorter fluctuations
-  // 
-  // The seed is mixed in (seed * 10, seed * 20) to make each simulation unique
-  // but still deterministic (same seed = same noise pattern)
-  const noise =
-    3 * Math.sin(dayIndex / 20 + seed * 10) +  // Long-period variation
-    2 * Math.sin(dayIndex / 10 + seed * 20);   // Short-period variation
-
-  // === TEMPERATURE LAYER 4: Extreme Weather Events ===
-  // Rare but significant temperature anomalies
-  // Usually returns 0, but ~3% of days get ±8 to ±14°F events
-  // Direction depends on season (summer heat waves, winter cold snaps)
-  const extreme = extremeEvent(dayIndex, season.name, seed);
-
-  // === COMBINE ALL TEMPERATURE LAYERS ===
-  // Final temperature = baseline + daily weather + noise + extreme events
-  // This layered approach creates realistic weather that:
-  // - Follows seasonal patterns (base)
-  // - Has week-to-week variation (daily)
-  // - Feels natural and unpredictable (noise)
-  // - Includes occasional extreme conditions (extreme)
-  const temp = base + daily + noise + extreme;
-  
-  // === SAFETY CHECK ===
-  // Ensure temperature is a valid number (not NaN or Infinity)
-  // If invalid, default to 0°F to prevent chart rendering issues
-  const safeTemp = Number.isFinite(temp) ? temp : 0;
-
-  // === STORE TEMPERATURE DATA ===
-  // Create a data point for this day with all relevant information
-  // This object will be used for:
-  // - Chart visualization (temperature over time)
-  // - Food production calculation (temperature affects crop growth)
-  // - Season display in UI
-  generated.push({
-    dayIndex,                                  // Absolute day number in simulation
-    year,                                      // Which year (for multi-year display)
-    dayOfYear,                                 // Day within year (for seasonal calculations)
-    season: season.name,                       // Season name (for background shading)
-    temperature: Math.round(safeTemp * 10) / 10  // Round to 1 decimal place for readability
-  });
-}
+  /**
+   * Last day of the run on screen (playback stops there).
+   */
+  const lastDay = Math.max(0, data.length - 1);
 
-// === SAVE TEMPERATURE DATA TO STATE ===
-// This triggers a re-render with the new temperature timeline
-// React will update all charts and displays that depend on this data
-setData(generated);
+  /**
+   * Playback loop.
+   * Advances by elapsed time × speed on each animation frame, carrying
+   * the fraction over, so the speed holds even when frames are slow
+   * (several days are then skipped in one frame).
+   */
+  useEffect(() => {
+    if (!playing) return;
+
+    let frame;
+    let previousTime = performance.now();
+    let pendingDays = 0;
+    const tick = (time) => {
+      pendingDays += (time - previousTime) / 1000 * playbackSpeed;
+      previousTime = time;
+      const days = Math.floor(pendingDays);
+      if (days > 0) {
+        pendingDays -= days;
+        setCurrentDay(day => Math.min(lastDay, day + days));
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, playbackSpeed, lastDay]);
 
-/* ==============================
-   FOOD & POPULATION SIMULATION
-   ============================== */
+  // Stop at the end of the run, and keep the played day inside the zoom window
+  useEffect(() => {
+    if (!playing) return;
+    if (currentDay >= lastDay) setPlaying(false);
+    if (zoomRange && (currentDay < zoomRange[0] || currentDay > zoomRange[1])) {
+      setZoomRange([currentDay, currentDay + zoomRange[1] - zoomRange[0]]);
+    }
+  }, [playing, currentDay, lastDay, zoomRange]);
 
-// Initialize arrays to store daily food and population records
-const foodSimulation = [];       // Will contain 2 entries per day (growth + consumption)
-const populationSimulation = []; // Will contain 1 entry per day (population count + changes)
+  /**
+   * Start or pause playback. Playing from the last day starts over from day 0.
+   */
+  const togglePlayback = () => {
+    if (!playing && currentDay >= lastDay) setCurrentDay(0);
+    setPlaying(!playing);
+  };
 
-// Initialize starting conditions from configuration
-let currentFood = activeConfig.startingFood;           // Food stockpile in units
-let currentPopulation = activeConfig.startingPopulation; // Starting population count
+  /**
+   * Move one day back or forward (pauses playback).
+   *
+   * @param {number} direction - -1 or 1
+   */
+  const stepDay = (direction) => {
+    setPlaying(false);
+    setCurrentDay(day => Math.max(0, Math.min(lastDay, day + direction)));
+  };
 
-// Iterate through every day to simulate the economy
-// This runs AFTER temperature generation so we can look up each day's temperature
-for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
-  
-  // === LOOK UP TODAY'S TEMPERATURE ===
-  // Get the temperature we already generated for this day
-  const temp = generated[dayIndex].temperature;
-  
-  // === CALCULATE FOOD PRODUCTION ===
-  // Crop growth depends on:
-  // 1. Temperature (bell curve centered on optimal temp)
-  // 2. Population size (more people = more farmland = more production)
-  const growth = calculateGrowth(temp, cropConfig, currentPopulation);
-
-  // === MORNING PHASE: HARVEST COMPLETES ===
-  // At dawn, the day's crop yield is added to the stockpile
-  // This represents farmers bringing in the harvest
-  currentFood += growth;
-
-  // === CALCULATE DAILY FOOD NEEDS ===
-  // Total food required to feed the entire population
-  // Each person consumes foodPerPerson units per day
-  // Example: 1000 people × 1 unit/person = 1000 units needed
-  const totalFoodNeeded = currentPopulation * activeConfig.foodPerPerson;
-
-  // === CALCULATE POPULATION DYNAMICS ===
-  // Determine births and deaths based on food availability
-  // Well-fed populations grow, starving populations decline
-  // Returns: {births: number, deaths: number, newPopulation: number}
-  const popChange = calculatePopulationChange(
-    currentPopulation,  // Current population count
-    currentFood,        // Food available after harvest
-    totalFoodNeeded,    // Food needed to feed everyone
-    activeConfig        // Birth/death rate configuration
-  );
-  
-  // === UPDATE POPULATION ===
-  // Apply the population change for today
-  currentPopulation = popChange.newPopulation;
-
-  // === RECORD POPULATION DATA POINT ===
-  // Store today's population statistics for visualization
-  // This data powers the population chart and tooltip details
-  populationSimulation.push({
-    x: dayIndex,                                  // X-axis position (day number)
-    population: Math.round(currentPopulation),    // Current population count
-    births: popChange.births,                     // How many were born today
-    deaths: popChange.deaths,                     // How many died today
-    foodRatio: Math.min(1, currentFood / totalFoodNeeded)  // Food security (0-1, capped at 1)
-  });
+  /**
+   * Run pinned as scenario A for comparison (see Sim_Compare.js), or null.
+   * {config, seed, temperatureData, foodData, populationData, summary}
+   */
+  const [pinned, setPinned] = useState(null);
 
-  // === RECORD FOOD DATA POINT #1: AFTER GROWTH ===
-  // This is the "high point" of the sawtooth pattern
-  // Shows food stock after harvest but before consumption
-  foodSimulation.push({
-    x: dayIndex,                             // X-axis position (day number)
-    food: Math.round(currentFood * 10) / 10, // Current food stock (rounded)
-    phase: 'growth',                         // Phase indicator for tooltip
-    growth: Math.round(growth * 10) / 10     // How much was harvested today
-  });
+  /**
+   * How the charts show scenario A: 'overlay' (both runs) or 'difference' (B - A).
+   */
+  const [compareMode, setCompareMode] = useState('overlay');
 
-  // === MIDDAY PHASE: POPULATION CONSUMES FOOD ===
-  // At noon, the population eats their daily ration
-  // This represents the day's food consumption
-  currentFood -= totalFoodNeeded;
-  
-  // === PREVENT NEGATIVE FOOD ===
-  // You can't have less than zero food
-  // If there's a shortage, food goes to 0 (people go hungry)
-  // The population change calculation already factored this in
-  if (currentFood < 0) currentFood = 0;
-
-  // === RECORD FOOD DATA POINT #2: AFTER CONSUMPTION ===
-  // This is the "low point" of the sawtooth pattern
-  // Shows food stock after the population has eaten
-  // The x-position of dayIndex + 0.5 places it between two days
-  // This creates the characteristic sawtooth visualization
-  foodSimulation.push({
-    x: dayIndex + 0.5,                       // X-axis position (halfway through day)
-    food: Math.round(currentFood * 10) / 10, // Current food stock (after consumption)
-    phase: 'consumption',                    // Phase indicator for tooltip
-    consumed: totalFoodNeeded                // How much was consumed
-  });
-}
+  /**
+   * Pin the run on screen as scenario A, with the config and seed
+   * that produced it.
+   */
+  const pinCurrentRun = () => {
+    if (saveBlocker) return;
+    setPinned({
+      config: completedRun.current.config,
+      seed: completedRun.current.seed,
+      temperatureData: data,
+      foodData,
+      populationData,
+      summary: summarizeRun({ temperatureData: data, foodData, populationData })
+    });
+  };
+
+  /**
+   * Why the run on screen can't be exported right now, or null if it can.
+   * Unlike saving, a failed newer run doesn't block it: the file is
+   * named and described after the run that produced the rows.
+   */
+  const exportBlocker = (() => {
+    if (runProgress !== null) return 'Wait for the run to finish';
+    if (!completedRun.current) return 'No run has finished yet';
+    return null;
+  })();
+
+  /**
+   * Download the run on screen as one row per day (see Sim_Export.js).
+   *
+   * @param {string} format - 'csv' or 'json'
+   */
+  const exportDailyTable = (format) => {
+    if (exportBlocker) return;
+    const { config: shownConfig, seed: shownSeed } = completedRun.current;
+    const rows = buildDailyTable(data, foodData, populationData);
+    const baseName = `${moduleName.toLowerCase()}-run-${shownSeed}`;
+    if (format === 'csv') {
+      downloadFile(tableToCsv(rows), `${baseName}.csv`, 'text/csv');
+    } else {
+      downloadFile(tableToJson(rows, shownConfig, shownSeed), `${baseName}.json`, 'application/json');
+    }
+  };
 
-// === SAVE FOOD AND POPULATION DATA TO STATE ===
-// These trigger re-renders with the new timeline data
-// React will update all charts that depend on these arrays
-setFoodData(foodSimulation);
-setPopulationData(populationSimulation);
+  /**
+   * Read a scenario file and, if it validates, run it.
+   * Invalid files leave the current run untouched and list what's wrong.
+   *
+   * @param {File} file - File picked in the import input
+   */
+  const importScenario = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { scenario, errors, warnings } = parseScenario(String(reader.result), defaultConfig, configSchema);
+      setScenarioStatus({ errors, warnings, fileName: file.name });
+      if (!scenario) return;
+
+      setActiveConfig({ ...scenario.config });
+      setWorkingConfig({ ...scenario.config });
+      setActivePresets(NO_PRESETS);
+      setWorkingPresets(NO_PRESETS);
+      setSeed(scenario.seed);
+      setCurrentDay(0);
+    };
+    reader.onerror = () => {
+      setScenarioStatus({ errors: ['Could not read the file'], warnings: [], fileName: file.name });
+    };
+    reader.readAsText(file);
+  };
 
-}, [seed, activeConfig]); // Effect dependencies: re-run when seed or config changes
+  /**
+   * Apply the typed seed, or restore the current one if the text isn't a valid seed.
+   */
+  const applySeedInput = () => {
+    const typed = seedInput.trim();
+    if (/^\d+$/.test(typed)) {
+      const nextSeed = normalizeSeed(typed);
+      if (nextSeed !== seed) {
+        setSeed(nextSeed);
+        setCurrentDay(0);
+      }
+      setSeedInput(String(nextSeed));
+    } else {
+      setSeedInput(String(seed));
+    }
+  };
 
 /* ============================================================
    CURRENT DAY DATA OBJECT
@@ -1055,25 +2216,245 @@ const current = {
  * Note: This is rebuilt here rather than stored in state because
  * it's derived data - it's always computed from activeConfig.
  */
-const seasons = [
-  { name: 'Winter', length: activeConfig.winterLength },
-  { name: 'Spring', length: activeConfig.springLength },
-  { name: 'Summer', length: activeConfig.summerLength },
-  { name: 'Fall', length: activeConfig.fallLength }
-];
+const seasons = buildSeasons(activeConfig);
 
 /**
- * Crop configuration rebuilt from activeConfig for rendering.
+ * Crop portfolio rebuilt from activeConfig for rendering.
  * Used when displaying crop growth curves and calculating
  * what-if scenarios in the UI.
+ *
+ * Shares are fractions of the farmland (0-1). A single entry
+ * (share 1) when no portfolio is configured.
+ */
+const cropPortfolio = buildCropPortfolio(activeConfig);
+
+/**
+ * Errors and warnings of the settings being edited (see Sim_Validation.js).
+ * Errors block "Save Changes & Regenerate".
+ */
+const configCheck = validateConfig(workingConfig, defaultConfig, configSchema);
+
+/**
+ * Inline issues for one settings field (also handed to module settings).
+ *
+ * @param {string} field - Config field (or SEASON_LENGTHS)
+ * @returns {React.ReactNode} Issue list, or null when the field is fine
+ */
+const renderIssues = (field) => <FieldIssues issues={configCheck.fields[field]} />;
+
+/**
+ * Change one season of the custom season list (see Sim_Seasons.js).
+ *
+ * @param {number} index - Position of the season in the list
+ * @param {Object} changes - Fields to set
+ */
+const updateSeason = (index, changes) => setWorkingConfig({
+  ...workingConfig,
+  seasonList: workingConfig.seasonList.map((season, i) => (i === index ? { ...season, ...changes } : season))
+});
+
+/**
+ * Change one point of the custom climate trend curve (see Sim_Climate.js).
+ *
+ * @param {number} index - Position of the point in the curve
+ * @param {Object} changes - Fields to set ({year} and/or {offset})
  */
-const cropConfig = {
-  optimalTemp: activeConfig.optimalTemp,
-  tolerance: activeConfig.tolerance,
-  maxGrowth: activeConfig.maxGrowth,
-  minGrowth: activeConfig.minGrowth
+const updateCurvePoint = (index, changes) => setWorkingConfig({
+  ...workingConfig,
+  trendCurve: workingConfig.trendCurve.map((point, i) => (i === index ? { ...point, ...changes } : point))
+});
+
+/**
+ * Remove one season of the custom season list. A starting season
+ * that is removed moves to the first season left.
+ *
+ * @param {number} index - Position of the season in the list
+ */
+const removeSeason = (index) => {
+  const seasonList = workingConfig.seasonList.filter((_, i) => i !== index);
+  const removed = workingConfig.seasonList[index].name;
+  setWorkingConfig({
+    ...workingConfig,
+    seasonList,
+    startingSeason: workingConfig.startingSeason === removed ? seasonList[0].name : workingConfig.startingSeason
+  });
 };
 
+/**
+ * Farmland-weighted base growth of the whole portfolio (no population factor).
+ *
+ * @param {number} temperature - Temperature (°F)
+ * @returns {number} Base food units per day
+ */
+const portfolioBasicGrowth = (temperature) =>
+  cropPortfolio.reduce((sum, crop) => sum + crop.share * calculateBasicGrowth(temperature, crop), 0);
+
+/**
+ * One food entry per day (the after-growth points), for the crop contribution chart.
+ */
+const growthData = foodData.filter(entry => entry.phase === 'growth');
+
+/**
+ * Food lost from day 0 up to and including the current day.
+ */
+const foodTotals = growthData.slice(0, currentDay + 1).reduce(
+  (totals, entry) => ({
+    spoiled: totals.spoiled + entry.spoiled,
+    overflow: totals.overflow + entry.overflow
+  }),
+  { spoiled: 0, overflow: 0 }
+);
+
+/**
+ * Population pyramid rows for the current day, oldest band first
+ * (vertical bar charts draw the first row at the top).
+ * Each band is colored by the cohort its youngest age belongs to.
+ */
+const pyramidData = (populationData[currentDay]?.ageBands ?? [])
+  .map((count, index) => {
+    const fromAge = index * AGE_BAND_YEARS;
+    return {
+      band: `${fromAge}-${fromAge + AGE_BAND_YEARS - 1}`,
+      count,
+      cohort: cohortForAge(fromAge, activeConfig)
+    };
+  })
+  .reverse();
+
+/**
+ * Monte Carlo batch for the active config, or null if there is none
+ * or it was run with a different config.
+ */
+const activeBatch = batch && batch.config === activeConfig && batch.layers === layers ? batch : null;
+
+/**
+ * Chart data with the batch's p5-p95 band ([low, high] for a range
+ * Area) and median merged into each entry. Without a batch the
+ * timelines are used as they are.
+ */
+const populationBandData = activeBatch
+  ? populationData.map((entry, index) => ({
+      ...entry,
+      populationBand: [activeBatch.populationBands[index].low, activeBatch.populationBands[index].high],
+      populationMedian: activeBatch.populationBands[index].mid
+    }))
+  : populationData;
+
+const foodBandData = activeBatch
+  ? foodData.map((entry, index) => ({
+      ...entry,
+      foodBand: [activeBatch.foodBands[index].low, activeBatch.foodBands[index].high],
+      foodMedian: activeBatch.foodBands[index].mid
+    }))
+  : foodData;
+
+/**
+ * With a pinned scenario A, its series ({field}A) and the gap
+ * B - A ({field}Diff) are merged into the chart data as well.
+ */
+const temperatureChartData = pinned
+  ? mergeComparison(data, pinned.temperatureData, 'dayIndex', ['temperature'])
+  : data;
+const foodChartData = pinned
+  ? mergeComparison(foodBandData, pinned.foodData, 'x', ['food'])
+  : foodBandData;
+const populationChartData = pinned
+  ? mergeComparison(populationBandData, pinned.populationData, 'x', ['population'])
+  : populationBandData;
+
+/**
+ * Last day on the time-series charts: long enough for both scenarios.
+ */
+const chartDays = 365 * Math.max(activeConfig.yearCount, pinned?.config.yearCount ?? 0);
+
+/**
+ * Day range shown on the time-series charts: the zoom window
+ * (fitted to the run, which may have become shorter), or the whole run.
+ */
+const viewRange = (zoomRange && fitZoomRange(zoomRange, chartDays)) ?? [0, chartDays];
+
+/**
+ * Points actually drawn: each series cut to the visible range and
+ * reduced to about one point per pixel (see Sim_Downsample.js).
+ * The reduction preserves the plotted line: B - A in difference mode,
+ * the series itself otherwise. Food and crop growth are jagged
+ * (daily harvest and consumption), so they keep each bucket's min and max.
+ */
+const showDifference = pinned && compareMode === 'difference';
+const temperaturePoints = downsampleSeries(temperatureChartData, {
+  xKey: 'dayIndex',
+  y: showDifference ? 'temperatureDiff' : 'temperature',
+  width: chartWidths.temperature,
+  range: viewRange
+});
+const foodPoints = downsampleSeries(foodChartData, {
+  xKey: 'x',
+  y: showDifference ? 'foodDiff' : 'food',
+  width: chartWidths.food,
+  range: viewRange,
+  method: 'minmax'
+});
+const populationPoints = downsampleSeries(populationChartData, {
+  xKey: 'x',
+  y: showDifference ? 'populationDiff' : 'population',
+  width: chartWidths.population,
+  range: viewRange
+});
+const growthPoints = downsampleSeries(growthData, {
+  xKey: 'x',
+  y: activeConfig.cropCycles
+    ? entry => entry.cropStanding.reduce((sum, amount) => sum + amount, 0)
+    : 'growth',
+  width: chartWidths.growth,
+  range: viewRange,
+  method: 'minmax'
+});
+
+/**
+ * Season shading blocks for the whole run, each year starting
+ * from the chosen starting season.
+ */
+const seasonsInYearOrder = orderSeasons(seasons, activeConfig.startingSeason);
+const seasonColors = hasSeasonList(activeConfig)
+  ? Object.fromEntries(activeConfig.seasonList.map(season => [season.name, season.color]))
+  : CLASSIC_SEASON_COLORS;
+const seasonAreas = Array.from({ length: activeConfig.yearCount }).flatMap((_, year) => {
+  let dayCounter = year * 365;
+  return seasonsInYearOrder.map(season => {
+    const x1 = dayCounter;
+    dayCounter += season.length;
+    return { x1, x2: dayCounter, kind: season.name };
+  });
+});
+
+/**
+ * Shading and markers actually drawn: cut to the visible range, merged,
+ * and season shading left out when seasons are thinner than
+ * MIN_SEASON_PIXELS (long runs would otherwise draw thousands of stripes).
+ */
+const foodSeasonAreas = cullAreas(seasonAreas, { width: chartWidths.food, range: viewRange, minPixels: MIN_SEASON_PIXELS });
+const temperatureSeasonAreas = cullAreas(seasonAreas, { width: chartWidths.temperature, range: viewRange, minPixels: MIN_SEASON_PIXELS });
+const eventAreas = cullAreas(
+  events.map(event => ({ ...event, x1: event.startDay, x2: event.endDay + 1, kind: event.type })),
+  { width: chartWidths.temperature, range: viewRange }
+);
+const cropEventMarkers = cullMarkers(cropEvents, {
+  xKey: 'day',
+  kindOf: event => `${event.type}-${event.cropIndex}`,
+  width: chartWidths.food,
+  range: viewRange
+});
+
+/**
+ * Comparison table data (scenario B is the run on screen).
+ */
+const comparison = pinned
+  ? {
+      summaryB: summarizeRun({ temperatureData: data, foodData, populationData }),
+      settings: diffConfigs(pinned.config, activeConfig)
+    }
+  : null;
+
 /* ============================================================
    SEASON NAME CALCULATION
    ============================================================ */
@@ -1092,7 +2473,7 @@ const cropConfig = {
  * 4. Accumulate season lengths until we find which season contains this day
  * 5. Return the season name
  * 
- * @returns {string} Season name ('Winter', 'Spring', 'Summer', or 'Fall')
+ * @returns {string} Season name ('Winter', 'Spring', ... or a custom season's name)
  */
 const getCurrentSeasonName = () => {
   // === VALIDATION ===
@@ -1108,20 +2489,7 @@ const getCurrentSeasonName = () => {
   // === REORDER SEASONS ===
   // Build an array of seasons starting from the user's chosen starting season
   // Example: if starting season is "Summer", order becomes [Summer, Fall, Winter, Spring]
-  
-  // Get array of just season names
-  const seasonNames = seasons.map(s => s.name);
-  
-  // Find index of the starting season
-  const startIndex = seasonNames.indexOf(activeConfig.startingSeason);
-  
-  // Create reordered array:
-  // - Take seasons from startIndex to end: seasons.slice(startIndex)
-  // - Append seasons from beginning to startIndex: seasons.slice(0, startIndex)
-  const orderedSeasons = [
-    ...seasons.slice(startIndex),    // From chosen start to end of year
-    ...seasons.slice(0, startIndex)  // From beginning of year to chosen start
-  ];
+  const orderedSeasons = seasonsInYearOrder;
 
   // === FIND WHICH SEASON CONTAINS THIS DAY ===
   // Accumulate season lengths and check if we've reached the target day
@@ -1159,11 +2527,12 @@ const actualCurrentSeason = getCurrentSeasonName();
     <div style={{ padding: 20, fontFamily: 'Arial, sans-serif' }}>
 
       {/* === SETTINGS SIDE PANEL === */}
-        <div style={{
+        <div className="no-print" style={{
           position: 'fixed',
           top: 0,
           right: showSettings ? 0 : -450,  // Slides in/out
           width: 400,
+          maxWidth: 'calc(100vw - 40px)',  // Padding included: fits phones too
           height: '100vh',
           backgroundColor: 'white',
           boxShadow: '-2px 0 10px rgba(0,0,0,0.3)',
@@ -1196,18 +2565,21 @@ const actualCurrentSeason = getCurrentSeasonName();
           <button
             onClick={() => {
               setActiveConfig({...workingConfig});
-              setSeed(Math.random()); // Regenerate with new config
+              setActivePresets(workingPresets);
+              setSeed(randomSeed()); // Regenerate with new config
               setShowSettings(false); // Close panel
             }}
+            disabled={configCheck.errorCount > 0}
+            title={configCheck.errorCount > 0 ? 'Fix the settings marked ✖ first' : undefined}
             style={{
               width: '100%',
               padding: '12px',
-              marginBottom: '20px',
-              backgroundColor: '#27ae60',
+              marginBottom: configCheck.errorCount + configCheck.warningCount > 0 ? '10px' : '20px',
+              backgroundColor: configCheck.errorCount > 0 ? '#95a5a6' : '#27ae60',
               color: 'white',
               border: 'none',
               borderRadius: '6px',
-              cursor: 'pointer',
+              cursor: configCheck.errorCount > 0 ? 'not-allowed' : 'pointer',
               fontWeight: 'bold',
               fontSize: '16px'
             }}
@@ -1215,20 +2587,220 @@ const actualCurrentSeason = getCurrentSeasonName();
             💾 Save Changes & Regenerate
           </button>
 
+          {/* Summary of the settings issues (details are shown under each field) */}
+          {configCheck.errorCount + configCheck.warningCount > 0 && (
+            <div style={{
+              marginBottom: 20,
+              padding: 10,
+              borderRadius: 5,
+              fontSize: 12,
+              backgroundColor: configCheck.errorCount > 0 ? '#fdecea' : '#fef5e7',
+              border: `1px solid ${configCheck.errorCount > 0 ? '#e74c3c' : '#e67e22'}`
+            }}>
+              <strong>
+                {configCheck.errorCount > 0
+                  ? `Can't save: ${configCheck.errorCount} error${configCheck.errorCount === 1 ? '' : 's'}`
+                  : `${configCheck.warningCount} warning${configCheck.warningCount === 1 ? '' : 's'}`}
+              </strong>
+              <ul style={{ margin: '5px 0 0 0', paddingLeft: 18 }}>
+                {Object.entries(configCheck.fields).map(([field, issues]) => (
+                  <li key={field} style={{ color: issues.errors.length > 0 ? '#e74c3c' : '#e67e22' }}>
+                    {field === SEASON_LENGTHS ? 'Season Lengths' : fieldLabel(field)}:{' '}
+                    {[...issues.errors, ...issues.warnings].join('; ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* === SCENARIO FILE SECTION === */}
+          <div style={{ marginBottom: 20, padding: 15, backgroundColor: '#f4f4f4', borderRadius: 5 }}>
+            <strong>📁 Scenario File</strong>
+            <p style={{ fontSize: 11, color: '#666', margin: '5px 0 10px 0' }}>
+              Export the running config and seed, or import a scenario to run it
+            </p>
+            <div style={{ display: 'flex', gap: 10, alignItems: 'center', flexWrap: 'wrap' }}>
+              <button
+                onClick={exportScenario}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: '#3498db',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                ⬇ Export
+              </button>
+              <label
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: '#8e44ad',
+                  color: 'white',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                ⬆ Import
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={(e) => {
+                    if (e.target.files[0]) importScenario(e.target.files[0]);
+                    e.target.value = ''; // Allow importing the same file again
+                  }}
+                  style={{ display: 'none' }}
+                />
+              </label>
+            </div>
+
+            {scenarioStatus && scenarioStatus.errors.length > 0 && (
+              <div style={{ marginTop: 10, fontSize: 12, color: '#c0392b' }}>
+                <strong>Could not import {scenarioStatus.fileName}:</strong>
+                <ul style={{ margin: '5px 0 0 0', paddingLeft: 18 }}>
+                  {scenarioStatus.errors.map((error, index) => <li key={index}>{error}</li>)}
+                </ul>
+              </div>
+            )}
+            {scenarioStatus && scenarioStatus.errors.length === 0 && (
+              <p style={{ marginTop: 10, marginBottom: 0, fontSize: 12, color: '#27ae60' }}>
+                Imported {scenarioStatus.fileName}
+              </p>
+            )}
+            {scenarioStatus && scenarioStatus.warnings.map((warning, index) => (
+              <p key={index} style={{ margin: '5px 0 0 0', fontSize: 11, color: '#e67e22' }}>{warning}</p>
+            ))}
+          </div>
+
+          {/* === SAVED SCENARIOS SECTION === */}
+          {/* Kept in this browser (localStorage); the workspace itself is autosaved */}
+          <div style={{ marginBottom: 20, padding: 15, backgroundColor: '#f4f4f4', borderRadius: 5 }}>
+            <strong>💾 Saved Scenarios</strong>
+            <p style={{ fontSize: 11, color: '#666', margin: '5px 0 10px 0' }}>
+              Save the run on screen under a name to come back to it later. Saving under an existing name updates it.
+            </p>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <input
+                type="text"
+                value={scenarioName}
+                placeholder="Scenario name"
+                onChange={(e) => setScenarioName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && scenarioName.trim()) saveCurrentScenario();
+                }}
+                style={{ flex: 1, padding: 6 }}
+              />
+              <button
+                onClick={saveCurrentScenario}
+                disabled={!scenarioName.trim() || saveBlocker !== null}
+                title={saveBlocker ?? 'Save the settings, seed and results summary of the run on screen'}
+                style={{
+                  padding: '6px 12px',
+                  backgroundColor: !scenarioName.trim() || saveBlocker !== null ? '#95a5a6' : '#27ae60',
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '4px',
+                  cursor: !scenarioName.trim() || saveBlocker !== null ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {library.scenarios.some(entry => entry.name === scenarioName.trim()) ? 'Update' : 'Save'}
+              </button>
+            </div>
+
+            {libraryError && <p style={{ margin: '8px 0 0 0', fontSize: 12, color: '#c0392b' }}>⚠ {libraryError}</p>}
+            {library.skipped > 0 && (
+              <p style={{ margin: '8px 0 0 0', fontSize: 11, color: '#e67e22' }}>
+                {library.skipped} saved scenario{library.skipped === 1 ? '' : 's'} no longer match{library.skipped === 1 ? 'es' : ''} this
+                version's settings and {library.skipped === 1 ? 'was' : 'were'} left out
+              </p>
+            )}
+            {library.scenarios.length === 0 && (
+              <p style={{ margin: '10px 0 0 0', fontSize: 12, color: '#666', fontStyle: 'italic' }}>No saved scenarios yet</p>
+            )}
+
+            {library.scenarios.map(entry => (
+              <div key={entry.id} style={{ marginTop: 10, padding: 8, background: 'white', borderRadius: 4, fontSize: 12 }}>
+                {renaming?.id === entry.id ? (
+                  <input
+                    type="text"
+                    value={renaming.name}
+                    autoFocus
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onBlur={finishRenaming}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRenaming();
+                      if (e.key === 'Escape') setRenaming(null);
+                    }}
+                    style={{ width: '100%', padding: 4, boxSizing: 'border-box' }}
+                  />
+                ) : (
+                  <strong style={{ fontSize: 13 }}>{entry.name}</strong>
+                )}
+                <div style={{ color: '#666', margin: '3px 0 6px 0' }}>
+                  {Number.isFinite(entry.summary?.minFood) && (
+                    <>
+                      Final population {entry.summary.finalPopulation} · Min food {Math.round(entry.summary.minFood)}
+                      <br />
+                    </>
+                  )}
+                  Seed {entry.seed} · Modified {new Date(entry.modifiedAt).toLocaleString()}
+                </div>
+                <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                  {[
+                    { label: '▶ Load', onClick: () => loadSavedScenario(entry) },
+                    { label: '⧉ Duplicate', onClick: () => updateLibrary(duplicateScenario(library.scenarios, entry.id)) },
+                    { label: '✏️ Rename', onClick: () => setRenaming({ id: entry.id, name: entry.name }) },
+                    {
+                      label: '🗑 Delete',
+                      onClick: () => {
+                        if (window.confirm(`Delete saved scenario "${entry.name}"?`)) {
+                          updateLibrary(deleteScenario(library.scenarios, entry.id));
+                        }
+                      }
+                    }
+                  ].map(action => (
+                    <button
+                      key={action.label}
+                      onClick={action.onClick}
+                      style={{
+                        padding: '3px 8px',
+                        border: '1px solid #ccc',
+                        borderRadius: 4,
+                        background: 'white',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      {action.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
           {/* === CLIMATE PRESETS SECTION === */}
           <div style={{ marginBottom: 20, padding: 15, backgroundColor: '#e8f5f9', borderRadius: 5 }}>
             <label style={{ display: 'block', marginBottom: 10 }}>
               <strong>🌍 Climate Preset:</strong>
             </label>
             <select
+              value={workingPresets.climate ?? ''}
               onChange={(e) => {
+                setWorkingPresets({ ...workingPresets, climate: e.target.value || null });
                 if (e.target.value) {
-                  const preset = CLIMATE_PRESETS[e.target.value];
-                  setWorkingConfig({
+                  const preset = allPresets.climate[e.target.value];
+                  const applied = {
                     ...workingConfig,
                     ...preset.config,
-                    yearCount: workingConfig.yearCount,      // Keep current year count
-                    startingSeason: workingConfig.startingSeason  // Keep current starting season
+                    seasonList: preset.config.seasonList ?? [], // Built-in presets use the classic seasons
+                    yearCount: workingConfig.yearCount      // Keep current year count
+                  };
+                  // Keep current starting season, if the preset's year has it
+                  const names = seasonNames(applied);
+                  setWorkingConfig({
+                    ...applied,
+                    startingSeason: names.includes(workingConfig.startingSeason) ? workingConfig.startingSeason : names[0]
                   });
                 }
               }}
@@ -1242,11 +2814,7 @@ const actualCurrentSeason = getCurrentSeasonName();
               }}
             >
               <option value="">-- Select a Preset --</option>
-              {Object.entries(CLIMATE_PRESETS).map(([key, preset]) => (
-                <option key={key} value={key}>
-                  {preset.name}
-                </option>
-              ))}
+              <PresetOptions presets={allPresets.climate} />
             </select>
 
             <p style={{ fontSize: 11, color: '#666', margin: 0, fontStyle: 'italic' }}>
@@ -1260,9 +2828,11 @@ const actualCurrentSeason = getCurrentSeasonName();
               <strong>🌾 Crop Preset:</strong>
             </label>
             <select
+              value={workingPresets.crop ?? ''}
               onChange={(e) => {
+              setWorkingPresets({ ...workingPresets, crop: e.target.value || null });
               if (e.target.value) {
-                const preset = CROP_PRESETS[e.target.value];
+                const preset = allPresets.crop[e.target.value];
                 setWorkingConfig({
                   ...workingConfig,
                   ...preset.config,
@@ -1281,27 +2851,38 @@ const actualCurrentSeason = getCurrentSeasonName();
               }}
             >
               <option value="">-- Select a Preset --</option>
-              {Object.entries(CROP_PRESETS).map(([key, preset]) => (
-                <option key={key} value={key}>
-                  {preset.name}
-                </option>
-              ))}
+              <PresetOptions presets={allPresets.crop} />
             </select>
 
             <p style={{ fontSize: 11, color: '#666', margin: 0, fontStyle: 'italic' }}>
               Choose a preset to quickly configure crop settings. You can still customize after selecting.
+              {workingConfig.crops.length > 0 && ' The Crop Portfolio is in use, so this single crop is not planted.'}
             </p>
           </div>
 
+          {/* === CUSTOM PRESETS SECTION === */}
+          {/* Kept in this browser (localStorage), shared by all modules */}
+          <CustomPresetsPanel
+            customPresets={customPresets}
+            onChange={updateCustomPresets}
+            workingConfig={workingConfig}
+            storageError={presetsError}
+            skipped={storedPresets.skipped}
+          />
+
           {/* === TIME SETTINGS SECTION === */}
           <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
             <div 
               onClick={() => setExpandedSections({
                 time: false,
+                trend: false,
                 seasons: false,
                 profiles: false,
                 crop: false,
                 food: false,
+                events: false,
+                portfolio: false,
+                population: false,
                 time: !expandedSections.time  // Only this one toggles
               })}
               style={{ 
@@ -1325,7 +2906,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                   <input 
                     type="number"
                     min="1"
-                    max="10"
+                    max="100"
                     value={workingConfig.yearCount}
                     onChange={(e) => setWorkingConfig({...workingConfig, yearCount: Number(e.target.value)})}
                     style={{
@@ -1335,6 +2916,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     }}
                   />
                 </label>
+                {renderIssues('yearCount')}
                 <p style={{ fontSize: 12, color: '#666', margin: 0 }}>
                   Total days: {365 * yearCount}
                 </p>
@@ -1351,12 +2933,14 @@ const actualCurrentSeason = getCurrentSeasonName();
                       width: 120
                     }}
                   >
-                    <option value="Winter">❄️ Winter</option>
-                    <option value="Spring">🌸 Spring</option>
-                    <option value="Summer">☀️ Summer</option>
-                    <option value="Fall">🍂 Fall</option>
+                    {seasonNames(workingConfig).map(name => (
+                      <option key={name} value={name}>
+                        {CLASSIC_SEASON_ICONS[name] ? `${CLASSIC_SEASON_ICONS[name]} ${name}` : name}
+                      </option>
+                    ))}
                   </select>
                 </label>
+                {renderIssues('startingSeason')}
               </div>
             )}
           </div>
@@ -1366,10 +2950,14 @@ const actualCurrentSeason = getCurrentSeasonName();
             <div 
               onClick={() => setExpandedSections({
                 time: false,
+                trend: false,
                 seasons: false,
                 profiles: false,
                 crop: false,
                 food: false,
+                events: false,
+                portfolio: false,
+                population: false,
                 seasons: !expandedSections.seasons  // Only this one toggles
               })}
               style={{ 
@@ -1388,6 +2976,103 @@ const actualCurrentSeason = getCurrentSeasonName();
 
             {expandedSections.seasons && (
               <div style={{ paddingLeft: 10 }}>
+                {/* Custom season list: any number of named seasons (see Sim_Seasons.js) */}
+                <label style={{ display: 'block', marginBottom: 5 }}>
+                  <input
+                    type="checkbox"
+                    checked={hasSeasonList(workingConfig)}
+                    onChange={(e) => setWorkingConfig(setSeasonListEnabled(workingConfig, e.target.checked))}
+                    style={{ marginRight: 8 }}
+                  />
+                  <strong>Custom Season List</strong>
+                </label>
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 10px 0' }}>
+                  Name your own seasons (e.g. Wet and Dry) with their own length, temperatures and
+                  chart color. Each counts as a classic season for rainfall, disease and sowing settings.
+                  Off: Winter, Spring, Summer and Fall.
+                </p>
+                {renderIssues('seasonList')}
+
+                {hasSeasonList(workingConfig) ? (
+                  <div style={{ marginBottom: 10 }}>
+                    {workingConfig.seasonList.map((season, index) => (
+                      <div key={index} style={{ marginBottom: 8, padding: 8, backgroundColor: '#f9f9f9', borderRadius: 5, fontSize: 13 }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 5 }}>
+                          <input
+                            type="color"
+                            value={season.color}
+                            onChange={(e) => updateSeason(index, { color: e.target.value })}
+                            title="Chart shading color"
+                            style={{ width: 30, height: 24, padding: 0, border: 'none' }}
+                          />
+                          <input
+                            type="text"
+                            value={season.name}
+                            onChange={(e) => setWorkingConfig(renameSeason(workingConfig, index, e.target.value))}
+                            aria-label="Season name"
+                            style={{ flex: 1, padding: 3 }}
+                          />
+                          <button
+                            onClick={() => removeSeason(index)}
+                            disabled={workingConfig.seasonList.length === 1}
+                            title="Remove this season"
+                            style={{ padding: '2px 8px', cursor: 'pointer' }}
+                          >
+                            ✕
+                          </button>
+                        </div>
+                        <label style={{ marginRight: 10 }}>
+                          Days:
+                          <input
+                            type="number"
+                            min="1"
+                            max="365"
+                            value={season.length}
+                            onChange={(e) => updateSeason(index, { length: Number(e.target.value) })}
+                            style={{ marginLeft: 5, padding: 3, width: 55 }}
+                          />
+                        </label>
+                        <label style={{ marginRight: 10 }}>
+                          Mean (°F):
+                          <input
+                            type="number"
+                            value={season.mean}
+                            onChange={(e) => updateSeason(index, { mean: Number(e.target.value) })}
+                            style={{ marginLeft: 5, padding: 3, width: 55 }}
+                          />
+                        </label>
+                        <label style={{ marginRight: 10 }}>
+                          Amp (°F):
+                          <input
+                            type="number"
+                            min="0"
+                            value={season.amp}
+                            onChange={(e) => updateSeason(index, { amp: Number(e.target.value) })}
+                            style={{ marginLeft: 5, padding: 3, width: 55 }}
+                          />
+                        </label>
+                        <label>
+                          Counts as:
+                          <select
+                            value={season.classicSeason}
+                            onChange={(e) => updateSeason(index, { classicSeason: e.target.value })}
+                            style={{ marginLeft: 5, padding: 3 }}
+                          >
+                            {CLASSIC_SEASONS.map(name => <option key={name} value={name}>{name}</option>)}
+                          </select>
+                        </label>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => setWorkingConfig({ ...workingConfig, seasonList: addSeason(workingConfig.seasonList) })}
+                      disabled={workingConfig.seasonList.length >= MAX_SEASONS}
+                      style={{ padding: '5px 10px', cursor: 'pointer' }}
+                    >
+                      + Add Season
+                    </button>
+                  </div>
+                ) : (
+                <>
                 <label style={{ display: 'block', marginBottom: 10 }}>
                   <strong>Winter (days):</strong>
                   <input 
@@ -1399,6 +3084,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('winterLength')}
 
                 <label style={{ display: 'block', marginBottom: 10 }}>
                   <strong>Spring (days):</strong>
@@ -1411,6 +3097,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('springLength')}
 
                 <label style={{ display: 'block', marginBottom: 10 }}>
                   <strong>Summer (days):</strong>
@@ -1423,6 +3110,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('summerLength')}
 
                 <label style={{ display: 'block', marginBottom: 10 }}>
                   <strong>Fall (days):</strong>
@@ -1435,17 +3123,29 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('fallLength')}
+                </>
+                )}
 
-                {/* Validation warning */}
+                {/* Season total: must be 365 (see Sim_Validation.js) */}
                 <p style={{ 
                   fontSize: 12, 
-                  color: workingConfig.winterLength + workingConfig.springLength + workingConfig.summerLength + workingConfig.fallLength === 365 ? '#27ae60' : '#e74c3c',
-                  margin: 0,
+                  color: configCheck.fields[SEASON_LENGTHS] ? '#e74c3c' : '#27ae60',
+                  margin: '0 0 10px 0',
                   fontWeight: 'bold'
                 }}>
-                Total: {workingConfig.winterLength + workingConfig.springLength + workingConfig.summerLength + workingConfig.fallLength} days
-                {workingConfig.winterLength + workingConfig.springLength + workingConfig.summerLength + workingConfig.fallLength !== 365 && ' ⚠️ Must equal 365!'}
+                Total: {seasonTotal(workingConfig)} days
                 </p>
+                {renderIssues(SEASON_LENGTHS)}
+                {configCheck.fields[SEASON_LENGTHS] && (
+                  <button
+                    onClick={() => setWorkingConfig(normalizeSeasonLengths(workingConfig))}
+                    title="Scale the seasons to 365 days, keeping their proportions"
+                    style={{ padding: '5px 10px', cursor: 'pointer' }}
+                  >
+                    Normalise to 365
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -1455,10 +3155,14 @@ const actualCurrentSeason = getCurrentSeasonName();
             <div 
               onClick={() => setExpandedSections({
                 time: false,
+                trend: false,
                 seasons: false,
                 profiles: false,
                 crop: false,
                 food: false,
+                events: false,
+                portfolio: false,
+                population: false,
                 profiles: !expandedSections.profiles
               })}
               style={{ 
@@ -1480,6 +3184,12 @@ const actualCurrentSeason = getCurrentSeasonName();
                 <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
                   Controls temperature variation within each season
                 </p>
+                {hasSeasonList(workingConfig) && (
+                  <p style={{ fontSize: 12, color: '#e67e22', marginTop: 0 }}>
+                    The custom season list is in use: its temperatures are set under Season Lengths,
+                    and these classic profiles are not used.
+                  </p>
+                )}
 
                 {/* Winter */}
                 <div style={{ marginBottom: 15, padding: 10, backgroundColor: '#f9f9f9', borderRadius: 5 }}>
@@ -1493,6 +3203,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('winterMean')}
                   <label style={{ display: 'block', fontSize: 14 }}>
                     Amplitude:
                     <input 
@@ -1504,6 +3215,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('winterAmp')}
                 </div>
 
                 {/* Spring */}
@@ -1518,6 +3230,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('springMean')}
                   <label style={{ display: 'block', fontSize: 14 }}>
                     Amplitude:
                     <input 
@@ -1529,6 +3242,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('springAmp')}
                 </div>
 
                 {/* Summer */}
@@ -1543,6 +3257,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('summerMean')}
                   <label style={{ display: 'block', fontSize: 14 }}>
                     Amplitude:
                     <input 
@@ -1554,6 +3269,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                       style={{ marginLeft: 10, padding: 3, width: 60 }}
                     />
                   </label>
+                  {renderIssues('summerAmp')}
                 </div>
 
                 {/* Fall */}
@@ -1568,6 +3284,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                 style={{ marginLeft: 10, padding: 3, width: 60 }}
                 />
                 </label>
+                {renderIssues('fallMean')}
                 <label style={{ display: 'block', fontSize: 14 }}>
                 Amplitude:
                 <input 
@@ -1579,6 +3296,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                 style={{ marginLeft: 10, padding: 3, width: 60 }}
                 />
                 </label>
+                {renderIssues('fallAmp')}
                 </div>
 
                 <p style={{ fontSize: 11, color: '#999', fontStyle: 'italic' }}>
@@ -1588,15 +3306,286 @@ const actualCurrentSeason = getCurrentSeasonName();
             )}
           </div>
 
+          {/* === EXTREME EVENTS SECTION === */}
+          <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
+            <div 
+              onClick={() => setExpandedSections({
+                time: false,
+                trend: false,
+                seasons: false,
+                profiles: false,
+                crop: false,
+                food: false,
+                portfolio: false,
+                population: false,
+                events: !expandedSections.events
+              })}
+              style={{ 
+                cursor: 'pointer', 
+                fontWeight: 'bold',
+                fontSize: '16px',
+                padding: '10px 0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}
+            >
+              <span>⛈️ Extreme Events</span>
+              <span>{expandedSections.events ? '▼' : '▶'}</span>
+            </div>
+
+            {expandedSections.events && (
+              <div style={{ paddingLeft: 10 }}>
+                <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
+                  Multi-day temperature anomalies. Heat waves can start on warmer-than-average days,
+                  cold snaps on colder-than-average days, blizzards below freezing.
+                </p>
+
+                {Object.entries(EVENT_TYPES).map(([type, definition]) => (
+                  <div key={type} style={{ marginBottom: 15, padding: 10, backgroundColor: '#f9f9f9', borderRadius: 5 }}>
+                    <strong style={{ display: 'block', marginBottom: 5 }}>{definition.name}</strong>
+                    <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                      Return Period (days):
+                      <input 
+                        type="number"
+                        min="0"
+                        max="3650"
+                        value={workingConfig[`${type}ReturnPeriod`]}
+                        onChange={(e) => setWorkingConfig({...workingConfig, [`${type}ReturnPeriod`]: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues(`${type}ReturnPeriod`)}
+                    <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                      Duration (days):
+                      <input 
+                        type="number"
+                        min="1"
+                        max="60"
+                        value={workingConfig[`${type}Duration`]}
+                        onChange={(e) => setWorkingConfig({...workingConfig, [`${type}Duration`]: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues(`${type}Duration`)}
+                    <label style={{ display: 'block', fontSize: 14 }}>
+                      Intensity (°F):
+                      <input 
+                        type="number"
+                        min="0"
+                        max="50"
+                        value={workingConfig[`${type}Intensity`]}
+                        onChange={(e) => setWorkingConfig({...workingConfig, [`${type}Intensity`]: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues(`${type}Intensity`)}
+                  </div>
+                ))}
+
+                <p style={{ fontSize: 11, color: '#999', fontStyle: 'italic' }}>
+                  Return period is the average number of eligible days between event starts (0 disables the event).
+                  Duration and intensity vary randomly around these averages.
+                </p>
+              </div>
+            )}
+          </div>
+
+          {/* === CLIMATE CHANGE SECTION === */}
+          <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
+            <div
+              onClick={() => setExpandedSections({
+                time: false,
+                seasons: false,
+                profiles: false,
+                crop: false,
+                food: false,
+                events: false,
+                portfolio: false,
+                population: false,
+                trend: !expandedSections.trend
+              })}
+              style={{
+                cursor: 'pointer',
+                fontWeight: 'bold',
+                fontSize: '16px',
+                padding: '10px 0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}
+            >
+              <span>📈 Climate Change</span>
+              <span>{expandedSections.trend ? '▼' : '▶'}</span>
+            </div>
+
+            {expandedSections.trend && (
+              <div style={{ paddingLeft: 10 }}>
+                <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
+                  Shift the seasonal baseline over the years (see Sim_Climate.js). The Temperature chart
+                  draws the trend line: the annual mean temperature plus the shift.
+                </p>
+
+                <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                  Trend:
+                  <select
+                    value={workingConfig.climateTrend}
+                    onChange={(e) => setWorkingConfig({...workingConfig, climateTrend: e.target.value})}
+                    style={{ marginLeft: 10, padding: 3 }}
+                  >
+                    {Object.entries(CLIMATE_TRENDS).map(([key, trend]) => (
+                      <option key={key} value={key}>{trend.name}</option>
+                    ))}
+                  </select>
+                </label>
+                {renderIssues('climateTrend')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 10px 0' }}>
+                  {CLIMATE_TRENDS[workingConfig.climateTrend]?.description}
+                </p>
+
+                {workingConfig.climateTrend === 'linear' && (
+                  <>
+                    <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                      Change per Decade (°F):
+                      <input
+                        type="number"
+                        step="0.1"
+                        min="-20"
+                        max="20"
+                        value={workingConfig.trendPerDecade}
+                        onChange={(e) => setWorkingConfig({...workingConfig, trendPerDecade: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues('trendPerDecade')}
+                    <p style={{ fontSize: 11, color: '#666', margin: '0 0 10px 0' }}>
+                      Negative values cool the climate. After {workingConfig.yearCount} years:{' '}
+                      {(workingConfig.trendPerDecade * workingConfig.yearCount / 10).toFixed(1)} °F
+                    </p>
+                  </>
+                )}
+
+                {workingConfig.climateTrend === 'step' && (
+                  <>
+                    <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                      Step Year:
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={workingConfig.trendStepYear}
+                        onChange={(e) => setWorkingConfig({...workingConfig, trendStepYear: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues('trendStepYear')}
+                    <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                      Step Size (°F):
+                      <input
+                        type="number"
+                        min="-50"
+                        max="50"
+                        value={workingConfig.trendStepSize}
+                        onChange={(e) => setWorkingConfig({...workingConfig, trendStepSize: Number(e.target.value)})}
+                        style={{ marginLeft: 10, padding: 3, width: 60 }}
+                      />
+                    </label>
+                    {renderIssues('trendStepSize')}
+                  </>
+                )}
+
+                {workingConfig.climateTrend === 'custom' && (
+                  <div style={{ marginBottom: 10 }}>
+                    {workingConfig.trendCurve.map((point, index) => (
+                      <div key={index} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 5, fontSize: 14 }}>
+                        <label>
+                          Year:
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={point.year}
+                            onChange={(e) => updateCurvePoint(index, { year: Number(e.target.value) })}
+                            style={{ marginLeft: 5, padding: 3, width: 55 }}
+                          />
+                        </label>
+                        <label>
+                          Offset (°F):
+                          <input
+                            type="number"
+                            step="0.1"
+                            min="-50"
+                            max="50"
+                            value={point.offset}
+                            onChange={(e) => updateCurvePoint(index, { offset: Number(e.target.value) })}
+                            style={{ marginLeft: 5, padding: 3, width: 55 }}
+                          />
+                        </label>
+                        <button
+                          onClick={() => setWorkingConfig({
+                            ...workingConfig,
+                            trendCurve: workingConfig.trendCurve.filter((_, i) => i !== index)
+                          })}
+                          title="Remove this point"
+                          style={{ padding: '2px 8px', cursor: 'pointer' }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => {
+                        const last = workingConfig.trendCurve[workingConfig.trendCurve.length - 1];
+                        const point = last
+                          ? { year: Math.min(100, last.year + 10), offset: last.offset }
+                          : { year: 0, offset: 0 };
+                        setWorkingConfig({ ...workingConfig, trendCurve: [...workingConfig.trendCurve, point] });
+                      }}
+                      disabled={workingConfig.trendCurve.length >= MAX_CURVE_POINTS}
+                      style={{ padding: '5px 10px', cursor: 'pointer' }}
+                    >
+                      + Add Point
+                    </button>
+                    {renderIssues('trendCurve')}
+                    <p style={{ fontSize: 11, color: '#666', margin: '5px 0 0 0' }}>
+                      Straight lines between the points; flat before the first and after the last.
+                    </p>
+                  </div>
+                )}
+
+                <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                  Extremes Growth (% per decade):
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={workingConfig.extremeGrowthPerDecade}
+                    onChange={(e) => setWorkingConfig({...workingConfig, extremeGrowthPerDecade: Number(e.target.value)})}
+                    style={{ marginLeft: 10, padding: 3, width: 60 }}
+                  />
+                </label>
+                {renderIssues('extremeGrowthPerDecade')}
+                <p style={{ fontSize: 11, color: '#999', fontStyle: 'italic' }}>
+                  Heat waves, cold snaps and blizzards become this much more frequent and intense every
+                  10 years, with or without a trend (0 = unchanged).
+                </p>
+              </div>
+            )}
+          </div>
+
           {/* === CROP CONFIG SECTION === */}
           <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
             <div 
               onClick={() => setExpandedSections({
                 time: false,
+                trend: false,
                 seasons: false,
                 profiles: false,
                 crop: false,
                 food: false,
+                events: false,
+                portfolio: false,
+                population: false,
                 crop: !expandedSections.crop
               })}
               style={{ 
@@ -1630,6 +3619,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('optimalTemp')}
                 <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   Peak of the growth curve - where crops thrive best
                 </p>
@@ -1646,6 +3636,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('tolerance')}
                 <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   How forgiving the crop is (higher = wider growing range)
                 </p>
@@ -1662,6 +3653,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('maxGrowth')}
                 <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   Maximum yield at optimal temperature
                 </p>
@@ -1678,9 +3670,200 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
-                <p style={{ fontSize: 11, color: '#666', margin: '0 0 0 0' }}>
+                {renderIssues('minGrowth')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   Safety floor - prevents complete crop failure
                 </p>
+
+                <div style={{ marginBottom: 15, padding: 10, backgroundColor: '#f9f9f9', borderRadius: 5 }}>
+                  <label style={{ display: 'block', marginBottom: 10 }}>
+                    <input
+                      type="checkbox"
+                      checked={workingConfig.cropCycles}
+                      onChange={(e) => setWorkingConfig({...workingConfig, cropCycles: e.target.checked})}
+                      style={{ marginRight: 8 }}
+                    />
+                    <strong>Planting & Harvest Cycles</strong>
+                  </label>
+                  <p style={{ fontSize: 11, color: '#666', margin: '0 0 10px 0' }}>
+                    Crops are sown, grow until enough degree days have passed, and food arrives
+                    all at once at harvest. Off: food is added every day.
+                  </p>
+
+                  <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                    Sowing Season:
+                    <select
+                      value={workingConfig.sowingSeason}
+                      onChange={(e) => setWorkingConfig({...workingConfig, sowingSeason: e.target.value})}
+                      style={{ marginLeft: 10, padding: 3 }}
+                    >
+                      {sowingSeasonChoices(workingConfig).map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                  </label>
+                  {renderIssues('sowingSeason')}
+                  <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                    Base Temperature (°F):
+                    <input
+                      type="number"
+                      min="-10"
+                      max="100"
+                      value={workingConfig.baseTemp}
+                      onChange={(e) => setWorkingConfig({...workingConfig, baseTemp: Number(e.target.value)})}
+                      style={{ marginLeft: 10, padding: 3, width: 60 }}
+                    />
+                  </label>
+                  {renderIssues('baseTemp')}
+                  <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                    Maturity (degree days):
+                    <input
+                      type="number"
+                      min="1"
+                      max="10000"
+                      step="100"
+                      value={workingConfig.maturityGDD}
+                      onChange={(e) => setWorkingConfig({...workingConfig, maturityGDD: Number(e.target.value)})}
+                      style={{ marginLeft: 10, padding: 3, width: 60 }}
+                    />
+                  </label>
+                  {renderIssues('maturityGDD')}
+                  <label style={{ display: 'block', marginBottom: 5, fontSize: 14 }}>
+                    Frost Kill (°F):
+                    <input
+                      type="number"
+                      min="-40"
+                      max="60"
+                      value={workingConfig.frostKillTemp}
+                      onChange={(e) => setWorkingConfig({...workingConfig, frostKillTemp: Number(e.target.value)})}
+                      style={{ marginLeft: 10, padding: 3, width: 60 }}
+                    />
+                  </label>
+                  {renderIssues('frostKillTemp')}
+                  <p style={{ fontSize: 11, color: '#666', margin: 0 }}>
+                    Degree days add up max(0, temperature - base) each day after sowing.
+                    Portfolio crops use their preset's lifecycle.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* === CROP PORTFOLIO SECTION === */}
+          <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
+            <div 
+              onClick={() => setExpandedSections({
+                time: false,
+                trend: false,
+                seasons: false,
+                profiles: false,
+                crop: false,
+                food: false,
+                events: false,
+                population: false,
+                portfolio: !expandedSections.portfolio
+              })}
+              style={{ 
+                cursor: 'pointer', 
+                fontWeight: 'bold',
+                fontSize: '16px',
+                padding: '10px 0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}
+            >
+              <span>🌱 Crop Portfolio</span>
+              <span>{expandedSections.portfolio ? '▼' : '▶'}</span>
+            </div>
+
+            {expandedSections.portfolio && (
+              <div style={{ paddingLeft: 10 }}>
+                <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
+                  Plant several crops, each on a percentage of the farmland.
+                  Leave empty to plant the single crop from Crop Configuration everywhere.
+                </p>
+
+                {workingConfig.crops.map((crop, index) => (
+                  <div
+                    key={index}
+                    style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}
+                  >
+                    <span style={{
+                      display: 'inline-block',
+                      width: 12,
+                      height: 12,
+                      backgroundColor: CROP_COLORS[index % CROP_COLORS.length]
+                    }} />
+                    <select
+                      value={crop.preset}
+                      onChange={(e) => {
+                        const preset = allPresets.crop[e.target.value];
+                        const crops = [...workingConfig.crops];
+                        crops[index] = { preset: e.target.value, name: preset.name, share: crop.share, ...preset.config };
+                        setWorkingConfig({...workingConfig, crops});
+                      }}
+                      style={{ padding: 4, flex: 1 }}
+                    >
+                      <PresetOptions presets={allPresets.crop} />
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="5"
+                      value={crop.share}
+                      onChange={(e) => {
+                        const crops = [...workingConfig.crops];
+                        crops[index] = { ...crop, share: Number(e.target.value) };
+                        setWorkingConfig({...workingConfig, crops});
+                      }}
+                      style={{ padding: 4, width: 60 }}
+                    />
+                    <span>%</span>
+                    <button
+                      onClick={() => setWorkingConfig({
+                        ...workingConfig,
+                        crops: workingConfig.crops.filter((_, i) => i !== index)
+                      })}
+                      style={{ padding: '2px 8px', cursor: 'pointer' }}
+                      title="Remove crop"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+
+                <button
+                  onClick={() => {
+                    // Suggest a crop that isn't planted yet
+                    const key = Object.keys(allPresets.crop).find(
+                      k => !workingConfig.crops.some(crop => crop.preset === k)
+                    ) ?? 'wheat';
+                    const preset = allPresets.crop[key];
+                    setWorkingConfig({
+                      ...workingConfig,
+                      crops: [
+                        ...workingConfig.crops,
+                        { preset: key, name: preset.name, share: workingConfig.crops.length === 0 ? 100 : 0, ...preset.config }
+                      ]
+                    });
+                  }}
+                  style={{ padding: '5px 10px', cursor: 'pointer', marginBottom: 10 }}
+                >
+                  + Add Crop
+                </button>
+
+                {workingConfig.crops.length > 0 && (() => {
+                  const totalShare = workingConfig.crops.reduce((sum, crop) => sum + crop.share, 0);
+                  return (
+                    <p style={{ fontSize: 11, color: totalShare === 100 ? '#666' : '#e67e22', margin: 0 }}>
+                      Total: {totalShare}% of farmland
+                      {totalShare !== 100 && ' (shares will be scaled to 100%)'}
+                    </p>
+                  );
+                })()}
+                {renderIssues('crops')}
               </div>
             )}
           </div>
@@ -1690,10 +3873,14 @@ const actualCurrentSeason = getCurrentSeasonName();
             <div 
               onClick={() => setExpandedSections({
                 time: false,
+                trend: false,
                 seasons: false,
                 profiles: false,
                 crop: false,
                 food: false,
+                events: false,
+                portfolio: false,
+                population: false,
                 food: !expandedSections.food
               })}
               style={{ 
@@ -1728,6 +3915,7 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
+                {renderIssues('startingFood')}
                 <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   Initial stockpile buffer
                 </p>
@@ -1744,17 +3932,181 @@ const actualCurrentSeason = getCurrentSeasonName();
                     style={{ marginLeft: 10, padding: 5, width: 80 }}
                   />
                 </label>
-                <p style={{ fontSize: 11, color: '#666', margin: '0 0 0 0' }}>
+                {renderIssues('foodPerPerson')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
                   How much food is consumed each day
                 </p>
+
+                <label style={{ display: 'block', marginBottom: 10 }}>
+                  <strong>Granary Size (days of food):</strong>
+                  <input 
+                    type="number"
+                    min="1"
+                    max="3650"
+                    step="10"
+                    value={workingConfig.granaryDays}
+                    onChange={(e) => setWorkingConfig({...workingConfig, granaryDays: Number(e.target.value)})}
+                    style={{ marginLeft: 10, padding: 5, width: 80 }}
+                  />
+                </label>
+                {renderIssues('granaryDays')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
+                  Storage grows with the population; food above capacity is lost
+                </p>
+
+                <label style={{ display: 'block', marginBottom: 10 }}>
+                  <strong>Spoilage Rate (per day):</strong>
+                  <input 
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.001"
+                    value={workingConfig.spoilageRate}
+                    onChange={(e) => setWorkingConfig({...workingConfig, spoilageRate: Number(e.target.value)})}
+                    style={{ marginLeft: 10, padding: 5, width: 80 }}
+                  />
+                </label>
+                {renderIssues('spoilageRate')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
+                  Fraction of the stored single crop lost each day (portfolio crops use their preset's rate)
+                </p>
+
+                <label style={{ display: 'block', marginBottom: 10 }}>
+                  <input
+                    type="checkbox"
+                    checked={workingConfig.temperatureSpoilage}
+                    onChange={(e) => setWorkingConfig({...workingConfig, temperatureSpoilage: e.target.checked})}
+                    style={{ marginRight: 8 }}
+                  />
+                  <strong>Temperature-Dependent Spoilage</strong>
+                </label>
+                <label style={{ display: 'block', marginBottom: 10 }}>
+                  <strong>Doubling Temperature (°F):</strong>
+                  <input 
+                    type="number"
+                    min="1"
+                    max="60"
+                    value={workingConfig.spoilageDoublingTemp}
+                    onChange={(e) => setWorkingConfig({...workingConfig, spoilageDoublingTemp: Number(e.target.value)})}
+                    style={{ marginLeft: 10, padding: 5, width: 80 }}
+                  />
+                </label>
+                {renderIssues('spoilageDoublingTemp')}
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 0 0' }}>
+                  Spoilage doubles for every this many °F above 50°F (and halves below)
+                </p>
               </div>
               )}
           </div>
+
+          {/* === POPULATION SECTION === */}
+          <div style={{ marginBottom: 20, borderBottom: '1px solid #ddd', paddingBottom: 10 }}>
+            <div 
+              onClick={() => setExpandedSections({
+                time: false,
+                trend: false,
+                seasons: false,
+                profiles: false,
+                crop: false,
+                food: false,
+                events: false,
+                portfolio: false,
+                population: !expandedSections.population
+              })}
+              style={{ 
+                cursor: 'pointer', 
+                fontWeight: 'bold',
+                fontSize: '16px',
+                padding: '10px 0',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center'
+              }}
+              >
+                <span>👥 Population</span>
+                <span>{expandedSections.population ? '▼' : '▶'}</span>
+            </div>
+
+            {expandedSections.population && (
+              <div style={{ paddingLeft: 10 }}>
+                <p style={{ fontSize: 12, color: '#666', marginTop: 0 }}>
+                  Children, working adults and elderly that age each year
+                </p>
+
+                <label style={{ display: 'block', marginBottom: 10 }}>
+                  <input
+                    type="checkbox"
+                    checked={workingConfig.ageStructure}
+                    onChange={(e) => setWorkingConfig({...workingConfig, ageStructure: e.target.checked})}
+                    style={{ marginRight: 8 }}
+                  />
+                  <strong>Age Structure</strong>
+                </label>
+                <p style={{ fontSize: 11, color: '#666', margin: '0 0 15px 0' }}>
+                  Only adults have children and farm; mortality depends on age and food
+                </p>
+
+                {workingConfig.ageStructure && (
+                  <>
+                    {[
+                      { key: 'adultAge', label: 'Adult Age (years)', min: 1, max: 40, step: 1 },
+                      { key: 'elderAge', label: 'Elder Age (years)', min: 2, max: 100, step: 1 },
+                      { key: 'maxAge', label: 'Maximum Age (years)', min: 2, max: 120, step: 1 },
+                      { key: 'startingChildShare', label: 'Starting Children Share', min: 0, max: 1, step: 0.05 },
+                      { key: 'startingElderlyShare', label: 'Starting Elderly Share', min: 0, max: 1, step: 0.05 },
+                      { key: 'adultFertility', label: 'Adult Fertility (births/adult/year)', min: 0, max: 1, step: 0.01 }
+                    ].map(field => (
+                      <div key={field.key}>
+                        <label style={{ display: 'block', marginBottom: 10 }}>
+                          <strong>{field.label}:</strong>
+                          <input 
+                            type="number"
+                            min={field.min}
+                            max={field.max}
+                            step={field.step}
+                            value={workingConfig[field.key]}
+                            onChange={(e) => setWorkingConfig({...workingConfig, [field.key]: Number(e.target.value)})}
+                            style={{ marginLeft: 10, padding: 5, width: 80 }}
+                          />
+                        </label>
+                        {renderIssues(field.key)}
+                      </div>
+                    ))}
+
+                    <p style={{ fontSize: 12, fontWeight: 'bold', margin: '15px 0 5px 0' }}>
+                      Yearly Death Rates (doubled when starving)
+                    </p>
+                    {Object.entries(COHORTS).map(([key, cohort]) => (
+                      <div key={key}>
+                        <label style={{ display: 'block', marginBottom: 10 }}>
+                          <span style={{ color: cohort.color, fontWeight: 'bold' }}>{cohort.name}:</span>
+                          <input 
+                            type="number"
+                            min="0"
+                            max="1"
+                            step="0.005"
+                            value={workingConfig[cohort.mortality]}
+                            onChange={(e) => setWorkingConfig({...workingConfig, [cohort.mortality]: Number(e.target.value)})}
+                            style={{ marginLeft: 10, padding: 5, width: 80 }}
+                          />
+                        </label>
+                        {renderIssues(cohort.mortality)}
+                      </div>
+                    ))}
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* === MODULE-SPECIFIC SETTINGS (Disease, Weather, ...) === */}
+          {renderSettings && renderSettings({ workingConfig, setWorkingConfig, renderIssues })}
         </div>
 
       {/* Overlay when settings open */}
       {showSettings && (
         <div 
+          className="no-print"
           onClick={() => setShowSettings(false)}
           style={{
             position: 'fixed',
@@ -1768,7 +4120,27 @@ const actualCurrentSeason = getCurrentSeasonName();
         />
       )}
 
-      <h1>Multi-Year Temperature & Food Simulation</h1>
+      <h1>{title}</h1>
+
+      {/* === SHARED LINK PROBLEMS === */}
+      {linkStatus && (
+        <div style={{ marginBottom: 15, padding: 10, background: linkStatus.errors.length > 0 ? '#fdecea' : '#fef5e7', borderRadius: 4 }}>
+          {linkStatus.errors.length > 0 && (
+            <>
+              <strong>This link could not be opened:</strong>
+              <ul style={{ margin: '5px 0', paddingLeft: 20, fontSize: 13 }}>
+                {linkStatus.errors.map((error, index) => <li key={index}>{error}</li>)}
+              </ul>
+            </>
+          )}
+          {linkStatus.warnings.map((warning, index) => (
+            <p key={index} style={{ margin: '5px 0', fontSize: 13, color: '#e67e22' }}>{warning}</p>
+          ))}
+          <button onClick={() => setLinkStatus(null)} style={{ padding: '3px 10px', cursor: 'pointer' }}>
+            Dismiss
+          </button>
+        </div>
+      )}
 
       {/* === CURRENT DAY READOUT === */}
       <div style={{ marginBottom: 15, padding: 10, background: '#f4f4f4'}}>
@@ -1782,6 +4154,7 @@ const actualCurrentSeason = getCurrentSeasonName();
             <strong>Year:</strong> {current.year + 1 ?? '-'}<br />
             <strong>Season:</strong> {actualCurrentSeason}<br />
             <strong>Temperature:</strong> {current.temperature ?? '-'} °F<br />
+            <strong>Extreme Event:</strong> {current.event ? EVENT_TYPES[current.event].name : 'None'}<br />
           </div>
           <div style={{ marginBottom: 15, padding: 10, background: '#f4f4f4' }}>
             <strong>Current Population Data</strong><br />
@@ -1792,6 +4165,11 @@ const actualCurrentSeason = getCurrentSeasonName();
             <strong>Births:</strong> {populationData[currentDay]?.births ?? '-'}<br />
             <strong>Deaths rate:</strong> {activeConfig.baseDeathRate ?? '-'}<br />
             <strong>Deaths:</strong> {populationData[currentDay]?.deaths ?? '-'}<br />
+            {activeConfig.ageStructure && Object.entries(COHORTS).map(([key, cohort]) => (
+              <span key={key}>
+                <strong style={{ color: cohort.color }}>{cohort.name}:</strong> {populationData[currentDay]?.[key] ?? '-'}<br />
+              </span>
+            ))}
           </div>
           <div style={{ marginBottom: 15, padding: 10, background: '#f4f4f4' }}>
             <strong>Current Food Data</strong><br />
@@ -1799,20 +4177,45 @@ const actualCurrentSeason = getCurrentSeasonName();
             <br />
             <strong>Food Stock:</strong> {foodData[currentDay * 2]?.food ?? '-'} units<br />
             <strong>Base Growth:</strong>{' '}
-            {calculateBasicGrowth(current.temperature, cropConfig).toFixed(1)} units/day<br />
+            {portfolioBasicGrowth(current.temperature).toFixed(1)} units/day<br />
             <strong>Growth Factor:</strong> {
-              calculateGrowthFactor(current.population ?? 0).toFixed(2)
-            }<br />
+              calculateGrowthFactor(populationData[currentDay]?.workforce ?? 0).toFixed(2)
+            }{activeConfig.ageStructure && ' (working adults only)'}<br />
             <strong>Food Grown:</strong> {foodData[currentDay * 2]?.growth ?? '-'} units<br />
+            {cropPortfolio.length > 1 && cropPortfolio.map((crop, index) => (
+              <span key={index}>
+                &nbsp;&nbsp;{crop.name} ({Math.round(crop.share * 100)}%): {foodData[currentDay * 2]?.cropGrowth[index] ?? '-'} units<br />
+              </span>
+            ))}
+            {activeConfig.cropCycles && cropPortfolio.map((crop, index) => {
+              const today = foodData[currentDay * 2];
+              const progress = today?.cropProgress[index];
+              return (
+                <span key={`field-${index}`}>
+                  <strong>{cropPortfolio.length > 1 ? `${crop.name} Field` : 'Field'}:</strong>{' '}
+                  {progress === null || progress === undefined
+                    ? 'Fallow'
+                    : `${Math.round(progress)} / ${crop.maturityGDD} GDD, ${today.cropStanding[index]} units growing`}
+                  <br />
+                </span>
+              );
+            })}
             <strong>Food Consumed:</strong> {(current.population * activeConfig.foodPerPerson) ?? '-'} units<br />
+            <strong>Spoiled:</strong> {foodData[currentDay * 2]?.spoiled ?? '-'} units
+            {' '}(total {Math.round(foodTotals.spoiled)})<br />
+            <strong>Granary Overflow:</strong> {foodData[currentDay * 2]?.overflow ?? '-'} units
+            {' '}(total {Math.round(foodTotals.overflow)})<br />
+            <strong>Granary Capacity:</strong> {foodData[currentDay * 2]?.capacity ?? '-'} units<br />
           </div>
+          {renderReadout && renderReadout({ current, currentDay, populationData, foodData })}
         </div>
       </div>
 
       {/* === REGENERATE BUTTON === */}
       <button
+        className="no-print"
         onClick={() => {
-          setSeed(Math.random());
+          setSeed(randomSeed());
           setCurrentDay(0);
         }}
         style={{
@@ -1829,25 +4232,365 @@ const actualCurrentSeason = getCurrentSeasonName();
         Generate New Temperature Pattern
       </button>
 
+      {/* === SEED INPUT === */}
+      {/* Share this number to let someone rebuild exactly the same run */}
+      <label style={{ marginLeft: 10, fontSize: 16 }}>
+        <strong>Seed:</strong>
+        <input
+          type="text"
+          inputMode="numeric"
+          value={seedInput}
+          onChange={(e) => setSeedInput(e.target.value)}
+          onBlur={applySeedInput}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') applySeedInput();
+          }}
+          title="Type a seed and press Enter to rebuild that exact run"
+          style={{ marginLeft: 8, padding: 6, width: 110, fontFamily: 'monospace', fontSize: 14 }}
+        />
+      </label>
+
+      <button
+        className="no-print"
+        onClick={() => setShowSettings(!showSettings)}
+        style={{
+          padding: '10px 16px',
+          fontSize: '16px',
+          marginBottom: '10px',
+          marginLeft: '10px',
+          backgroundColor: '#9b59b6',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          cursor: 'pointer'
+        }}
+      >
+        ⚙️ Settings
+      </button>
+
+      {/* === DATA EXPORT === */}
+      {/* One merged row per day for spreadsheets and notebooks */}
+      <span className="no-print" style={{ marginLeft: 10, fontSize: 16 }}>
+        <strong>Export Data:</strong>
+        {['csv', 'json'].map(format => (
+          <button
+            key={format}
+            onClick={() => exportDailyTable(format)}
+            disabled={exportBlocker !== null}
+            title={exportBlocker ?? `Download day, year, season, temperature, growth, consumption, food stock, population, births, deaths and food ratio as ${format.toUpperCase()}`}
+            style={{
+              padding: '6px 12px',
+              marginLeft: 8,
+              backgroundColor: exportBlocker !== null ? '#95a5a6' : '#34495e',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: exportBlocker !== null ? 'not-allowed' : 'pointer'
+            }}
+          >
+            ⬇ {format.toUpperCase()}
+          </button>
+        ))}
+      </span>
+
+      {/* === SHARE LINK === */}
+      {/* The URL always describes the run on screen; this copies it */}
       <button
-        onClick={() => setShowSettings(!showSettings)}
+        className="no-print"
+        onClick={copyShareLink}
+        title="Copy a link that opens this run (settings, seed, presets) at the current day"
         style={{
-          padding: '10px 16px',
-          fontSize: '16px',
-          marginBottom: '10px',
-          marginLeft: '10px',
-          backgroundColor: '#9b59b6',
+          padding: '6px 12px',
+          marginLeft: 10,
+          backgroundColor: '#16a085',
           color: 'white',
           border: 'none',
-          borderRadius: '6px',
+          borderRadius: '4px',
           cursor: 'pointer'
         }}
       >
-        ⚙️ Settings
+        {linkCopied ? '✓ Link Copied' : '🔗 Copy Link'}
       </button>
 
+      {/* === RUN PROGRESS === */}
+      {/* The previous run stays on screen until the new one is done */}
+      {runProgress !== null && (
+        <ProgressBar fraction={runProgress} label="Simulating…" onCancel={cancelRun} />
+      )}
+      {runError && <span style={{ marginLeft: 10, color: '#c0392b' }}>⚠ {runError}</span>}
+
+      {/* === MONTE CARLO BATCH === */}
+      {/* Same config, many seeds: bands on the food and population charts plus outcome statistics */}
+      <div style={{ marginBottom: 15, padding: 10, background: '#f4f4f4' }}>
+        <strong>🎲 Monte Carlo Batch:</strong>
+        <input
+          type="number"
+          min="2"
+          max={MAX_BATCH_RUNS}
+          step="10"
+          value={batchRuns}
+          onChange={(e) => setBatchRuns(Number(e.target.value))}
+          style={{ marginLeft: 8, padding: 5, width: 70 }}
+        />
+        <span style={{ marginLeft: 5 }}>runs</span>
+        <button
+          onClick={startBatch}
+          disabled={batchRunning}
+          style={{
+            padding: '6px 12px',
+            marginLeft: 10,
+            backgroundColor: batchRunning ? '#95a5a6' : '#16a085',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: batchRunning ? 'wait' : 'pointer'
+          }}
+        >
+          {batchRunning ? 'Running…' : 'Run Batch'}
+        </button>
+        {batchRunning && <ProgressBar fraction={batchProgress} label="Batch…" onCancel={cancelBatch} />}
+        {batchError && <span style={{ marginLeft: 10, color: '#c0392b' }}>⚠ {batchError}</span>}
+        {activeBatch && (
+          <button
+            onClick={() => setBatch(null)}
+            style={{
+              padding: '6px 12px',
+              marginLeft: 8,
+              backgroundColor: '#7f8c8d',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            Clear
+          </button>
+        )}
+        <span style={{ marginLeft: 10, fontSize: 12, color: '#666' }}>
+          Run seeds are derived from the seed above, so a batch can be repeated
+        </span>
+
+        {activeBatch && (
+          <table style={{ marginTop: 10, borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr>
+                {['Outcome', 'Mean', 'Min', 'p5', 'Median', 'p95', 'Max'].map(heading => (
+                  <th key={heading} style={{ textAlign: 'right', padding: '4px 10px', borderBottom: '1px solid #ccc' }}>
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                { label: 'Final Population', stats: activeBatch.stats.finalPopulation },
+                { label: 'Peak Population', stats: activeBatch.stats.peakPopulation },
+                { label: 'Famine Days (food ratio < 100%)', stats: activeBatch.stats.famineDays },
+                { label: 'Final Food Stock', stats: activeBatch.stats.finalFood }
+              ].map(row => (
+                <tr key={row.label}>
+                  <td style={{ padding: '4px 10px', fontWeight: 'bold' }}>{row.label}</td>
+                  {['mean', 'min', 'p5', 'p50', 'p95', 'max'].map(key => (
+                    <td key={key} style={{ textAlign: 'right', padding: '4px 10px' }}>
+                      {Number.isFinite(row.stats[key]) ? Math.round(row.stats[key]) : '-'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td colSpan={7} style={{ padding: '6px 10px', borderTop: '1px solid #ccc' }}>
+                  <strong>Runs:</strong> {activeBatch.runs}
+                  {' · '}<strong>Extinction Probability:</strong> {(activeBatch.stats.extinctionProbability * 100).toFixed(1)}%
+                  {' · '}<strong>Runs With Famine:</strong> {(activeBatch.stats.famineProbability * 100).toFixed(1)}%
+                  {Object.values(activeBatch.stats).some(stats => stats.excluded > 0) && (
+                    <span style={{ color: '#c0392b' }}>
+                      {' · '}Some runs gave no number for an outcome and were left out of its row
+                    </span>
+                  )}
+                </td>
+              </tr>
+            </tfoot>
+          </table>
+        )}
+      </div>
+
+      {/* === SCENARIO COMPARISON (A/B) === */}
+      {/* Pin a run as A, change settings, and the run on screen becomes B */}
+      <div style={{ marginBottom: 15, padding: 10, background: '#f4f4f4' }}>
+        <strong>🅰️🅱️ Compare Scenarios:</strong>
+        <button
+          onClick={pinCurrentRun}
+          disabled={saveBlocker !== null}
+          title={saveBlocker ?? 'Keep the run on screen as scenario A; runs with other settings then show as B'}
+          style={{
+            padding: '6px 12px',
+            marginLeft: 10,
+            backgroundColor: saveBlocker !== null ? '#95a5a6' : '#2c3e50',
+            color: 'white',
+            border: 'none',
+            borderRadius: '4px',
+            cursor: saveBlocker !== null ? 'not-allowed' : 'pointer'
+          }}
+        >
+          📌 {pinned ? 'Re-pin Current Run as A' : 'Pin Current Run as A'}
+        </button>
+        {pinned && (
+          <>
+            <button
+              onClick={() => setPinned(null)}
+              style={{
+                padding: '6px 12px',
+                marginLeft: 8,
+                backgroundColor: '#7f8c8d',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Unpin
+            </button>
+            {[
+              { key: 'overlay', label: 'Overlay A and B' },
+              { key: 'difference', label: 'Difference (B - A)' }
+            ].map(option => (
+              <label key={option.key} style={{ marginLeft: 15 }}>
+                <input
+                  type="radio"
+                  name="compare-mode"
+                  checked={compareMode === option.key}
+                  onChange={() => setCompareMode(option.key)}
+                  style={{ marginRight: 5 }}
+                />
+                {option.label}
+              </label>
+            ))}
+          </>
+        )}
+        {!pinned && (
+          <span style={{ marginLeft: 10, fontSize: 12, color: '#666' }}>
+            Pin a run, change the settings, and compare it with the new run on the charts below
+          </span>
+        )}
+
+        {comparison && (
+          <div style={{ display: 'flex', gap: 30, flexWrap: 'wrap', marginTop: 10 }}>
+            <table style={{ borderCollapse: 'collapse', fontSize: 13 }}>
+              <thead>
+                <tr>
+                  {['', `A (seed ${pinned.seed})`, `B (seed ${seed})`, 'B - A'].map(heading => (
+                    <th key={heading} style={{ textAlign: 'right', padding: '4px 10px', borderBottom: '1px solid #ccc' }}>
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {/* Values on the scrubbed day (the scrubber drives both scenarios) */}
+                {[
+                  { name: `Temperature (day ${currentDay})`, a: pinned.temperatureData[currentDay]?.temperature, b: data[currentDay]?.temperature },
+                  { name: `Food Stock (day ${currentDay})`, a: pinned.foodData[currentDay * 2]?.food, b: foodData[currentDay * 2]?.food },
+                  { name: `Population (day ${currentDay})`, a: pinned.populationData[currentDay]?.population, b: populationData[currentDay]?.population },
+                  ...COMPARISON_ROWS.map(row => ({
+                    name: row.name,
+                    a: pinned.summary[row.key],
+                    b: comparison.summaryB[row.key]
+                  }))
+                ].map(row => {
+                  const hasBoth = row.a !== undefined && row.b !== undefined;
+                  const difference = hasBoth ? row.b - row.a : null;
+                  return (
+                    <tr key={row.name}>
+                      <td style={{ padding: '4px 10px', fontWeight: 'bold' }}>{row.name}</td>
+                      <td style={{ textAlign: 'right', padding: '4px 10px' }}>{row.a !== undefined ? Math.round(row.a * 10) / 10 : '-'}</td>
+                      <td style={{ textAlign: 'right', padding: '4px 10px' }}>{row.b !== undefined ? Math.round(row.b * 10) / 10 : '-'}</td>
+                      <td
+                        style={{
+                          textAlign: 'right',
+                          padding: '4px 10px',
+                          color: difference > 0 ? '#27ae60' : difference < 0 ? '#c0392b' : '#333'
+                        }}
+                      >
+                        {hasBoth ? `${difference > 0 ? '+' : ''}${Math.round(difference * 10) / 10}` : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {/* Settings that differ between the scenarios */}
+            <div style={{ fontSize: 12 }}>
+              <strong>Settings that differ:</strong>
+              {comparison.settings.length === 0 ? (
+                <p style={{ margin: '5px 0', color: '#666' }}>None{pinned.seed !== seed ? ' (only the seed)' : ''}</p>
+              ) : (
+                <ul style={{ margin: '5px 0', paddingLeft: 18 }}>
+                  {comparison.settings.map(({ field, a, b }) => (
+                    <li key={field}>
+                      {fieldLabel(field)}: {typeof a === 'object' ? JSON.stringify(a) : String(a)} → {typeof b === 'object' ? JSON.stringify(b) : String(b)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* === PLAYBACK === */}
+      {/* Moves the scrubber forward so the readouts and growth curves update live */}
+      <div className="no-print" style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
+        {[
+          { label: '⏮ Step', title: 'One day back', onClick: () => stepDay(-1), disabled: currentDay <= 0 },
+          { label: playing ? '⏸ Pause' : '▶ Play', title: playing ? 'Pause playback' : 'Play through the run', onClick: togglePlayback, disabled: lastDay === 0 },
+          { label: 'Step ⏭', title: 'One day forward', onClick: () => stepDay(1), disabled: currentDay >= lastDay }
+        ].map(button => (
+          <button
+            key={button.title}
+            onClick={button.onClick}
+            disabled={button.disabled}
+            title={button.title}
+            style={{
+              padding: '4px 10px',
+              minWidth: 80,
+              backgroundColor: button.disabled ? '#bdc3c7' : '#2c3e50',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: button.disabled ? 'default' : 'pointer'
+            }}
+          >
+            {button.label}
+          </button>
+        ))}
+        <span style={{ marginLeft: 10 }}><strong>Speed:</strong></span>
+        {PLAYBACK_SPEEDS.map(speed => (
+          <button
+            key={speed}
+            onClick={() => setPlaybackSpeed(speed)}
+            title={`${speed} day${speed === 1 ? '' : 's'} per second`}
+            style={{
+              padding: '4px 10px',
+              backgroundColor: playbackSpeed === speed ? '#2980b9' : '#ecf0f1',
+              color: playbackSpeed === speed ? 'white' : '#2c3e50',
+              border: '1px solid #bdc3c7',
+              borderRadius: '4px',
+              cursor: 'pointer'
+            }}
+          >
+            {speed}×
+          </button>
+        ))}
+        <span style={{ marginLeft: 10, fontSize: 14 }}>
+          Day {currentDay} of {lastDay}
+        </span>
+      </div>
+
       {/* === SCRUBBER === */}
-      <label style={{ display: 'block' }}>
+      <label className="no-print" style={{ display: 'block' }}>
         <strong>Scrub through time:</strong>
         <input
           type="range"
@@ -1859,21 +4602,58 @@ const actualCurrentSeason = getCurrentSeasonName();
         />
       </label>
 
+      {/* === ZOOM & PAN === */}
+      {/* One day range for all time-series charts; drag across a chart to zoom into it */}
+      <div className="no-print" style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', margin: '10px 0' }}>
+        <strong>🔍 {dayRangeLabel(viewRange)}</strong>
+        {[
+          { label: '◀ Pan', title: 'Show earlier days', onClick: () => panBy(-1), disabled: !zoomRange || viewRange[0] === 0 },
+          { label: 'Pan ▶', title: 'Show later days', onClick: () => panBy(1), disabled: !zoomRange || viewRange[1] === chartDays },
+          { label: '➕ Zoom In', title: 'Show half as many days', onClick: () => zoomBy(0.5), disabled: viewRange[1] - viewRange[0] <= MIN_ZOOM_DAYS },
+          { label: '➖ Zoom Out', title: 'Show twice as many days', onClick: () => zoomBy(2), disabled: !zoomRange },
+          { label: 'Reset Zoom', title: 'Show the whole run', onClick: () => setZoomRange(null), disabled: !zoomRange }
+        ].map(button => (
+          <button
+            key={button.label}
+            onClick={button.onClick}
+            disabled={button.disabled}
+            title={button.title}
+            style={{
+              padding: '4px 10px',
+              backgroundColor: button.disabled ? '#bdc3c7' : '#34495e',
+              color: 'white',
+              border: 'none',
+              borderRadius: '4px',
+              cursor: button.disabled ? 'default' : 'pointer'
+            }}
+          >
+            {button.label}
+          </button>
+        ))}
+        <span style={{ fontSize: 12, color: '#666' }}>
+          Drag across the Food, Temperature or Population chart to zoom into those days
+        </span>
+      </div>
+
+      {/* === CHARTS === */}
+      {/* Panels reflow into columns with the window and can be collapsed (see Sim_Layout.js) */}
+      <ChartGrid>
+
       {/* === FOOD CHART === */}
-      <div style={{ flex: '1 1 45%', minWidth: 400 }}>
-        <h3>Food Stock Over Time</h3>
-        <LineChart 
-          width={1750} 
-          height={400} 
-          data={foodData} 
+      <ChartPanel title={`Food Stock Over Time${zoomRange ? ` (${dayRangeLabel(viewRange)})` : ''}`} wide>
+        <ChartFrame height={400} onWidthChange={trackChartWidth('food')}>
+        <ComposedChart 
+          data={foodPoints} 
           margin={{ top: 20, right: 10, left: 10, bottom: 40 }}
+          {...brushHandlers('food')}
         >
           <CartesianGrid strokeDasharray="3 3" />
 
           <XAxis
             dataKey="x"
             type="number"
-            domain={[0, 365 * activeConfig.yearCount]}
+            domain={viewRange}
+            allowDataOverflow
             label={{ value: 'Day', position: 'insideBottom', offset: -5 }}
           />
 
@@ -1881,6 +4661,13 @@ const actualCurrentSeason = getCurrentSeasonName();
             label={{ value: 'Food (units)', angle: -90, position: 'insideLeft', offset: -5 }}
           />
 
+          {/* Second axis for daily losses, which are much smaller than the stock */}
+          <YAxis
+            yAxisId="losses"
+            orientation="right"
+            label={{ value: 'Lost (units/day)', angle: 90, position: 'insideRight' }}
+          />
+
           <Tooltip 
             content={({ active, payload }) => {
               if (active && payload && payload.length) {
@@ -1896,9 +4683,18 @@ const actualCurrentSeason = getCurrentSeasonName();
                   >
                       <p><strong>Day:</strong> {Math.floor(data.x)}</p>
                       <p><strong>Food:</strong> {data.food} units</p>
+                      {data.foodA !== undefined && data.foodA !== null && (
+                        <p><strong>Scenario A:</strong> {data.foodA} units (B - A: {data.foodDiff ?? '-'})</p>
+                      )}
                       <p><strong>Phase:</strong> {data.phase}</p>
-                      {data.growth && <p><strong>Growth:</strong> +{data.growth}</p>}
-                      {data.consumed && <p><strong>Consumed:</strong> -{data.consumed}</p>}
+                      {data.growth > 0 && <p><strong>Growth:</strong> +{data.growth}</p>}
+                      {data.consumed > 0 && <p><strong>Consumed:</strong> -{data.consumed}</p>}
+                      {data.spoiled > 0 && <p><strong>Spoiled:</strong> -{data.spoiled}</p>}
+                      {data.overflow > 0 && <p><strong>Granary Overflow:</strong> -{data.overflow}</p>}
+                      <p><strong>Capacity:</strong> {data.capacity}</p>
+                      {data.foodBand && (
+                        <p><strong>Batch p5-p95:</strong> {Math.round(data.foodBand[0])} to {Math.round(data.foodBand[1])} (median {Math.round(data.foodMedian)})</p>
+                      )}
                   </div>
                 );
               }
@@ -1912,36 +4708,22 @@ const actualCurrentSeason = getCurrentSeasonName();
             wrapperStyle={{ paddingTop: 10 }}
           />
 
-          {/* === Seasonal background shading === */}
-          {Array.from({ length: activeConfig.yearCount }).map((_, year) => {
-            // Start from the chosen starting season
-            let dayCounter = year * 365;
-
-            // Find which season to start with
-            const startIndex = seasons.findIndex(s => s.name === activeConfig.startingSeason);
-
-            // Reorder seasons to start from the selected one
-            const orderedSeasons = [
-              ...seasons.slice(startIndex),
-              ...seasons.slice(0, startIndex)
-            ];
-
-            return orderedSeasons.map(season => {
-              const x1 = dayCounter;
-              const x2 = dayCounter + season.length;
-              dayCounter = x2;
+          {/* === Seasonal background shading (merged / culled, see Sim_Downsample.js) === */}
+          {foodSeasonAreas.map(area => (
+            <ReferenceArea
+              key={`${area.kind}-${area.x1}`}
+              x1={area.x1}
+              x2={area.x2}
+              fill={seasonColors[area.kind]}
+              fillOpacity={SEASON_SHADE_OPACITY}
+              strokeOpacity={0}
+            />
+          ))}
 
-              return (
-                <ReferenceArea
-                  key={`${year}-${season.name}-${x1}`}
-                  x1={x1}
-                  x2={x2}
-                  fill={SEASON_COLORS[season.name]}
-                  strokeOpacity={0}
-                />
-              );
-            });
-          })}
+          {/* Brush selection being dragged */}
+          {brush?.chart === 'food' && (
+            <ReferenceArea x1={brush.start} x2={brush.end} fill="#3498db" fillOpacity={0.2} strokeOpacity={0} />
+          )}
 
           {/* Show current day as a vertical line */}
           {currentDay >= 0 && (
@@ -1958,6 +4740,42 @@ const actualCurrentSeason = getCurrentSeasonName();
             />
           )}
 
+          {/* === Sowing / harvest / frost kill markers === */}
+          {cropEventMarkers.map(event => (
+            <ReferenceLine
+              key={`${event.type}-${event.cropIndex}-${event.day}`}
+              x={event.day}
+              stroke={CROP_EVENT_TYPES[event.type].color}
+              strokeDasharray={event.type === 'sow' ? '4 4' : undefined}
+              strokeOpacity={0.7}
+            />
+          ))}
+
+          {/* === Monte Carlo band (p5-p95) and median === */}
+          {activeBatch && (
+            <Area
+              type="monotone"
+              dataKey="foodBand"
+              stroke="none"
+              fill="#4ecdc4"
+              fillOpacity={0.25}
+              isAnimationActive={false}
+              name="Batch p5-p95"
+            />
+          )}
+          {activeBatch && (
+            <Line
+              type="monotone"
+              dataKey="foodMedian"
+              stroke="#16a085"
+              strokeWidth={1.5}
+              strokeDasharray="3 3"
+              dot={false}
+              isAnimationActive={false}
+              name="Batch Median"
+            />
+          )}
+
           <Line
             type="monotone"
             dataKey="food"
@@ -1966,28 +4784,197 @@ const actualCurrentSeason = getCurrentSeasonName();
             dot={false}
             name="Food Stock"
           />
-        </LineChart>
-      </div>
+          {/* === Scenario A: overlay or difference B - A (see Sim_Compare.js) === */}
+          {pinned && compareMode === 'overlay' && (
+            <Line
+              type="monotone"
+              dataKey="foodA"
+              stroke="#7f8c8d"
+              strokeWidth={1.5}
+              strokeDasharray="5 3"
+              dot={false}
+              isAnimationActive={false}
+              name="Scenario A"
+            />
+          )}
+          {pinned && compareMode === 'difference' && (
+            <YAxis
+              yAxisId="diff"
+              orientation="right"
+              label={{ value: 'B - A (units)', angle: 90, position: 'insideRight' }}
+            />
+          )}
+          {pinned && compareMode === 'difference' && (
+            <ReferenceLine yAxisId="diff" y={0} stroke="#2c3e50" strokeDasharray="2 2" />
+          )}
+          {pinned && compareMode === 'difference' && (
+            <Line
+              yAxisId="diff"
+              type="monotone"
+              dataKey="foodDiff"
+              stroke="#e67e22"
+              strokeWidth={1.5}
+              dot={false}
+              isAnimationActive={false}
+              name="B - A"
+            />
+          )}
+          <Line
+            type="monotone"
+            dataKey="capacity"
+            stroke="#7f8c8d"
+            strokeWidth={2}
+            strokeDasharray="6 4"
+            dot={false}
+            name="Granary Capacity"
+          />
+          {/* Losses only exist on the after-growth points; bridge the gaps */}
+          <Line
+            yAxisId="losses"
+            type="monotone"
+            dataKey="spoiled"
+            stroke="#8e44ad"
+            strokeWidth={1}
+            dot={false}
+            connectNulls
+            name="Spoiled"
+          />
+          <Line
+            yAxisId="losses"
+            type="monotone"
+            dataKey="overflow"
+            stroke="#c0392b"
+            strokeWidth={1}
+            dot={false}
+            connectNulls
+            name="Granary Overflow"
+          />
+        </ComposedChart>
+        </ChartFrame>
+
+        {/* Crop lifecycle key: line style and number of events per type */}
+        {activeConfig.cropCycles && (
+          <div style={{ display: 'flex', gap: 15, fontSize: 12, color: '#666' }}>
+            {Object.entries(CROP_EVENT_TYPES).map(([type, definition]) => (
+              <span key={type}>
+                <span style={{
+                  display: 'inline-block',
+                  width: 12,
+                  height: 0,
+                  marginRight: 5,
+                  verticalAlign: 'middle',
+                  borderTop: `2px ${type === 'sow' ? 'dashed' : 'solid'} ${definition.color}`
+                }} />
+                {definition.name}: {cropEvents.filter(e => e.type === type).length}
+              </span>
+            ))}
+          </div>
+        )}
+      </ChartPanel>
+
+      {/* === CROP CONTRIBUTION CHART === */}
+      <ChartPanel title={activeConfig.cropCycles ? 'Crops Growing in the Fields' : 'Daily Growth by Crop'} wide>
+        <ChartFrame height={300} onWidthChange={trackChartWidth('growth')}>
+        <AreaChart
+          data={growthPoints}
+          margin={{ top: 20, right: 10, left: 10, bottom: 40 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+
+          <XAxis
+            dataKey="x"
+            type="number"
+            domain={viewRange}
+            allowDataOverflow
+            label={{ value: 'Day', position: 'insideBottom', offset: -5 }}
+          />
+
+          <YAxis
+            label={{
+              value: activeConfig.cropCycles ? 'In the Field (units)' : 'Growth (units/day)',
+              angle: -90,
+              position: 'insideLeft',
+              offset: -5
+            }}
+          />
+
+          <Tooltip 
+            content={({ active, payload }) => {
+              if (active && payload && payload.length) {
+                const data = payload[0].payload;
+                const amounts = activeConfig.cropCycles ? data.cropStanding : data.cropGrowth;
+                return (
+                  <div 
+                    style={{ 
+                        background: 'white', 
+                        padding: 10, 
+                        border: '1px solid #ccc',
+                        borderRadius: 4
+                    }}
+                  >
+                      <p><strong>Day:</strong> {data.x}</p>
+                      {cropPortfolio.map((crop, index) => (
+                        <p key={index}>
+                          <strong>{crop.name} ({Math.round(crop.share * 100)}%):</strong> {amounts[index]}
+                        </p>
+                      ))}
+                      <p><strong>{activeConfig.cropCycles ? 'Harvested Today' : 'Total'}:</strong> +{data.growth}</p>
+                  </div>
+                );
+              }
+              return null;
+            }}
+          />
+
+          <Legend
+            verticalAlign="bottom"
+            align="center"
+            wrapperStyle={{ paddingTop: 10 }}
+          />
 
+          {/* Show current day as a vertical line */}
+          {currentDay >= 0 && (
+            <ReferenceLine 
+              x={currentDay} 
+              stroke="#2ecc71" 
+              strokeWidth={2}
+            />
+          )}
 
-      {/* === CHARTS SIDE BY SIDE === */}
-      <div style={{ display: 'flex', gap: 10, flexWrap: 'wrap' }}>
+          {/* One stacked band per crop: band height = that crop's harvest
+              (or, with planting & harvest cycles, the food growing in its field) */}
+          {cropPortfolio.map((crop, index) => (
+            <Area
+              key={index}
+              type="monotone"
+              dataKey={(entry) => (activeConfig.cropCycles ? entry.cropStanding : entry.cropGrowth)[index]}
+              stackId="crops"
+              stroke={CROP_COLORS[index % CROP_COLORS.length]}
+              fill={CROP_COLORS[index % CROP_COLORS.length]}
+              fillOpacity={0.6}
+              isAnimationActive={false}
+              name={`${crop.name} (${Math.round(crop.share * 100)}%)`}
+            />
+          ))}
+        </AreaChart>
+        </ChartFrame>
+      </ChartPanel>
 
         {/* === TEMPERATURE CHART === */}
-        <div style={{ flex: '1 1 45%', minWidth: 400 }}>
-          <h3>Temperature Over Time</h3>
+        <ChartPanel title={`Temperature Over Time${zoomRange ? ` (${dayRangeLabel(viewRange)})` : ''}`}>
+          <ChartFrame height={400} onWidthChange={trackChartWidth('temperature')}>
           <LineChart 
-            width={750} 
-            height={400} 
-            data={data} 
+            data={temperaturePoints} 
             margin={{ top: 20, right: 5, left: 10, bottom: 40 }}
+            {...brushHandlers('temperature')}
           >
             <CartesianGrid strokeDasharray="3 3" />
 
             <XAxis
               dataKey="dayIndex"
               type="number"
-              domain={[0, 365 * activeConfig.yearCount]}
+              domain={viewRange}
+              allowDataOverflow
               label={{ value: 'Day', position: 'insideBottom', offset: -5 }}
             />
 
@@ -1995,43 +4982,68 @@ const actualCurrentSeason = getCurrentSeasonName();
             label={{ value: 'Temperature (°F)', angle: -90, position: 'insideLeft' }}
             />
 
-            <Tooltip />
+            <Tooltip 
+              content={({ active, payload }) => {
+                if (active && payload && payload.length) {
+                  const data = payload[0].payload;
+                  return (
+                    <div 
+                      style={{ 
+                        background: 'white', 
+                        padding: 10, 
+                        border: '1px solid #ccc',
+                        borderRadius: 4
+                      }}
+                    >
+                      <p><strong>Day:</strong> {data.dayIndex}</p>
+                      <p><strong>Season:</strong> {data.season}</p>
+                      <p><strong>Temperature:</strong> {data.temperature} °F</p>
+                      {activeConfig.climateTrend !== 'none' && data.trendMean !== undefined && (
+                        <p><strong>Climate Trend:</strong> {data.trendMean} °F annual mean</p>
+                      )}
+                      {data.temperatureA !== undefined && data.temperatureA !== null && (
+                        <p><strong>Scenario A:</strong> {data.temperatureA} °F (B - A: {data.temperatureDiff ?? '-'})</p>
+                      )}
+                      {data.event && <p><strong>Event:</strong> {EVENT_TYPES[data.event].name}</p>}
+                    </div>
+                  );
+                }
+                return null;
+              }}
+            />
             <Legend
               verticalAlign="bottom"
               align="center"
               wrapperStyle={{ paddingTop: 10 }}
             />
 
-            {/* === Seasonal background shading === */}
-            {Array.from({ length: activeConfig.yearCount }).map((_, year) => {
-              // Start from the chosen starting season
-              let dayCounter = year * 365;
-
-              // Find which season to start with
-              const startIndex = seasons.findIndex(s => s.name === activeConfig.startingSeason);
-
-              // Reorder seasons to start from the selected one
-              const orderedSeasons = [
-                ...seasons.slice(startIndex),
-                ...seasons.slice(0, startIndex)
-              ];
-
-              return orderedSeasons.map(season => {
-                const x1 = dayCounter;
-                const x2 = dayCounter + season.length;
-                dayCounter = x2;
+            {/* === Seasonal background shading (merged / culled, see Sim_Downsample.js) === */}
+            {temperatureSeasonAreas.map(area => (
+              <ReferenceArea
+                key={`${area.kind}-${area.x1}`}
+                x1={area.x1}
+                x2={area.x2}
+                fill={seasonColors[area.kind]}
+                fillOpacity={SEASON_SHADE_OPACITY}
+                strokeOpacity={0}
+              />
+            ))}
+
+            {/* === Extreme event annotations === */}
+            {eventAreas.map(event => (
+              <ReferenceArea
+                key={`event-${event.x1}`}
+                x1={event.x1}
+                x2={event.x2}
+                fill={EVENT_TYPES[event.kind].color}
+                strokeOpacity={0}
+              />
+            ))}
 
-                return (
-                  <ReferenceArea
-                    key={`${year}-${season.name}-${x1}`}
-                    x1={x1}
-                    x2={x2}
-                    fill={SEASON_COLORS[season.name]}
-                    strokeOpacity={0}
-                  />
-                );
-              });
-            })}
+            {/* Brush selection being dragged */}
+            {brush?.chart === 'temperature' && (
+              <ReferenceArea x1={brush.start} x2={brush.end} fill="#3498db" fillOpacity={0.2} strokeOpacity={0} />
+            )}
 
             {/* Show current day as a vertical line */}
             {currentDay >= 0 && (
@@ -2057,24 +5069,90 @@ const actualCurrentSeason = getCurrentSeasonName();
               dot={false}
               name="Daily Temperature"
             />
+            {/* === Climate trend line: annual mean plus the trend (see Sim_Climate.js) === */}
+            {activeConfig.climateTrend !== 'none' && !showDifference && (
+              <Line
+                type="linear"
+                dataKey="trendMean"
+                stroke="#8e44ad"
+                strokeWidth={2}
+                strokeDasharray="8 4"
+                dot={false}
+                isAnimationActive={false}
+                name="Climate Trend"
+              />
+            )}
+            {/* === Scenario A: overlay or difference B - A (see Sim_Compare.js) === */}
+            {pinned && compareMode === 'overlay' && (
+              <Line
+                type="monotone"
+                dataKey="temperatureA"
+                stroke="#7f8c8d"
+                strokeWidth={1.5}
+                strokeDasharray="5 3"
+                dot={false}
+                isAnimationActive={false}
+                name="Scenario A"
+              />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <YAxis
+                yAxisId="diff"
+                orientation="right"
+                label={{ value: 'B - A (°F)', angle: 90, position: 'insideRight' }}
+              />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <ReferenceLine yAxisId="diff" y={0} stroke="#2c3e50" strokeDasharray="2 2" />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <Line
+                yAxisId="diff"
+                type="monotone"
+                dataKey="temperatureDiff"
+                stroke="#e67e22"
+                strokeWidth={1.5}
+                dot={false}
+                isAnimationActive={false}
+                name="B - A"
+              />
+            )}
           </LineChart>
-        </div>
+          </ChartFrame>
+
+          {/* Extreme event key: color swatch and count per type */}
+          <div style={{ display: 'flex', gap: 15, fontSize: 12, color: '#666' }}>
+            {Object.entries(EVENT_TYPES).map(([type, definition]) => (
+              <span key={type}>
+                <span style={{
+                  display: 'inline-block',
+                  width: 12,
+                  height: 12,
+                  marginRight: 5,
+                  verticalAlign: 'middle',
+                  backgroundColor: definition.color
+                }} />
+                {definition.name}: {events.filter(e => e.type === type).length}
+              </span>
+            ))}
+          </div>
+        </ChartPanel>
 
         {/* === Population CHART === */}
-        <div style={{ flex: '1 1 45%', minWidth: 400 }}>
-          <h3>Population Over Time</h3>
-          <LineChart 
-            width={750} 
-            height={400} 
-            data={populationData} 
+        <ChartPanel title={`Population Over Time${zoomRange ? ` (${dayRangeLabel(viewRange)})` : ''}`}>
+          <ChartFrame height={400} onWidthChange={trackChartWidth('population')}>
+          <ComposedChart 
+            data={populationPoints} 
             margin={{ top: 20, right: 10, left: 5, bottom: 40 }}
+            {...brushHandlers('population')}
           >
             <CartesianGrid strokeDasharray="3 3" />
 
             <XAxis
               dataKey="x"
               type="number"
-              domain={[0, 365 * activeConfig.yearCount]}
+              domain={viewRange}
+              allowDataOverflow
               label={{ value: 'Day', position: 'insideBottom', offset: -5 }}
             />
 
@@ -2097,9 +5175,20 @@ const actualCurrentSeason = getCurrentSeasonName();
                     >
                       <p><strong>Day:</strong> {Math.floor(data.x)}</p>
                       <p><strong>Population:</strong> {data.population}</p>
+                      {data.populationA !== undefined && data.populationA !== null && (
+                        <p><strong>Scenario A:</strong> {data.populationA} (B - A: {data.populationDiff ?? '-'})</p>
+                      )}
+                      {activeConfig.ageStructure && Object.entries(COHORTS).map(([key, cohort]) => (
+                        <p key={key} style={{ color: cohort.color }}>
+                          <strong>{cohort.name}:</strong> {data[key]}
+                        </p>
+                      ))}
                       <p><strong>Births:</strong> +{data.births}</p>
                       <p><strong>Deaths:</strong> -{data.deaths}</p>
                       <p><strong>Food Ratio:</strong> {(data.foodRatio * 100).toFixed(1)}%</p>
+                      {data.populationBand && (
+                        <p><strong>Batch p5-p95:</strong> {Math.round(data.populationBand[0])} to {Math.round(data.populationBand[1])} (median {Math.round(data.populationMedian)})</p>
+                      )}
                     </div>
                   );
                 }
@@ -2113,6 +5202,11 @@ const actualCurrentSeason = getCurrentSeasonName();
               wrapperStyle={{ paddingTop: 10 }}
             />
 
+            {/* Brush selection being dragged */}
+            {brush?.chart === 'population' && (
+              <ReferenceArea x1={brush.start} x2={brush.end} fill="#3498db" fillOpacity={0.2} strokeOpacity={0} />
+            )}
+
             {/* Show current day as a vertical line */}
             {currentDay >= 0 && (
               <ReferenceLine 
@@ -2129,6 +5223,31 @@ const actualCurrentSeason = getCurrentSeasonName();
               />
             )}
 
+            {/* === Monte Carlo band (p5-p95) and median === */}
+            {activeBatch && (
+              <Area
+                type="monotone"
+                dataKey="populationBand"
+                stroke="none"
+                fill="#4ecdc4"
+                fillOpacity={0.25}
+                isAnimationActive={false}
+                name="Batch p5-p95"
+              />
+            )}
+            {activeBatch && (
+              <Line
+                type="monotone"
+                dataKey="populationMedian"
+                stroke="#16a085"
+                strokeWidth={1.5}
+                strokeDasharray="3 3"
+                dot={false}
+                isAnimationActive={false}
+                name="Batch Median"
+              />
+            )}
+
             <Line
               type="monotone"
               dataKey="population"
@@ -2137,30 +5256,122 @@ const actualCurrentSeason = getCurrentSeasonName();
               dot={false}
               name="Population"
             />
-          </LineChart>
-        </div>
-      </div>
+            {/* === Scenario A: overlay or difference B - A (see Sim_Compare.js) === */}
+            {pinned && compareMode === 'overlay' && (
+              <Line
+                type="monotone"
+                dataKey="populationA"
+                stroke="#7f8c8d"
+                strokeWidth={1.5}
+                strokeDasharray="5 3"
+                dot={false}
+                isAnimationActive={false}
+                name="Scenario A"
+              />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <YAxis
+                yAxisId="diff"
+                orientation="right"
+                label={{ value: 'B - A (beings)', angle: 90, position: 'insideRight' }}
+              />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <ReferenceLine yAxisId="diff" y={0} stroke="#2c3e50" strokeDasharray="2 2" />
+            )}
+            {pinned && compareMode === 'difference' && (
+              <Line
+                yAxisId="diff"
+                type="monotone"
+                dataKey="populationDiff"
+                stroke="#e67e22"
+                strokeWidth={1.5}
+                dot={false}
+                isAnimationActive={false}
+                name="B - A"
+              />
+            )}
+
+            {/* Cohort lines (age structure only) */}
+            {activeConfig.ageStructure && Object.entries(COHORTS).map(([key, cohort]) => (
+              <Line
+                key={key}
+                type="monotone"
+                dataKey={key}
+                stroke={cohort.color}
+                strokeWidth={1.5}
+                dot={false}
+                name={cohort.name}
+              />
+            ))}
+          </ComposedChart>
+          </ChartFrame>
+        </ChartPanel>
+
+      {/* === POPULATION PYRAMID (age structure only) === */}
+      {activeConfig.ageStructure && (
+        <ChartPanel title={`Population Pyramid (Day ${currentDay})`}>
+          <ChartFrame height={400}>
+          <BarChart
+            data={pyramidData}
+            layout="vertical"
+            margin={{ top: 20, right: 30, left: 20, bottom: 20 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              label={{ value: 'People', position: 'insideBottom', offset: -10 }}
+            />
+            <YAxis
+              type="category"
+              dataKey="band"
+              width={60}
+            />
+            <Tooltip formatter={(value) => [value, 'People']} />
+            <Bar dataKey="count" isAnimationActive={false}>
+              {pyramidData.map(entry => (
+                <Cell key={entry.band} fill={COHORTS[entry.cohort].color} />
+              ))}
+            </Bar>
+          </BarChart>
+          </ChartFrame>
+
+          {/* Cohort key */}
+          <div style={{ display: 'flex', gap: 15, marginTop: 10, fontSize: 12 }}>
+            {Object.entries(COHORTS).map(([key, cohort]) => (
+              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 5 }}>
+                <div style={{ width: 12, height: 12, backgroundColor: cohort.color }} />
+                <span>{cohort.name}</span>
+              </div>
+            ))}
+          </div>
+        </ChartPanel>
+      )}
 
-      {/* === GROWTH CURVES SIDE BY SIDE === */}
-      <div style={{ display: 'flex', gap: 20, flexWrap: 'wrap', marginTop: 40 }}>
+      {/* === MODULE-SPECIFIC CHARTS (Disease, Weather, ...) === */}
+      {renderCharts && renderCharts({ currentDay, data, populationData, foodData, activeConfig, viewRange })}
 
         {/* === BASIC CROP GROWTH CURVE === */}
-        <div style={{ flex: '1 1 45%', minWidth: 400 }}>
-          <h3>Base Crop Growth Rate by Temperature</h3>
+        <ChartPanel title="Base Crop Growth Rate by Temperature">
           <p style={{ fontSize: 14, color: '#666' }}>
             Base food production per day at different temperatures (population = 100).
+            {cropPortfolio.length > 1 && ' Dashed lines show each crop on its share of the farmland; the solid line is their sum.'}
           </p>
 
+          <ChartFrame height={300}>
           <LineChart 
-            width={750} 
-            height={300} 
             data={(() => {
               const curveData = [];
               for (let temp = -10; temp <= 110; temp += 1) {
-                curveData.push({
+                const point = {
                   temperature: temp,
-                  growth: calculateBasicGrowth(temp, cropConfig)
+                  growth: portfolioBasicGrowth(temp)
+                };
+                // Each crop's own curve on its share of the farmland
+                cropPortfolio.forEach((crop, index) => {
+                  point[`crop${index}`] = crop.share * calculateBasicGrowth(temp, crop);
                 });
+                curveData.push(point);
               }
               return curveData;
             })()}
@@ -2178,7 +5389,7 @@ const actualCurrentSeason = getCurrentSeasonName();
           />
           <Tooltip />
           {/* Current day's temperature reference line */}
-          {current.temperature && (
+          {current.temperature !== undefined && current.temperature !== null && (
             <ReferenceLine 
               x={current.temperature} 
               stroke="#ff6b6b" 
@@ -2192,19 +5403,36 @@ const actualCurrentSeason = getCurrentSeasonName();
             />
           )}
 
-          {/* Optimal temperature reference line */}
-          <ReferenceLine 
-            x={cropConfig.optimalTemp} 
-            stroke="#2ecc71" 
-            strokeWidth={2}
-            strokeDasharray="5 5"
-            label={{ 
-              value: `Optimal (${cropConfig.optimalTemp}°F)`, 
-              position: 'bottom',
-              fill: '#2ecc71',
-              fontSize: 12
-            }}
-          />
+          {/* Optimal temperature reference line (one per crop) */}
+          {cropPortfolio.map((crop, index) => (
+            <ReferenceLine 
+              key={`optimal-${index}`}
+              x={crop.optimalTemp} 
+              stroke={CROP_COLORS[index % CROP_COLORS.length]} 
+              strokeWidth={2}
+              strokeDasharray="5 5"
+              label={{ 
+                value: `Optimal (${crop.optimalTemp}°F)`, 
+                position: 'bottom',
+                fill: CROP_COLORS[index % CROP_COLORS.length],
+                fontSize: 12
+              }}
+            />
+          ))}
+
+          {/* Individual crops, only when more than one is planted */}
+          {cropPortfolio.length > 1 && cropPortfolio.map((crop, index) => (
+            <Line
+              key={`crop-${index}`}
+              type="monotone"
+              dataKey={`crop${index}`}
+              stroke={CROP_COLORS[index % CROP_COLORS.length]}
+              strokeWidth={1}
+              strokeDasharray="3 3"
+              dot={false}
+              name={`${crop.name} (${Math.round(crop.share * 100)}%)`}
+            />
+          ))}
 
           <Line
             type="monotone"
@@ -2212,21 +5440,20 @@ const actualCurrentSeason = getCurrentSeasonName();
             stroke="#2ecc71"
             strokeWidth={3}
             dot={false}
-            name="Base Growth Rate"
+            name={cropPortfolio.length > 1 ? 'Portfolio Growth Rate' : 'Base Growth Rate'}
           />
           </LineChart>
-        </div>
+          </ChartFrame>
+        </ChartPanel>
 
         {/* === POPULATION GROWTH FACTOR === */}
-        <div style={{ flex: '1 1 45%', minWidth: 400 }}>
-          <h3>Population Growth Factor</h3>
+        <ChartPanel title="Population Growth Factor">
           <p style={{ fontSize: 14, color: '#666' }}>
             How population size affects total food production capacity.
           </p>
 
+          <ChartFrame height={300}>
           <LineChart 
-            width={750} 
-            height={300} 
             data={(() => {
               const factorData = [];
               for (let pop = 0; pop <= 20000; pop += 10) {
@@ -2239,7 +5466,6 @@ const actualCurrentSeason = getCurrentSeasonName();
                   factor: populationFactor
                 });
               }
-              console.log('Population factor data:', factorData);
               return factorData;
             })()}
             margin={{ top: 20, right: 30, left: 60, bottom: 40 }}
@@ -2277,9 +5503,13 @@ const actualCurrentSeason = getCurrentSeasonName();
               name="Population Factor"
             />
           </LineChart>
-        </div>
+          </ChartFrame>
+        </ChartPanel>
 
-      </div>
+      </ChartGrid>
+
+      {/* === PARAMETER SWEEP & SENSITIVITY === */}
+      <SweepPanel activeConfig={activeConfig} seed={seed} layers={layers} loadWorker={loadWorker} configSchema={configSchema} />
 
     </div>
   );
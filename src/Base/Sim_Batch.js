@@ -0,0 +1,198 @@
+/* ============================================================
+   Monte Carlo Batch Runs
+   ------------------------------------------------------------
+   One seed shows one possible history. A batch runs the engine
+   N times with the same config and different seeds, then
+   summarises the spread:
+
+   - Percentile bands (p5 / p50 / p95) per day for population
+     and per food timeline entry for the food stock, drawn on
+     the existing charts
+   - Outcome statistics per run: extinction, final population,
+     famine days (days with foodRatio < 1)
+
+   Values that are not finite numbers (e.g. from a run that broke
+   down) are left out of the statistics and bands and counted
+   instead, so one bad run cannot scramble the sort order.
+
+   The run seeds are derived from the batch seed through their
+   own random stream, so a batch is as reproducible as a single
+   run: same config + same batch seed = same bands and table.
+   ============================================================ */
+
+import { runSimulation } from './Sim_Engine';
+import { createRng } from './Sim_Random';
+
+/**
+ * Percentiles shown as bands and in the statistics table.
+ */
+export const BAND_PERCENTILES = { low: 5, mid: 50, high: 95 };
+
+/**
+ * Most runs allowed in one batch (keeps the browser responsive).
+ */
+export const MAX_BATCH_RUNS = 1000;
+
+/**
+ * Derive the seeds of a batch from one batch seed.
+ *
+ * @param {number} seed - Batch seed (the seed of the single run on screen)
+ * @param {number} count - Number of runs
+ * @returns {Array<number>} 32-bit unsigned run seeds
+ */
+export function batchSeeds(seed, count) {
+  const rng = createRng(seed, 'batch');
+  return Array.from({ length: count }, () => Math.floor(rng() * 4294967296));
+}
+
+/**
+ * Percentile of an ascending sorted list (linear interpolation between ranks).
+ *
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile 0-100
+ * @returns {number} Value at that percentile (NaN for an empty list)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Finite values of a list, sorted ascending (NaN / Infinity dropped).
+ *
+ * @param {Array<number>} values - Values, possibly with non-finite entries
+ * @returns {Array<number>} Sorted finite values
+ */
+function finiteSorted(values) {
+  return values.filter(Number.isFinite).sort((a, b) => a - b);
+}
+
+/**
+ * Summary statistics of a list of numbers.
+ * Non-finite values are left out and counted in `excluded`; without
+ * any finite value every statistic is NaN.
+ *
+ * @param {Array<number>} values - One value per run
+ * @returns {{mean: number, min: number, p5: number, p50: number, p95: number, max: number, excluded: number}}
+ */
+export function describe(values) {
+  const sorted = finiteSorted(values);
+  const empty = sorted.length === 0;
+  return {
+    mean: empty ? NaN : sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    min: empty ? NaN : sorted[0],
+    p5: percentile(sorted, BAND_PERCENTILES.low),
+    p50: percentile(sorted, BAND_PERCENTILES.mid),
+    p95: percentile(sorted, BAND_PERCENTILES.high),
+    max: empty ? NaN : sorted[sorted.length - 1],
+    excluded: values.length - sorted.length
+  };
+}
+
+/**
+ * p5 / p50 / p95 of every column of a runs × entries matrix.
+ * Non-finite values are left out of their column.
+ *
+ * @param {Array<Array<number>>} series - One array per run, all the same length
+ * @returns {Array<{low: number, mid: number, high: number}>} One band per entry
+ */
+function percentileBands(series) {
+  const length = series[0]?.length ?? 0;
+  const bands = [];
+  for (let index = 0; index < length; index++) {
+    const column = finiteSorted(series.map(run => run[index]));
+    bands.push({
+      low: percentile(column, BAND_PERCENTILES.low),
+      mid: percentile(column, BAND_PERCENTILES.mid),
+      high: percentile(column, BAND_PERCENTILES.high)
+    });
+  }
+  return bands;
+}
+
+/**
+ * Outcome measures of one run (used by batches, sweeps and comparisons).
+ *
+ * An empty run (no day computed yet) has no outcome: its measures are NaN.
+ *
+ * @param {{populationData: Array<Object>, foodData: Array<Object>}} result - Output of runSimulation()
+ * @returns {{extinct: boolean, finalPopulation: number, peakPopulation: number, famineDays: number, finalFood: number}}
+ */
+export function measureRun({ populationData, foodData }) {
+  if (populationData.length === 0 || foodData.length === 0) {
+    return { extinct: false, finalPopulation: NaN, peakPopulation: NaN, famineDays: NaN, finalFood: NaN };
+  }
+
+  const population = populationData.map(day => day.population);
+  return {
+    extinct: population.some(count => count <= 0),
+    finalPopulation: population[population.length - 1],
+    peakPopulation: Math.max(...population),
+    famineDays: populationData.filter(day => day.foodRatio < 1).length,
+    finalFood: foodData[foodData.length - 1].food
+  };
+}
+
+/**
+ * Run a batch and summarise it.
+ *
+ * Only the series needed for the bands are kept from each run,
+ * so memory grows with runs × days, not with full results.
+ *
+ * @param {Object} config - Simulation config (the same for every run)
+ * @param {number} seed - Batch seed (see batchSeeds())
+ * @param {number} runs - Number of runs (clamped to 1..MAX_BATCH_RUNS)
+ * @param {Array<Function>} [layers=[]] - Model layer factories (see runSimulation)
+ * @param {Function} [onProgress] - Called with the fraction of runs done (0-1) after each run
+ * @returns {{
+ *   runs: number,
+ *   seeds: Array<number>,
+ *   populationBands: Array<{low: number, mid: number, high: number}>,
+ *   foodBands: Array<{low: number, mid: number, high: number}>,
+ *   stats: {
+ *     extinctionProbability: number,
+ *     famineProbability: number,
+ *     finalPopulation: Object,
+ *     peakPopulation: Object,
+ *     famineDays: Object,
+ *     finalFood: Object
+ *   }
+ * }} Bands (one per populationData / foodData entry) and outcome statistics (see describe())
+ */
+export function runBatch(config, seed, runs, layers = [], onProgress) {
+  const count = Math.max(1, Math.min(MAX_BATCH_RUNS, Math.floor(runs)));
+  const seeds = batchSeeds(seed, count);
+
+  const populationSeries = [];
+  const foodSeries = [];
+  const outcomes = [];
+
+  seeds.forEach((runSeed, index) => {
+    const result = runSimulation(config, runSeed, layers);
+
+    populationSeries.push(result.populationData.map(day => day.population));
+    foodSeries.push(result.foodData.map(entry => entry.food));
+    outcomes.push(measureRun(result));
+    if (onProgress) onProgress((index + 1) / count);
+  });
+
+  const share = (test) => outcomes.filter(test).length / count;
+
+  return {
+    runs: count,
+    seeds,
+    populationBands: percentileBands(populationSeries),
+    foodBands: percentileBands(foodSeries),
+    stats: {
+      extinctionProbability: share(outcome => outcome.extinct),
+      famineProbability: share(outcome => outcome.famineDays > 0),
+      finalPopulation: describe(outcomes.map(outcome => outcome.finalPopulation)),
+      peakPopulation: describe(outcomes.map(outcome => outcome.peakPopulation)),
+      famineDays: describe(outcomes.map(outcome => outcome.famineDays)),
+      finalFood: describe(outcomes.map(outcome => outcome.finalFood))
+    }
+  };
+}
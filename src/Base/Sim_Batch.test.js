@@ -0,0 +1,56 @@
+import { batchSeeds, describe as describeValues, measureRun, percentile, runBatch } from './Sim_Batch';
+import { DEFAULT_CONFIG } from './Sim_Engine';
+
+describe('batch statistics', () => {
+  test('percentile interpolates between ranks', () => {
+    expect(percentile([0, 10, 20, 30, 40], 50)).toBe(20);
+    expect(percentile([0, 10], 25)).toBe(2.5);
+    expect(percentile([], 50)).toBeNaN();
+  });
+
+  test('describe leaves non-finite values out and counts them', () => {
+    expect(describeValues([3, NaN, 1, Infinity, 2])).toEqual({
+      mean: 2, min: 1, p5: 1.1, p50: 2, p95: 2.9, max: 3, excluded: 2
+    });
+  });
+
+  test('describe of nothing finite is NaN throughout', () => {
+    const stats = describeValues([NaN]);
+    expect(stats.mean).toBeNaN();
+    expect(stats.min).toBeNaN();
+    expect(stats.max).toBeNaN();
+    expect(stats.excluded).toBe(1);
+  });
+
+  test('batch seeds are reproducible', () => {
+    expect(batchSeeds(42, 3)).toEqual(batchSeeds(42, 3));
+    expect(batchSeeds(42, 3)).not.toEqual(batchSeeds(43, 3));
+  });
+});
+
+describe('runBatch', () => {
+  test('extinct runs give finite statistics and bands', () => {
+    const config = { ...DEFAULT_CONFIG, yearCount: 1, baseBirthRate: 0, baseDeathRate: 1 };
+    const batch = runBatch(config, 9, 3);
+
+    expect(batch.stats.extinctionProbability).toBe(1);
+    expect(batch.stats.finalPopulation).toMatchObject({ mean: 0, min: 0, max: 0, excluded: 0 });
+    expect(Number.isFinite(batch.stats.finalFood.p50)).toBe(true);
+    expect(batch.stats.finalFood.excluded).toBe(0);
+    batch.populationBands.forEach(band => expect(band.mid).toBe(0));
+    batch.foodBands.forEach(band => expect(Number.isFinite(band.mid)).toBe(true));
+  });
+
+  test('measureRun reports extinction', () => {
+    const populationData = [{ population: 5, foodRatio: 1 }, { population: 0, foodRatio: 0.5 }];
+    expect(measureRun({ populationData, foodData: [{ food: 12 }] })).toEqual({
+      extinct: true, finalPopulation: 0, peakPopulation: 5, famineDays: 1, finalFood: 12
+    });
+  });
+
+  test('measureRun of an empty run is NaN throughout', () => {
+    expect(measureRun({ populationData: [], foodData: [] })).toEqual({
+      extinct: false, finalPopulation: NaN, peakPopulation: NaN, famineDays: NaN, finalFood: NaN
+    });
+  });
+});
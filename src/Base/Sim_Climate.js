@@ -0,0 +1,119 @@
+/* ============================================================
+   Climate Change Trends
+   ------------------------------------------------------------
+   Without a trend every simulated year has the same baseline.
+   A trend shifts the seasonal baseline by an offset (°F) that
+   depends on the time since day 0:
+
+   - linear: trendPerDecade °F every 10 years (negative = cooling)
+   - step:   trendStepSize °F from year trendStepYear on
+   - custom: a curve of {year, offset} points, straight lines
+             between them and flat before the first / after
+             the last point
+
+   Extremes can grow over time too: extremeGrowthPerDecade makes
+   heat waves, cold snaps and blizzards that much more frequent
+   and intense every decade (percent), so their spread widens.
+
+   The offset is added to the baseline before extreme events are
+   placed, so a warming climate also gets more warm days where
+   heat waves can start and fewer below freezing for blizzards.
+   ============================================================ */
+
+/**
+ * Trend types.
+ *
+ * Structure:
+ * - name: Display name for UI
+ * - description: One-line explanation for the settings panel
+ */
+export const CLIMATE_TRENDS = {
+  none: {
+    name: 'None',
+    description: 'Every year has the same climate'
+  },
+  linear: {
+    name: 'Linear',
+    description: 'Steady warming (or cooling) by a number of °F per decade'
+  },
+  step: {
+    name: 'Step Change',
+    description: 'A sudden shift by a number of °F in a chosen year'
+  },
+  custom: {
+    name: 'Custom Curve',
+    description: 'Offsets at chosen years, joined by straight lines'
+  }
+};
+
+/**
+ * Most points a custom trend curve may have.
+ */
+export const MAX_CURVE_POINTS = 20;
+
+/**
+ * Years since day 0 (fractional).
+ *
+ * @param {number} dayIndex - Absolute day index
+ * @returns {number} Years
+ */
+function yearsElapsed(dayIndex) {
+  return dayIndex / 365;
+}
+
+/**
+ * Offset of a custom curve at a given time.
+ *
+ * @param {Array<{year: number, offset: number}>} curve - Curve points (any order)
+ * @param {number} years - Years since day 0
+ * @returns {number} Offset (°F), 0 for an empty curve
+ */
+export function curveOffset(curve, years) {
+  if (curve.length === 0) return 0;
+  const points = [...curve].sort((a, b) => a.year - b.year);
+
+  if (years <= points[0].year) return points[0].offset;
+  const last = points[points.length - 1];
+  if (years >= last.year) return last.offset;
+
+  // Straight line between the two points around this time
+  const next = points.findIndex(point => point.year > years);
+  const before = points[next - 1];
+  const after = points[next];
+  const fraction = (years - before.year) / (after.year - before.year);
+  return before.offset + (after.offset - before.offset) * fraction;
+}
+
+/**
+ * Climate trend offset for one day.
+ *
+ * @param {Object} config - Simulation config with the trend fields
+ * @param {number} dayIndex - Absolute day index
+ * @returns {number} Temperature offset (°F) added to the seasonal baseline
+ */
+export function trendOffset(config, dayIndex) {
+  const years = yearsElapsed(dayIndex);
+
+  switch (config.climateTrend) {
+    case 'linear':
+      return config.trendPerDecade * years / 10;
+    case 'step':
+      return years >= config.trendStepYear ? config.trendStepSize : 0;
+    case 'custom':
+      return curveOffset(config.trendCurve, years);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * How much more frequent and intense extreme events are on one day.
+ *
+ * @param {Object} config - Simulation config with extremeGrowthPerDecade (%)
+ * @param {number} dayIndex - Absolute day index
+ * @returns {number} Multiplier (1 on day 0, and always without growth)
+ */
+export function extremeScale(config, dayIndex) {
+  const growth = config.extremeGrowthPerDecade ?? 0;
+  return Math.max(0, 1 + growth / 100 * yearsElapsed(dayIndex) / 10);
+}
@@ -0,0 +1,58 @@
+import { curveOffset, extremeScale, trendOffset } from './Sim_Climate';
+
+const YEAR = 365;
+
+describe('curveOffset', () => {
+  const curve = [{ year: 20, offset: 4 }, { year: 0, offset: 0 }, { year: 10, offset: 1 }];
+
+  test('joins the points with straight lines, in year order', () => {
+    expect(curveOffset(curve, 5)).toBeCloseTo(0.5);
+    expect(curveOffset(curve, 10)).toBe(1);
+    expect(curveOffset(curve, 15)).toBeCloseTo(2.5);
+  });
+
+  test('is flat before the first and after the last point', () => {
+    expect(curveOffset([{ year: 5, offset: -2 }, { year: 10, offset: 3 }], 1)).toBe(-2);
+    expect(curveOffset(curve, 50)).toBe(4);
+  });
+
+  test('an empty curve gives no offset', () => {
+    expect(curveOffset([], 10)).toBe(0);
+  });
+});
+
+describe('trendOffset', () => {
+  test('no trend keeps every year the same', () => {
+    expect(trendOffset({ climateTrend: 'none', trendPerDecade: 3 }, 100 * YEAR)).toBe(0);
+  });
+
+  test('linear warms by trendPerDecade every 10 years', () => {
+    const config = { climateTrend: 'linear', trendPerDecade: 2 };
+    expect(trendOffset(config, 0)).toBe(0);
+    expect(trendOffset(config, 10 * YEAR)).toBeCloseTo(2);
+    expect(trendOffset({ ...config, trendPerDecade: -1 }, 25 * YEAR)).toBeCloseTo(-2.5);
+  });
+
+  test('step shifts the climate from trendStepYear on', () => {
+    const config = { climateTrend: 'step', trendStepYear: 3, trendStepSize: 5 };
+    expect(trendOffset(config, 3 * YEAR - 1)).toBe(0);
+    expect(trendOffset(config, 3 * YEAR)).toBe(5);
+  });
+
+  test('custom follows the curve', () => {
+    const config = { climateTrend: 'custom', trendCurve: [{ year: 0, offset: 0 }, { year: 4, offset: 8 }] };
+    expect(trendOffset(config, 2 * YEAR)).toBeCloseTo(4);
+  });
+});
+
+describe('extremeScale', () => {
+  test('grows by extremeGrowthPerDecade percent every 10 years', () => {
+    expect(extremeScale({ extremeGrowthPerDecade: 20 }, 0)).toBe(1);
+    expect(extremeScale({ extremeGrowthPerDecade: 20 }, 10 * YEAR)).toBeCloseTo(1.2);
+    expect(extremeScale({}, 10 * YEAR)).toBe(1);
+  });
+
+  test('shrinking extremes stop at zero', () => {
+    expect(extremeScale({ extremeGrowthPerDecade: -50 }, 30 * YEAR)).toBe(0);
+  });
+});
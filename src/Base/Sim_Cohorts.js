@@ -0,0 +1,188 @@
+/* ============================================================
+   Age-Structured Population
+   ------------------------------------------------------------
+   With age structure switched on, the population is no longer
+   one number. People are counted per year of age (0 to maxAge)
+   and grouped into three cohorts:
+
+   - Children:       age 0 to adultAge - 1
+   - Working adults: adultAge to elderAge - 1
+   - Elderly:        elderAge and older
+
+   Each day:
+   1. Only adults have children (adultFertility, scaled by food)
+   2. Every age dies at its cohort's mortality rate, raised by
+      hunger like the one-number model
+   Once a year everyone moves up one year of age; nobody lives
+   past maxAge.
+
+   Fertility and mortality are given per year (e.g. 0.12 births
+   per adult per year) and applied as 1/365 of that each day.
+   They are deliberately slower than baseBirthRate/baseDeathRate:
+   children take adultAge years to join the workforce, so the
+   one-number model's fast turnover would wipe out the adults
+   long before the first children grow up.
+
+   People are tracked as fractional numbers internally; the
+   engine rounds them for display.
+   ============================================================ */
+
+/**
+ * Cohort definitions.
+ *
+ * Structure:
+ * - name: Display name for UI
+ * - color: Chart color
+ * - mortality: Config field holding the cohort's yearly death rate
+ */
+export const COHORTS = {
+  children: { name: 'Children', color: '#f39c12', mortality: 'childMortality' },
+  adults: { name: 'Working Adults', color: '#27ae60', mortality: 'adultMortality' },
+  elderly: { name: 'Elderly', color: '#8e44ad', mortality: 'elderlyMortality' }
+};
+
+/**
+ * Width of the age bands on the population pyramid (years).
+ */
+export const AGE_BAND_YEARS = 5;
+
+/**
+ * Which cohort an age belongs to.
+ *
+ * @param {number} age - Age in years
+ * @param {Object} config - Simulation config {adultAge, elderAge}
+ * @returns {string} Cohort key (see COHORTS)
+ */
+export function cohortForAge(age, config) {
+  if (age < config.adultAge) return 'children';
+  if (age < config.elderAge) return 'adults';
+  return 'elderly';
+}
+
+/**
+ * Split the starting population across ages.
+ *
+ * Each cohort gets its starting share, spread evenly over its ages.
+ *
+ * @param {number} population - Starting population
+ * @param {Object} config - Simulation config {adultAge, elderAge, maxAge, startingChildShare, startingElderlyShare}
+ * @returns {Array<number>} People per year of age (index = age)
+ */
+export function createAgeStructure(population, config) {
+  const maxAge = Math.max(config.elderAge, config.maxAge);
+  const childShare = Math.max(0, config.startingChildShare);
+  const elderlyShare = Math.max(0, config.startingElderlyShare);
+  const shares = {
+    children: childShare,
+    adults: Math.max(0, 1 - childShare - elderlyShare),
+    elderly: elderlyShare
+  };
+
+  const yearsPerCohort = { children: 0, adults: 0, elderly: 0 };
+  for (let age = 0; age <= maxAge; age++) yearsPerCohort[cohortForAge(age, config)]++;
+
+  const ages = [];
+  for (let age = 0; age <= maxAge; age++) {
+    const cohort = cohortForAge(age, config);
+    ages.push(yearsPerCohort[cohort] > 0 ? population * shares[cohort] / yearsPerCohort[cohort] : 0);
+  }
+
+  // Shares that don't sum to 1 are scaled back to the starting population
+  return scaleAgeStructure(ages, population);
+}
+
+/**
+ * People per cohort.
+ *
+ * @param {Array<number>} ages - People per year of age
+ * @param {Object} config - Simulation config {adultAge, elderAge}
+ * @returns {{children: number, adults: number, elderly: number}}
+ */
+export function cohortTotals(ages, config) {
+  const totals = { children: 0, adults: 0, elderly: 0 };
+  ages.forEach((count, age) => {
+    totals[cohortForAge(age, config)] += count;
+  });
+  return totals;
+}
+
+/**
+ * Scale every age evenly so the total matches a population.
+ * Used after model layers (e.g. disease) remove extra people.
+ *
+ * @param {Array<number>} ages - People per year of age
+ * @param {number} population - Target population
+ * @returns {Array<number>} Scaled copy
+ */
+export function scaleAgeStructure(ages, population) {
+  const total = ages.reduce((sum, count) => sum + count, 0);
+  const factor = total > 0 ? population / total : 0;
+  return ages.map(count => count * factor);
+}
+
+/**
+ * Move everyone up one year of age.
+ *
+ * @param {Array<number>} ages - People per year of age
+ * @returns {{ages: Array<number>, deaths: number}} Aged copy (age 0 empty),
+ *   and the people who were already at maxAge and die of old age
+ */
+export function ageOneYear(ages) {
+  const deaths = ages[ages.length - 1];
+  return { ages: [0, ...ages.slice(0, -1)], deaths };
+}
+
+/**
+ * Calculate one day of births and deaths for the age structure.
+ *
+ * Uses the same food response as calculatePopulationChange():
+ * - Births scale with foodRatio (10% of normal when there is no food)
+ * - Deaths scale with (2 - foodRatio), up to double when starving
+ *
+ * @param {Array<number>} ages - People per year of age
+ * @param {number} foodRatio - Food security 0-1
+ * @param {Object} config - Simulation config (cohort, fertility and mortality fields)
+ * @returns {{ages: Array<number>, births: number, deaths: number, newPopulation: number}}
+ *   Updated copy of the age structure and the day's change
+ */
+export function calculateCohortChange(ages, foodRatio, config) {
+  const { adults } = cohortTotals(ages, config);
+
+  // === Births: adults only ===
+  const birthFactor = foodRatio === 0 ? 0.1 : foodRatio;
+  const births = adults * (config.adultFertility / 365) * birthFactor;
+
+  // === Deaths: by age, raised by hunger ===
+  const hunger = 2 - foodRatio;
+  let deaths = 0;
+  const next = ages.map((count, age) => {
+    const yearlyRate = config[COHORTS[cohortForAge(age, config)].mortality] ?? 0;
+    const died = Math.min(count, count * (yearlyRate / 365) * hunger);
+    deaths += died;
+    return count - died;
+  });
+
+  next[0] += births;
+
+  return {
+    ages: next,
+    births,
+    deaths,
+    newPopulation: next.reduce((sum, count) => sum + count, 0)
+  };
+}
+
+/**
+ * Group ages into AGE_BAND_YEARS-wide bands for the population pyramid.
+ *
+ * @param {Array<number>} ages - People per year of age
+ * @returns {Array<number>} People per band (band i covers ages i×5 to i×5+4), rounded
+ */
+export function ageBands(ages) {
+  const bands = [];
+  ages.forEach((count, age) => {
+    const band = Math.floor(age / AGE_BAND_YEARS);
+    bands[band] = (bands[band] ?? 0) + count;
+  });
+  return bands.map(count => Math.round(count));
+}
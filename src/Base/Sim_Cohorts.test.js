@@ -0,0 +1,51 @@
+import { DEFAULT_CONFIG } from './Sim_Engine';
+import {
+  ageBands,
+  ageOneYear,
+  calculateCohortChange,
+  cohortForAge,
+  cohortTotals,
+  createAgeStructure
+} from './Sim_Cohorts';
+
+const config = { ...DEFAULT_CONFIG, ageStructure: true }; // adults 15, elderly 60, max 90
+
+const sum = (ages) => ages.reduce((total, count) => total + count, 0);
+
+describe('cohorts', () => {
+  test('ages map to children, adults and elderly', () => {
+    expect(cohortForAge(0, config)).toBe('children');
+    expect(cohortForAge(14, config)).toBe('children');
+    expect(cohortForAge(15, config)).toBe('adults');
+    expect(cohortForAge(60, config)).toBe('elderly');
+  });
+
+  test('the starting structure matches the population and shares', () => {
+    const ages = createAgeStructure(1000, config);
+    expect(ages).toHaveLength(91);
+    expect(sum(ages)).toBeCloseTo(1000);
+    const totals = cohortTotals(ages, config);
+    expect(totals.children).toBeCloseTo(300);
+    expect(totals.elderly).toBeCloseTo(100);
+    expect(totals.adults).toBeCloseTo(600);
+  });
+
+  test('ageing moves everyone up a year and the oldest die', () => {
+    const { ages, deaths } = ageOneYear([5, 4, 3]);
+    expect(ages).toEqual([0, 5, 4]);
+    expect(deaths).toBe(3);
+  });
+
+  test('hunger lowers births and raises deaths', () => {
+    const ages = createAgeStructure(1000, config);
+    const fed = calculateCohortChange(ages, 1, config);
+    const starving = calculateCohortChange(ages, 0, config);
+    expect(starving.births).toBeCloseTo(fed.births * 0.1);
+    expect(starving.deaths).toBeCloseTo(fed.deaths * 2);
+    expect(fed.newPopulation).toBeCloseTo(1000 + fed.births - fed.deaths);
+  });
+
+  test('age bands group five years each', () => {
+    expect(ageBands([1, 1, 1, 1, 1, 2, 2])).toEqual([5, 4]);
+  });
+});
@@ -0,0 +1,106 @@
+/* ============================================================
+   Scenario Comparison (A/B)
+   ------------------------------------------------------------
+   A run can be pinned as scenario A. The run on screen is then
+   scenario B, and every change to the settings re-runs B only.
+
+   - Charts: A's series are merged into B's chart data as extra
+     fields ({field}A), together with the difference B - A
+     ({field}Diff), so one chart can overlay both or plot the gap
+   - Summary: the same outcome measures for both runs, with
+     the difference, plus the settings that differ
+
+   Entries are matched by index (day, or food timeline entry),
+   so runs of different lengths line up from day 0.
+   ============================================================ */
+
+import { measureRun } from './Sim_Batch';
+
+/**
+ * Merge a pinned run's series into the current chart data.
+ *
+ * The result is as long as the longer of the two; entries only A
+ * has get the x value from A and no B fields.
+ *
+ * @param {Array<Object>} current - Chart data of scenario B
+ * @param {Array<Object>} pinned - Same timeline of scenario A
+ * @param {string} xKey - Field holding the x value (e.g. 'dayIndex', 'x')
+ * @param {Array<string>} fields - Fields to compare (e.g. ['temperature'])
+ * @returns {Array<Object>} Entries with {field}A and {field}Diff added
+ */
+export function mergeComparison(current, pinned, xKey, fields) {
+  const length = Math.max(current.length, pinned.length);
+  const merged = [];
+
+  for (let index = 0; index < length; index++) {
+    const entryB = current[index];
+    const entryA = pinned[index];
+    const entry = entryB ? { ...entryB } : { [xKey]: entryA[xKey] };
+
+    fields.forEach(field => {
+      const valueA = entryA?.[field];
+      const valueB = entryB?.[field];
+      entry[`${field}A`] = valueA ?? null;
+      entry[`${field}Diff`] = valueA !== undefined && valueB !== undefined
+        ? Math.round((valueB - valueA) * 10) / 10
+        : null;
+    });
+    merged.push(entry);
+  }
+  return merged;
+}
+
+/**
+ * Outcome measures shown in the comparison table.
+ *
+ * Structure:
+ * - key: Field of summarizeRun()
+ * - name: Row label
+ * - unit: Unit shown after the value
+ */
+export const COMPARISON_ROWS = [
+  { key: 'meanTemperature', name: 'Mean Temperature', unit: '°F' },
+  { key: 'totalGrowth', name: 'Total Food Grown', unit: 'units' },
+  { key: 'finalFood', name: 'Final Food Stock', unit: 'units' },
+  { key: 'famineDays', name: 'Famine Days', unit: 'days' },
+  { key: 'peakPopulation', name: 'Peak Population', unit: 'beings' },
+  { key: 'finalPopulation', name: 'Final Population', unit: 'beings' },
+  { key: 'totalBirths', name: 'Total Births', unit: 'beings' },
+  { key: 'totalDeaths', name: 'Total Deaths', unit: 'beings' }
+];
+
+/**
+ * Summary measures of one run for the comparison table.
+ *
+ * @param {{temperatureData: Array<Object>, foodData: Array<Object>, populationData: Array<Object>}} run - Run timelines
+ * @returns {Object} One number per COMPARISON_ROWS key
+ */
+export function summarizeRun({ temperatureData, foodData, populationData }) {
+  const sum = (list, read) => list.reduce((total, entry) => total + (read(entry) ?? 0), 0);
+  const outcome = measureRun({ populationData, foodData });
+
+  return {
+    meanTemperature: sum(temperatureData, day => day.temperature) / Math.max(1, temperatureData.length),
+    totalGrowth: sum(foodData, entry => (entry.phase === 'growth' ? entry.growth : 0)),
+    finalFood: outcome.finalFood,
+    famineDays: outcome.famineDays,
+    peakPopulation: outcome.peakPopulation,
+    finalPopulation: outcome.finalPopulation,
+    totalBirths: sum(populationData, day => day.births),
+    totalDeaths: sum(populationData, day => day.deaths)
+  };
+}
+
+/**
+ * Settings that differ between two configs.
+ *
+ * @param {Object} configA - Config of scenario A
+ * @param {Object} configB - Config of scenario B
+ * @returns {Array<{field: string, a: *, b: *}>} One entry per differing field, in config order
+ */
+export function diffConfigs(configA, configB) {
+  const fields = [...new Set([...Object.keys(configA), ...Object.keys(configB)])];
+  return fields
+    .filter(field => JSON.stringify(configA[field]) !== JSON.stringify(configB[field]))
+    .map(field => ({ field, a: configA[field], b: configB[field] }));
+}
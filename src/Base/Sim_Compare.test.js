@@ -0,0 +1,52 @@
+import { COMPARISON_ROWS, diffConfigs, mergeComparison, summarizeRun } from './Sim_Compare';
+import { DEFAULT_CONFIG, runSimulation } from './Sim_Engine';
+
+describe('diffConfigs', () => {
+  test('lists only the settings that differ, in config order', () => {
+    const configA = { yearCount: 5, baseBirthRate: 0.01, seasons: [{ name: 'Spring' }] };
+    const configB = { yearCount: 5, baseBirthRate: 0.02, seasons: [{ name: 'Summer' }] };
+    expect(diffConfigs(configA, configB)).toEqual([
+      { field: 'baseBirthRate', a: 0.01, b: 0.02 },
+      { field: 'seasons', a: [{ name: 'Spring' }], b: [{ name: 'Summer' }] }
+    ]);
+  });
+
+  test('equal nested values are not a difference', () => {
+    expect(diffConfigs({ crops: [{ name: 'Wheat' }] }, { crops: [{ name: 'Wheat' }] })).toEqual([]);
+  });
+
+  test('a field only one side has is a difference', () => {
+    expect(diffConfigs({ yearCount: 5 }, { yearCount: 5, seed: 3 })).toEqual([{ field: 'seed', a: undefined, b: 3 }]);
+  });
+});
+
+describe('mergeComparison', () => {
+  test('adds the pinned value and the difference B - A', () => {
+    const current = [{ x: 0, food: 12.34 }, { x: 1, food: 10 }];
+    const pinned = [{ x: 0, food: 10 }, { x: 1, food: 15 }];
+    expect(mergeComparison(current, pinned, 'x', ['food'])).toEqual([
+      { x: 0, food: 12.34, foodA: 10, foodDiff: 2.3 },
+      { x: 1, food: 10, foodA: 15, foodDiff: -5 }
+    ]);
+  });
+
+  test('runs of different lengths line up from the start', () => {
+    const longer = mergeComparison([{ x: 0, food: 1 }], [{ x: 0, food: 1 }, { x: 1, food: 2 }], 'x', ['food']);
+    expect(longer[1]).toEqual({ x: 1, foodA: 2, foodDiff: null });
+
+    const shorter = mergeComparison([{ x: 0, food: 1 }, { x: 1, food: 2 }], [{ x: 0, food: 1 }], 'x', ['food']);
+    expect(shorter[1]).toEqual({ x: 1, food: 2, foodA: null, foodDiff: null });
+  });
+});
+
+describe('summarizeRun', () => {
+  test('gives a number for every comparison row', () => {
+    const summary = summarizeRun(runSimulation({ ...DEFAULT_CONFIG, yearCount: 1 }, 8));
+    COMPARISON_ROWS.forEach(row => expect(Number.isFinite(summary[row.key])).toBe(true));
+  });
+
+  test('an empty run has no outcomes instead of crashing', () => {
+    const summary = summarizeRun({ temperatureData: [], foodData: [], populationData: [] });
+    ['finalFood', 'famineDays', 'peakPopulation', 'finalPopulation'].forEach(key => expect(summary[key]).toBeNaN());
+  });
+});
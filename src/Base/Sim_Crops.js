@@ -0,0 +1,123 @@
+/* ============================================================
+   Crop Lifecycles: Sowing, Growing Degree Days & Harvest
+   ------------------------------------------------------------
+   With planting & harvest cycles switched on, crops no longer
+   add food to the stockpile every day. Each crop in the
+   portfolio goes through its own lifecycle:
+
+   1. Sowing:  allowed during the crop's sowing season once the
+               day is warm enough (temperature ≥ baseTemp)
+   2. Growing: the day's yield (from calculateGrowth) builds up
+               in the field; growing degree days (GDD) accumulate
+               as max(0, temperature - baseTemp)
+   3. Harvest: when GDD reaches maturityGDD, everything in the
+               field arrives in the stockpile at once
+   4. Frost:   at or below frostKillTemp a standing crop dies
+               and its yield is lost
+
+   After a harvest or frost kill the field is sown again on the
+   next eligible day, so long warm seasons fit several cycles.
+
+   Every lifecycle event is recorded as a plain object
+   {type, day, cropIndex} so charts and exports can mark it.
+   ============================================================ */
+
+/**
+ * Lifecycle event definitions.
+ *
+ * Structure:
+ * - name: Display name for UI
+ * - color: Chart marker color
+ */
+export const CROP_EVENT_TYPES = {
+  sow: { name: 'Sowing', color: '#27ae60' },
+  harvest: { name: 'Harvest', color: '#d35400' },
+  frost: { name: 'Frost Kill', color: '#2980b9' }
+};
+
+/**
+ * Sowing season value that allows sowing all year round.
+ */
+export const ANY_SEASON = 'Any';
+
+/**
+ * Create the field state of one crop at the start of a run (nothing planted).
+ *
+ * @returns {{growing: boolean, gdd: number, standing: number}}
+ *   growing: Whether the crop is in the ground
+ *   gdd: Growing degree days accumulated since sowing
+ *   standing: Food units growing in the field (not yet harvested)
+ */
+export function createCropState() {
+  return { growing: false, gdd: 0, standing: 0 };
+}
+
+/**
+ * Whether a crop can be sown on a given day.
+ *
+ * The sowing season matches the day's season, or the classic season it
+ * counts as, so crops sown in "Spring" also sow in a custom season
+ * that counts as Spring (see Sim_Seasons.js).
+ *
+ * @param {Object} crop - Crop parameters {sowingSeason, baseTemp, frostKillTemp}
+ * @param {{season: string, classicSeason: string, temperature: number}} day - Temperature timeline entry
+ * @returns {boolean} True if the day is in the sowing season and warm enough
+ */
+export function canSow(crop, day) {
+  const inSeason = crop.sowingSeason === ANY_SEASON ||
+    crop.sowingSeason === day.season ||
+    crop.sowingSeason === day.classicSeason;
+  return inSeason && day.temperature >= crop.baseTemp && day.temperature > crop.frostKillTemp;
+}
+
+/**
+ * Advance one crop's lifecycle by one day.
+ *
+ * Mutates state in place (one state object per crop per run).
+ *
+ * @param {Object} state - Field state from createCropState()
+ * @param {Object} crop - Crop parameters {sowingSeason, baseTemp, maturityGDD, frostKillTemp}
+ * @param {{season: string, temperature: number}} day - Temperature timeline entry
+ * @param {number} dailyYield - What the crop would produce today (see calculatePortfolioGrowth)
+ * @returns {{harvest: number, events: Array<string>}} Food reaching the stockpile today,
+ *   and the lifecycle event types that happened today (see CROP_EVENT_TYPES)
+ */
+export function advanceCropCycle(state, crop, day, dailyYield) {
+  const events = [];
+
+  // === STEP 1: Sowing ===
+  if (!state.growing) {
+    if (!canSow(crop, day)) return { harvest: 0, events };
+
+    state.growing = true;
+    state.gdd = 0;
+    state.standing = 0;
+    events.push('sow');
+  }
+
+  // === STEP 2: Frost kill ===
+  // The standing crop dies and everything in the field is lost
+  if (day.temperature <= crop.frostKillTemp) {
+    state.growing = false;
+    state.gdd = 0;
+    state.standing = 0;
+    events.push('frost');
+    return { harvest: 0, events };
+  }
+
+  // === STEP 3: Growing ===
+  state.standing += dailyYield;
+  state.gdd += Math.max(0, day.temperature - crop.baseTemp);
+
+  // === STEP 4: Harvest at maturity ===
+  if (state.gdd >= crop.maturityGDD) {
+    const harvest = state.standing;
+    state.growing = false;
+    state.gdd = 0;
+    state.standing = 0;
+    events.push('harvest');
+    return { harvest, events };
+  }
+
+  return { harvest: 0, events };
+}
@@ -0,0 +1,57 @@
+import { advanceCropCycle, ANY_SEASON, canSow, createCropState } from './Sim_Crops';
+
+const WHEAT = { sowingSeason: 'Spring', baseTemp: 40, maturityGDD: 100, frostKillTemp: 28 };
+
+const day = (season, temperature) => ({ season, classicSeason: season, temperature });
+
+describe('canSow', () => {
+  test('needs the sowing season and a warm enough day', () => {
+    expect(canSow(WHEAT, day('Spring', 50))).toBe(true);
+    expect(canSow(WHEAT, day('Summer', 50))).toBe(false);
+    expect(canSow(WHEAT, day('Spring', 35))).toBe(false);
+  });
+
+  test('"Any" sows in every season', () => {
+    const crop = { ...WHEAT, sowingSeason: ANY_SEASON };
+    ['Winter', 'Spring', 'Summer', 'Fall'].forEach(season => expect(canSow(crop, day(season, 50))).toBe(true));
+  });
+});
+
+describe('advanceCropCycle', () => {
+  test('harvests everything in the field once degree days reach maturity', () => {
+    const state = createCropState();
+    // 60°F adds 20 GDD a day: sown day 1, mature on day 5
+    const results = Array.from({ length: 5 }, () => advanceCropCycle(state, WHEAT, day('Spring', 60), 3));
+
+    expect(results[0].events).toEqual(['sow']);
+    results.slice(0, 4).forEach(result => expect(result.harvest).toBe(0));
+    expect(results[4]).toEqual({ harvest: 15, events: ['harvest'] });
+    expect(state).toEqual(createCropState());
+  });
+
+  test('cold days below the base temperature add no degree days', () => {
+    const state = createCropState();
+    advanceCropCycle(state, WHEAT, day('Spring', 60), 1);
+    advanceCropCycle(state, WHEAT, day('Spring', 35), 1);
+    expect(state.gdd).toBe(20);
+    expect(state.standing).toBe(2);
+  });
+
+  test('frost kills the standing crop and loses its yield', () => {
+    const state = createCropState();
+    advanceCropCycle(state, WHEAT, day('Spring', 60), 4);
+    advanceCropCycle(state, WHEAT, day('Spring', 60), 4);
+    const result = advanceCropCycle(state, WHEAT, day('Spring', 28), 4);
+
+    expect(result).toEqual({ harvest: 0, events: ['frost'] });
+    expect(state).toEqual(createCropState());
+  });
+
+  test('the field is sown again on the next eligible day', () => {
+    const state = createCropState();
+    advanceCropCycle(state, WHEAT, day('Spring', 60), 1);
+    advanceCropCycle(state, WHEAT, day('Spring', 20), 1);
+    expect(advanceCropCycle(state, WHEAT, day('Summer', 60), 1).events).toEqual([]);
+    expect(advanceCropCycle(state, WHEAT, day('Spring', 60), 1).events).toEqual(['sow']);
+  });
+});
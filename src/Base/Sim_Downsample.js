@@ -0,0 +1,237 @@
+/* ============================================================
+   Chart Downsampling & Culling
+   ------------------------------------------------------------
+   A chart can't show more points than it has pixels, but every
+   point still costs an SVG node. Multi-decade runs have tens of
+   thousands of days, so before drawing:
+
+   - Series are cut to the visible day range (one point of
+     padding each side, so lines reach the edges), then reduced
+     to about one point per pixel:
+       · LTTB (Largest-Triangle-Three-Buckets) for smooth lines:
+         keeps the points that best preserve the line's shape
+       · Min/max for jagged series (the food sawtooth, rainfall
+         bars): keeps each bucket's lowest and highest point, so
+         peaks and troughs survive
+     Ranges shorter than the pixel budget are drawn at full
+     resolution, so zooming in shows every day.
+   - Shaded areas (seasons, events, drought spans) are cut to the
+     visible range, merged with the next area of the same kind
+     when the gap between them is under a pixel, and dropped
+     when narrower than a minimum width.
+   - Marker lines are cut to the visible range and thinned to one
+     per kind per pixel.
+
+   Whole entries are kept, so every field of a kept point
+   (comparison fields, batch bands) stays in step.
+   ============================================================ */
+
+/**
+ * Points kept per pixel of chart width.
+ */
+export const POINTS_PER_PIXEL = 1;
+
+/**
+ * Narrowest season shading worth drawing (pixels).
+ * Thinner stripes turn into noise, so the shading is left out.
+ */
+export const MIN_SEASON_PIXELS = 3;
+
+/**
+ * Read a y value by field name or accessor function.
+ *
+ * @param {string|Function} y - Field name or (entry) → number
+ * @returns {Function} (entry) → number (missing values read as 0)
+ */
+function accessor(y) {
+  return typeof y === 'function'
+    ? entry => Number(y(entry)) || 0
+    : entry => Number(entry[y]) || 0;
+}
+
+/**
+ * Entries inside a day range, plus the nearest entry outside each end.
+ *
+ * @param {Array<Object>} data - Entries sorted by x
+ * @param {string} xKey - Field holding the x value
+ * @param {Array<number>} range - [start, end] in x units
+ * @returns {Array<Object>} Visible slice
+ */
+export function sliceToRange(data, xKey, [start, end]) {
+  let first = 0;
+  while (first < data.length && data[first][xKey] < start) first++;
+  let last = data.length - 1;
+  while (last >= 0 && data[last][xKey] > end) last--;
+  return data.slice(Math.max(0, first - 1), Math.min(data.length, last + 2));
+}
+
+/**
+ * Largest-Triangle-Three-Buckets downsampling.
+ *
+ * The first and last points are always kept; every bucket in
+ * between keeps the point forming the largest triangle with the
+ * point kept before it and the average of the next bucket.
+ *
+ * @param {Array<Object>} data - Entries sorted by x
+ * @param {number} threshold - Number of points to keep (at least 3)
+ * @param {string} xKey - Field holding the x value
+ * @param {string|Function} y - Field name or accessor for the y value
+ * @returns {Array<Object>} Kept entries, in order
+ */
+export function lttb(data, threshold, xKey, y) {
+  if (threshold >= data.length || threshold < 3) return data;
+  const yOf = accessor(y);
+  const xOf = entry => entry[xKey];
+
+  const sampled = [data[0]];
+  const bucketSize = (data.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket (the third corner of the triangle)
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, data.length);
+    let averageX = 0;
+    let averageY = 0;
+    for (let index = nextStart; index < nextEnd; index++) {
+      averageX += xOf(data[index]);
+      averageY += yOf(data[index]);
+    }
+    const nextCount = Math.max(1, nextEnd - nextStart);
+    averageX /= nextCount;
+    averageY /= nextCount;
+
+    // Point of this bucket with the largest triangle
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    const previousX = xOf(data[previous]);
+    const previousY = yOf(data[previous]);
+    let largest = -1;
+    let chosen = start;
+    for (let index = start; index < end; index++) {
+      const area = Math.abs(
+        (previousX - averageX) * (yOf(data[index]) - previousY) -
+        (previousX - xOf(data[index])) * (averageY - previousY)
+      );
+      if (area > largest) {
+        largest = area;
+        chosen = index;
+      }
+    }
+
+    sampled.push(data[chosen]);
+    previous = chosen;
+  }
+
+  sampled.push(data[data.length - 1]);
+  return sampled;
+}
+
+/**
+ * Min/max downsampling: each bucket keeps its lowest and highest point.
+ *
+ * @param {Array<Object>} data - Entries sorted by x
+ * @param {number} threshold - Roughly the number of points to keep (two per bucket)
+ * @param {string|Function} y - Field name or accessor for the y value
+ * @returns {Array<Object>} Kept entries, in order
+ */
+export function minMaxDownsample(data, threshold, y) {
+  if (threshold >= data.length || threshold < 4) return data;
+  const yOf = accessor(y);
+  const bucketSize = Math.ceil(data.length / Math.floor(threshold / 2));
+
+  const sampled = [];
+  for (let start = 0; start < data.length; start += bucketSize) {
+    const end = Math.min(start + bucketSize, data.length);
+    let low = start;
+    let high = start;
+    for (let index = start + 1; index < end; index++) {
+      if (yOf(data[index]) < yOf(data[low])) low = index;
+      if (yOf(data[index]) > yOf(data[high])) high = index;
+    }
+    // Keep the pair in x order so the line doesn't double back
+    sampled.push(data[Math.min(low, high)]);
+    if (low !== high) sampled.push(data[Math.max(low, high)]);
+  }
+
+  // Keep the true end points so the line spans the whole range
+  if (sampled[0] !== data[0]) sampled.unshift(data[0]);
+  if (sampled[sampled.length - 1] !== data[data.length - 1]) sampled.push(data[data.length - 1]);
+  return sampled;
+}
+
+/**
+ * Cut a series to the visible range and reduce it to the chart's pixel budget.
+ *
+ * @param {Array<Object>} data - Entries sorted by x
+ * @param {Object} options
+ * @param {string} options.xKey - Field holding the x value
+ * @param {string|Function} options.y - Field or accessor the reduction preserves
+ * @param {number} options.width - Chart width in pixels
+ * @param {Array<number>} options.range - Visible [start, end] in x units
+ * @param {string} [options.method='lttb'] - 'lttb' (smooth lines) or 'minmax' (jagged series, bars)
+ * @returns {Array<Object>} Entries to draw
+ */
+export function downsampleSeries(data, { xKey, y, width, range, method = 'lttb' }) {
+  const visible = sliceToRange(data, xKey, range);
+  const threshold = Math.max(3, Math.round(width * POINTS_PER_PIXEL));
+  return method === 'minmax'
+    ? minMaxDownsample(visible, threshold, y)
+    : lttb(visible, threshold, xKey, y);
+}
+
+/**
+ * Cut shaded areas to the visible range, merge neighbours of the same
+ * kind less than a pixel apart, and drop the ones too thin to see.
+ *
+ * @param {Array<{x1: number, x2: number, kind: string}>} areas - Areas sorted by x1
+ * @param {Object} options
+ * @param {number} options.width - Chart width in pixels
+ * @param {Array<number>} options.range - Visible [start, end] in x units
+ * @param {number} [options.minPixels=0] - Narrowest area kept (pixels)
+ * @returns {Array<{x1: number, x2: number, kind: string}>} Areas to draw (other fields of the
+ *   first area of each merged group are kept)
+ */
+export function cullAreas(areas, { width, range: [start, end], minPixels = 0 }) {
+  const unitsPerPixel = (end - start) / Math.max(1, width);
+  const merged = [];
+
+  areas.forEach(area => {
+    if (area.x2 <= start || area.x1 >= end) return;
+    const clipped = { ...area, x1: Math.max(start, area.x1), x2: Math.min(end, area.x2) };
+
+    const last = merged[merged.length - 1];
+    if (last && last.kind === clipped.kind && clipped.x1 - last.x2 < unitsPerPixel) {
+      last.x2 = Math.max(last.x2, clipped.x2);
+    } else {
+      merged.push(clipped);
+    }
+  });
+
+  return merged.filter(area => (area.x2 - area.x1) / unitsPerPixel >= minPixels);
+}
+
+/**
+ * Cut marker lines to the visible range and keep one per kind per pixel.
+ *
+ * @param {Array<Object>} markers - Markers with an x field
+ * @param {Object} options
+ * @param {string} options.xKey - Field holding the x value
+ * @param {Function} options.kindOf - (marker) → kind; markers of different kinds never hide each other
+ * @param {number} options.width - Chart width in pixels
+ * @param {Array<number>} options.range - Visible [start, end] in x units
+ * @returns {Array<Object>} Markers to draw
+ */
+export function cullMarkers(markers, { xKey, kindOf, width, range: [start, end] }) {
+  const unitsPerPixel = (end - start) / Math.max(1, width);
+  const taken = new Set();
+
+  return markers.filter(marker => {
+    const x = marker[xKey];
+    if (x < start || x > end) return false;
+    const slot = `${kindOf(marker)}:${Math.floor((x - start) / unitsPerPixel)}`;
+    if (taken.has(slot)) return false;
+    taken.add(slot);
+    return true;
+  });
+}
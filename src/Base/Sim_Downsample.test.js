@@ -0,0 +1,50 @@
+import { downsampleSeries, lttb, minMaxDownsample } from './Sim_Downsample';
+
+const series = (length, y) => Array.from({ length }, (_, x) => ({ x, y: y(x) }));
+
+describe('LTTB downsampling', () => {
+  test('keeps the end points and the requested number of points', () => {
+    const data = series(1000, x => Math.sin(x / 20));
+    const sampled = lttb(data, 100, 'x', 'y');
+    expect(sampled).toHaveLength(100);
+    expect(sampled[0]).toBe(data[0]);
+    expect(sampled[99]).toBe(data[999]);
+  });
+
+  test('keeps a lone spike', () => {
+    const data = series(1000, x => (x === 500 ? 100 : 0));
+    expect(lttb(data, 50, 'x', 'y')).toContain(data[500]);
+  });
+
+  test('short series are returned as they are', () => {
+    const data = series(10, x => x);
+    expect(lttb(data, 100, 'x', 'y')).toBe(data);
+  });
+});
+
+describe('min/max downsampling', () => {
+  test('keeps every bucket\'s lowest and highest point, in x order', () => {
+    const data = series(1000, x => (x % 2 === 0 ? x : -x));
+    const sampled = minMaxDownsample(data, 100, 'y');
+    expect(sampled.length).toBeLessThanOrEqual(102);
+    expect(sampled).toContain(data[998]);
+    expect(sampled).toContain(data[999]);
+    expect(sampled.map(entry => entry.x)).toEqual([...sampled.map(entry => entry.x)].sort((a, b) => a - b));
+  });
+
+  test('keeps the true end points', () => {
+    const data = series(1000, x => x % 7);
+    const sampled = minMaxDownsample(data, 20, 'y');
+    expect(sampled[0]).toBe(data[0]);
+    expect(sampled[sampled.length - 1]).toBe(data[999]);
+  });
+});
+
+describe('downsampleSeries', () => {
+  test('cuts to the visible range before reducing', () => {
+    const data = series(1000, x => x);
+    const points = downsampleSeries(data, { xKey: 'x', y: 'y', width: 1000, range: [100, 199] });
+    expect(points[0].x).toBe(99);
+    expect(points[points.length - 1].x).toBe(200);
+  });
+});
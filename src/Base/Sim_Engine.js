@@ -0,0 +1,991 @@
+/* ============================================================
+   Simulation Engine
+   ------------------------------------------------------------
+   Framework-free core of the climate → food → population model.
+   Everything in this file is plain JavaScript with no React or
+   DOM dependencies, so it can be:
+   - Called from any of the simulation components (Base, Disease, Weather)
+   - Run headless (Node scripts, tests, workers)
+   - Reused by future tools that need the raw series
+
+   Entry point:
+   - runSimulation(config, seed, layers, onProgress) → { temperatureData, foodData, populationData, events, cropEvents }
+
+   The remaining exports are the individual model functions, shared
+   so the UI can draw explanatory charts (growth curves, factors)
+   from exactly the same formulas the simulation uses.
+   ============================================================ */
+
+import { createRng, randomNormal } from './Sim_Random';
+import { climateMean, generateExtremeEvents } from './Sim_Events';
+import { advanceCropCycle, createCropState } from './Sim_Crops';
+import { CLASSIC_SEASONS, classicSeasonOf, hasSeasonList } from './Sim_Seasons';
+import { extremeScale, trendOffset } from './Sim_Climate';
+import {
+  ageBands,
+  ageOneYear,
+  calculateCohortChange,
+  cohortTotals,
+  createAgeStructure,
+  scaleAgeStructure
+} from './Sim_Cohorts';
+import {
+  createStocks,
+  enforceCapacity,
+  granaryCapacity,
+  spoilStocks,
+  totalStock,
+  withdrawStocks
+} from './Sim_Storage';
+
+/* ============================================================
+   MODEL CONSTANTS
+   ============================================================ */
+
+/**
+ * Day-to-day persistence of the weather noise (0 = white noise, 1 = frozen).
+ */
+const NOISE_PERSISTENCE = 0.85;
+
+/**
+ * Standard deviation of the daily random kick added to the weather noise (°F).
+ */
+const NOISE_KICK = 1.5;
+
+/**
+ * Days between progress reports while a run computes (see runSimulation's onProgress).
+ */
+const PROGRESS_INTERVAL = 30;
+
+/* ============================================================
+   DEFAULT CONFIGURATION
+   ============================================================ */
+
+/**
+ * Default simulation parameters.
+ * Used as the initial activeConfig of the simulation components and
+ * as the fallback for any field missing from a config passed in.
+ */
+export const DEFAULT_CONFIG = {
+  // Time settings
+  yearCount: 1,                    // Number of years to simulate
+  startingSeason: 'Spring',        // Which season day 0 begins in
+
+  // Season lengths (must sum to 365)
+  winterLength: 90,
+  springLength: 92,
+  summerLength: 92,
+  fallLength: 91,
+
+  // Season temperature profiles
+  winterMean: 15,
+  winterAmp: 10,
+  springMean: 65,
+  springAmp: 12,
+  summerMean: 90,
+  summerAmp: 10,
+  fallMean: 55,
+  fallAmp: 12,
+
+  // Custom season list (empty = the four seasons above, see Sim_Seasons.js)
+  // Entries: {name, length, mean, amp, color, classicSeason}, in calendar order
+  seasonList: [],
+
+  // Extreme events (see Sim_Events.js)
+  heatWaveReturnPeriod: 60,        // Avg days between heat waves on warm days (0 = off)
+  heatWaveDuration: 5,             // Avg heat wave length (days)
+  heatWaveIntensity: 10,           // Avg peak anomaly (°F)
+  coldSnapReturnPeriod: 60,        // Avg days between cold snaps on cold days (0 = off)
+  coldSnapDuration: 4,
+  coldSnapIntensity: 10,
+  blizzardReturnPeriod: 45,        // Avg days between blizzards below freezing (0 = off)
+  blizzardDuration: 3,
+  blizzardIntensity: 15,
+
+  // Climate change trend (see Sim_Climate.js)
+  climateTrend: 'none',            // 'none' | 'linear' | 'step' | 'custom'
+  trendPerDecade: 0.5,             // Linear: °F per 10 years (negative = cooling)
+  trendStepYear: 10,               // Step: year the shift happens (years after day 0)
+  trendStepSize: 3,                // Step: size of the shift (°F)
+  trendCurve: [],                  // Custom: [{year, offset}] points, joined by straight lines
+  extremeGrowthPerDecade: 0,       // Extreme events this % more frequent and intense every 10 years
+
+  // Crop characteristics
+  optimalTemp: 65,                 // Best growing temperature (°F)
+  tolerance: 18,                   // Temperature tolerance (σ)
+  maxGrowth: 1000,                 // Peak daily production
+  minGrowth: 100,                  // Minimum daily production
+  spoilageRate: 0.002,             // Fraction of the stored crop that spoils per day
+
+  // Crop lifecycle (see Sim_Crops.js)
+  cropCycles: false,               // Planting & harvest cycles (false = food every day)
+  sowingSeason: 'Spring',          // Season when sowing is allowed ('Any' = all year)
+  baseTemp: 45,                    // No development below this; also minimum sowing temperature (°F)
+  maturityGDD: 1800,               // Growing degree days (°F) from sowing to harvest
+  frostKillTemp: 28,               // A standing crop dies at or below this (°F)
+
+  // Crop portfolio (empty = the single crop above on all farmland)
+  // Entries: {preset, name, share, optimalTemp, tolerance, maxGrowth, minGrowth,
+  //           sowingSeason, baseTemp, maturityGDD, frostKillTemp, spoilageRate}
+  // share is the percentage of farmland; shares are scaled to sum to 100%
+  crops: [],
+
+  // Food economy
+  startingFood: 10000,             // Initial food stockpile
+  foodPerPerson: 1,                // Daily food consumption per person
+
+  // Food storage (see Sim_Storage.js)
+  granaryDays: 365,                // Granary holds this many days of food for the population
+  temperatureSpoilage: false,      // Spoil faster when warm, slower when cold
+  spoilageDoublingTemp: 18,        // °F above 50°F that doubles the spoilage rate
+
+  // Population settings
+  startingPopulation: 1000,        // Initial population
+  baseBirthRate: 0.01,            // 1% birth rate at full food
+  baseDeathRate: 0.008,           // 0.8% death rate at full food
+
+  // Age structure (see Sim_Cohorts.js)
+  ageStructure: false,             // Children / adults / elderly (false = one population number)
+  adultAge: 15,                    // Age children become working adults (years)
+  elderAge: 60,                    // Age adults become elderly (years)
+  maxAge: 90,                      // Nobody lives past this age (years)
+  startingChildShare: 0.3,         // Share of the starting population that are children
+  startingElderlyShare: 0.1,       // Share of the starting population that are elderly
+  adultFertility: 0.12,            // Births per adult per year at full food
+  childMortality: 0.02,            // Yearly death rates at full food (doubled when starving)
+  adultMortality: 0.01,
+  elderlyMortality: 0.08,
+};
+
+/* ============================================================
+   CONFIGURATION HELPERS
+   ============================================================ */
+
+/**
+ * Build the ordered season definitions from a config: the custom
+ * season list when there is one, else the four classic seasons.
+ *
+ * @param {Object} config - Simulation config with {season}Length fields and seasonList
+ * @returns {Array<{name: string, length: number}>} Season definitions
+ */
+export function buildSeasons(config) {
+  if (hasSeasonList(config)) {
+    return config.seasonList.map(season => ({ name: season.name, length: season.length }));
+  }
+  return CLASSIC_SEASONS.map(name => ({ name, length: config[`${name.toLowerCase()}Length`] }));
+}
+
+/**
+ * Reorder seasons so the year starts with the chosen starting season.
+ *
+ * Example: startingSeason 'Summer' → [Summer, Fall, Winter, Spring]
+ *
+ * @param {Array<{name: string, length: number}>} seasons - Season definitions
+ * @param {string} startingSeason - Which season day 0 begins in
+ * @returns {Array<{name: string, length: number}>} Seasons in calendar order of the run
+ */
+export function orderSeasons(seasons, startingSeason) {
+  const startIndex = Math.max(0, seasons.findIndex(s => s.name === startingSeason));
+  return [
+    ...seasons.slice(startIndex),    // From starting season to end
+    ...seasons.slice(0, startIndex)  // From beginning to starting season
+  ];
+}
+
+/**
+ * Build the per-season temperature characteristics from a config
+ * (custom season list, else the classic {season}Mean/{season}Amp fields).
+ *
+ * @param {Object} config - Simulation config
+ * @returns {Object} Profiles keyed by season name {Winter: {mean, amp}, ...}
+ */
+export function buildSeasonProfiles(config) {
+  if (hasSeasonList(config)) {
+    return Object.fromEntries(config.seasonList.map(season => [season.name, { mean: season.mean, amp: season.amp }]));
+  }
+  return Object.fromEntries(CLASSIC_SEASONS.map(name => {
+    const prefix = name.toLowerCase();
+    return [name, { mean: config[`${prefix}Mean`], amp: config[`${prefix}Amp`] }];
+  }));
+}
+
+/**
+ * Extract the crop growth and lifecycle parameters from a flat config.
+ *
+ * @param {Object} config - Simulation config
+ * @returns {{optimalTemp: number, tolerance: number, maxGrowth: number, minGrowth: number,
+ *   sowingSeason: string, baseTemp: number, maturityGDD: number, frostKillTemp: number,
+ *   spoilageRate: number}}
+ */
+export function buildCropConfig(config) {
+  return {
+    optimalTemp: config.optimalTemp,
+    tolerance: config.tolerance,
+    maxGrowth: config.maxGrowth,
+    minGrowth: config.minGrowth,
+    sowingSeason: config.sowingSeason,
+    baseTemp: config.baseTemp,
+    maturityGDD: config.maturityGDD,
+    frostKillTemp: config.frostKillTemp,
+    spoilageRate: config.spoilageRate
+  };
+}
+
+/**
+ * Build the crop portfolio planted on the farmland.
+ *
+ * Shares are normalized to fractions that sum to 1, so entries
+ * don't have to add up to exactly 100%. An empty portfolio (or one
+ * with no positive share) plants the config's single crop everywhere.
+ * Lifecycle and spoilage fields missing from a portfolio entry fall
+ * back to the config's single-crop values.
+ *
+ * @param {Object} config - Simulation config with optional crops array
+ * @returns {Array<Object>} One entry per crop: name, share as a fraction
+ *   of farmland (0-1), and the crop parameters of buildCropConfig()
+ */
+export function buildCropPortfolio(config) {
+  const crops = config.crops ?? [];
+  const totalShare = crops.reduce((sum, crop) => sum + Math.max(0, crop.share), 0);
+
+  if (totalShare <= 0) {
+    return [{ name: 'Crop', share: 1, ...buildCropConfig(config) }];
+  }
+
+  const fallback = buildCropConfig(config);
+
+  return crops.map(crop => ({
+    name: crop.name,
+    share: Math.max(0, crop.share) / totalShare,
+    optimalTemp: crop.optimalTemp,
+    tolerance: crop.tolerance,
+    maxGrowth: crop.maxGrowth,
+    minGrowth: crop.minGrowth,
+    sowingSeason: crop.sowingSeason ?? fallback.sowingSeason,
+    baseTemp: crop.baseTemp ?? fallback.baseTemp,
+    maturityGDD: crop.maturityGDD ?? fallback.maturityGDD,
+    frostKillTemp: crop.frostKillTemp ?? fallback.frostKillTemp,
+    spoilageRate: crop.spoilageRate ?? fallback.spoilageRate
+  }));
+}
+
+/* ============================================================
+   HELPER FUNCTIONS - SEASON LOGIC
+   ============================================================ */
+
+/**
+ * Determine which season a given day falls into.
+ * 
+ * The year is divided into seasons based on configured lengths.
+ * Each season tracks its own progress (0 to 1) for smooth transitions.
+ * 
+ * @param {number} dayOfYear - Day index within the year (0-364)
+ * @param {Array<{name: string, length: number}>} seasons - Season definitions
+ * @returns {{name: string, progress: number}} Season name and normalized progress (0-1)
+ * 
+ * Example:
+ * - dayOfYear = 45, seasons = [{Winter, 90}, {Spring, 92}, ...]
+ * - Returns: {name: 'Winter', progress: 0.5} (halfway through winter)
+ */
+export function getSeasonForDay(dayOfYear, seasons) {
+  let accumulated = 0; // Running total of days consumed by previous seasons
+
+  // Iterate through seasons in order
+  for (const season of seasons) {
+    // Check if this day falls within the current season's range
+    if (dayOfYear < accumulated + season.length) {
+      // Calculate how far through this season we are (0.0 to 1.0)
+      const progress = (dayOfYear - accumulated) / season.length;
+      
+      return {
+        name: season.name,
+        progress: progress
+      };
+    }
+    
+    // This season is complete, add its length to the accumulator
+    accumulated += season.length;
+  }
+
+  // Defensive fallback (should never occur if seasons sum to 365):
+  // days past the last season stay at its end
+  return { name: seasons[seasons.length - 1].name, progress: 1 };
+}
+
+/* ============================================================
+   HELPER FUNCTIONS - TEMPERATURE GENERATION
+   ============================================================ */
+
+/**
+ * Generate the smooth annual temperature baseline.
+ * 
+ * This is the "climate backbone" - a smooth curve that defines
+ * the expected temperature throughout the year. All other temperature
+ * effects (daily weather, noise, extremes) are layered on top.
+ * 
+ * Algorithm:
+ * 1. Reorder seasons starting from the user's chosen starting season
+ * 2. Calculate the midpoint day of each season
+ * 3. Find which two season midpoints the current day falls between
+ * 4. Interpolate between those two temperatures using cosine smoothing
+ * 5. Add small intra-seasonal variation based on season amplitude
+ * 
+ * Works for any number of seasons: with a single season the curve
+ * runs from its midpoint back to the same midpoint a year later.
+ * 
+ * @param {string} seasonName - Name of current season (not used, kept for future)
+ * @param {number} progress - Progress through current season 0-1 (used for intra-season variation)
+ * @param {number} dayOfYear - Day index within the year (0-364)
+ * @param {Object} seasonProfiles - Temperature characteristics per season {Winter: {mean, amp}, ...}
+ * @param {Array} seasons - Season definitions [{name, length}, ...]
+ * @param {string} startingSeason - Which season the year starts with
+ * @returns {number} Baseline temperature in °F
+ */
+export function seasonalBaseline(seasonName, progress, dayOfYear, seasonProfiles, seasons, startingSeason) {
+  // === STEP 1: Reorder seasons to start from user's chosen season ===
+  // Seasons from startingSeason onward, then wrap around
+  const orderedSeasons = orderSeasons(seasons, startingSeason);
+
+  // === STEP 2: Calculate midpoint of each season ===
+  const seasonMidpoints = [];
+  let cumulativeDays = 0; // Track total days as we go
+
+  for (let i = 0; i < orderedSeasons.length; i++) {
+    const season = orderedSeasons[i];
+    
+    // Midpoint is halfway through this season
+    const midpoint = cumulativeDays + season.length / 2;
+
+    seasonMidpoints.push({
+      name: season.name,
+      midpointDay: midpoint,
+      mean: seasonProfiles[season.name]?.mean ?? 50,  // Target temp
+      amp: seasonProfiles[season.name]?.amp ?? 0,     // Variation amount
+      length: season.length
+    });
+
+    cumulativeDays += season.length;
+  }
+
+  // === STEP 3: Find current position in year ===
+  const currentDayInYear = dayOfYear % 365;
+
+  // === STEP 4: Find the two closest season midpoints ===
+  // We'll interpolate between these two temperatures
+  let prevMidpoint = seasonMidpoints[seasonMidpoints.length - 1]; // Default to last
+  let nextMidpoint = seasonMidpoints[0];                           // Default to first
+
+  for (let i = 0; i < seasonMidpoints.length; i++) {
+    const curr = seasonMidpoints[i];
+    const next = seasonMidpoints[(i + 1) % seasonMidpoints.length]; // Wrap around
+
+    // Handle wrap-around case (last season to first season of next year)
+    if (i === seasonMidpoints.length - 1) {
+      if (currentDayInYear >= curr.midpointDay || currentDayInYear < next.midpointDay) {
+        prevMidpoint = curr;
+        nextMidpoint = next;
+        break;
+      }
+    } 
+    // Normal case: day falls between two consecutive midpoints
+    else {
+      if (currentDayInYear >= curr.midpointDay && currentDayInYear < next.midpointDay) {
+        prevMidpoint = curr;
+        nextMidpoint = next;
+        break;
+      }
+    }
+  }
+
+  // === STEP 5: Calculate distance between midpoints ===
+  // Measured forward in days, wrapping around the year boundary
+  // (e.g., from Fall to Winter of next year). A single season is
+  // its own next midpoint, a full year away.
+  const distanceFromPrev = (currentDayInYear - prevMidpoint.midpointDay + 365) % 365;
+  const totalDistance = (nextMidpoint.midpointDay - prevMidpoint.midpointDay + 365) % 365 || 365;
+
+  // === STEP 6: Interpolate between the two temperatures ===
+  // Normalize to 0-1 range
+  const progressBetweenMidpoints = distanceFromPrev / totalDistance;
+
+  // Use cosine interpolation for smooth, natural transitions
+  // This creates an S-curve that avoids sudden temperature changes
+  const smoothProgress = (1 - Math.cos(progressBetweenMidpoints * Math.PI)) / 2;
+  
+  // Calculate base temperature by blending the two season means
+  const baseTemp = prevMidpoint.mean + (nextMidpoint.mean - prevMidpoint.mean) * smoothProgress;
+
+  // === STEP 7: Add intra-seasonal variation ===
+  // Small temperature wiggle within the season based on its amplitude setting
+  const currentSeasonMidpoint = progressBetweenMidpoints < 0.5 ? prevMidpoint : nextMidpoint;
+  
+  // Use sine wave to create gentle mid-season temperature bump
+  // Factor of 0.3 keeps this subtle (not overwhelming the main curve)
+  const intraSeason = currentSeasonMidpoint.amp * Math.sin(progress * Math.PI) * 0.3;
+
+  return baseTemp + intraSeason;
+}
+
+/* ============================================================
+   HELPER FUNCTIONS - CROP & FOOD PRODUCTION
+   ============================================================ */
+
+export function calculateGrowthFactor(population) {
+  let populationFactor = 0;
+
+  // === Population scaling factor ===
+  // Small populations (< 1000) use baseline growth
+  // Larger populations expand farmland: +0.09x multiplier per 50 people
+  if (population <= 10000) {
+    populationFactor = population < 1000 ? 1 : (Math.floor(population / 50) * 0.1);
+  }
+  else {
+    populationFactor = 20; // Cap growth factor for very large populations
+  }
+  return populationFactor;
+}
+
+/**
+ * Calculate daily food production based on temperature and population.
+ * 
+ * Uses a Gaussian (bell curve) distribution centered on the crop's
+ * optimal temperature. Production scales with population size to
+ * simulate farmland expansion as civilization grows.
+ * 
+ * Formula:
+ * 1. Base growth = minGrowth + maxGrowth * bellCurve(temp)
+ * 2. Population factor = 1.0 for pop < 1000, increases by 0.09 per 50 people
+ * 3. Limiting factor = min(bellCurve, moistureFactor) (law of the minimum:
+ *    the scarcer of warmth and water sets the yield)
+ * 4. Final growth = minGrowth + (scaledMaxGrowth * limiting factor)
+ * 
+ * @param {number} temperature - Current day's temperature (°F)
+ * @param {Object} cropConfig - Crop parameters {optimalTemp, tolerance, maxGrowth, minGrowth}
+ * @param {number} population - Current population size
+ * @param {number} [moistureFactor=1] - Water availability 0-1 (1 = not limiting, see Weather module)
+ * @returns {number} Food units produced this day
+ */
+export function calculateGrowth(temperature, cropConfig, population, moistureFactor = 1) {
+  const { optimalTemp, tolerance, maxGrowth, minGrowth } = cropConfig;
+  
+  const populationFactor = calculateGrowthFactor(population);
+
+  const scaledMaxGrowth = maxGrowth * populationFactor;
+
+  // === Temperature optimality calculation ===
+  // How far from ideal temperature?
+  const deviation = temperature - optimalTemp;
+
+  // Gaussian bell curve: e^(-(x²)/(2σ²))
+  // - At optimal temp: bellCurve = 1.0 (maximum)
+  // - Far from optimal: bellCurve approaches 0
+  // - tolerance is standard deviation (σ)
+  const bellCurve = Math.exp(-(deviation ** 2) / (2 * tolerance ** 2));
+
+  // === Second limiting factor: soil moisture ===
+  // Perfect temperatures don't help a crop without water
+  const limitingFactor = Math.min(bellCurve, moistureFactor);
+
+  // === Final production ===
+  // Always produce at least minGrowth, even in terrible conditions
+  // Add scaled maximum production weighted by the limiting factor
+  return minGrowth + scaledMaxGrowth * limitingFactor;
+}
+
+/**
+ * Calculate basic crop growth without population scaling.
+ * 
+ * This is the "pure" growth curve used for visualization.
+ * Shows how temperature alone affects crop yields.
+ * 
+ * @param {number} temperature - Current temperature (°F)
+ * @param {Object} cropConfig - Crop parameters {optimalTemp, tolerance, maxGrowth, minGrowth}
+ * @returns {number} Base food units produced (no population factor)
+ */
+export function calculateBasicGrowth(temperature, cropConfig) {
+  const { optimalTemp, tolerance, maxGrowth, minGrowth } = cropConfig;
+  
+  // Distance from optimal temperature
+  const deviation = temperature - optimalTemp;
+  
+  // Gaussian bell curve
+  const bellCurve = Math.exp(-(deviation ** 2) / (2 * tolerance ** 2));
+  
+  return minGrowth + maxGrowth * bellCurve;
+}
+
+/**
+ * Calculate each crop's share of the day's food production.
+ *
+ * Every crop grows on its share of the farmland, so its output is
+ * share × calculateGrowth(). The day's total growth is the sum.
+ *
+ * @param {number} temperature - Current day's temperature (°F)
+ * @param {Array<Object>} portfolio - Output of buildCropPortfolio()
+ * @param {number} population - Current population size
+ * @param {number} [moistureFactor=1] - Water availability 0-1 (see calculateGrowth)
+ * @returns {Array<number>} Food units produced per crop, in portfolio order
+ */
+export function calculatePortfolioGrowth(temperature, portfolio, population, moistureFactor = 1) {
+  return portfolio.map(crop => crop.share * calculateGrowth(temperature, crop, population, moistureFactor));
+}
+
+/* ============================================================
+   HELPER FUNCTIONS - POPULATION DYNAMICS
+   ============================================================ */
+
+/**
+ * Calculate population change based on food availability.
+ * 
+ * Models birth and death rates that respond to food security:
+ * - Adequate food: Normal birth rate, low death rate
+ * - Food shortage: Reduced births, increased deaths
+ * - No food: Minimal births, doubled death rate
+ * 
+ * @param {number} population - Current population count
+ * @param {number} foodStock - Available food units
+ * @param {number} totalFoodNeeded - Food required to feed everyone
+ * @param {Object} config - Population parameters {baseBirthRate, baseDeathRate}
+ * @returns {{births: number, deaths: number, newPopulation: number}} Population change data
+ */
+export function calculatePopulationChange(population, foodStock, totalFoodNeeded, config) {
+  const { baseBirthRate, baseDeathRate } = config;
+  let birthRate = 0;
+
+  // === Food availability factor ===
+  // Range: 0.0 (no food) to 1.0 (adequate food)
+  // Capped at 1.0 so surplus food doesn't boost rates beyond baseline
+  // (nobody to feed counts as fed, so an empty population never divides 0 by 0)
+  const foodRatio = totalFoodNeeded > 0 ? Math.min(1, foodStock / totalFoodNeeded) : 1;
+
+  // === Adjust rates based on food security ===
+  // Birth rate: Scales linearly with food (no food = no births)
+  if(foodRatio === 0) {
+    birthRate = baseBirthRate * 0.1; // Minimal birth rate during crisis
+  } else {
+    birthRate = baseBirthRate * foodRatio; // Proportional to food availability
+  }
+
+  // Death rate: Inverted relationship (more food = fewer deaths)
+  // Formula: baseDeathRate * (2 - foodRatio)
+  // - foodRatio = 1.0: deathRate = baseDeathRate (normal)
+  // - foodRatio = 0.5: deathRate = 1.5 × baseDeathRate (elevated)
+  // - foodRatio = 0.0: deathRate = 2 × baseDeathRate (crisis)
+  const deathRate = baseDeathRate * (2 - foodRatio);
+
+  // === Calculate absolute numbers ===
+  const births = Math.floor(population * birthRate);
+  const deaths = Math.floor(population * deathRate);
+
+  // === Update population ===
+  // Cannot go below zero
+  const newPopulation = Math.max(0, population + births - deaths);
+
+  return { 
+    births, 
+    deaths, 
+    newPopulation 
+  };
+}
+
+/* ============================================================
+   SIMULATION RUNNERS
+   ============================================================ */
+
+/**
+ * Generate the complete temperature timeline.
+ *
+ * @param {Object} config - Simulation config (see DEFAULT_CONFIG)
+ * @param {number} seed - Integer simulation seed (see Sim_Random.js)
+ * @returns {{temperatureData: Array<Object>, events: Array<Object>}}
+ *   temperatureData has one entry per day: {dayIndex, year, dayOfYear, season, classicSeason, temperature,
+ *   trendMean, event} (trendMean: annual mean temperature plus the climate trend, see Sim_Climate.js);
+ *   events lists every extreme event (see Sim_Events.js)
+ */
+export function generateTemperatureSeries(config, seed) {
+  const totalDays = 365 * config.yearCount;
+  const seasons = buildSeasons(config);
+  const calendar = orderSeasons(seasons, config.startingSeason);
+  const seasonProfiles = buildSeasonProfiles(config);
+
+  // Independent seeded streams for each stochastic layer
+  const weatherRng = createRng(seed, 'weather');
+  const eventRng = createRng(seed, 'events');
+
+  /* ==============================
+     PASS 1: CALENDAR & BASELINE
+     ============================== */
+
+  // The event system needs the whole baseline up front to decide
+  // where heat waves, cold snaps and blizzards are possible
+  const days = [];
+
+  for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
+
+    // === Calculate temporal position ===
+    // Determine which year we're in (0-indexed)
+    // Example: day 400 → year 1 (400 ÷ 365 = 1.095... → floor = 1)
+    const year = Math.floor(dayIndex / 365);
+
+    // Determine position within the current year (0-364)
+    // Example: day 400 → dayOfYear 35 (400 % 365 = 35)
+    const dayOfYear = dayIndex % 365;
+
+    // === Determine current season ===
+    // Get which season this day falls into and how far through it we are,
+    // counting from the starting season (day 0 is its first day)
+    // Returns: {name: 'Spring', progress: 0.42} for example
+    const season = getSeasonForDay(dayOfYear, calendar);
+
+    // === TEMPERATURE LAYER 1: Seasonal Baseline ===
+    // This is the smooth annual temperature curve that defines the climate
+    // It creates the fundamental "shape" of the year's temperatures
+    // All other temperature effects are variations on top of this foundation
+    const base = seasonalBaseline(
+      season.name,              // Current season name (for reference)
+      season.progress,          // How far through the season (0-1)
+      dayOfYear,                // Day within the year
+      seasonProfiles,           // Temperature characteristics per season
+      seasons,                  // Season length definitions
+      config.startingSeason     // Which season starts the year
+    );
+
+    // === Climate trend ===
+    // Warming or cooling since day 0 shifts the whole baseline (see Sim_Climate.js)
+    const trend = trendOffset(config, dayIndex);
+
+    days.push({ year, dayOfYear, season: season.name, base: base + trend, trend });
+  }
+
+  /* ==============================
+     PASS 2: EXTREME EVENTS
+     ============================== */
+
+  // Multi-day heat waves, cold snaps and blizzards (see Sim_Events.js),
+  // growing more frequent and intense over time with the trend settings
+  const meanTemp = climateMean(seasons, seasonProfiles);
+  const { events, anomalies } = generateExtremeEvents(
+    days.map(d => d.base),
+    meanTemp,
+    config,
+    eventRng,
+    dayIndex => extremeScale(config, dayIndex)
+  );
+
+  // Look up which event (if any) covers each day
+  const eventByDay = new Array(totalDays).fill(null);
+  for (const event of events) {
+    for (let d = event.startDay; d <= event.endDay; d++) eventByDay[d] = event.type;
+  }
+
+  /* ==============================
+     PASS 3: COMBINE LAYERS
+     ============================== */
+
+  // Start the noise walk from its long-run distribution so day 0
+  // looks like any other day
+  const noiseSpread = NOISE_KICK / Math.sqrt(1 - NOISE_PERSISTENCE ** 2);
+  let noise = noiseSpread * randomNormal(weatherRng);
+
+  const temperatureData = [];
+
+  for (let dayIndex = 0; dayIndex < totalDays; dayIndex++) {
+    const { year, dayOfYear, season, base, trend } = days[dayIndex];
+
+    // === TEMPERATURE LAYER 2: Weekly Weather Patterns ===
+    // Simulates the passage of weather fronts (high/low pressure systems)
+    // Creates a 7-day cycle that adds ±2°F variation
+    // Formula breakdown:
+    // - (2 * Math.PI * dayIndex) / 7 creates a full sine wave cycle every 7 days
+    // - Multiplying by 2 gives amplitude of ±2°F
+    // This mimics real-world weekly weather patterns
+    const daily = 2 * Math.sin((2 * Math.PI * dayIndex) / 7);
+
+    // === TEMPERATURE LAYER 3: Weather Noise ===
+    // Adds natural-looking temperature variation at multiple time scales
+    // This prevents the weather from feeling too regular or predictable
+    //
+    // A smoothed random walk (AR(1) process): each day keeps most of
+    // yesterday's anomaly and adds a fresh seeded random kick.
+    // - Persistence keeps the curve smooth (warm spells last a few days)
+    // - Stationary spread is about ±3°F, similar to passing weather systems
+    noise = NOISE_PERSISTENCE * noise + NOISE_KICK * randomNormal(weatherRng);
+
+    // === TEMPERATURE LAYER 4: Extreme Weather Events ===
+    // Multi-day anomalies from PASS 2, 0 on ordinary days
+    const extreme = anomalies[dayIndex];
+
+    // === COMBINE ALL TEMPERATURE LAYERS ===
+    // Final temperature = baseline + daily weather + noise + extreme events
+    const temp = base + daily + noise + extreme;
+
+    // === SAFETY CHECK ===
+    // Ensure temperature is a valid number (not NaN or Infinity)
+    // If invalid, default to 0°F to prevent chart rendering issues
+    const safeTemp = Number.isFinite(temp) ? temp : 0;
+
+    temperatureData.push({
+      dayIndex,                                  // Absolute day number in simulation
+      year,                                      // Which year (for multi-year display)
+      dayOfYear,                                 // Day within year (for seasonal calculations)
+      season,                                    // Season name (for background shading)
+      classicSeason: classicSeasonOf(config, season), // Classic season it counts as (see Sim_Seasons.js)
+      temperature: Math.round(safeTemp * 10) / 10, // Round to 1 decimal place for readability
+      trendMean: Math.round((meanTemp + trend) * 100) / 100, // Annual mean with the climate trend (trend line)
+      event: eventByDay[dayIndex]                // Extreme event type, or null
+    });
+  }
+
+  return { temperatureData, events };
+}
+
+/**
+ * Simulate food production and population dynamics over a temperature timeline.
+ *
+ * @param {Object} config - Simulation config (see DEFAULT_CONFIG)
+ * @param {Array<Object>} temperatureData - Output of generateTemperatureSeries()
+ * @param {Array<Object>} [layers=[]] - Instantiated model layers (see runSimulation)
+ * @param {Function} [onProgress] - Called with the fraction of days done (0-1) every PROGRESS_INTERVAL days
+ * @returns {{foodData: Array<Object>, populationData: Array<Object>, cropEvents: Array<Object>}}
+ *   foodData has two entries per day (after growth at x = day, after
+ *   consumption at x = day + 0.5); populationData has one entry per day;
+ *   cropEvents lists sowing, harvest and frost kill days ({type, day, cropIndex}).
+ */
+export function simulateEconomy(config, temperatureData, layers = [], onProgress) {
+  const portfolio = buildCropPortfolio(config);
+
+  // Field state per crop, only used with planting & harvest cycles
+  const cropStates = portfolio.map(() => createCropState());
+  const cropEvents = [];
+
+  // Initialize arrays to store daily food and population records
+  const foodData = [];       // Will contain 2 entries per day (growth + consumption)
+  const populationData = []; // Will contain 1 entry per day (population count + changes)
+
+  // Initialize starting conditions from configuration
+  // The stockpile is kept per crop so each crop spoils at its own rate
+  const stocks = createStocks(portfolio, config.startingFood);
+  let currentFood = totalStock(stocks);              // Food stockpile in units
+  let currentPopulation = config.startingPopulation; // Starting population count
+
+  // People per year of age, only used with age structure
+  let ages = config.ageStructure ? createAgeStructure(currentPopulation, config) : null;
+
+  // Iterate through every day to simulate the economy
+  // This runs AFTER temperature generation so we can look up each day's temperature
+  for (let dayIndex = 0; dayIndex < temperatureData.length; dayIndex++) {
+    if (onProgress && dayIndex % PROGRESS_INTERVAL === 0) onProgress(dayIndex / temperatureData.length);
+
+    // === LOOK UP TODAY'S TEMPERATURE ===
+    const temp = temperatureData[dayIndex].temperature;
+
+    // === NEW YEAR: EVERYONE AGES ONE YEAR ===
+    // People already at the maximum age die of old age
+    let oldAgeDeaths = 0;
+    if (ages && dayIndex > 0 && dayIndex % 365 === 0) {
+      const aged = ageOneYear(ages);
+      ages = aged.ages;
+      oldAgeDeaths = aged.deaths;
+      currentPopulation -= oldAgeDeaths;
+    }
+
+    // With age structure only working adults farm
+    const cohorts = ages ? cohortTotals(ages, config) : null;
+    const workforce = cohorts ? cohorts.adults : currentPopulation;
+
+    // === CALCULATE FOOD PRODUCTION ===
+    // Crop growth depends on:
+    // 1. Temperature (bell curve centered on optimal temp)
+    // 2. Workforce size (more people = more farmland = more production)
+    // 3. Water, if a model layer limits it (e.g. Weather soil moisture)
+    // 4. Which crops are planted on what share of the farmland
+    const moistureFactor = layers.reduce(
+      (limit, layer) => (layer.growthLimit ? Math.min(limit, layer.growthLimit(dayIndex)) : limit),
+      1
+    );
+    const dailyYield = calculatePortfolioGrowth(temp, portfolio, workforce, moistureFactor);
+
+    // With planting & harvest cycles, the yield builds up in the fields
+    // and only reaches the stockpile on harvest days
+    const cropGrowth = !config.cropCycles ? dailyYield : portfolio.map((crop, cropIndex) => {
+      const { harvest, events } = advanceCropCycle(
+        cropStates[cropIndex], crop, temperatureData[dayIndex], dailyYield[cropIndex]
+      );
+      events.forEach(type => cropEvents.push({ type, day: dayIndex, cropIndex }));
+      return harvest;
+    });
+    const growth = cropGrowth.reduce((sum, amount) => sum + amount, 0);
+
+    // === OVERNIGHT: SPOILAGE ===
+    // Stored food rots at each crop's own rate (faster in heat, if enabled)
+    const spoiled = spoilStocks(stocks, portfolio, temp, config);
+
+    // === MORNING PHASE: HARVEST COMPLETES ===
+    // At dawn, the day's crop yield is added to the stockpile
+    cropGrowth.forEach((amount, cropIndex) => { stocks[cropIndex] += amount; });
+
+    // === GRANARY CAPACITY ===
+    // Storage grows with the population; whatever doesn't fit is lost.
+    // Once the population has died out nobody tends the granary, so the
+    // stocks are left as they are instead of being wiped by a 0 capacity
+    const capacity = granaryCapacity(currentPopulation, config);
+    const overflow = currentPopulation > 0 ? enforceCapacity(stocks, capacity) : 0;
+    currentFood = totalStock(stocks);
+
+    // === CALCULATE DAILY FOOD NEEDS ===
+    // Each person consumes foodPerPerson units per day
+    const totalFoodNeeded = currentPopulation * config.foodPerPerson;
+
+    // === CALCULATE POPULATION DYNAMICS ===
+    // Determine births and deaths based on food availability
+    // Well-fed populations grow, starving populations decline
+    // Nobody left to feed counts as fed (no 0 / 0 once the population dies out)
+    const foodRatio = totalFoodNeeded > 0 ? Math.min(1, currentFood / totalFoodNeeded) : 1;
+    let popChange;
+
+    if (ages) {
+      // Age structure: adults give birth, deaths depend on age
+      const cohortChange = calculateCohortChange(ages, foodRatio, config);
+      ages = cohortChange.ages;
+      popChange = {
+        births: cohortChange.births,
+        deaths: cohortChange.deaths + oldAgeDeaths,
+        newPopulation: cohortChange.newPopulation
+      };
+    } else {
+      popChange = calculatePopulationChange(
+        currentPopulation,  // Current population count
+        currentFood,        // Food available after harvest
+        totalFoodNeeded,    // Food needed to feed everyone
+        config              // Birth/death rate configuration
+      );
+    }
+
+    // === MODEL LAYERS: EXTRA DEATHS ===
+    // Layers (e.g. disease) see today's births and deaths, may add
+    // deaths of their own, and attach extra fields to today's record
+    const layerFields = {};
+
+    for (const layer of layers) {
+      if (!layer.population) continue;
+
+      const outcome = layer.population({
+        dayIndex,
+        day: temperatureData[dayIndex],
+        population: currentPopulation,
+        popChange,
+        foodRatio
+      });
+      if (!outcome) continue;
+
+      const extraDeaths = Math.min(outcome.deaths ?? 0, popChange.newPopulation);
+      popChange.deaths += extraDeaths;
+      popChange.newPopulation -= extraDeaths;
+      Object.assign(layerFields, outcome.fields);
+    }
+
+    currentPopulation = popChange.newPopulation;
+
+    // Layer deaths are spread evenly over all ages
+    let ageFields = {};
+    if (ages) {
+      ages = scaleAgeStructure(ages, currentPopulation);
+      const totals = cohortTotals(ages, config);
+      ageFields = {
+        children: Math.round(totals.children),      // People per cohort
+        adults: Math.round(totals.adults),
+        elderly: Math.round(totals.elderly),
+        ageBands: ageBands(ages)                    // People per 5-year age band (pyramid)
+      };
+    }
+
+    populationData.push({
+      x: dayIndex,                                  // X-axis position (day number)
+      population: Math.round(currentPopulation),    // Current population count
+      births: Math.round(popChange.births),         // How many were born today
+      deaths: Math.round(popChange.deaths),         // How many died today (all causes)
+      foodRatio,                                    // Food security (0-1, capped at 1)
+      workforce: Math.round(workforce),             // People farming (working adults with age structure)
+      ...ageFields,                                 // Cohort fields (age structure only)
+      ...layerFields                                // Extra fields from model layers
+    });
+
+    // === RECORD FOOD DATA POINT #1: AFTER GROWTH ===
+    // This is the "high point" of the sawtooth pattern
+    foodData.push({
+      x: dayIndex,                             // X-axis position (day number)
+      food: Math.round(currentFood * 10) / 10, // Current food stock (rounded)
+      phase: 'growth',                         // Phase indicator for tooltip
+      growth: Math.round(growth * 10) / 10,    // How much was harvested today
+      cropGrowth: cropGrowth.map(amount => Math.round(amount * 10) / 10), // Harvest per crop (portfolio order)
+      spoiled: Math.round(spoiled * 10) / 10,   // Lost to spoilage overnight
+      overflow: Math.round(overflow * 10) / 10, // Lost because the granary was full
+      capacity: Math.round(capacity),          // Granary capacity today
+      ...(config.cropCycles && {
+        cropStanding: cropStates.map(state => Math.round(state.standing * 10) / 10), // Food still in the fields
+        cropProgress: cropStates.map(state => (state.growing ? state.gdd : null))   // GDD since sowing (null = fallow)
+      })
+    });
+
+    // === MIDDAY PHASE: POPULATION CONSUMES FOOD ===
+    // If there's a shortage, food goes to 0 (people go hungry) and only
+    // what was in store is eaten
+    // The population change calculation already factored this in
+    const consumed = withdrawStocks(stocks, totalFoodNeeded);
+    currentFood = totalStock(stocks);
+
+    // === RECORD FOOD DATA POINT #2: AFTER CONSUMPTION ===
+    // This is the "low point" of the sawtooth pattern
+    // The x-position of dayIndex + 0.5 places it between two days
+    foodData.push({
+      x: dayIndex + 0.5,                       // X-axis position (halfway through day)
+      food: Math.round(currentFood * 10) / 10, // Current food stock (after consumption)
+      phase: 'consumption',                    // Phase indicator for tooltip
+      consumed: Math.round(consumed * 10) / 10, // How much was actually eaten
+      capacity: Math.round(capacity)           // Granary capacity (same as after growth)
+    });
+  }
+
+  return { foodData, populationData, cropEvents };
+}
+
+/**
+ * Run the full simulation: temperature, then food and population.
+ *
+ * Pure function - the same config and seed always return the same series.
+ * Missing config fields fall back to DEFAULT_CONFIG.
+ *
+ * Model layers:
+ * Optional subsystems (e.g. the Disease module's SEIR model) plug into
+ * the daily loop instead of copying it. A layer factory is called once
+ * per run with {config, seed, temperatureData} and returns an object
+ * with any of these hooks:
+ * - climate(dayIndex) → fields to merge into that day's temperatureData entry
+ * - growthLimit(dayIndex) → 0-1 factor limiting crop growth (lowest layer wins)
+ * - population({dayIndex, day, population, popChange, foodRatio})
+ *     → {deaths, fields}: extra deaths to add to today's deaths, and
+ *       fields to merge into today's populationData entry
+ *
+ * @param {Object} config - Simulation config (see DEFAULT_CONFIG)
+ * @param {number} seed - Integer simulation seed (see Sim_Random.js)
+ * @param {Array<Function>} [layerFactories=[]] - Model layer factories
+ * @param {Function} [onProgress] - Called with the fraction of the run done (0-1) while it computes
+ * @returns {{temperatureData: Array<Object>, foodData: Array<Object>, populationData: Array<Object>, events: Array<Object>, cropEvents: Array<Object>}}
+ */
+export function runSimulation(config, seed, layerFactories = [], onProgress) {
+  const fullConfig = { ...DEFAULT_CONFIG, ...config };
+
+  const { temperatureData, events } = generateTemperatureSeries(fullConfig, seed);
+
+  const layers = layerFactories.map(create => create({ config: fullConfig, seed, temperatureData }));
+
+  // Let layers annotate the climate timeline (e.g. precipitation, soil moisture)
+  for (const layer of layers) {
+    if (!layer.climate) continue;
+    temperatureData.forEach((day, dayIndex) => Object.assign(day, layer.climate(dayIndex)));
+  }
+  const { foodData, populationData, cropEvents } = simulateEconomy(fullConfig, temperatureData, layers, onProgress);
+  if (onProgress) onProgress(1);
+
+  return { temperatureData, foodData, populationData, events, cropEvents };
+}
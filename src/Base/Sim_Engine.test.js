@@ -0,0 +1,79 @@
+import { DEFAULT_CONFIG, buildSeasons, getSeasonForDay, orderSeasons, runSimulation } from './Sim_Engine';
+
+describe('runSimulation', () => {
+  test('same seed gives the same run', () => {
+    const config = { ...DEFAULT_CONFIG, yearCount: 2 };
+    expect(runSimulation(config, 1234)).toEqual(runSimulation(config, 1234));
+  });
+
+  test('a different seed gives different weather', () => {
+    const a = runSimulation(DEFAULT_CONFIG, 1).temperatureData.map(day => day.temperature);
+    const b = runSimulation(DEFAULT_CONFIG, 2).temperatureData.map(day => day.temperature);
+    expect(a).not.toEqual(b);
+  });
+
+  test('timelines cover every day of the run', () => {
+    const { temperatureData, populationData } = runSimulation({ ...DEFAULT_CONFIG, yearCount: 3 }, 5);
+    expect(temperatureData).toHaveLength(3 * 365);
+    expect(populationData).toHaveLength(3 * 365);
+    expect(temperatureData[365]).toMatchObject({ dayIndex: 365, year: 1, dayOfYear: 0 });
+  });
+
+  test('a population that dies out keeps finite numbers and its food', () => {
+    const config = { ...DEFAULT_CONFIG, baseBirthRate: 0, baseDeathRate: 1 };
+    const { populationData, foodData } = runSimulation(config, 7);
+    const last = populationData[populationData.length - 1];
+    expect(last).toMatchObject({ population: 0, foodRatio: 1 });
+    populationData.forEach(day => expect(Number.isFinite(day.foodRatio)).toBe(true));
+    foodData.forEach(point => expect(Number.isFinite(point.food)).toBe(true));
+    expect(foodData[foodData.length - 1].food).toBeGreaterThan(0);
+  });
+
+  test('a shortage records only the food actually eaten', () => {
+    const config = { ...DEFAULT_CONFIG, foodPerPerson: 50 };
+    const { foodData } = runSimulation(config, 7);
+    const day = foodData.findIndex(point => point.phase === 'consumption' && point.food === 0);
+    expect(day).toBeGreaterThan(0);
+    expect(foodData[day].consumed).toBeCloseTo(foodData[day - 1].food, 0);
+  });
+});
+
+describe('season lookup', () => {
+  const seasons = buildSeasons(DEFAULT_CONFIG); // Winter 90, Spring 92, Summer 92, Fall 91
+
+  test('finds the season and progress of a day', () => {
+    expect(getSeasonForDay(0, seasons)).toEqual({ name: 'Winter', progress: 0 });
+    expect(getSeasonForDay(45, seasons)).toEqual({ name: 'Winter', progress: 0.5 });
+    expect(getSeasonForDay(90, seasons)).toEqual({ name: 'Spring', progress: 0 });
+    expect(getSeasonForDay(364, seasons).name).toBe('Fall');
+  });
+
+  test('days past the season total fall back to the last season', () => {
+    const short = [{ name: 'Winter', length: 100 }, { name: 'Summer', length: 100 }];
+    expect(getSeasonForDay(300, short)).toEqual({ name: 'Summer', progress: 1 });
+  });
+
+  test('orderSeasons starts the year at the starting season', () => {
+    expect(orderSeasons(seasons, 'Summer').map(season => season.name)).toEqual(['Summer', 'Fall', 'Winter', 'Spring']);
+  });
+
+  test('day 0 of a run is in the starting season', () => {
+    const { temperatureData } = runSimulation({ ...DEFAULT_CONFIG, startingSeason: 'Summer' }, 3);
+    expect(temperatureData[0].season).toBe('Summer');
+    expect(temperatureData[92].season).toBe('Fall');
+  });
+
+  test('a custom season list replaces the classic seasons', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      startingSeason: 'Dry',
+      seasonList: [
+        { name: 'Dry', length: 180, mean: 88, amp: 8, color: '#deae87', classicSeason: 'Summer' },
+        { name: 'Wet', length: 185, mean: 80, amp: 6, color: '#90ee90', classicSeason: 'Spring' }
+      ]
+    };
+    const { temperatureData } = runSimulation(config, 3);
+    expect(temperatureData[0]).toMatchObject({ season: 'Dry', classicSeason: 'Summer' });
+    expect(temperatureData[200]).toMatchObject({ season: 'Wet', classicSeason: 'Spring' });
+  });
+});
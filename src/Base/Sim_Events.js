@@ -0,0 +1,179 @@
+/* ============================================================
+   Extreme Weather Events
+   ------------------------------------------------------------
+   Multi-day temperature anomalies layered on top of the
+   seasonal baseline. Each event type has three per-climate
+   settings in the simulation config:
+
+   - {type}ReturnPeriod: Average days between event starts
+                         while conditions allow it (0 = never)
+   - {type}Duration:     Average length of one event (days)
+   - {type}Intensity:    Average peak temperature anomaly (°F)
+
+   A climate trend can scale the events up over the run (see
+   Sim_Climate.js): the start chance and the peak anomaly are
+   multiplied by that day's scale.
+
+   Every event is recorded as a plain object
+   {type, startDay, endDay, peakAnomaly} so charts and exports
+   can annotate it. Draws come from a seeded stream, so the same
+   seed always produces the same events.
+   ============================================================ */
+
+import { randomBetween } from './Sim_Random';
+
+/**
+ * Temperature (°F) at or below which the baseline is cold enough for blizzards.
+ */
+const FREEZING_POINT = 32;
+
+/**
+ * Event type definitions.
+ *
+ * Structure:
+ * - name: Display name for UI
+ * - sign: Direction of the anomaly (+1 warmer, -1 colder)
+ * - color: Chart annotation fill
+ * - isEligible(baseline, climateMean): Whether an event may start on a day
+ *
+ * Order matters: when several types could start on the same day,
+ * the first one whose draw succeeds wins (blizzards before cold snaps).
+ */
+export const EVENT_TYPES = {
+  heatWave: {
+    name: 'Heat Wave',
+    sign: +1,
+    color: 'rgba(231, 76, 60, 0.25)',
+    isEligible: (baseline, climateMean) => baseline >= climateMean
+  },
+  blizzard: {
+    name: 'Blizzard',
+    sign: -1,
+    color: 'rgba(142, 68, 173, 0.25)',
+    isEligible: (baseline) => baseline <= FREEZING_POINT
+  },
+  coldSnap: {
+    name: 'Cold Snap',
+    sign: -1,
+    color: 'rgba(52, 152, 219, 0.25)',
+    isEligible: (baseline, climateMean) => baseline < climateMean
+  }
+};
+
+/**
+ * Length-weighted mean of the season means.
+ * Splits the year into "warm" days (heat waves possible) and
+ * "cold" days (cold snaps possible) without relying on season names.
+ *
+ * @param {Array<{name: string, length: number}>} seasons - Season definitions
+ * @param {Object} seasonProfiles - Temperature characteristics per season {Winter: {mean, amp}, ...}
+ * @returns {number} Annual mean temperature (°F)
+ */
+export function climateMean(seasons, seasonProfiles) {
+  const totalDays = seasons.reduce((sum, s) => sum + s.length, 0);
+  if (totalDays <= 0) return 0;
+
+  const weighted = seasons.reduce(
+    (sum, s) => sum + (seasonProfiles[s.name]?.mean ?? 0) * s.length,
+    0
+  );
+  return weighted / totalDays;
+}
+
+/**
+ * Temperature anomaly of an event on a given day.
+ *
+ * Events ramp up and back down along a half sine wave, peaking
+ * mid-event at peakAnomaly, so there are no one-day jumps.
+ *
+ * @param {{startDay: number, endDay: number, peakAnomaly: number}} event - Event record
+ * @param {number} dayIndex - Absolute day index
+ * @returns {number} Temperature delta (°F), 0 outside the event
+ */
+export function eventAnomaly(event, dayIndex) {
+  if (dayIndex < event.startDay || dayIndex > event.endDay) return 0;
+
+  const duration = event.endDay - event.startDay + 1;
+  const progress = (dayIndex - event.startDay + 0.5) / duration;
+  return event.peakAnomaly * Math.sin(progress * Math.PI);
+}
+
+/**
+ * Generate the extreme events for a whole run.
+ *
+ * Algorithm (day by day):
+ * 1. While an event is running, no new event can start
+ * 2. Otherwise, for each eligible type, an event starts with
+ *    probability 1 / returnPeriod
+ * 3. Duration and peak vary ±50% / ±30% around the configured averages
+ * 4. Start chance and peak are multiplied by the day's scale
+ *
+ * @param {Array<number>} baselines - Seasonal baseline temperature per day (°F)
+ * @param {number} meanTemp - Annual mean temperature (see climateMean)
+ * @param {Object} config - Simulation config with per-type event settings
+ * @param {function(): number} rng - Seeded generator (see Sim_Random.js)
+ * @param {function(number): number} [scaleForDay] - Frequency and intensity multiplier
+ *   per day index (see extremeScale() in Sim_Climate.js); 1 when left out
+ * @returns {{events: Array<{type: string, startDay: number, endDay: number, peakAnomaly: number}>, anomalies: Array<number>}}
+ */
+export function generateExtremeEvents(baselines, meanTemp, config, rng, scaleForDay = () => 1) {
+  const events = [];
+  const anomalies = new Array(baselines.length).fill(0);
+
+  let dayIndex = 0;
+  while (dayIndex < baselines.length) {
+    const started = tryStartEvent(dayIndex, baselines[dayIndex], meanTemp, config, rng, scaleForDay(dayIndex));
+
+    if (!started) {
+      dayIndex++;
+      continue;
+    }
+
+    // Clip events at the end of the run so endDay is always a real day
+    started.endDay = Math.min(started.endDay, baselines.length - 1);
+    events.push(started);
+
+    for (let d = started.startDay; d <= started.endDay; d++) {
+      anomalies[d] = eventAnomaly(started, d);
+    }
+
+    dayIndex = started.endDay + 1;
+  }
+
+  return { events, anomalies };
+}
+
+/**
+ * Roll for an event start on one day.
+ *
+ * One draw is made per event type every day so the stream stays
+ * aligned regardless of which types are eligible.
+ *
+ * @param {number} scale - Frequency and intensity multiplier for this day
+ * @returns {Object|null} New event record, or null if nothing starts
+ */
+function tryStartEvent(dayIndex, baseline, meanTemp, config, rng, scale) {
+  let chosen = null;
+
+  for (const [type, definition] of Object.entries(EVENT_TYPES)) {
+    const roll = rng();
+    const returnPeriod = config[`${type}ReturnPeriod`];
+
+    if (chosen || !(returnPeriod > 0)) continue;
+    if (!definition.isEligible(baseline, meanTemp)) continue;
+    if (roll < scale / returnPeriod) chosen = type;
+  }
+
+  if (!chosen) return null;
+
+  const meanDuration = Math.max(1, config[`${chosen}Duration`] ?? 1);
+  const duration = Math.max(1, Math.round(meanDuration * randomBetween(rng, 0.5, 1.5)));
+  const peak = (config[`${chosen}Intensity`] ?? 0) * scale * randomBetween(rng, 0.7, 1.3);
+
+  return {
+    type: chosen,
+    startDay: dayIndex,
+    endDay: dayIndex + duration - 1,
+    peakAnomaly: Math.round(EVENT_TYPES[chosen].sign * peak * 10) / 10
+  };
+}
@@ -0,0 +1,79 @@
+import { climateMean, eventAnomaly, generateExtremeEvents } from './Sim_Events';
+import { createRng } from './Sim_Random';
+
+const EVENTS_ON = {
+  heatWaveReturnPeriod: 20, heatWaveDuration: 5, heatWaveIntensity: 10,
+  coldSnapReturnPeriod: 20, coldSnapDuration: 4, coldSnapIntensity: 10,
+  blizzardReturnPeriod: 15, blizzardDuration: 3, blizzardIntensity: 15
+};
+
+const EVENTS_OFF = { ...EVENTS_ON, heatWaveReturnPeriod: 0, coldSnapReturnPeriod: 0, blizzardReturnPeriod: 0 };
+
+/**
+ * A year of baselines swinging from 10°F to 90°F.
+ */
+const BASELINES = Array.from({ length: 365 }, (_, day) => 50 - 40 * Math.cos(2 * Math.PI * day / 365));
+
+describe('climateMean', () => {
+  test('weights each season mean by its length', () => {
+    const seasons = [{ name: 'Winter', length: 100 }, { name: 'Summer', length: 300 }];
+    expect(climateMean(seasons, { Winter: { mean: 20 }, Summer: { mean: 80 } })).toBe(65);
+  });
+
+  test('no days gives 0', () => {
+    expect(climateMean([], {})).toBe(0);
+  });
+});
+
+describe('eventAnomaly', () => {
+  const event = { startDay: 10, endDay: 14, peakAnomaly: 10 };
+
+  test('peaks mid-event and is 0 outside it', () => {
+    expect(eventAnomaly(event, 12)).toBeCloseTo(10);
+    expect(eventAnomaly(event, 10)).toBeGreaterThan(0);
+    expect(eventAnomaly(event, 10)).toBeLessThan(10);
+    expect(eventAnomaly(event, 9)).toBe(0);
+    expect(eventAnomaly(event, 15)).toBe(0);
+  });
+});
+
+describe('generateExtremeEvents', () => {
+  test('the same seed gives the same events', () => {
+    const a = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(7, 'events'));
+    const b = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(7, 'events'));
+    expect(a).toEqual(b);
+    expect(a.events.length).toBeGreaterThan(0);
+  });
+
+  test('events never overlap and stay inside the run', () => {
+    const { events } = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(3, 'events'));
+    events.forEach(event => {
+      expect(event.endDay).toBeGreaterThanOrEqual(event.startDay);
+      expect(event.endDay).toBeLessThan(BASELINES.length);
+    });
+    events.slice(1).forEach((event, index) => expect(event.startDay).toBeGreaterThan(events[index].endDay));
+  });
+
+  test('each type only starts where it is eligible, with the sign of its anomaly', () => {
+    const { events } = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(11, 'events'));
+    const startBaselines = (type) => events.filter(event => event.type === type).map(event => BASELINES[event.startDay]);
+
+    startBaselines('heatWave').forEach(baseline => expect(baseline).toBeGreaterThanOrEqual(50));
+    startBaselines('coldSnap').forEach(baseline => expect(baseline).toBeLessThan(50));
+    startBaselines('blizzard').forEach(baseline => expect(baseline).toBeLessThanOrEqual(32));
+    events.forEach(event => expect(Math.sign(event.peakAnomaly)).toBe(event.type === 'heatWave' ? 1 : -1));
+  });
+
+  test('a day scale above 1 makes events stronger', () => {
+    const plain = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(5, 'events'));
+    const doubled = generateExtremeEvents(BASELINES, 50, EVENTS_ON, createRng(5, 'events'), () => 2);
+    const peak = ({ events }) => Math.max(...events.map(event => Math.abs(event.peakAnomaly)));
+    expect(peak(doubled)).toBeGreaterThan(peak(plain));
+  });
+
+  test('a return period of 0 turns events off', () => {
+    const { events, anomalies } = generateExtremeEvents(BASELINES, 50, EVENTS_OFF, createRng(7, 'events'));
+    expect(events).toEqual([]);
+    expect(anomalies.every(anomaly => anomaly === 0)).toBe(true);
+  });
+});
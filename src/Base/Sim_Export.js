@@ -0,0 +1,105 @@
+/* ============================================================
+   Data Export: Merged Daily Table
+   ------------------------------------------------------------
+   The engine returns three timelines with different shapes:
+
+   - temperatureData: one entry per day
+   - foodData:        two entries per day (growth at x = day,
+                      consumption at x = day + 0.5)
+   - populationData:  one entry per day
+
+   For spreadsheets and notebooks they are merged into one row
+   per day, written as CSV or JSON. The food stock column is the
+   stock at the end of the day (after consumption), so
+   stock(day) = stock(day - 1) - spoiled - overflow + growth - consumption
+   (up to the engine's rounding to 0.1 units).
+   ============================================================ */
+
+/**
+ * Columns of the daily table, in export order.
+ *
+ * Structure:
+ * - key: Field in each row (and CSV header)
+ * - label: Description (documentation only)
+ */
+export const DAILY_COLUMNS = [
+  { key: 'day', label: 'Day index from 0' },
+  { key: 'year', label: 'Year from 0' },
+  { key: 'season', label: 'Season name' },
+  { key: 'temperature', label: 'Temperature (°F)' },
+  { key: 'growth', label: 'Food grown or harvested (units)' },
+  { key: 'consumption', label: 'Food eaten (units)' },
+  { key: 'foodStock', label: 'Food stock at the end of the day (units)' },
+  { key: 'population', label: 'Population at the end of the day' },
+  { key: 'births', label: 'Births' },
+  { key: 'deaths', label: 'Deaths (all causes)' },
+  { key: 'foodRatio', label: 'Food security 0-1' }
+];
+
+/**
+ * Merge the engine's timelines into one row per day.
+ *
+ * @param {Array<Object>} temperatureData - One entry per day
+ * @param {Array<Object>} foodData - Two entries per day (phase 'growth' then 'consumption')
+ * @param {Array<Object>} populationData - One entry per day
+ * @returns {Array<Object>} Rows with the DAILY_COLUMNS fields
+ */
+export function buildDailyTable(temperatureData, foodData, populationData) {
+  return temperatureData.map((day, dayIndex) => {
+    const growthEntry = foodData[dayIndex * 2];
+    const consumptionEntry = foodData[dayIndex * 2 + 1];
+    const people = populationData[dayIndex];
+
+    return {
+      day: day.dayIndex,
+      year: day.year,
+      season: day.season,
+      temperature: day.temperature,
+      growth: growthEntry?.growth ?? null,
+      consumption: consumptionEntry?.consumed ?? null,
+      foodStock: consumptionEntry?.food ?? null,
+      population: people?.population ?? null,
+      births: people?.births ?? null,
+      deaths: people?.deaths ?? null,
+      foodRatio: people?.foodRatio ?? null
+    };
+  });
+}
+
+/**
+ * Quote a CSV cell if it contains a separator, quote or line break.
+ *
+ * @param {*} value - Cell value (null/undefined become empty cells)
+ * @returns {string} CSV-safe text
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV with a header line.
+ *
+ * @param {Array<Object>} rows - Output of buildDailyTable()
+ * @param {Array<{key: string}>} [columns=DAILY_COLUMNS] - Columns to write, in order
+ * @returns {string} CSV text
+ */
+export function tableToCsv(rows, columns = DAILY_COLUMNS) {
+  const header = columns.map(column => csvCell(column.key)).join(',');
+  const lines = rows.map(row => columns.map(column => csvCell(row[column.key])).join(','));
+  return [header, ...lines].join('\n') + '\n';
+}
+
+/**
+ * Write rows as a JSON array, with the run's seed and config alongside
+ * so the numbers can be traced back to the run that produced them.
+ *
+ * @param {Array<Object>} rows - Output of buildDailyTable()
+ * @param {Object} config - Config of the run
+ * @param {number} seed - Seed of the run
+ * @returns {string} JSON text
+ */
+export function tableToJson(rows, config, seed) {
+  return JSON.stringify({ seed, config, days: rows }, null, 2);
+}
@@ -0,0 +1,50 @@
+import { buildDailyTable, DAILY_COLUMNS, tableToCsv, tableToJson } from './Sim_Export';
+import { DEFAULT_CONFIG, runSimulation } from './Sim_Engine';
+
+const CONFIG = { ...DEFAULT_CONFIG, yearCount: 1 };
+
+describe('buildDailyTable', () => {
+  const { temperatureData, foodData, populationData } = runSimulation(CONFIG, 5);
+  const rows = buildDailyTable(temperatureData, foodData, populationData);
+
+  test('one row per day with every column', () => {
+    expect(rows).toHaveLength(temperatureData.length);
+    rows.forEach(row => expect(Object.keys(row)).toEqual(DAILY_COLUMNS.map(column => column.key)));
+  });
+
+  test('merges the growth and consumption halves of each day', () => {
+    rows.forEach((row, dayIndex) => {
+      expect(row.day).toBe(dayIndex);
+      expect(row.temperature).toBe(temperatureData[dayIndex].temperature);
+      expect(row.growth).toBe(foodData[dayIndex * 2].growth);
+      expect(row.consumption).toBe(foodData[dayIndex * 2 + 1].consumed);
+      expect(row.foodStock).toBe(foodData[dayIndex * 2 + 1].food);
+      expect(row.population).toBe(populationData[dayIndex].population);
+    });
+  });
+
+  test('days missing from a timeline become empty cells', () => {
+    const [row] = buildDailyTable([{ dayIndex: 0, year: 0, season: 'Spring', temperature: 60 }], [], []);
+    expect(row).toMatchObject({ growth: null, consumption: null, foodStock: null, population: null });
+    expect(tableToCsv([row]).split('\n')[1]).toBe('0,0,Spring,60,,,,,,,');
+  });
+});
+
+describe('tableToCsv', () => {
+  test('writes the header in column order', () => {
+    expect(tableToCsv([]).split('\n')[0]).toBe(DAILY_COLUMNS.map(column => column.key).join(','));
+  });
+
+  test('quotes cells with separators, quotes and line breaks', () => {
+    const columns = [{ key: 'season' }, { key: 'note' }];
+    const csv = tableToCsv([{ season: 'Late, wet "Spring"', note: 'two\nlines' }], columns);
+    expect(csv).toBe('season,note\n"Late, wet ""Spring""","two\nlines"\n');
+  });
+});
+
+describe('tableToJson', () => {
+  test('keeps the seed and config next to the rows', () => {
+    const rows = [{ day: 0, population: 10 }];
+    expect(JSON.parse(tableToJson(rows, CONFIG, 5))).toEqual({ seed: 5, config: CONFIG, days: rows });
+  });
+});
@@ -0,0 +1,108 @@
+/* ============================================================
+   Simulation Jobs
+   ------------------------------------------------------------
+   Every heavy computation the UI starts is described as a plain
+   job object, so it can be posted to a Web Worker (structured
+   clone) or run on the main thread by the same code:
+
+   - run:         one simulation           → runSimulation()
+   - batch:       Monte Carlo runs          → runBatch()
+   - sweep1d:     one-field sweep           → runSweep1D()
+   - sweep2d:     two-field sweep           → runSweep2D()
+   - sensitivity: tornado analysis          → runSensitivity()
+
+   Model layers are factories (functions) and can't be posted,
+   so a job travels with layer names, and the worker looks the
+   factories up in the layer registry. Each module registers its
+   own factories with registerLayer() when its model is loaded,
+   and its worker script loads that model too (see
+   Disease_Worker.js), so Base never imports the modules built
+   on it. Layers that aren't registered still work; their jobs
+   run on the main thread (see Sim_WorkerClient.js).
+   ============================================================ */
+
+import { runSimulation } from './Sim_Engine';
+import { runBatch } from './Sim_Batch';
+import { runSensitivity, runSweep1D, runSweep2D } from './Sim_Sweep';
+
+/**
+ * Layer factories a worker can rebuild from their name, filled by registerLayer().
+ */
+const layerRegistry = {};
+
+/**
+ * Register a model layer factory under a name, so jobs using it
+ * can run in a worker. Called by each module next to its factory.
+ *
+ * @param {string} name - Registry name (unique across modules)
+ * @param {Function} factory - Model layer factory (see runSimulation)
+ */
+export function registerLayer(name, factory) {
+  const registered = layerRegistry[name];
+  if (registered && registered !== factory) {
+    throw new Error(`Model layer already registered: ${name}`);
+  }
+  layerRegistry[name] = factory;
+}
+
+/**
+ * Registry names of a list of layer factories.
+ *
+ * @param {Array<Function>} layers - Model layer factories
+ * @returns {Array<string>|null} Names in the same order, or null if any factory isn't registered
+ */
+export function layerNames(layers) {
+  const entries = Object.entries(layerRegistry);
+  const names = layers.map(factory => entries.find(([, registered]) => registered === factory)?.[0]);
+  return names.every(Boolean) ? names : null;
+}
+
+/**
+ * Layer factories for a list of registry names.
+ *
+ * @param {Array<string>} names - Output of layerNames()
+ * @returns {Array<Function>} Model layer factories
+ */
+export function resolveLayers(names) {
+  return names.map(name => {
+    const factory = layerRegistry[name];
+    if (!factory) throw new Error(`Unknown model layer: ${name}`);
+    return factory;
+  });
+}
+
+/**
+ * Run one job.
+ *
+ * @param {Object} job - Job description
+ * @param {string} job.type - 'run' | 'batch' | 'sweep1d' | 'sweep2d' | 'sensitivity'
+ * @param {Object} job.config - Simulation config
+ * @param {number} job.seed - Seed (batch seed for batches)
+ * @param {number} [job.runs] - Batch size (batch)
+ * @param {Object} [job.xAxis] - Swept field and range (sweep1d, sweep2d)
+ * @param {Object} [job.yAxis] - Second swept field and range (sweep2d)
+ * @param {string} [job.metric] - Key of OUTCOME_METRICS (sweeps, sensitivity)
+ * @param {number} [job.change] - Relative change (sensitivity)
+ * @param {Object} [job.schema] - Validation rules used for clamping (sweeps, sensitivity)
+ * @param {Array<Function>} layers - Model layer factories
+ * @param {Function} [onProgress] - Called with the fraction done (0-1)
+ * @returns {Object} Output of the matching function
+ */
+export function runJob(job, layers, onProgress) {
+  const options = { layers, schema: job.schema, onProgress };
+
+  switch (job.type) {
+    case 'run':
+      return runSimulation(job.config, job.seed, layers, onProgress);
+    case 'batch':
+      return runBatch(job.config, job.seed, job.runs, layers, onProgress);
+    case 'sweep1d':
+      return { points: runSweep1D(job.config, job.seed, job.xAxis, job.metric, options) };
+    case 'sweep2d':
+      return runSweep2D(job.config, job.seed, job.xAxis, job.yAxis, job.metric, options);
+    case 'sensitivity':
+      return runSensitivity(job.config, job.seed, job.metric, { ...options, change: job.change });
+    default:
+      throw new Error(`Unknown job type: ${job.type}`);
+  }
+}
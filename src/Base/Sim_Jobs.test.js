@@ -0,0 +1,30 @@
+import { layerNames, registerLayer, resolveLayers, runJob } from './Sim_Jobs';
+import { DEFAULT_CONFIG } from './Sim_Engine';
+
+describe('layer registry', () => {
+  const testLayer = () => ({});
+  registerLayer('test', testLayer);
+
+  test('registered layers travel by name and come back', () => {
+    expect(layerNames([testLayer])).toEqual(['test']);
+    expect(resolveLayers(['test'])).toEqual([testLayer]);
+  });
+
+  test('an unregistered layer has no names', () => {
+    expect(layerNames([testLayer, () => ({})])).toBeNull();
+    expect(() => resolveLayers(['missing'])).toThrow('Unknown model layer: missing');
+  });
+
+  test('a name can only be taken by one factory', () => {
+    expect(() => registerLayer('test', testLayer)).not.toThrow();
+    expect(() => registerLayer('test', () => ({}))).toThrow('Model layer already registered: test');
+  });
+});
+
+describe('runJob', () => {
+  test('runs the job type it is given', () => {
+    const result = runJob({ type: 'run', config: { ...DEFAULT_CONFIG, yearCount: 1 }, seed: 3 }, []);
+    expect(result.populationData).toHaveLength(365);
+    expect(() => runJob({ type: 'nope' }, [])).toThrow('Unknown job type: nope');
+  });
+});
@@ -0,0 +1,154 @@
+/* ============================================================
+   Chart Layout
+   ------------------------------------------------------------
+   Charts size themselves to the page instead of fixed pixel
+   widths:
+
+   - ChartGrid lays chart panels out in columns that reflow with
+     the window: side by side on wide screens, one column on
+     narrow ones. Wide panels (the timelines) span the whole row.
+   - ChartPanel is one chart's card: title, collapse toggle and
+     body. A collapsed panel doesn't render its chart at all.
+   - ChartFrame fits a Recharts chart to its panel and reports the
+     measured width, which time-series charts use as their
+     downsampling budget (see Sim_Downsample.js). The panel is
+     measured before the first paint, so a chart is never drawn
+     at a guessed width first.
+
+   Print styles (one column, controls hidden, no page break
+   inside a panel) are in index.css and key on the class names
+   set here.
+   ============================================================ */
+
+import { useLayoutEffect, useRef, useState } from 'react';
+import { ResponsiveContainer } from 'recharts';
+
+/**
+ * Narrowest a grid column gets before the grid drops to fewer columns (pixels).
+ */
+export const MIN_PANEL_WIDTH = 480;
+
+/**
+ * Narrowest a chart is drawn (pixels). Below this axis labels overlap,
+ * so the panel scrolls sideways instead.
+ */
+export const MIN_CHART_WIDTH = 320;
+
+/**
+ * How long a resize has to settle before charts are redrawn (ms).
+ */
+const RESIZE_DEBOUNCE = 100;
+
+/**
+ * Reflowing grid of chart panels.
+ *
+ * @param {{children: React.ReactNode}} props
+ */
+export function ChartGrid({ children }) {
+  return (
+    <div
+      className="chart-grid"
+      style={{
+        display: 'grid',
+        // min() keeps a single column from overflowing screens narrower than MIN_PANEL_WIDTH
+        gridTemplateColumns: `repeat(auto-fit, minmax(min(100%, ${MIN_PANEL_WIDTH}px), 1fr))`,
+        gap: 20,
+        marginTop: 20
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Collapsible chart card.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.title - Heading
+ * @param {boolean} [props.wide=false] - Span the whole grid row
+ * @param {boolean} [props.defaultCollapsed=false] - Start collapsed
+ * @param {React.ReactNode} props.children - Chart and its keys
+ */
+export function ChartPanel({ title, wide = false, defaultCollapsed = false, children }) {
+  const [collapsed, setCollapsed] = useState(defaultCollapsed);
+
+  return (
+    <section
+      className={collapsed ? 'chart-panel chart-panel-collapsed' : 'chart-panel'}
+      style={{
+        gridColumn: wide ? '1 / -1' : undefined,
+        minWidth: 0,          // Let the grid shrink the panel below its chart's width
+        overflowX: 'auto',
+        border: '1px solid #e0e0e0',
+        borderRadius: 6,
+        padding: '0 10px 10px'
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <button
+          className="no-print"
+          onClick={() => setCollapsed(!collapsed)}
+          aria-expanded={!collapsed}
+          title={collapsed ? 'Show this chart' : 'Hide this chart'}
+          style={{
+            padding: '2px 8px',
+            border: '1px solid #ccc',
+            borderRadius: 4,
+            background: 'white',
+            cursor: 'pointer'
+          }}
+        >
+          {collapsed ? '▶' : '▼'}
+        </button>
+        <h3 style={{ margin: '12px 0' }}>{title}</h3>
+      </div>
+      {!collapsed && children}
+    </section>
+  );
+}
+
+/**
+ * Full-width frame for one Recharts chart.
+ *
+ * The first render only lays out an empty frame; a layout effect
+ * measures it and renders the chart at that width before the
+ * browser paints. Where nothing has a width (e.g. the test runner)
+ * the chart is drawn MIN_CHART_WIDTH wide.
+ *
+ * @param {Object} props
+ * @param {number} props.height - Chart height (pixels)
+ * @param {Function} [props.onWidthChange] - (width) with the first measured width and whenever it changes
+ * @param {React.ReactElement} props.children - The chart, without width and height
+ */
+export function ChartFrame({ height, onWidthChange, children }) {
+  const frame = useRef(null);
+  const [initialWidth, setInitialWidth] = useState(null);
+
+  // Latest callback, so measuring once doesn't depend on it
+  const reportWidth = useRef(onWidthChange);
+  reportWidth.current = onWidthChange;
+
+  useLayoutEffect(() => {
+    const width = Math.max(MIN_CHART_WIDTH, Math.round(frame.current.clientWidth));
+    setInitialWidth(width);
+    if (reportWidth.current) reportWidth.current(width);
+  }, []);
+
+  return (
+    <div ref={frame} style={{ height }}>
+      {initialWidth !== null && (
+        <ResponsiveContainer
+          width="100%"
+          height={height}
+          minWidth={MIN_CHART_WIDTH}
+          initialDimension={{ width: initialWidth, height }}
+          debounce={RESIZE_DEBOUNCE}
+          onResize={onWidthChange && (width => onWidthChange(Math.round(width)))}
+        >
+          {children}
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+}
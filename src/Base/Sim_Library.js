@@ -0,0 +1,329 @@
+/* ============================================================
+   Workspace Autosave & Saved Scenarios
+   ------------------------------------------------------------
+   Two things are kept in the browser's localStorage, per module
+   (Base, Disease and Weather have different config fields):
+
+   - The workspace: active and working config, seed and picked
+     presets, written on every change, so a page refresh comes
+     back to where it was.
+   - The library: scenarios saved under a name, each with its
+     config, seed, presets, last-modified time and a short
+     results summary (final population, minimum food stock).
+
+   Storage can be missing or full (private browsing, quota), so
+   reads and writes never throw; writes report whether they
+   worked. Everything read back is validated like a scenario
+   file (see Sim_Scenario.js): an app update that changes the
+   config must not load broken settings. Stored configs carry
+   the scenario version they were written with (configVersion),
+   so older ones are upgraded like older scenario files.
+
+   The library list functions are pure and return a new list,
+   so the component keeps the list in state and stores it.
+
+   Custom climate and crop presets (see Sim_Presets.js) are kept
+   here too, once for all modules: they only set Base fields.
+   ============================================================ */
+
+import { SCENARIO_FORMAT, SCENARIO_VERSION, validateScenario } from './Sim_Scenario';
+import { readCustomPresets } from './Sim_Presets';
+
+/**
+ * First part of every localStorage key written by this app.
+ */
+export const STORAGE_PREFIX = 'population-sim';
+
+/**
+ * Version of the stored library layout.
+ */
+const LIBRARY_VERSION = 1;
+
+/**
+ * localStorage key for one module's data, e.g. "population-sim:disease:library".
+ *
+ * @param {string} moduleName - Module name (e.g. 'Disease')
+ * @param {string} kind - 'workspace' or 'library'
+ * @returns {string} Storage key
+ */
+export function storageKey(moduleName, kind) {
+  return `${STORAGE_PREFIX}:${moduleName.toLowerCase()}:${kind}`;
+}
+
+/**
+ * Read a stored JSON value.
+ *
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null when missing, unreadable or storage is unavailable
+ */
+function readJson(key) {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store a value as JSON.
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} Whether it was stored (false when storage is unavailable or full)
+ */
+function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a stored config and seed.
+ *
+ * @param {*} configVersion - Scenario version the config was stored with
+ *   (missing before versions were stored, i.e. version 1)
+ * @returns {({config: Object, seed: number}|null)} Clean config and seed, or null if invalid
+ */
+function checkRun(config, seed, configVersion, defaultConfig, schema) {
+  const { scenario } = validateScenario(
+    { format: SCENARIO_FORMAT, version: configVersion ?? 1, seed, config },
+    defaultConfig,
+    schema
+  );
+  return scenario;
+}
+
+/**
+ * Keep only preset keys the app still has.
+ *
+ * @param {*} presets - Stored {climate, crop}
+ * @param {{climate: Array<string>, crop: Array<string>}} presetKeys - Known preset keys
+ * @returns {{climate: (string|null), crop: (string|null)}}
+ */
+function checkPresets(presets, presetKeys) {
+  const pick = (kind) => (presetKeys[kind].includes(presets?.[kind]) ? presets[kind] : null);
+  return { climate: pick('climate'), crop: pick('crop') };
+}
+
+/**
+ * Read the autosaved workspace.
+ *
+ * @param {string} moduleName - Module name
+ * @param {Object} defaultConfig - The module's default config
+ * @param {Object} schema - Validation rules (see CONFIG_SCHEMA)
+ * @param {{climate: Array<string>, crop: Array<string>}} presetKeys - Known preset keys
+ * @returns {({activeConfig: Object, workingConfig: Object, seed: number,
+ *   activePresets: Object, workingPresets: Object}|null)} Workspace, or null when there is
+ *   none or the active run doesn't validate (unsaved edits that don't validate are dropped)
+ */
+export function loadWorkspace(moduleName, defaultConfig, schema, presetKeys) {
+  const stored = readJson(storageKey(moduleName, 'workspace'));
+  if (stored === null || typeof stored !== 'object') return null;
+
+  const active = checkRun(stored.activeConfig, stored.seed, stored.configVersion, defaultConfig, schema);
+  if (!active) return null;
+  const working = checkRun(stored.workingConfig, stored.seed, stored.configVersion, defaultConfig, schema);
+
+  return {
+    activeConfig: active.config,
+    workingConfig: working ? working.config : active.config,
+    seed: active.seed,
+    activePresets: checkPresets(stored.activePresets, presetKeys),
+    workingPresets: checkPresets(stored.workingPresets, presetKeys)
+  };
+}
+
+/**
+ * Autosave the workspace.
+ *
+ * @param {string} moduleName - Module name
+ * @param {{activeConfig: Object, workingConfig: Object, seed: number,
+ *   activePresets: Object, workingPresets: Object}} workspace
+ * @returns {boolean} Whether it was stored
+ */
+export function saveWorkspace(moduleName, workspace) {
+  return writeJson(storageKey(moduleName, 'workspace'), { ...workspace, configVersion: SCENARIO_VERSION });
+}
+
+/**
+ * Read the saved scenario library.
+ *
+ * @param {string} moduleName - Module name
+ * @param {Object} defaultConfig - The module's default config
+ * @param {Object} schema - Validation rules
+ * @param {{climate: Array<string>, crop: Array<string>}} presetKeys - Known preset keys
+ * @returns {{scenarios: Array<Object>, skipped: number}} Valid scenarios (see addScenario())
+ *   and how many stored entries no longer validate (they are left out)
+ */
+export function loadLibrary(moduleName, defaultConfig, schema, presetKeys) {
+  const stored = readJson(storageKey(moduleName, 'library'));
+  if (stored === null || !Array.isArray(stored.scenarios)) return { scenarios: [], skipped: 0 };
+
+  const scenarios = [];
+  stored.scenarios.forEach(entry => {
+    const run = entry && typeof entry.name === 'string' && typeof entry.id === 'string'
+      ? checkRun(entry.config, entry.seed, entry.configVersion, defaultConfig, schema)
+      : null;
+    if (!run) return;
+    scenarios.push({ ...entry, ...run, configVersion: SCENARIO_VERSION, presets: checkPresets(entry.presets, presetKeys) });
+  });
+  return { scenarios, skipped: stored.scenarios.length - scenarios.length };
+}
+
+/**
+ * Store the saved scenario library.
+ *
+ * @param {string} moduleName - Module name
+ * @param {Array<Object>} scenarios - Library entries
+ * @returns {boolean} Whether it was stored
+ */
+export function saveLibrary(moduleName, scenarios) {
+  return writeJson(storageKey(moduleName, 'library'), { version: LIBRARY_VERSION, scenarios });
+}
+
+/**
+ * Results summary kept with a saved scenario.
+ *
+ * @param {{foodData: Array<Object>, populationData: Array<Object>}} run - Run timelines
+ * @returns {({finalPopulation: number, minFood: number}|null)} null while there are no results
+ *   (before the first run has finished), so no placeholder values are saved
+ */
+export function summarizeForLibrary({ foodData, populationData }) {
+  if (foodData.length === 0 || populationData.length === 0) return null;
+  return {
+    finalPopulation: populationData[populationData.length - 1].population,
+    minFood: foodData.reduce((low, entry) => Math.min(low, entry.food), Infinity)
+  };
+}
+
+/**
+ * A new library id.
+ */
+function newId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Save a run under a name. A scenario with the same name is replaced
+ * (keeping its place in the list); otherwise the new one goes on top.
+ *
+ * @param {Array<Object>} scenarios - Library entries
+ * @param {Object} run
+ * @param {string} run.name - Name typed by the user
+ * @param {Object} run.config - Active config
+ * @param {number} run.seed - Seed
+ * @param {{climate: (string|null), crop: (string|null)}} run.presets - Picked presets
+ * @param {{finalPopulation: number, minFood: number}} run.summary - See summarizeForLibrary()
+ * @param {Date} [now=new Date()] - Save time
+ * @returns {Array<Object>} New list; entries are {id, name, modifiedAt (ISO), config, configVersion,
+ *   seed, presets, summary}
+ */
+export function addScenario(scenarios, { name, config, seed, presets, summary }, now = new Date()) {
+  const trimmed = name.trim();
+  const existing = scenarios.find(entry => entry.name === trimmed);
+  const entry = {
+    id: existing ? existing.id : newId(),
+    name: trimmed,
+    modifiedAt: now.toISOString(),
+    config,
+    configVersion: SCENARIO_VERSION,
+    seed,
+    presets,
+    summary
+  };
+  return existing
+    ? scenarios.map(other => (other.id === existing.id ? entry : other))
+    : [entry, ...scenarios];
+}
+
+/**
+ * A name not used in the library yet: "Wheat (copy)", "Wheat (copy 2)", ...
+ *
+ * @param {Array<Object>} scenarios - Library entries
+ * @param {string} name - Name to copy
+ * @returns {string} Free name
+ */
+function copyName(scenarios, name) {
+  const taken = new Set(scenarios.map(entry => entry.name));
+  let candidate = `${name} (copy)`;
+  for (let number = 2; taken.has(candidate); number++) candidate = `${name} (copy ${number})`;
+  return candidate;
+}
+
+/**
+ * Copy a saved scenario, placed right below the original.
+ *
+ * @param {Array<Object>} scenarios - Library entries
+ * @param {string} id - Id of the scenario to copy
+ * @param {Date} [now=new Date()] - Copy time
+ * @returns {Array<Object>} New list
+ */
+export function duplicateScenario(scenarios, id, now = new Date()) {
+  const index = scenarios.findIndex(entry => entry.id === id);
+  if (index < 0) return scenarios;
+  const original = scenarios[index];
+  const copy = { ...original, id: newId(), name: copyName(scenarios, original.name), modifiedAt: now.toISOString() };
+  return [...scenarios.slice(0, index + 1), copy, ...scenarios.slice(index + 1)];
+}
+
+/**
+ * Rename a saved scenario. Blank names and names already in use are refused.
+ *
+ * @param {Array<Object>} scenarios - Library entries
+ * @param {string} id - Id of the scenario
+ * @param {string} name - New name
+ * @param {Date} [now=new Date()] - Rename time
+ * @returns {Array<Object>} New list (the same list when the rename is refused)
+ */
+export function renameScenario(scenarios, id, name, now = new Date()) {
+  const trimmed = name.trim();
+  if (!trimmed || scenarios.some(entry => entry.name === trimmed && entry.id !== id)) return scenarios;
+  return scenarios.map(entry => (
+    entry.id === id ? { ...entry, name: trimmed, modifiedAt: now.toISOString() } : entry
+  ));
+}
+
+/**
+ * Remove a saved scenario.
+ *
+ * @param {Array<Object>} scenarios - Library entries
+ * @param {string} id - Id of the scenario
+ * @returns {Array<Object>} New list
+ */
+export function deleteScenario(scenarios, id) {
+  return scenarios.filter(entry => entry.id !== id);
+}
+
+/**
+ * localStorage key of the custom presets (shared by all modules).
+ */
+const PRESETS_KEY = `${STORAGE_PREFIX}:presets`;
+
+/**
+ * Read the custom presets.
+ *
+ * @param {{climate: Array<string>, crop: Array<string>}} builtInNames - Names of the built-in presets
+ * @returns {{presets: {climate: Object, crop: Object}, skipped: number}} Valid presets and
+ *   how many stored ones no longer validate (they are left out)
+ */
+export function loadCustomPresets(builtInNames) {
+  const stored = readJson(PRESETS_KEY);
+  if (stored === null) return { presets: { climate: {}, crop: {} }, skipped: 0 };
+  const { presets } = readCustomPresets(stored, builtInNames);
+  const count = (group) => Object.keys(group?.climate ?? {}).length + Object.keys(group?.crop ?? {}).length;
+  return { presets, skipped: Math.max(0, count(stored) - count(presets)) };
+}
+
+/**
+ * Store the custom presets.
+ *
+ * @param {{climate: Object, crop: Object}} presets - Custom presets
+ * @returns {boolean} Whether they were stored
+ */
+export function saveCustomPresets(presets) {
+  return writeJson(PRESETS_KEY, presets);
+}
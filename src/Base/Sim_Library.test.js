@@ -0,0 +1,33 @@
+import { addScenario, summarizeForLibrary } from './Sim_Library';
+
+describe('library summary', () => {
+  test('summarises the final population and lowest food stock', () => {
+    const summary = summarizeForLibrary({
+      foodData: [{ food: 50 }, { food: 12.5 }, { food: 30 }],
+      populationData: [{ population: 100 }, { population: 96 }]
+    });
+    expect(summary).toEqual({ finalPopulation: 96, minFood: 12.5 });
+  });
+
+  test('a run without results has no summary', () => {
+    expect(summarizeForLibrary({ foodData: [], populationData: [] })).toBeNull();
+    expect(summarizeForLibrary({ foodData: [{ food: 1 }], populationData: [] })).toBeNull();
+  });
+});
+
+describe('addScenario', () => {
+  const now = new Date('2026-01-02T03:04:05Z');
+  const run = { name: ' Dry year ', config: {}, seed: 1, presets: {}, summary: null };
+
+  test('a new name goes on top', () => {
+    const scenarios = addScenario([{ id: 'old', name: 'Other' }], run, now);
+    expect(scenarios.map(entry => entry.name)).toEqual(['Dry year', 'Other']);
+    expect(scenarios[0].modifiedAt).toBe('2026-01-02T03:04:05.000Z');
+  });
+
+  test('an existing name is replaced in place', () => {
+    const scenarios = addScenario([{ id: 'a', name: 'First' }, { id: 'b', name: 'Dry year' }], { ...run, seed: 2 }, now);
+    expect(scenarios.map(entry => entry.id)).toEqual(['a', 'b']);
+    expect(scenarios[1].seed).toBe(2);
+  });
+});
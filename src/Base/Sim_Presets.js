@@ -0,0 +1,324 @@
+/* ============================================================
+   Custom Presets & Preset Packs
+   ------------------------------------------------------------
+   Next to the built-in climate and crop presets (Sim_Base.js),
+   users keep their own:
+
+   - a climate preset sets the season lengths, means and amps,
+     and the custom season list (see Sim_Seasons.js)
+   - a crop preset sets the growth, lifecycle and spoilage fields
+
+   Each has a name and a description, like the built-in ones, and
+   a key starting with "custom-" so it never replaces a built-in
+   preset and stays the same when the preset is renamed (shared
+   links and saved scenarios refer to presets by key).
+
+   Custom presets are stored in the browser (see Sim_Library.js)
+   and can be passed around as a preset pack file:
+
+   {
+     "format": "population-sim-presets",
+     "version": 1,
+     "exportedAt": "2026-01-01T00:00:00.000Z",
+     "climate": { "custom-steppe": { "name": ..., "description": ..., "config": {...} } },
+     "crop": { ... }
+   }
+
+   Preset fields use the scenario file rules (CONFIG_SCHEMA), and
+   climate season lengths must add up to 365.
+   ============================================================ */
+
+import { CONFIG_SCHEMA, validateValue } from './Sim_Scenario';
+import { SEASON_LENGTH_FIELDS, seasonTotal } from './Sim_Validation';
+
+/**
+ * Identifies preset pack files written by this app.
+ */
+export const PRESET_PACK_FORMAT = 'population-sim-presets';
+
+/**
+ * Current preset pack version.
+ */
+export const PRESET_PACK_VERSION = 1;
+
+/**
+ * File name for an exported preset pack.
+ */
+export const PRESET_PACK_FILE_NAME = 'population-sim-presets.json';
+
+/**
+ * Start of every custom preset key.
+ */
+export const CUSTOM_PRESET_PREFIX = 'custom-';
+
+/**
+ * Preset kinds, in the order they are shown.
+ */
+export const PRESET_KINDS = ['climate', 'crop'];
+
+/**
+ * Config fields a custom preset sets, per kind.
+ */
+export const PRESET_FIELDS = {
+  climate: [
+    ...SEASON_LENGTH_FIELDS,
+    'winterMean', 'winterAmp',
+    'springMean', 'springAmp',
+    'summerMean', 'summerAmp',
+    'fallMean', 'fallAmp',
+    'seasonList'
+  ],
+  crop: [
+    'optimalTemp', 'tolerance', 'maxGrowth', 'minGrowth',
+    'sowingSeason', 'baseTemp', 'maturityGDD', 'frostKillTemp',
+    'spoilageRate'
+  ]
+};
+
+/**
+ * Values for preset fields added after presets were first stored,
+ * so older presets and packs still load.
+ */
+const PRESET_FIELD_DEFAULTS = {
+  seasonList: []
+};
+
+/**
+ * The preset's config with added fields filled in (see PRESET_FIELD_DEFAULTS).
+ */
+function withFieldDefaults(config, kind) {
+  const defaults = Object.fromEntries(
+    PRESET_FIELDS[kind].filter(field => field in PRESET_FIELD_DEFAULTS).map(field => [field, PRESET_FIELD_DEFAULTS[field]])
+  );
+  return { ...defaults, ...config };
+}
+
+/**
+ * No custom presets yet.
+ */
+export const NO_CUSTOM_PRESETS = { climate: {}, crop: {} };
+
+/**
+ * A new preset holding the current values of its kind's fields.
+ *
+ * @param {Object} config - Simulation config to copy the fields from
+ * @param {string} kind - 'climate' or 'crop'
+ * @param {string} [name=''] - Preset name
+ * @param {string} [description=''] - Preset description
+ * @returns {{name: string, description: string, config: Object}}
+ */
+export function presetFromConfig(config, kind, name = '', description = '') {
+  return {
+    name,
+    description,
+    config: Object.fromEntries(PRESET_FIELDS[kind].map(field => [field, config[field]]))
+  };
+}
+
+/**
+ * Check one custom preset.
+ *
+ * @param {*} preset - Preset to check
+ * @param {string} kind - 'climate' or 'crop'
+ * @param {Array<string>} [takenNames=[]] - Names of the other presets of this kind
+ *   (compared without case; a preset may not reuse one)
+ * @returns {Array<string>} Errors (empty if the preset is valid)
+ */
+export function validatePreset(preset, kind, takenNames = []) {
+  if (preset === null || typeof preset !== 'object' || Array.isArray(preset)) {
+    return ['Preset must be an object'];
+  }
+
+  const errors = [];
+  if (typeof preset.name !== 'string' || !preset.name.trim()) {
+    errors.push('Name is missing');
+  } else if (takenNames.some(name => name.toLowerCase() === preset.name.trim().toLowerCase())) {
+    errors.push(`Name "${preset.name.trim()}" is already used by another ${kind} preset`);
+  }
+  if (preset.description !== undefined && typeof preset.description !== 'string') {
+    errors.push('Description must be text');
+  }
+
+  if (preset.config === null || typeof preset.config !== 'object' || Array.isArray(preset.config)) {
+    errors.push('config is missing');
+    return errors;
+  }
+  const config = withFieldDefaults(preset.config, kind);
+  const fieldErrors = PRESET_FIELDS[kind].flatMap(field => (
+    config[field] === undefined
+      ? [`config.${field} is missing`]
+      : validateValue(config[field], CONFIG_SCHEMA[field], `config.${field}`)
+  ));
+  errors.push(...fieldErrors);
+
+  if (kind === 'climate' && fieldErrors.length === 0 && seasonTotal(config) !== 365) {
+    errors.push(`Season lengths add up to ${seasonTotal(config)} days (must be 365)`);
+  }
+  return errors;
+}
+
+/**
+ * A preset with only the fields of its kind, name and description trimmed.
+ */
+function cleanPreset(preset, kind) {
+  const config = withFieldDefaults(preset.config, kind);
+  return {
+    name: preset.name.trim(),
+    description: (preset.description ?? '').trim(),
+    config: Object.fromEntries(PRESET_FIELDS[kind].map(field => [field, config[field]]))
+  };
+}
+
+/**
+ * Key for a new preset: "custom-" plus the name as a slug, numbered
+ * when taken ("custom-dry-steppe", "custom-dry-steppe-2", ...).
+ *
+ * @param {string} name - Preset name
+ * @param {Object} presets - Existing presets of the kind, keyed by preset key
+ * @returns {string} Free key
+ */
+function newPresetKey(name, presets) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+  let key = `${CUSTOM_PRESET_PREFIX}${slug}`;
+  for (let number = 2; key in presets; number++) key = `${CUSTOM_PRESET_PREFIX}${slug}-${number}`;
+  return key;
+}
+
+/**
+ * Add or update a custom preset. Check it with validatePreset() first.
+ *
+ * @param {{climate: Object, crop: Object}} presets - Custom presets
+ * @param {string} kind - 'climate' or 'crop'
+ * @param {(string|null)} key - Key of the preset to update, or null for a new one
+ * @param {{name: string, description: string, config: Object}} preset - Preset values
+ * @returns {{presets: {climate: Object, crop: Object}, key: string}} New presets and the preset's key
+ */
+export function savePreset(presets, kind, key, preset) {
+  const presetKey = key ?? newPresetKey(preset.name.trim(), presets[kind]);
+  return {
+    presets: { ...presets, [kind]: { ...presets[kind], [presetKey]: cleanPreset(preset, kind) } },
+    key: presetKey
+  };
+}
+
+/**
+ * Remove a custom preset.
+ *
+ * @param {{climate: Object, crop: Object}} presets - Custom presets
+ * @param {string} kind - 'climate' or 'crop'
+ * @param {string} key - Preset key
+ * @returns {{climate: Object, crop: Object}} New presets
+ */
+export function deletePreset(presets, kind, key) {
+  const { [key]: removed, ...rest } = presets[kind];
+  return { ...presets, [kind]: rest };
+}
+
+/**
+ * Read the custom presets out of stored or imported data.
+ * Invalid presets are left out and reported.
+ *
+ * @param {*} data - {climate: {key: preset}, crop: {key: preset}}
+ * @param {{climate: Array<string>, crop: Array<string>}} builtInNames - Names of the
+ *   built-in presets (custom presets may not reuse them)
+ * @returns {{presets: {climate: Object, crop: Object}, errors: Array<string>}}
+ */
+export function readCustomPresets(data, builtInNames) {
+  const presets = { climate: {}, crop: {} };
+  const errors = [];
+
+  PRESET_KINDS.forEach(kind => {
+    const entries = data?.[kind];
+    if (entries === undefined) return;
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`${kind} must be an object of presets`);
+      return;
+    }
+
+    Object.entries(entries).forEach(([key, preset]) => {
+      const label = `${kind} preset "${preset?.name ?? key}"`;
+      if (!key.startsWith(CUSTOM_PRESET_PREFIX)) {
+        errors.push(`${label}: key must start with "${CUSTOM_PRESET_PREFIX}" (got "${key}")`);
+        return;
+      }
+      const takenNames = [...builtInNames[kind], ...Object.values(presets[kind]).map(other => other.name)];
+      const presetErrors = validatePreset(preset, kind, takenNames);
+      if (presetErrors.length > 0) {
+        errors.push(...presetErrors.map(error => `${label}: ${error}`));
+        return;
+      }
+      presets[kind][key] = cleanPreset(preset, kind);
+    });
+  });
+
+  return { presets, errors };
+}
+
+/**
+ * Wrap custom presets into a preset pack.
+ *
+ * @param {{climate: Object, crop: Object}} presets - Custom presets
+ * @returns {Object} Pack ready for JSON.stringify()
+ */
+export function createPresetPack(presets) {
+  return {
+    format: PRESET_PACK_FORMAT,
+    version: PRESET_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    climate: presets.climate,
+    crop: presets.crop
+  };
+}
+
+/**
+ * Parse a preset pack and merge it into the custom presets.
+ *
+ * A pack preset replaces the custom preset with the same key, or
+ * else the one with the same name (which keeps its key). Valid
+ * presets are imported even when others in the pack are not.
+ *
+ * @param {string} text - File contents
+ * @param {{climate: Object, crop: Object}} presets - Current custom presets
+ * @param {{climate: Array<string>, crop: Array<string>}} builtInNames - Names of the built-in presets
+ * @returns {{presets: {climate: Object, crop: Object}, added: number, replaced: number,
+ *   errors: Array<string>}} presets is the merged list (unchanged when nothing was imported)
+ */
+export function parsePresetPack(text, presets, builtInNames) {
+  const nothing = (errors) => ({ presets, added: 0, replaced: 0, errors });
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return nothing([`File is not valid JSON (${error.message})`]);
+  }
+  if (data === null || typeof data !== 'object' || data.format !== PRESET_PACK_FORMAT) {
+    return nothing([`File is not a preset pack (format must be "${PRESET_PACK_FORMAT}")`]);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > PRESET_PACK_VERSION) {
+    return nothing([`version ${JSON.stringify(data.version)} is not supported (this app reads version ${PRESET_PACK_VERSION})`]);
+  }
+
+  const { presets: imported, errors } = readCustomPresets(data, builtInNames);
+  let merged = presets;
+  let added = 0;
+  let replaced = 0;
+
+  PRESET_KINDS.forEach(kind => {
+    Object.entries(imported[kind]).forEach(([key, preset]) => {
+      const sameName = Object.keys(merged[kind]).find(
+        other => merged[kind][other].name.toLowerCase() === preset.name.toLowerCase()
+      );
+      const target = key in merged[kind] ? key : sameName;
+      // The replaced preset's name is free again; a different preset keeping it is a clash
+      if (sameName && target !== sameName) {
+        errors.push(`${kind} preset "${preset.name}": Name is already used by another ${kind} preset`);
+        return;
+      }
+      if (target) replaced++; else added++;
+      merged = { ...merged, [kind]: { ...merged[kind], [target ?? key]: preset } };
+    });
+  });
+
+  return { presets: merged, added, replaced, errors };
+}
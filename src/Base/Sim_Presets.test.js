@@ -0,0 +1,91 @@
+import {
+  createPresetPack, NO_CUSTOM_PRESETS, parsePresetPack, presetFromConfig, PRESET_PACK_FORMAT, savePreset, validatePreset
+} from './Sim_Presets';
+import { DEFAULT_CONFIG } from './Sim_Engine';
+
+const BUILT_IN_NAMES = { climate: ['Temperate'], crop: ['Wheat'] };
+
+const CROP = presetFromConfig(DEFAULT_CONFIG, 'crop', 'Hardy Oats', 'Cold tolerant');
+const CLIMATE = presetFromConfig(DEFAULT_CONFIG, 'climate', 'Steppe');
+
+/**
+ * A preset pack file holding the given presets.
+ */
+function packText(presets) {
+  return JSON.stringify(createPresetPack({ ...NO_CUSTOM_PRESETS, ...presets }));
+}
+
+describe('validatePreset', () => {
+  test('presets made from the default config are valid', () => {
+    expect(validatePreset(CROP, 'crop')).toEqual([]);
+    expect(validatePreset(CLIMATE, 'climate')).toEqual([]);
+  });
+
+  test('names may not be reused, whatever the case', () => {
+    expect(validatePreset(CROP, 'crop', ['hardy oats'])).toEqual(['Name "Hardy Oats" is already used by another crop preset']);
+  });
+
+  test('climate season lengths must add up to 365', () => {
+    const config = { ...CLIMATE.config, winterLength: CLIMATE.config.winterLength + 10 };
+    expect(validatePreset({ ...CLIMATE, config }, 'climate')).toEqual(['Season lengths add up to 375 days (must be 365)']);
+  });
+});
+
+describe('savePreset', () => {
+  test('new presets get a custom key from their name, numbered when taken', () => {
+    const first = savePreset(NO_CUSTOM_PRESETS, 'crop', null, CROP);
+    const second = savePreset(first.presets, 'crop', null, { ...CROP, name: 'Hardy  Oats!' });
+    expect(first.key).toBe('custom-hardy-oats');
+    expect(second.key).toBe('custom-hardy-oats-2');
+  });
+});
+
+describe('parsePresetPack', () => {
+  test('a pack written by createPresetPack reads back', () => {
+    const { presets } = savePreset(NO_CUSTOM_PRESETS, 'crop', null, CROP);
+    const result = parsePresetPack(JSON.stringify(createPresetPack(presets)), NO_CUSTOM_PRESETS, BUILT_IN_NAMES);
+    expect(result).toEqual({ presets, added: 1, replaced: 0, errors: [] });
+  });
+
+  test('a preset with the same name replaces the old one and keeps its key', () => {
+    const { presets } = savePreset(NO_CUSTOM_PRESETS, 'crop', null, CROP);
+    const text = packText({ crop: { 'custom-oats': { ...CROP, description: 'Newer' } } });
+    const result = parsePresetPack(text, presets, BUILT_IN_NAMES);
+
+    expect(result.replaced).toBe(1);
+    expect(Object.keys(result.presets.crop)).toEqual(['custom-hardy-oats']);
+    expect(result.presets.crop['custom-hardy-oats'].description).toBe('Newer');
+  });
+
+  test('invalid presets are reported and the valid ones still imported', () => {
+    const text = packText({
+      crop: {
+        'custom-oats': CROP,
+        'custom-wheat': { ...CROP, name: 'Wheat' },
+        'oats-2': { ...CROP, name: 'Oats 2' }
+      }
+    });
+    const result = parsePresetPack(text, NO_CUSTOM_PRESETS, BUILT_IN_NAMES);
+
+    expect(result.added).toBe(1);
+    expect(Object.keys(result.presets.crop)).toEqual(['custom-oats']);
+    expect(result.errors).toEqual([
+      'crop preset "Wheat": Name "Wheat" is already used by another crop preset',
+      'crop preset "Oats 2": key must start with "custom-" (got "oats-2")'
+    ]);
+  });
+
+  test('files that are not preset packs change nothing', () => {
+    const cases = [
+      ['{not json', /^File is not valid JSON/],
+      [JSON.stringify({ format: 'something-else' }), /^File is not a preset pack/],
+      [JSON.stringify({ format: PRESET_PACK_FORMAT, version: 99 }), /^version 99 is not supported/]
+    ];
+    cases.forEach(([text, error]) => {
+      const result = parsePresetPack(text, NO_CUSTOM_PRESETS, BUILT_IN_NAMES);
+      expect(result.presets).toBe(NO_CUSTOM_PRESETS);
+      expect(result.added + result.replaced).toBe(0);
+      expect(result.errors[0]).toMatch(error);
+    });
+  });
+});
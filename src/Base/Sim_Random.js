@@ -0,0 +1,118 @@
+/* ============================================================
+   Seeded Random Number Generation
+   ------------------------------------------------------------
+   Every stochastic part of the model draws from a generator
+   created here, never from Math.random(). A run is fully
+   described by its config plus a single integer seed, so a
+   teammate can rebuild exactly the same run from that number.
+
+   Each subsystem asks for its own named stream
+   (e.g. createRng(seed, 'weather')). Streams are independent,
+   so adding draws to one subsystem never shifts the random
+   sequence seen by another one.
+   ============================================================ */
+
+/**
+ * Largest seed value shown in the UI.
+ * Keeps seeds short enough to read out loud or type by hand.
+ */
+const MAX_UI_SEED = 1e9;
+
+/**
+ * Mulberry32 pseudo-random generator.
+ *
+ * Small, fast 32-bit generator with good statistical quality for
+ * simulation purposes (not cryptographic).
+ *
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a).
+ *
+ * @param {string} text - Any string (stream names, legacy seeds)
+ * @returns {number} 32-bit unsigned hash
+ */
+export function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Convert any user or legacy seed value into a 32-bit unsigned integer.
+ *
+ * - Non-negative integers are used as-is (wrapped to 32 bits)
+ * - Anything else (fractions from older Math.random() seeds, strings)
+ *   is hashed, so it still maps to a stable integer
+ *
+ * @param {number|string} value - Seed as typed or stored
+ * @returns {number} Normalized 32-bit unsigned seed
+ */
+export function normalizeSeed(value) {
+  const numeric = Number(value);
+  if (Number.isInteger(numeric) && numeric >= 0) return numeric >>> 0;
+  return hashString(String(value));
+}
+
+/**
+ * Pick a fresh seed for a new run.
+ * This is the only place Math.random() is used: it chooses the seed,
+ * everything downstream is derived from it deterministically.
+ *
+ * @returns {number} Integer seed in [0, 1e9)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * MAX_UI_SEED);
+}
+
+/**
+ * Create an independent random stream for one subsystem.
+ *
+ * @param {number} seed - Simulation seed
+ * @param {string} [stream=''] - Stream name (e.g. 'weather', 'events')
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRng(seed, stream = '') {
+  return mulberry32(normalizeSeed(seed) ^ hashString(stream));
+}
+
+/**
+ * Draw from a standard normal distribution (Box-Muller transform).
+ *
+ * @param {function(): number} rng - Generator from createRng()
+ * @returns {number} Sample with mean 0 and standard deviation 1
+ */
+export function randomNormal(rng) {
+  // 1 - rng() keeps u1 in (0, 1] so Math.log never sees 0
+  const u1 = 1 - rng();
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Draw a float uniformly from [min, max).
+ *
+ * @param {function(): number} rng - Generator from createRng()
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (exclusive)
+ * @returns {number} Sample in [min, max)
+ */
+export function randomBetween(rng, min, max) {
+  return min + (max - min) * rng();
+}
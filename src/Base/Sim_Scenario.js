@@ -0,0 +1,468 @@
+/* ============================================================
+   Scenario Files: Export & Import
+   ------------------------------------------------------------
+   A scenario is everything needed to rebuild a run: the full
+   config plus the seed. It is saved as a small versioned JSON
+   file so setups can be passed around instead of copying
+   numbers into the settings by hand:
+
+   {
+     "format": "population-sim-scenario",
+     "version": 3,
+     "module": "Base",
+     "exportedAt": "2026-01-01T00:00:00.000Z",
+     "seed": 123456789,
+     "config": { ...every config field... }
+   }
+
+   Imports are checked against a schema before anything is
+   applied. Validation never throws: it returns a list of
+   readable errors (missing fields, wrong types, values out of
+   range) and the scenario is only used when that list is empty.
+
+   Files from older versions are upgraded first: fields added
+   since then get the value that keeps the old behaviour (see
+   FIELDS_ADDED_IN_VERSION).
+   ============================================================ */
+
+import { CLASSIC_SEASONS, MAX_SEASONS, seasonNames } from './Sim_Seasons';
+import { CLIMATE_TRENDS, MAX_CURVE_POINTS } from './Sim_Climate';
+
+/**
+ * Identifies scenario files written by this app.
+ */
+export const SCENARIO_FORMAT = 'population-sim-scenario';
+
+/**
+ * Current scenario file version.
+ * Bump when the file layout or a field's meaning changes, and
+ * teach validateScenario() to upgrade the older versions.
+ */
+export const SCENARIO_VERSION = 3;
+
+/**
+ * Config fields added in each version, with the value older files get.
+ * - 2: custom season list (empty = the classic four seasons)
+ * - 3: climate change trend (none) and growing extremes (off)
+ */
+const FIELDS_ADDED_IN_VERSION = {
+  2: { seasonList: [] },
+  3: {
+    climateTrend: 'none',
+    trendPerDecade: 0.5,
+    trendStepYear: 10,
+    trendStepSize: 3,
+    trendCurve: [],
+    extremeGrowthPerDecade: 0
+  }
+};
+
+/**
+ * Validation rules for the base config fields.
+ *
+ * Structure (one rule per field):
+ * - type: 'number' | 'boolean' | 'string' | 'crops' | 'seasons' | 'curve'
+ * - min/max: Allowed range for numbers (inclusive)
+ * - integer: Number must be a whole number
+ * - values: Allowed values for strings
+ *
+ * Fields without a rule (e.g. from model layers) only have to
+ * match the type of their default value.
+ */
+export const CONFIG_SCHEMA = {
+  // Time settings
+  yearCount: { type: 'number', min: 1, max: 100, integer: true },
+  startingSeason: { type: 'string' }, // Must name one of the config's seasons (checked below)
+
+  // Season lengths
+  winterLength: { type: 'number', min: 1, max: 365, integer: true },
+  springLength: { type: 'number', min: 1, max: 365, integer: true },
+  summerLength: { type: 'number', min: 1, max: 365, integer: true },
+  fallLength: { type: 'number', min: 1, max: 365, integer: true },
+
+  // Season temperature profiles
+  winterMean: { type: 'number', min: -100, max: 150 },
+  winterAmp: { type: 'number', min: 0, max: 100 },
+  springMean: { type: 'number', min: -100, max: 150 },
+  springAmp: { type: 'number', min: 0, max: 100 },
+  summerMean: { type: 'number', min: -100, max: 150 },
+  summerAmp: { type: 'number', min: 0, max: 100 },
+  fallMean: { type: 'number', min: -100, max: 150 },
+  fallAmp: { type: 'number', min: 0, max: 100 },
+
+  // Custom season list
+  seasonList: { type: 'seasons' },
+
+  // Extreme events
+  heatWaveReturnPeriod: { type: 'number', min: 0, max: 10000 },
+  heatWaveDuration: { type: 'number', min: 1, max: 365 },
+  heatWaveIntensity: { type: 'number', min: 0, max: 100 },
+  coldSnapReturnPeriod: { type: 'number', min: 0, max: 10000 },
+  coldSnapDuration: { type: 'number', min: 1, max: 365 },
+  coldSnapIntensity: { type: 'number', min: 0, max: 100 },
+  blizzardReturnPeriod: { type: 'number', min: 0, max: 10000 },
+  blizzardDuration: { type: 'number', min: 1, max: 365 },
+  blizzardIntensity: { type: 'number', min: 0, max: 100 },
+
+  // Climate change trend
+  climateTrend: { type: 'string', values: Object.keys(CLIMATE_TRENDS) },
+  trendPerDecade: { type: 'number', min: -20, max: 20 },
+  trendStepYear: { type: 'number', min: 0, max: 100 },
+  trendStepSize: { type: 'number', min: -50, max: 50 },
+  trendCurve: { type: 'curve' },
+  extremeGrowthPerDecade: { type: 'number', min: 0, max: 100 },
+
+  // Crop characteristics
+  optimalTemp: { type: 'number', min: -100, max: 150 },
+  tolerance: { type: 'number', min: 0.1, max: 100 },
+  maxGrowth: { type: 'number', min: 0, max: 1e6 },
+  minGrowth: { type: 'number', min: 0, max: 1e6 },
+  spoilageRate: { type: 'number', min: 0, max: 1 },
+
+  // Crop lifecycle
+  cropCycles: { type: 'boolean' },
+  sowingSeason: { type: 'string' }, // "Any", a classic season or a custom season name
+  baseTemp: { type: 'number', min: -100, max: 150 },
+  maturityGDD: { type: 'number', min: 1, max: 100000 },
+  frostKillTemp: { type: 'number', min: -100, max: 150 },
+
+  // Crop portfolio
+  crops: { type: 'crops' },
+
+  // Food economy & storage
+  startingFood: { type: 'number', min: 0, max: 1e9 },
+  foodPerPerson: { type: 'number', min: 0.01, max: 1000 },
+  granaryDays: { type: 'number', min: 1, max: 36500 },
+  temperatureSpoilage: { type: 'boolean' },
+  spoilageDoublingTemp: { type: 'number', min: 1, max: 100 },
+
+  // Population
+  startingPopulation: { type: 'number', min: 1, max: 1e9, integer: true },
+  baseBirthRate: { type: 'number', min: 0, max: 1 },
+  baseDeathRate: { type: 'number', min: 0, max: 1 },
+
+  // Age structure
+  ageStructure: { type: 'boolean' },
+  adultAge: { type: 'number', min: 1, max: 100, integer: true },
+  elderAge: { type: 'number', min: 2, max: 150, integer: true },
+  maxAge: { type: 'number', min: 2, max: 150, integer: true },
+  startingChildShare: { type: 'number', min: 0, max: 1 },
+  startingElderlyShare: { type: 'number', min: 0, max: 1 },
+  adultFertility: { type: 'number', min: 0, max: 10 },
+  childMortality: { type: 'number', min: 0, max: 1 },
+  adultMortality: { type: 'number', min: 0, max: 1 },
+  elderlyMortality: { type: 'number', min: 0, max: 1 }
+};
+
+/**
+ * Validation rules for one crop portfolio entry (see DEFAULT_CONFIG.crops).
+ */
+const CROP_SCHEMA = {
+  preset: { type: 'string' },
+  name: { type: 'string' },
+  share: { type: 'number', min: 0, max: 100 },
+  optimalTemp: CONFIG_SCHEMA.optimalTemp,
+  tolerance: CONFIG_SCHEMA.tolerance,
+  maxGrowth: CONFIG_SCHEMA.maxGrowth,
+  minGrowth: CONFIG_SCHEMA.minGrowth,
+  sowingSeason: CONFIG_SCHEMA.sowingSeason,
+  baseTemp: CONFIG_SCHEMA.baseTemp,
+  maturityGDD: CONFIG_SCHEMA.maturityGDD,
+  frostKillTemp: CONFIG_SCHEMA.frostKillTemp,
+  spoilageRate: CONFIG_SCHEMA.spoilageRate
+};
+
+/**
+ * Validation rules for one custom season list entry (see Sim_Seasons.js).
+ */
+const SEASON_SCHEMA = {
+  name: { type: 'string' },
+  length: CONFIG_SCHEMA.winterLength,
+  mean: CONFIG_SCHEMA.winterMean,
+  amp: CONFIG_SCHEMA.winterAmp,
+  color: { type: 'string' },
+  classicSeason: { type: 'string', values: CLASSIC_SEASONS }
+};
+
+/**
+ * Validation rules for one custom trend curve point (see Sim_Climate.js).
+ */
+const CURVE_POINT_SCHEMA = {
+  year: CONFIG_SCHEMA.trendStepYear,
+  offset: CONFIG_SCHEMA.trendStepSize
+};
+
+/**
+ * Build schema rules from a module's settings field list
+ * (e.g. DISEASE_FIELDS), so the input limits double as import limits.
+ *
+ * @param {Array<{key: string, min: number, max: number}>} fields - Settings field definitions
+ * @returns {Object} Schema rules keyed by config field
+ */
+export function schemaFromFields(fields) {
+  return Object.fromEntries(
+    fields.map(field => [field.key, { type: 'number', min: field.min, max: field.max }])
+  );
+}
+
+/**
+ * Wrap a config and seed into a scenario object.
+ *
+ * @param {Object} config - Full simulation config
+ * @param {number} seed - Seed of the run
+ * @param {string} moduleName - Module the scenario was made in (e.g. 'Disease')
+ * @returns {Object} Scenario ready for JSON.stringify()
+ */
+export function createScenario(config, seed, moduleName) {
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    module: moduleName,
+    exportedAt: new Date().toISOString(),
+    seed,
+    config
+  };
+}
+
+/**
+ * File name for an exported scenario, e.g. "disease-scenario-123456789.json".
+ *
+ * @param {string} moduleName - Module the scenario was made in
+ * @param {number} seed - Seed of the run
+ * @returns {string} File name
+ */
+export function scenarioFileName(moduleName, seed) {
+  const slug = moduleName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'simulation'}-scenario-${seed}.json`;
+}
+
+/**
+ * Check one value against a schema rule.
+ * Also used by the settings panel checks (see Sim_Validation.js).
+ *
+ * @param {*} value - Value from the imported file or settings panel
+ * @param {Object} rule - Schema rule (see CONFIG_SCHEMA)
+ * @param {string} path - Field path used in error messages (e.g. "crops[1].share")
+ * @returns {Array<string>} Errors (empty if the value is valid)
+ */
+export function validateValue(value, rule, path) {
+  if (rule.type === 'crops') return validateCrops(value, path);
+  if (rule.type === 'seasons') return validateSeasonList(value, path);
+  if (rule.type === 'curve') return validateCurve(value, path);
+
+  if (rule.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return [`${path} must be a number (got ${JSON.stringify(value)})`];
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return [`${path} must be a whole number (got ${value})`];
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      return [`${path} is out of range: ${value} (allowed ${rule.min ?? '-∞'} to ${rule.max ?? '∞'})`];
+    }
+    return [];
+  }
+
+  if (typeof value !== rule.type) {
+    return [`${path} must be a ${rule.type} (got ${JSON.stringify(value)})`];
+  }
+  if (rule.values && !rule.values.includes(value)) {
+    return [`${path} must be one of ${rule.values.join(', ')} (got "${value}")`];
+  }
+  return [];
+}
+
+/**
+ * Check the crop portfolio list.
+ *
+ * @param {*} crops - Value of config.crops from the imported file
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateCrops(crops, path) {
+  if (!Array.isArray(crops)) return [`${path} must be a list of crops`];
+
+  const errors = [];
+  crops.forEach((crop, index) => {
+    const cropPath = `${path}[${index}]`;
+    if (crop === null || typeof crop !== 'object' || Array.isArray(crop)) {
+      errors.push(`${cropPath} must be an object`);
+      return;
+    }
+    if (crop.name === undefined) errors.push(`${cropPath}.name is missing`);
+    if (crop.share === undefined) errors.push(`${cropPath}.share is missing`);
+
+    // Other crop fields are optional: buildCropPortfolio() fills them in
+    Object.entries(CROP_SCHEMA).forEach(([key, rule]) => {
+      if (crop[key] !== undefined) errors.push(...validateValue(crop[key], rule, `${cropPath}.${key}`));
+    });
+  });
+  return errors;
+}
+
+/**
+ * Check the custom season list. Every field is required, names
+ * must be unique and colors are "#rrggbb" (the chart shading).
+ *
+ * @param {*} seasons - Value of config.seasonList
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateSeasonList(seasons, path) {
+  if (!Array.isArray(seasons)) return [`${path} must be a list of seasons`];
+  if (seasons.length > MAX_SEASONS) return [`${path} has ${seasons.length} seasons (at most ${MAX_SEASONS})`];
+
+  const errors = [];
+  const names = new Set();
+  seasons.forEach((season, index) => {
+    const seasonPath = `${path}[${index}]`;
+    if (season === null || typeof season !== 'object' || Array.isArray(season)) {
+      errors.push(`${seasonPath} must be an object`);
+      return;
+    }
+    Object.entries(SEASON_SCHEMA).forEach(([key, rule]) => {
+      if (season[key] === undefined) {
+        errors.push(`${seasonPath}.${key} is missing`);
+      } else {
+        errors.push(...validateValue(season[key], rule, `${seasonPath}.${key}`));
+      }
+    });
+
+    if (typeof season.name === 'string') {
+      if (!season.name.trim()) errors.push(`${seasonPath}.name is empty`);
+      else if (names.has(season.name)) errors.push(`${seasonPath}.name "${season.name}" is used twice`);
+      names.add(season.name);
+    }
+    if (typeof season.color === 'string' && !/^#[0-9a-f]{6}$/i.test(season.color)) {
+      errors.push(`${seasonPath}.color must be a color like "#90ee90" (got "${season.color}")`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check a custom trend curve: up to MAX_CURVE_POINTS {year, offset} points.
+ *
+ * @param {*} curve - Value of config.trendCurve
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateCurve(curve, path) {
+  if (!Array.isArray(curve)) return [`${path} must be a list of points`];
+  if (curve.length > MAX_CURVE_POINTS) return [`${path} has ${curve.length} points (at most ${MAX_CURVE_POINTS})`];
+
+  const errors = [];
+  curve.forEach((point, index) => {
+    const pointPath = `${path}[${index}]`;
+    if (point === null || typeof point !== 'object' || Array.isArray(point)) {
+      errors.push(`${pointPath} must be an object`);
+      return;
+    }
+    Object.entries(CURVE_POINT_SCHEMA).forEach(([key, rule]) => {
+      if (point[key] === undefined) {
+        errors.push(`${pointPath}.${key} is missing`);
+      } else {
+        errors.push(...validateValue(point[key], rule, `${pointPath}.${key}`));
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Validate a parsed scenario object.
+ *
+ * Every field of defaultConfig must be present. Fields are checked
+ * against their rule in the schema, or against the type of their
+ * default value when there is no rule. Fields the module doesn't
+ * know are dropped and reported as warnings.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {Object} defaultConfig - The module's default config (defines the required fields)
+ * @param {Object} [schema=CONFIG_SCHEMA] - Validation rules (see CONFIG_SCHEMA)
+ * @returns {{scenario: ({config: Object, seed: number}|null), errors: Array<string>, warnings: Array<string>}}
+ *   scenario is null whenever there are errors
+ */
+export function validateScenario(data, defaultConfig, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  const warnings = [];
+
+  // === File header ===
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { scenario: null, errors: ['File is not a scenario (expected a JSON object)'], warnings };
+  }
+  if (data.format !== SCENARIO_FORMAT) {
+    errors.push(`format must be "${SCENARIO_FORMAT}" (got ${JSON.stringify(data.format)})`);
+  }
+  if (!Number.isInteger(data.version)) {
+    errors.push('version is missing');
+  } else if (data.version > SCENARIO_VERSION) {
+    errors.push(`version ${data.version} is newer than this app supports (${SCENARIO_VERSION})`);
+  } else if (data.version < 1) {
+    errors.push(`version ${data.version} is not a valid scenario version`);
+  }
+
+  // === Seed ===
+  if (data.seed === undefined) {
+    errors.push('seed is missing');
+  } else if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xFFFFFFFF) {
+    errors.push(`seed must be a whole number from 0 to ${0xFFFFFFFF} (got ${JSON.stringify(data.seed)})`);
+  }
+
+  // === Config ===
+  if (data.config === null || typeof data.config !== 'object' || Array.isArray(data.config)) {
+    errors.push('config is missing');
+    return { scenario: null, errors, warnings };
+  }
+
+  // Upgrade older versions: fill in the fields added since
+  let config = data.config;
+  Object.entries(FIELDS_ADDED_IN_VERSION).forEach(([version, fields]) => {
+    if (data.version < Number(version)) config = { ...fields, ...config };
+  });
+
+  Object.keys(defaultConfig).forEach(key => {
+    if (config[key] === undefined) {
+      errors.push(`config.${key} is missing`);
+      return;
+    }
+    const rule = schema[key] ?? { type: typeof defaultConfig[key] };
+    errors.push(...validateValue(config[key], rule, `config.${key}`));
+  });
+
+  const unknown = Object.keys(config).filter(key => !(key in defaultConfig));
+  if (unknown.length > 0) {
+    warnings.push(`Ignored fields this module doesn't use: ${unknown.join(', ')}`);
+  }
+
+  // The starting season must be one of the config's seasons
+  if (errors.length === 0 && 'startingSeason' in defaultConfig &&
+      !seasonNames(config).includes(config.startingSeason)) {
+    errors.push(`config.startingSeason must be one of ${seasonNames(config).join(', ')} (got "${config.startingSeason}")`);
+  }
+
+  if (errors.length > 0) return { scenario: null, errors, warnings };
+
+  // Keep only known fields, so stray keys never reach the engine
+  const cleanConfig = Object.fromEntries(Object.keys(defaultConfig).map(key => [key, config[key]]));
+  return { scenario: { config: cleanConfig, seed: data.seed }, errors, warnings };
+}
+
+/**
+ * Parse and validate the text of a scenario file.
+ *
+ * @param {string} text - File contents
+ * @param {Object} defaultConfig - The module's default config
+ * @param {Object} [schema=CONFIG_SCHEMA] - Validation rules
+ * @returns {{scenario: ({config: Object, seed: number}|null), errors: Array<string>, warnings: Array<string>}}
+ *   Same as validateScenario(); invalid JSON is reported as an error
+ */
+export function parseScenario(text, defaultConfig, schema = CONFIG_SCHEMA) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { scenario: null, errors: [`File is not valid JSON: ${error.message}`], warnings: [] };
+  }
+  return validateScenario(data, defaultConfig, schema);
+}
@@ -0,0 +1,65 @@
+import { DEFAULT_CONFIG } from './Sim_Engine';
+import { SCENARIO_FORMAT, SCENARIO_VERSION, createScenario, parseScenario, validateScenario } from './Sim_Scenario';
+
+const scenario = (config, extra = {}) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_VERSION,
+  seed: 42,
+  config,
+  ...extra
+});
+
+describe('scenario validation', () => {
+  test('an exported scenario reads back unchanged', () => {
+    const text = JSON.stringify(createScenario(DEFAULT_CONFIG, 42, 'Base'));
+    const { scenario: read, errors } = parseScenario(text, DEFAULT_CONFIG);
+    expect(errors).toEqual([]);
+    expect(read).toEqual({ config: DEFAULT_CONFIG, seed: 42 });
+  });
+
+  test('reports missing fields, wrong types and values out of range', () => {
+    const { yearCount, ...withoutYears } = DEFAULT_CONFIG;
+    const { scenario: read, errors } = validateScenario(
+      scenario({ ...withoutYears, tolerance: -3, cropCycles: 'yes' }),
+      DEFAULT_CONFIG
+    );
+    expect(read).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining([
+      'config.yearCount is missing',
+      'config.tolerance is out of range: -3 (allowed 0.1 to 100)',
+      'config.cropCycles must be a boolean (got "yes")'
+    ]));
+  });
+
+  test('drops unknown fields with a warning', () => {
+    const { scenario: read, warnings } = validateScenario(scenario({ ...DEFAULT_CONFIG, colour: 'red' }), DEFAULT_CONFIG);
+    expect(read.config).not.toHaveProperty('colour');
+    expect(warnings).toEqual(["Ignored fields this module doesn't use: colour"]);
+  });
+
+  test('rejects newer versions and other formats', () => {
+    expect(validateScenario(scenario(DEFAULT_CONFIG, { version: SCENARIO_VERSION + 1 }), DEFAULT_CONFIG).scenario).toBeNull();
+    expect(validateScenario(scenario(DEFAULT_CONFIG, { format: 'other' }), DEFAULT_CONFIG).scenario).toBeNull();
+    expect(parseScenario('{not json', DEFAULT_CONFIG).errors[0]).toMatch(/not valid JSON/);
+  });
+
+  test('upgrades version 1 files with the fields added since', () => {
+    const {
+      seasonList, climateTrend, trendPerDecade, trendStepYear, trendStepSize, trendCurve, extremeGrowthPerDecade,
+      ...version1
+    } = DEFAULT_CONFIG;
+    const { scenario: read, errors } = validateScenario(scenario(version1, { version: 1 }), DEFAULT_CONFIG);
+    expect(errors).toEqual([]);
+    expect(read.config).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('the starting season must be one of the seasons', () => {
+    const { errors } = validateScenario(scenario({ ...DEFAULT_CONFIG, startingSeason: 'Monsoon' }), DEFAULT_CONFIG);
+    expect(errors).toEqual(['config.startingSeason must be one of Winter, Spring, Summer, Fall (got "Monsoon")']);
+  });
+
+  test('checks crop portfolio entries', () => {
+    const { errors } = validateScenario(scenario({ ...DEFAULT_CONFIG, crops: [{ name: 'Wheat', share: 150 }] }), DEFAULT_CONFIG);
+    expect(errors).toEqual(['config.crops[0].share is out of range: 150 (allowed 0 to 100)']);
+  });
+});
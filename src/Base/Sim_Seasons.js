@@ -0,0 +1,180 @@
+/* ============================================================
+   Season Calendar
+   ------------------------------------------------------------
+   By default a year has the four classic seasons, set by the
+   flat config fields ({season}Length, {season}Mean, {season}Amp).
+   Climates that don't fit them (tropical wet/dry, monsoon) use
+   a custom season list instead, config.seasonList:
+
+   [{ name: 'Dry', length: 180, mean: 88, amp: 8, color: '#deae87', classicSeason: 'Summer' },
+    { name: 'Wet', length: 185, mean: 80, amp: 6, color: '#90ee90', classicSeason: 'Spring' }]
+
+   - Any number of seasons (1 to MAX_SEASONS) in calendar order;
+     lengths must add up to 365
+   - color: chart shading
+   - classicSeason: the classic season it counts as for settings
+     that are kept per classic season (Weather rainfall, Disease
+     transmission, crop sowing seasons)
+
+   An empty list means the classic four seasons, so older
+   configs keep working unchanged.
+   ============================================================ */
+
+import { ANY_SEASON } from './Sim_Crops';
+
+/**
+ * The classic seasons, in calendar order.
+ */
+export const CLASSIC_SEASONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+
+/**
+ * Chart shading color of each classic season (also the starting
+ * colors when a custom list is made from them).
+ */
+export const CLASSIC_SEASON_COLORS = {
+  Winter: '#add8e6', // Light blue
+  Spring: '#ded087', // Pale yellow
+  Summer: '#90ee90', // Light green
+  Fall: '#deae87'    // Pale orange
+};
+
+/**
+ * Most seasons a custom list may have.
+ */
+export const MAX_SEASONS = 12;
+
+/**
+ * Colors offered to seasons added to a custom list, in turn.
+ */
+const NEW_SEASON_COLORS = ['#f5b7b1', '#d7bde2', '#a9cce3', '#a3e4d7', '#f9e79f', '#d5dbdb'];
+
+/**
+ * Whether the config uses a custom season list.
+ *
+ * @param {Object} config - Simulation config
+ * @returns {boolean}
+ */
+export function hasSeasonList(config) {
+  return Array.isArray(config.seasonList) && config.seasonList.length > 0;
+}
+
+/**
+ * Names of the config's seasons, in calendar order.
+ *
+ * @param {Object} config - Simulation config
+ * @returns {Array<string>}
+ */
+export function seasonNames(config) {
+  return hasSeasonList(config) ? config.seasonList.map(season => season.name) : CLASSIC_SEASONS;
+}
+
+/**
+ * The classic season a season counts as.
+ *
+ * @param {Object} config - Simulation config
+ * @param {string} name - Season name
+ * @returns {string} Classic season name (the name itself without a custom list)
+ */
+export function classicSeasonOf(config, name) {
+  if (!hasSeasonList(config)) return name;
+  return config.seasonList.find(season => season.name === name)?.classicSeason ?? name;
+}
+
+/**
+ * Sowing seasons to choose from: the config's seasons, the classic
+ * seasons (custom seasons count as one) and "Any".
+ *
+ * @param {Object} config - Simulation config
+ * @returns {Array<string>}
+ */
+export function sowingSeasonChoices(config) {
+  const names = seasonNames(config);
+  return [...names, ...CLASSIC_SEASONS.filter(name => !names.includes(name)), ANY_SEASON];
+}
+
+/**
+ * The classic seasons written as a custom list, to start editing from.
+ *
+ * @param {Object} config - Simulation config with the flat season fields
+ * @returns {Array<Object>} Season list entries
+ */
+export function classicSeasonList(config) {
+  return CLASSIC_SEASONS.map(name => {
+    const prefix = name.toLowerCase();
+    return {
+      name,
+      length: config[`${prefix}Length`],
+      mean: config[`${prefix}Mean`],
+      amp: config[`${prefix}Amp`],
+      color: CLASSIC_SEASON_COLORS[name],
+      classicSeason: name
+    };
+  });
+}
+
+/**
+ * Add a season at the end of a custom list. It starts 30 days long
+ * (lengths then need normalising) at the list's average temperature.
+ *
+ * @param {Array<Object>} list - Season list
+ * @returns {Array<Object>} New list
+ */
+export function addSeason(list) {
+  const taken = new Set(list.map(season => season.name));
+  let number = list.length + 1;
+  while (taken.has(`Season ${number}`)) number++;
+  const mean = list.length > 0
+    ? Math.round(list.reduce((sum, season) => sum + season.mean, 0) / list.length)
+    : 50;
+
+  return [...list, {
+    name: `Season ${number}`,
+    length: 30,
+    mean,
+    amp: 10,
+    color: NEW_SEASON_COLORS[list.length % NEW_SEASON_COLORS.length],
+    classicSeason: 'Spring'
+  }];
+}
+
+/**
+ * Rename a season of the custom list. Settings that name the season
+ * (starting season, sowing seasons) follow the new name.
+ *
+ * @param {Object} config - Simulation config with a custom list
+ * @param {number} index - Position of the season in the list
+ * @param {string} name - New name
+ * @returns {Object} New config
+ */
+export function renameSeason(config, index, name) {
+  const oldName = config.seasonList[index].name;
+  const follow = (value) => (value === oldName ? name : value);
+
+  return {
+    ...config,
+    seasonList: config.seasonList.map((season, i) => (i === index ? { ...season, name } : season)),
+    startingSeason: follow(config.startingSeason),
+    sowingSeason: follow(config.sowingSeason),
+    crops: config.crops.map(crop => (crop.sowingSeason === undefined ? crop : { ...crop, sowingSeason: follow(crop.sowingSeason) }))
+  };
+}
+
+/**
+ * Switch between the classic seasons and a custom list.
+ * Turning the list on starts it from the classic seasons; turning it
+ * off moves a custom starting season back to Spring.
+ *
+ * @param {Object} config - Simulation config
+ * @param {boolean} enabled - Use a custom list
+ * @returns {Object} New config
+ */
+export function setSeasonListEnabled(config, enabled) {
+  if (!enabled) {
+    return {
+      ...config,
+      seasonList: [],
+      startingSeason: CLASSIC_SEASONS.includes(config.startingSeason) ? config.startingSeason : 'Spring'
+    };
+  }
+  return { ...config, seasonList: classicSeasonList(config) };
+}
@@ -0,0 +1,181 @@
+/* ============================================================
+   Shareable Links
+   ------------------------------------------------------------
+   The run on screen is mirrored into the page URL's hash, so a
+   copied link opens the same simulation at the same day:
+
+     #seed=123456789&day=400&climate=desert&yearCount=5&winterMean=40
+
+   - seed, day: the run's seed and the scrubber position
+   - climate, crop: presets picked in the settings (they only
+     restore the dropdowns; the fields below carry the values)
+   - every other key is a config field, and only fields that
+     differ from the module's defaults are written, so links
+     stay short. Values are written by the type of their default:
+     numbers as typed, booleans as 1/0, strings as they are,
+     lists (the crop portfolio) as JSON.
+
+   A hash is in the URL but never sent to the server, so links
+   work on static hosting. Decoded links are checked with the
+   scenario file validation (see Sim_Scenario.js) before they
+   are used.
+   ============================================================ */
+
+import { SCENARIO_FORMAT, SCENARIO_VERSION, validateScenario } from './Sim_Scenario';
+
+/**
+ * Hash keys that aren't config fields.
+ */
+export const SHARE_KEYS = {
+  seed: 'seed',
+  day: 'day',
+  climate: 'climate',
+  crop: 'crop'
+};
+
+/**
+ * Whether two config values are the same (lists compared by content).
+ */
+function sameValue(a, b) {
+  return typeof a === 'object' ? JSON.stringify(a) === JSON.stringify(b) : a === b;
+}
+
+/**
+ * Write one config value as hash text, by the type of its default.
+ *
+ * @param {*} value - Config value
+ * @returns {string} Text for the hash (before URL encoding)
+ */
+function encodeValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Read one config value from hash text, by the type of its default.
+ *
+ * @param {string} text - Decoded hash text
+ * @param {*} defaultValue - The field's default (decides the type)
+ * @returns {*} Value, or the text itself when it can't be read
+ *   (validation then reports it with the field name)
+ */
+function decodeValue(text, defaultValue) {
+  switch (typeof defaultValue) {
+    case 'number': {
+      const number = Number(text);
+      return text.trim() === '' || Number.isNaN(number) ? text : number;
+    }
+    case 'boolean':
+      if (text === '1' || text === 'true') return true;
+      if (text === '0' || text === 'false') return false;
+      return text;
+    case 'object':
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    default:
+      return text;
+  }
+}
+
+/**
+ * Build the URL hash for a run.
+ *
+ * @param {Object} state
+ * @param {Object} state.config - Active config
+ * @param {number} state.seed - Seed of the run
+ * @param {number} state.currentDay - Scrubber position
+ * @param {{climate: (string|null), crop: (string|null)}} state.presets - Picked preset keys
+ * @param {Object} defaultConfig - The module's default config (fields equal to it are left out)
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeShareHash({ config, seed, currentDay, presets }, defaultConfig) {
+  const params = new URLSearchParams();
+  params.set(SHARE_KEYS.seed, String(seed));
+  if (currentDay > 0) params.set(SHARE_KEYS.day, String(currentDay));
+  if (presets.climate) params.set(SHARE_KEYS.climate, presets.climate);
+  if (presets.crop) params.set(SHARE_KEYS.crop, presets.crop);
+
+  Object.keys(defaultConfig).forEach(key => {
+    if (!sameValue(config[key], defaultConfig[key])) params.set(key, encodeValue(config[key]));
+  });
+  return `#${params.toString()}`;
+}
+
+/**
+ * Read and validate a URL hash written by encodeShareHash().
+ *
+ * @param {string} hash - location.hash (with or without the leading '#')
+ * @param {Object} defaultConfig - The module's default config
+ * @param {Object} schema - Validation rules (see CONFIG_SCHEMA)
+ * @param {{climate: Array<string>, crop: Array<string>}} presetKeys - Known preset keys
+ * @returns {{link: ({config: Object, seed: (number|null), currentDay: number,
+ *   presets: {climate: (string|null), crop: (string|null)}}|null), errors: Array<string>, warnings: Array<string>}}
+ *   link is null when the hash isn't a shared link or has errors; seed is null when the link has none
+ */
+export function decodeShareHash(hash, defaultConfig, schema, presetKeys) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  // Not a shared link (no hash, or an ordinary #anchor)
+  const isLink = [...params.keys()].some(key => Object.values(SHARE_KEYS).includes(key) || key in defaultConfig);
+  if (!isLink) return { link: null, errors: [], warnings: [] };
+
+  const warnings = [];
+  const config = { ...defaultConfig };
+  const unknown = [];
+  params.forEach((text, key) => {
+    if (Object.values(SHARE_KEYS).includes(key)) return;
+    if (key in defaultConfig) {
+      config[key] = decodeValue(text, defaultConfig[key]);
+    } else {
+      unknown.push(key);
+    }
+  });
+  if (unknown.length > 0) {
+    warnings.push(`Ignored fields this module doesn't use: ${unknown.join(', ')}`);
+  }
+
+  // Same checks as an imported scenario file (a missing seed is allowed)
+  const seedText = params.get(SHARE_KEYS.seed);
+  const seed = seedText === null ? null : (/^\d+$/.test(seedText) ? Number(seedText) : seedText);
+  const { scenario, errors } = validateScenario(
+    { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, seed: seed ?? 0, config },
+    defaultConfig,
+    schema
+  );
+
+  // Day: a whole number, kept inside the run
+  const dayText = params.get(SHARE_KEYS.day);
+  let currentDay = 0;
+  if (dayText !== null) {
+    if (/^\d+$/.test(dayText)) {
+      currentDay = Number(dayText);
+    } else {
+      errors.push(`day must be a whole number (got "${dayText}")`);
+    }
+  }
+
+  // Presets only restore the dropdowns, so an unknown one is just dropped
+  const presets = { climate: null, crop: null };
+  ['climate', 'crop'].forEach(kind => {
+    const key = params.get(SHARE_KEYS[kind]);
+    if (key === null) return;
+    if (presetKeys[kind].includes(key)) {
+      presets[kind] = key;
+    } else {
+      warnings.push(`Unknown ${kind} preset "${key}" was ignored`);
+    }
+  });
+
+  if (errors.length > 0) return { link: null, errors, warnings };
+
+  const lastDay = scenario.config.yearCount * 365 - 1;
+  return {
+    link: { config: scenario.config, seed, currentDay: Math.min(currentDay, lastDay), presets },
+    errors,
+    warnings
+  };
+}
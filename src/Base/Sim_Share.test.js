@@ -0,0 +1,46 @@
+import { DEFAULT_CONFIG } from './Sim_Engine';
+import { CONFIG_SCHEMA } from './Sim_Scenario';
+import { decodeShareHash, encodeShareHash } from './Sim_Share';
+
+const presetKeys = { climate: ['desert'], crop: ['wheat'] };
+const noPresets = { climate: null, crop: null };
+
+describe('shareable links', () => {
+  test('only changed fields are written', () => {
+    const hash = encodeShareHash(
+      { config: { ...DEFAULT_CONFIG, yearCount: 5, cropCycles: true }, seed: 123, currentDay: 400, presets: { climate: 'desert', crop: null } },
+      DEFAULT_CONFIG
+    );
+    expect(hash).toBe('#seed=123&day=400&climate=desert&yearCount=5&cropCycles=1');
+  });
+
+  test('a link decodes back to the same run', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      yearCount: 3,
+      startingSeason: 'Summer',
+      crops: [{ preset: 'wheat', name: 'Wheat', share: 60 }]
+    };
+    const hash = encodeShareHash({ config, seed: 99, currentDay: 10, presets: { climate: null, crop: 'wheat' } }, DEFAULT_CONFIG);
+    const { link, errors } = decodeShareHash(hash, DEFAULT_CONFIG, CONFIG_SCHEMA, presetKeys);
+    expect(errors).toEqual([]);
+    expect(link).toEqual({ config, seed: 99, currentDay: 10, presets: { climate: null, crop: 'wheat' } });
+  });
+
+  test('an ordinary #anchor is not a link', () => {
+    expect(decodeShareHash('#charts', DEFAULT_CONFIG, CONFIG_SCHEMA, presetKeys).link).toBeNull();
+  });
+
+  test('invalid values are reported with the field name', () => {
+    const { link, errors } = decodeShareHash('#seed=1&tolerance=abc', DEFAULT_CONFIG, CONFIG_SCHEMA, presetKeys);
+    expect(link).toBeNull();
+    expect(errors).toEqual(['config.tolerance must be a number (got "abc")']);
+  });
+
+  test('unknown presets are dropped and the day is kept inside the run', () => {
+    const { link, warnings } = decodeShareHash('#seed=1&day=5000&climate=moon', DEFAULT_CONFIG, CONFIG_SCHEMA, presetKeys);
+    expect(link.presets).toEqual(noPresets);
+    expect(link.currentDay).toBe(364);
+    expect(warnings).toEqual(['Unknown climate preset "moon" was ignored']);
+  });
+});
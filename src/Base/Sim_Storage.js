@@ -0,0 +1,136 @@
+/* ============================================================
+   Food Storage: Spoilage & Granary Capacity
+   ------------------------------------------------------------
+   The food stockpile is kept per crop, so every crop can spoil
+   at its own rate (bananas rot, grain keeps). Each day:
+
+   1. Spoilage: every crop's stock loses spoilageRate of itself,
+                optionally faster in warm weather
+   2. Harvest:  the day's food is added to its crop's stock
+   3. Capacity: the granary holds granaryDays of food for the
+                current population; anything above is lost
+   4. Eating:   consumption is taken from all stocks evenly
+
+   The starting stockpile is split across the crops by their
+   farmland shares.
+   ============================================================ */
+
+/**
+ * Temperature (°F) at which food spoils at exactly its spoilageRate.
+ */
+const SPOILAGE_REFERENCE_TEMP = 50;
+
+/**
+ * Daily spoilage rate of one crop's stock.
+ *
+ * Without temperature dependence the crop's rate is used as is.
+ * With it, the rate doubles for every spoilageDoublingTemp °F
+ * above SPOILAGE_REFERENCE_TEMP (and halves below it).
+ *
+ * @param {number} rate - Crop's spoilage rate at the reference temperature (fraction/day)
+ * @param {number} temperature - Day's temperature (°F)
+ * @param {Object} config - Simulation config {temperatureSpoilage, spoilageDoublingTemp}
+ * @returns {number} Fraction of the stock lost today (0-1)
+ */
+export function spoilageRateForDay(rate, temperature, config) {
+  if (!config.temperatureSpoilage) return Math.max(0, Math.min(1, rate));
+
+  const doubling = Math.max(1, config.spoilageDoublingTemp);
+  const factor = 2 ** ((temperature - SPOILAGE_REFERENCE_TEMP) / doubling);
+  return Math.max(0, Math.min(1, rate * factor));
+}
+
+/**
+ * Granary capacity for the current population.
+ * 0 once the population has died out; the engine skips the cap then
+ * rather than emptying the stocks.
+ *
+ * @param {number} population - Current population
+ * @param {Object} config - Simulation config {granaryDays, foodPerPerson}
+ * @returns {number} Food units that can be stored
+ */
+export function granaryCapacity(population, config) {
+  return population * config.foodPerPerson * config.granaryDays;
+}
+
+/**
+ * Split the starting stockpile across the crops by farmland share.
+ *
+ * @param {Array<{share: number}>} portfolio - Output of buildCropPortfolio()
+ * @param {number} startingFood - Initial stockpile (units)
+ * @returns {Array<number>} Stock per crop, in portfolio order
+ */
+export function createStocks(portfolio, startingFood) {
+  return portfolio.map(crop => startingFood * crop.share);
+}
+
+/**
+ * Total food in storage.
+ *
+ * @param {Array<number>} stocks - Stock per crop
+ * @returns {number} Sum of all stocks
+ */
+export function totalStock(stocks) {
+  return stocks.reduce((sum, stock) => sum + stock, 0);
+}
+
+/**
+ * Apply one day of spoilage to every crop's stock.
+ *
+ * Mutates stocks in place.
+ *
+ * @param {Array<number>} stocks - Stock per crop
+ * @param {Array<{spoilageRate: number}>} portfolio - Crops in the same order
+ * @param {number} temperature - Day's temperature (°F)
+ * @param {Object} config - Simulation config (see spoilageRateForDay)
+ * @returns {number} Food units spoiled today
+ */
+export function spoilStocks(stocks, portfolio, temperature, config) {
+  let spoiled = 0;
+  stocks.forEach((stock, index) => {
+    const lost = stock * spoilageRateForDay(portfolio[index].spoilageRate, temperature, config);
+    stocks[index] -= lost;
+    spoiled += lost;
+  });
+  return spoiled;
+}
+
+/**
+ * Scale every stock down evenly so the total fits the granary.
+ *
+ * Mutates stocks in place.
+ *
+ * @param {Array<number>} stocks - Stock per crop
+ * @param {number} capacity - Granary capacity (units)
+ * @returns {number} Food units lost to overflow today
+ */
+export function enforceCapacity(stocks, capacity) {
+  const total = totalStock(stocks);
+  if (total <= capacity) return 0;
+
+  const keep = total > 0 ? Math.max(0, capacity) / total : 0;
+  stocks.forEach((stock, index) => {
+    stocks[index] = stock * keep;
+  });
+  return total - Math.max(0, capacity);
+}
+
+/**
+ * Take food out of storage, evenly from every crop's stock.
+ *
+ * Mutates stocks in place. Stocks never go below zero.
+ *
+ * @param {Array<number>} stocks - Stock per crop
+ * @param {number} amount - Food units wanted
+ * @returns {number} Food units actually taken
+ */
+export function withdrawStocks(stocks, amount) {
+  const total = totalStock(stocks);
+  const taken = Math.min(total, Math.max(0, amount));
+
+  const keep = total > 0 ? (total - taken) / total : 0;
+  stocks.forEach((stock, index) => {
+    stocks[index] = stock * keep;
+  });
+  return taken;
+}
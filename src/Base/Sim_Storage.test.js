@@ -0,0 +1,40 @@
+import { enforceCapacity, granaryCapacity, totalStock, withdrawStocks } from './Sim_Storage';
+
+describe('granary capacity', () => {
+  test('holds granaryDays of food for the population', () => {
+    expect(granaryCapacity(100, { foodPerPerson: 2, granaryDays: 30 })).toBe(6000);
+  });
+
+  test('scales every stock down evenly to fit', () => {
+    const stocks = [300, 100];
+    expect(enforceCapacity(stocks, 200)).toBe(200);
+    expect(stocks).toEqual([150, 50]);
+  });
+
+  test('leaves stocks that fit untouched', () => {
+    const stocks = [30, 10];
+    expect(enforceCapacity(stocks, 200)).toBe(0);
+    expect(stocks).toEqual([30, 10]);
+  });
+});
+
+describe('withdrawStocks', () => {
+  test('takes food evenly from every stock', () => {
+    const stocks = [75, 25];
+    expect(withdrawStocks(stocks, 50)).toBe(50);
+    expect(stocks).toEqual([37.5, 12.5]);
+  });
+
+  test('never takes more than is stored', () => {
+    const stocks = [10, 20];
+    expect(withdrawStocks(stocks, 100)).toBe(30);
+    expect(totalStock(stocks)).toBe(0);
+  });
+
+  test('takes nothing from empty stocks or for negative amounts', () => {
+    expect(withdrawStocks([0, 0], 10)).toBe(0);
+    const stocks = [5];
+    expect(withdrawStocks(stocks, -3)).toBe(0);
+    expect(stocks).toEqual([5]);
+  });
+});
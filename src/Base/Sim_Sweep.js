@@ -0,0 +1,239 @@
+/* ============================================================
+   Parameter Sweeps & Sensitivity
+   ------------------------------------------------------------
+   Answers "how does the outcome depend on this setting?"
+   without typing numbers in by hand.
+
+   - Sweep: vary one field (1D, line plot) or two fields (2D,
+     heatmap) across a grid of values and record one outcome
+     metric per grid point
+   - Sensitivity (tornado): move every numeric field down and
+     up by the same percentage, one at a time, and rank fields
+     by how much the outcome moves
+
+   Every grid point uses the same seed (common random numbers),
+   so differences come from the parameter, not from the weather.
+   Values are clamped to the field's schema range and rounded
+   for whole-number fields (see Sim_Scenario.js). Fields bound
+   to other fields by a settings rule (season lengths, the age
+   thresholds, the starting age shares) are not swept, because
+   moving one alone makes an invalid config (see Sim_Validation.js).
+   ============================================================ */
+
+import { runSimulation } from './Sim_Engine';
+import { measureRun } from './Sim_Batch';
+import { CONFIG_SCHEMA } from './Sim_Scenario';
+import { SEASON_LENGTH_FIELDS } from './Sim_Validation';
+
+/**
+ * Outcome metrics a sweep can plot.
+ *
+ * Structure:
+ * - name: Display name for UI
+ * - unit: Axis / table unit
+ * - measure: (outcome from measureRun()) → number
+ */
+export const OUTCOME_METRICS = {
+  finalPopulation: { name: 'Final Population', unit: 'beings', measure: outcome => outcome.finalPopulation },
+  peakPopulation: { name: 'Peak Population', unit: 'beings', measure: outcome => outcome.peakPopulation },
+  famineDays: { name: 'Famine Days', unit: 'days', measure: outcome => outcome.famineDays },
+  finalFood: { name: 'Final Food Stock', unit: 'units', measure: outcome => outcome.finalFood },
+  extinct: { name: 'Extinct (0/1)', unit: '', measure: outcome => (outcome.extinct ? 1 : 0) }
+};
+
+/**
+ * Numeric fields never swept:
+ * - yearCount changes the length of the run, so outcomes at
+ *   different values aren't comparable
+ * - the others must agree with other fields (lengths add up to
+ *   365, adult age < elder age ≤ maximum age, child + elderly
+ *   shares ≤ 1), so changing one alone breaks the config
+ */
+const FIXED_FIELDS = [
+  'yearCount',
+  ...SEASON_LENGTH_FIELDS,
+  'adultAge',
+  'elderAge',
+  'maxAge',
+  'startingChildShare',
+  'startingElderlyShare'
+];
+
+/**
+ * Config fields that can be swept: every numeric field of the config.
+ *
+ * @param {Object} config - Simulation config
+ * @returns {Array<string>} Field names, in config order
+ */
+export function sweepableFields(config) {
+  return Object.keys(config).filter(key =>
+    typeof config[key] === 'number' && !FIXED_FIELDS.includes(key)
+  );
+}
+
+/**
+ * Readable label for a config field ("baseBirthRate" → "Base Birth Rate").
+ *
+ * @param {string} key - Config field
+ * @returns {string} Label
+ */
+export function fieldLabel(key) {
+  const spaced = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Keep a swept value inside the field's schema range.
+ *
+ * @param {string} field - Config field
+ * @param {number} value - Proposed value
+ * @param {Object} [schema=CONFIG_SCHEMA] - Validation rules
+ * @returns {number} Clamped (and, for whole-number fields, rounded) value
+ */
+export function clampToSchema(field, value, schema = CONFIG_SCHEMA) {
+  const rule = schema[field] ?? {};
+  let clamped = value;
+  if (rule.min !== undefined) clamped = Math.max(rule.min, clamped);
+  if (rule.max !== undefined) clamped = Math.min(rule.max, clamped);
+  return rule.integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Evenly spaced values from min to max (both included).
+ *
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} steps - Number of values (at least 2)
+ * @returns {Array<number>} Grid values
+ */
+export function sweepValues(min, max, steps) {
+  const count = Math.max(2, Math.floor(steps));
+  return Array.from({ length: count }, (_, index) => min + (max - min) * index / (count - 1));
+}
+
+/**
+ * Suggested sweep range for a field: ±50% around its current value
+ * (0 to 1 when the value is 0), clamped to the schema.
+ *
+ * @param {string} field - Config field
+ * @param {number} value - Current value
+ * @param {Object} [schema=CONFIG_SCHEMA] - Validation rules
+ * @returns {{min: number, max: number}} Range
+ */
+export function defaultRange(field, value, schema = CONFIG_SCHEMA) {
+  if (value === 0) {
+    return { min: clampToSchema(field, 0, schema), max: clampToSchema(field, 1, schema) };
+  }
+  const low = value * 0.5;
+  const high = value * 1.5;
+  return {
+    min: clampToSchema(field, Math.min(low, high), schema),
+    max: clampToSchema(field, Math.max(low, high), schema)
+  };
+}
+
+/**
+ * Run the engine with some fields overridden and measure one metric.
+ *
+ * @param {Object} config - Base config
+ * @param {Object} overrides - Fields to change
+ * @param {number} seed - Seed shared by every grid point
+ * @param {string} metric - Key of OUTCOME_METRICS
+ * @param {Array<Function>} layers - Model layer factories
+ * @returns {number} Metric value
+ */
+function measure(config, overrides, seed, metric, layers) {
+  const result = runSimulation({ ...config, ...overrides }, seed, layers);
+  return OUTCOME_METRICS[metric].measure(measureRun(result));
+}
+
+/**
+ * 1D sweep: one field across a list of values.
+ *
+ * @param {Object} config - Base config
+ * @param {number} seed - Seed shared by every grid point
+ * @param {{field: string, min: number, max: number, steps: number}} axis - Field and range
+ * @param {string} metric - Key of OUTCOME_METRICS
+ * @param {Object} [options]
+ * @param {Array<Function>} [options.layers=[]] - Model layer factories
+ * @param {Object} [options.schema=CONFIG_SCHEMA] - Validation rules used for clamping
+ * @param {Function} [options.onProgress] - Called with the fraction of runs done (0-1) after each run
+ * @returns {Array<{value: number, result: number}>} One point per value
+ */
+export function runSweep1D(config, seed, axis, metric, { layers = [], schema = CONFIG_SCHEMA, onProgress } = {}) {
+  const values = sweepValues(axis.min, axis.max, axis.steps);
+  return values.map((raw, index) => {
+    const value = clampToSchema(axis.field, raw, schema);
+    const result = measure(config, { [axis.field]: value }, seed, metric, layers);
+    if (onProgress) onProgress((index + 1) / values.length);
+    return { value, result };
+  });
+}
+
+/**
+ * 2D sweep: every combination of two fields' values.
+ *
+ * @param {Object} config - Base config
+ * @param {number} seed - Seed shared by every grid point
+ * @param {{field: string, min: number, max: number, steps: number}} xAxis - Column field and range
+ * @param {{field: string, min: number, max: number, steps: number}} yAxis - Row field and range
+ * @param {string} metric - Key of OUTCOME_METRICS
+ * @param {Object} [options] - See runSweep1D()
+ * @returns {{xValues: Array<number>, yValues: Array<number>, grid: Array<Array<number>>}}
+ *   grid[row][column] is the metric at (xValues[column], yValues[row])
+ */
+export function runSweep2D(config, seed, xAxis, yAxis, metric, { layers = [], schema = CONFIG_SCHEMA, onProgress } = {}) {
+  const xValues = sweepValues(xAxis.min, xAxis.max, xAxis.steps).map(value => clampToSchema(xAxis.field, value, schema));
+  const yValues = sweepValues(yAxis.min, yAxis.max, yAxis.steps).map(value => clampToSchema(yAxis.field, value, schema));
+
+  let done = 0;
+  const grid = yValues.map(yValue =>
+    xValues.map(xValue => {
+      const result = measure(config, { [xAxis.field]: xValue, [yAxis.field]: yValue }, seed, metric, layers);
+      done++;
+      if (onProgress) onProgress(done / (xValues.length * yValues.length));
+      return result;
+    })
+  );
+  return { xValues, yValues, grid };
+}
+
+/**
+ * One-at-a-time sensitivity for a tornado chart.
+ *
+ * Each numeric field is moved to (1 - change) and (1 + change)
+ * times its current value while everything else stays put.
+ * Fields at 0, and fields whose clamped values don't move, are skipped.
+ *
+ * @param {Object} config - Base config
+ * @param {number} seed - Seed shared by every run
+ * @param {string} metric - Key of OUTCOME_METRICS
+ * @param {Object} [options]
+ * @param {number} [options.change=0.2] - Relative change (0.2 = ±20%)
+ * @param {Array<Function>} [options.layers=[]] - Model layer factories
+ * @param {Object} [options.schema=CONFIG_SCHEMA] - Validation rules used for clamping
+ * @param {Function} [options.onProgress] - Called with the fraction of fields done (0-1) after each field
+ * @returns {{baseline: number, fields: Array<{field: string, lowValue: number, highValue: number, low: number, high: number, swing: number}>}}
+ *   Metric at the current config, and per field the metric at the low and
+ *   high value, sorted by swing (|high - low|), largest first
+ */
+export function runSensitivity(config, seed, metric, { change = 0.2, layers = [], schema = CONFIG_SCHEMA, onProgress } = {}) {
+  const baseline = measure(config, {}, seed, metric, layers);
+  const candidates = sweepableFields(config).filter(field => config[field] !== 0);
+
+  const fields = candidates
+    .map((field, index) => {
+      if (onProgress) onProgress(index / candidates.length);
+      const lowValue = clampToSchema(field, config[field] * (1 - change), schema);
+      const highValue = clampToSchema(field, config[field] * (1 + change), schema);
+      if (lowValue === highValue) return null;
+
+      const low = measure(config, { [field]: lowValue }, seed, metric, layers);
+      const high = measure(config, { [field]: highValue }, seed, metric, layers);
+      return { field, lowValue, highValue, low, high, swing: Math.abs(high - low) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.swing - a.swing);
+
+  return { baseline, fields };
+}
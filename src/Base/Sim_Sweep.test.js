@@ -0,0 +1,30 @@
+import { DEFAULT_CONFIG } from './Sim_Engine';
+import { clampToSchema, sweepableFields, sweepValues } from './Sim_Sweep';
+import { SEASON_LENGTH_FIELDS } from './Sim_Validation';
+
+describe('sweepable fields', () => {
+  test('fields bound to other fields are not swept', () => {
+    const fields = sweepableFields(DEFAULT_CONFIG);
+    expect(fields).toContain('baseBirthRate');
+    ['yearCount', ...SEASON_LENGTH_FIELDS, 'adultAge', 'elderAge', 'maxAge', 'startingChildShare', 'startingElderlyShare']
+      .forEach(field => expect(fields).not.toContain(field));
+  });
+
+  test('only numeric fields are swept', () => {
+    sweepableFields(DEFAULT_CONFIG).forEach(field => expect(typeof DEFAULT_CONFIG[field]).toBe('number'));
+  });
+});
+
+describe('sweep grid', () => {
+  test('values run from min to max', () => {
+    expect(sweepValues(0, 1, 5)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    expect(sweepValues(2, 4, 1)).toEqual([2, 4]);
+  });
+
+  test('values are clamped to the schema and rounded for whole numbers', () => {
+    const schema = { count: { min: 1, max: 10, integer: true } };
+    expect(clampToSchema('count', 0, schema)).toBe(1);
+    expect(clampToSchema('count', 4.6, schema)).toBe(5);
+    expect(clampToSchema('other', 4.6, schema)).toBe(4.6);
+  });
+});
@@ -0,0 +1,205 @@
+/* ============================================================
+   Settings Validation
+   ------------------------------------------------------------
+   The settings panel accepts whatever is typed, so the working
+   config is checked before "Save Changes & Regenerate" applies
+   it. Every field gets a list of errors and warnings:
+
+   - Errors block saving. They are the field rules used for
+     scenario files (see CONFIG_SCHEMA in Sim_Scenario.js: type,
+     range, whole numbers) plus rules that need several fields:
+       · season lengths must add up to 365 (otherwise
+         getSeasonForDay() falls back to the last season)
+       · the starting season must be one of the seasons
+       · with age structure on: adult age < elder age ≤ maximum
+         age, and starting children + elderly shares ≤ 1
+   - Warnings are settings the engine runs but that are probably
+     not meant (a crop portfolio with no farmland, frost killing
+     crops at temperatures where they are sown, a sowing season
+     the year doesn't have, a climate trend that never shows up
+     in the run).
+
+   Issues that involve several fields are filed under one field,
+   or under the pseudo-field SEASON_LENGTHS for the season total.
+   Checks are pure, so the panel re-runs them on every edit.
+   ============================================================ */
+
+import { CONFIG_SCHEMA, validateValue } from './Sim_Scenario';
+import { ANY_SEASON } from './Sim_Crops';
+import { CLASSIC_SEASONS, hasSeasonList, seasonNames } from './Sim_Seasons';
+
+/**
+ * Pseudo-field the season total issues are filed under.
+ */
+export const SEASON_LENGTHS = 'seasonLengths';
+
+/**
+ * Config fields holding the season lengths (days), in calendar order.
+ */
+export const SEASON_LENGTH_FIELDS = ['winterLength', 'springLength', 'summerLength', 'fallLength'];
+
+/**
+ * Days in the simulated year.
+ */
+const DAYS_PER_YEAR = 365;
+
+/**
+ * How list fields are named in their issues (other fields are "Value").
+ */
+const LIST_LABELS = {
+  crops: 'Crop list',
+  seasons: 'Season list',
+  curve: 'Curve'
+};
+
+/**
+ * Sum of the season lengths (of the custom season list when there is one).
+ *
+ * @param {Object} config - Simulation config
+ * @returns {number} Days
+ */
+export function seasonTotal(config) {
+  if (hasSeasonList(config)) return config.seasonList.reduce((sum, season) => sum + season.length, 0);
+  return SEASON_LENGTH_FIELDS.reduce((sum, key) => sum + config[key], 0);
+}
+
+/**
+ * Scale the season lengths so they add up to 365, keeping their
+ * proportions. Lengths are whole days and at least 1; rounding
+ * leftovers go to the seasons with the largest remainders.
+ * Lengths that aren't positive numbers count as 0, and when
+ * nothing is left the year is split evenly. With a custom season
+ * list its lengths are scaled instead of the classic ones.
+ *
+ * @param {Object} config - Simulation config
+ * @returns {Object} Copy of the config with normalised season lengths
+ */
+export function normalizeSeasonLengths(config) {
+  const listed = hasSeasonList(config);
+  const lengths = (listed ? config.seasonList.map(season => season.length) : SEASON_LENGTH_FIELDS.map(key => config[key]))
+    .map(length => (Number.isFinite(length) && length > 0 ? length : 0));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  const exact = lengths.map(length => (
+    total > 0 ? length * DAYS_PER_YEAR / total : DAYS_PER_YEAR / lengths.length
+  ));
+
+  const days = exact.map(value => Math.max(1, Math.floor(value)));
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  // Hand out the days lost to rounding, largest remainder first
+  let missing = DAYS_PER_YEAR - days.reduce((sum, length) => sum + length, 0);
+  for (let turn = 0; missing > 0; turn++, missing--) {
+    days[byRemainder[turn % days.length].index]++;
+  }
+  // Days added by the 1-day minimum come off the longest season
+  while (missing < 0) {
+    const longest = days.indexOf(Math.max(...days));
+    days[longest]--;
+    missing++;
+  }
+
+  if (listed) {
+    return { ...config, seasonList: config.seasonList.map((season, index) => ({ ...season, length: days[index] })) };
+  }
+  return { ...config, ...Object.fromEntries(SEASON_LENGTH_FIELDS.map((key, index) => [key, days[index]])) };
+}
+
+/**
+ * Check a config before it is applied.
+ *
+ * @param {Object} config - Working config from the settings panel
+ * @param {Object} defaultConfig - The module's default config (defines the fields)
+ * @param {Object} [schema=CONFIG_SCHEMA] - Validation rules (see CONFIG_SCHEMA)
+ * @returns {{fields: Object<string, {errors: Array<string>, warnings: Array<string>}>,
+ *   errorCount: number, warningCount: number}} Issues keyed by config field (or
+ *   SEASON_LENGTHS); fields without issues are left out
+ */
+export function validateConfig(config, defaultConfig, schema = CONFIG_SCHEMA) {
+  const fields = {};
+  const report = (key, kind, message) => {
+    if (!fields[key]) fields[key] = { errors: [], warnings: [] };
+    fields[key][kind].push(message);
+  };
+
+  // === Field rules (same as scenario files) ===
+  Object.keys(defaultConfig).forEach(key => {
+    const rule = schema[key] ?? { type: typeof defaultConfig[key] };
+    const path = LIST_LABELS[rule.type] ?? 'Value';
+    validateValue(config[key], rule, path).forEach(message => report(key, 'errors', message));
+  });
+
+  // Rules across fields only compare fields that passed on their own
+  const valid = (...keys) => keys.every(key => key in config && !fields[key]);
+
+  // === Season lengths ===
+  const seasonsValid = hasSeasonList(config) ? valid('seasonList') : valid(...SEASON_LENGTH_FIELDS);
+  if (seasonsValid) {
+    const total = seasonTotal(config);
+    if (total !== DAYS_PER_YEAR) {
+      report(SEASON_LENGTHS, 'errors', `Season lengths add up to ${total} days (must be ${DAYS_PER_YEAR})`);
+    }
+  }
+
+  // === Season names ===
+  if (valid('seasonList', 'startingSeason') && !seasonNames(config).includes(config.startingSeason)) {
+    report('startingSeason', 'errors', `Not one of the seasons (${seasonNames(config).join(', ')})`);
+  }
+  // A sowing season may name a season or the classic season seasons count as
+  if (config.cropCycles === true && valid('seasonList')) {
+    const sowable = new Set([ANY_SEASON, ...seasonNames(config), ...(hasSeasonList(config)
+      ? config.seasonList.map(season => season.classicSeason)
+      : CLASSIC_SEASONS)]);
+    if (valid('sowingSeason') && !sowable.has(config.sowingSeason)) {
+      report('sowingSeason', 'warnings', `No season is or counts as "${config.sowingSeason}", so the crop is never sown`);
+    }
+    if (valid('crops')) {
+      config.crops
+        .filter(crop => crop.sowingSeason !== undefined && !sowable.has(crop.sowingSeason))
+        .forEach(crop => report('crops', 'warnings', `${crop.name}: no season is or counts as "${crop.sowingSeason}", so it is never sown`));
+    }
+  }
+
+  // === Age structure ===
+  if (config.ageStructure === true) {
+    if (valid('adultAge', 'elderAge') && config.adultAge >= config.elderAge) {
+      report('elderAge', 'errors', `Must be above the adult age (${config.adultAge})`);
+    }
+    if (valid('elderAge', 'maxAge') && config.maxAge < config.elderAge) {
+      report('maxAge', 'errors', `Must be at least the elder age (${config.elderAge})`);
+    }
+    if (valid('startingChildShare', 'startingElderlyShare') &&
+        config.startingChildShare + config.startingElderlyShare > 1) {
+      report('startingElderlyShare', 'errors', 'Children and elderly shares add up to more than 1 (no adults left)');
+    }
+  }
+
+  // === Crop portfolio ===
+  if (valid('crops') && config.crops.length > 0 &&
+      config.crops.every(crop => crop.share <= 0)) {
+    report('crops', 'warnings', 'No crop has a share above 0%, so the single crop settings are planted instead');
+  }
+
+  // === Crop lifecycle ===
+  if (config.cropCycles === true && valid('frostKillTemp', 'baseTemp') &&
+      config.frostKillTemp >= config.baseTemp) {
+    report('frostKillTemp', 'warnings', `At or above the base temperature (${config.baseTemp}°F): crops sown on cool days die at once`);
+  }
+
+  // === Climate trend ===
+  if (config.climateTrend === 'step' && valid('trendStepYear', 'yearCount') &&
+      config.trendStepYear >= config.yearCount) {
+    report('trendStepYear', 'warnings', `At or after the end of the run (${config.yearCount} years), so the step never happens`);
+  }
+  if (config.climateTrend === 'custom' && valid('trendCurve') && config.trendCurve.length === 0) {
+    report('trendCurve', 'warnings', 'The curve has no points, so there is no trend');
+  }
+
+  const issues = Object.values(fields);
+  return {
+    fields,
+    errorCount: issues.reduce((sum, issue) => sum + issue.errors.length, 0),
+    warningCount: issues.reduce((sum, issue) => sum + issue.warnings.length, 0)
+  };
+}
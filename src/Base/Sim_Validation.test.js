@@ -0,0 +1,51 @@
+import { DEFAULT_CONFIG } from './Sim_Engine';
+import { SEASON_LENGTHS, normalizeSeasonLengths, seasonTotal, validateConfig } from './Sim_Validation';
+
+describe('validateConfig', () => {
+  test('the default config has no issues', () => {
+    expect(validateConfig(DEFAULT_CONFIG, DEFAULT_CONFIG)).toEqual({ fields: {}, errorCount: 0, warningCount: 0 });
+  });
+
+  test('field rules are errors', () => {
+    const { fields, errorCount } = validateConfig({ ...DEFAULT_CONFIG, tolerance: 0 }, DEFAULT_CONFIG);
+    expect(errorCount).toBe(1);
+    expect(fields.tolerance.errors).toEqual(['Value is out of range: 0 (allowed 0.1 to 100)']);
+  });
+
+  test('season lengths must add up to 365', () => {
+    const { fields } = validateConfig({ ...DEFAULT_CONFIG, winterLength: 100 }, DEFAULT_CONFIG);
+    expect(fields[SEASON_LENGTHS].errors).toEqual(['Season lengths add up to 375 days (must be 365)']);
+  });
+
+  test('age rules only apply with age structure on', () => {
+    const config = { ...DEFAULT_CONFIG, adultAge: 70 };
+    expect(validateConfig(config, DEFAULT_CONFIG).errorCount).toBe(0);
+    expect(validateConfig({ ...config, ageStructure: true }, DEFAULT_CONFIG).fields.elderAge.errors).toHaveLength(1);
+  });
+
+  test('warnings do not count as errors', () => {
+    const check = validateConfig({ ...DEFAULT_CONFIG, cropCycles: true, frostKillTemp: 50 }, DEFAULT_CONFIG);
+    expect(check.errorCount).toBe(0);
+    expect(check.warningCount).toBe(1);
+  });
+});
+
+describe('normalizeSeasonLengths', () => {
+  test('scales to 365 keeping the proportions', () => {
+    const config = normalizeSeasonLengths({ ...DEFAULT_CONFIG, winterLength: 100, springLength: 100, summerLength: 100, fallLength: 100 });
+    expect(seasonTotal(config)).toBe(365);
+    expect([config.winterLength, config.springLength, config.summerLength, config.fallLength]).toEqual([92, 91, 91, 91]);
+  });
+
+  test('keeps every season at least one day', () => {
+    const config = normalizeSeasonLengths({ ...DEFAULT_CONFIG, winterLength: 1000, springLength: 0, summerLength: 0, fallLength: 0 });
+    expect(seasonTotal(config)).toBe(365);
+    expect(Math.min(config.winterLength, config.springLength, config.summerLength, config.fallLength)).toBe(1);
+  });
+
+  test('scales a custom season list', () => {
+    const season = (name, length) => ({ name, length, mean: 60, amp: 5, color: '#aaaaaa', classicSeason: 'Spring' });
+    const config = normalizeSeasonLengths({ ...DEFAULT_CONFIG, seasonList: [season('A', 100), season('B', 300)] });
+    expect(config.seasonList.map(entry => entry.length)).toEqual([91, 274]);
+  });
+});
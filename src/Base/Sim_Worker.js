@@ -0,0 +1,37 @@
+/* ============================================================
+   Simulation Web Worker
+   ------------------------------------------------------------
+   Runs jobs (see Sim_Jobs.js) off the main thread so the page
+   stays responsive while a run computes.
+
+   Messages in:  {id, job, layerNames}
+   Messages out: {id, type: 'progress', fraction}
+                 {id, type: 'result', result}
+                 {id, type: 'error', message}
+
+   Cancelling is done by the page terminating the worker
+   (see Sim_WorkerClient.js), so there is no cancel message.
+   ============================================================ */
+
+import { resolveLayers, runJob } from './Sim_Jobs';
+
+// The worker's global scope (globalThis is `self` inside a worker)
+const scope = globalThis;
+
+scope.onmessage = ({ data: { id, job, layerNames } }) => {
+  // Only post whole-percent changes; the engine reports far more often than that
+  let lastPercent = -1;
+  const onProgress = (fraction) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    scope.postMessage({ id, type: 'progress', fraction });
+  };
+
+  try {
+    const result = runJob(job, resolveLayers(layerNames), onProgress);
+    scope.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    scope.postMessage({ id, type: 'error', message: error.message });
+  }
+};
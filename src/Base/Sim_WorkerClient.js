@@ -0,0 +1,155 @@
+/* ============================================================
+   Simulation Job Runner
+   ------------------------------------------------------------
+   Page-side handle for running jobs (see Sim_Jobs.js) in a Web
+   Worker, with progress and cancellation:
+
+   - One runner per kind of work (main run, batch, sweep panel),
+     each with its own worker, so they never queue behind each other
+   - Starting a job cancels the runner's previous job
+   - Cancelling terminates the worker mid-run; the next job
+     starts a fresh one
+   - Each module can bring its own worker script, which loads the
+     module's layer registrations (see registerLayer())
+   - Without Web Workers (old browsers, the test runner), or when
+     a model layer isn't registered, the job runs on the
+     main thread after a setTimeout, so "Running…" is painted
+     first; it can then only be cancelled before it starts
+   ============================================================ */
+
+import { layerNames, runJob } from './Sim_Jobs';
+
+/**
+ * Whether this environment can start Web Workers.
+ */
+const WORKERS_SUPPORTED = typeof Worker !== 'undefined';
+
+/**
+ * Start the Base worker (no model layers registered in it).
+ * Loaded with import() for the reason given in Sim_WorkerFactory.js.
+ *
+ * @returns {Promise<Worker>} Worker ready for job messages
+ */
+export function loadSimulationWorker() {
+  return import('./Sim_WorkerFactory').then(module => module.createSimulationWorker());
+}
+
+/**
+ * Create a job runner.
+ *
+ * @param {Function} [loadWorker=loadSimulationWorker] - () → Promise<Worker>; a module whose
+ *   layers must run in the worker passes a loader for its own worker script
+ * @returns {{run: Function, cancel: Function, dispose: Function}}
+ *   run(job, layers, {onProgress, onResult, onError}) starts a job;
+ *   cancel() stops the running job (its callbacks are never called);
+ *   dispose() also stops an idle worker (the runner stays usable)
+ */
+export function createJobRunner(loadWorker = loadSimulationWorker) {
+  let workerPromise = null;  // Promise<Worker>, created on first use
+  let activeId = null;       // Id of the running job, null when idle
+  let nextId = 0;
+  let timer = null;          // Pending main-thread job
+
+  /**
+   * The runner's worker, started on first use.
+   */
+  const getWorker = () => {
+    if (!workerPromise) {
+      workerPromise = loadWorker();
+    }
+    return workerPromise;
+  };
+
+  /**
+   * Run a job on the main thread (deferred so the UI can paint first).
+   */
+  const runOnMainThread = (id, job, layers, { onProgress, onResult, onError }) => {
+    timer = setTimeout(() => {
+      timer = null;
+      if (id !== activeId) return;
+      try {
+        const result = runJob(job, layers, onProgress);
+        activeId = null;
+        onResult(result);
+      } catch (error) {
+        activeId = null;
+        if (onError) onError(error.message);
+      }
+    }, 0);
+  };
+
+  const cancel = () => {
+    if (activeId === null) return;
+    activeId = null;
+
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    // A worker mid-job can't be interrupted, only stopped
+    if (workerPromise) {
+      workerPromise.then(worker => worker.terminate(), () => {});
+      workerPromise = null;
+    }
+  };
+
+  /**
+   * Start a job, cancelling any job still running.
+   *
+   * @param {Object} job - Job description (see runJob())
+   * @param {Array<Function>} layers - Model layer factories
+   * @param {Object} callbacks
+   * @param {Function} [callbacks.onProgress] - (fraction 0-1) while the job runs
+   * @param {Function} callbacks.onResult - (result) when the job is done
+   * @param {Function} [callbacks.onError] - (message) if the job throws
+   */
+  const run = (job, layers, callbacks) => {
+    cancel();
+    const id = ++nextId;
+    activeId = id;
+
+    const names = layerNames(layers);
+    if (!WORKERS_SUPPORTED || !names) {
+      runOnMainThread(id, job, layers, callbacks);
+      return;
+    }
+
+    const { onProgress, onResult, onError } = callbacks;
+    getWorker().then(worker => {
+      if (id !== activeId) return;
+
+      worker.onmessage = ({ data }) => {
+        if (data.id !== activeId) return;   // Late message from a cancelled job
+        if (data.type === 'progress') {
+          if (onProgress) onProgress(data.fraction);
+        } else {
+          activeId = null;
+          if (data.type === 'result') onResult(data.result);
+          else if (onError) onError(data.message);
+        }
+      };
+      worker.onerror = (event) => {
+        if (id !== activeId) return;
+        activeId = null;
+        worker.terminate();
+        workerPromise = null;
+        if (onError) onError(event.message || 'Simulation worker failed');
+      };
+      worker.postMessage({ id, job, layerNames: names });
+    }, () => {
+      // The worker script couldn't be loaded: fall back to the main thread
+      workerPromise = null;
+      if (id === activeId) runOnMainThread(id, job, layers, callbacks);
+    });
+  };
+
+  const dispose = () => {
+    cancel();
+    if (workerPromise) {
+      workerPromise.then(worker => worker.terminate(), () => {});
+      workerPromise = null;
+    }
+  };
+
+  return { run, cancel, dispose };
+}
@@ -0,0 +1,18 @@
+/* ============================================================
+   Simulation Worker Factory
+   ------------------------------------------------------------
+   Kept in its own module and only loaded with import() when the
+   browser has Web Workers: the `new URL(..., import.meta.url)`
+   form is what the bundler needs to emit the worker script, but
+   environments without workers (e.g. the test runner) can't
+   load it.
+   ============================================================ */
+
+/**
+ * Start a new simulation worker (see Sim_Worker.js).
+ *
+ * @returns {Worker} Worker ready for job messages
+ */
+export function createSimulationWorker() {
+  return new Worker(new URL('./Sim_Worker.js', import.meta.url));
+}
@@ -0,0 +1,194 @@
+/* ============================================================
+   Disease Model: SEIR Epidemic Layer
+   ------------------------------------------------------------
+   Framework-free epidemic model that plugs into the shared
+   simulation engine as a model layer (see runSimulation in
+   Base/Sim_Engine.js). The population produced by the Base
+   birth/death model is split into four compartments:
+
+   - S: Susceptible  (can catch the disease)
+   - E: Exposed      (infected, not yet infectious)
+   - I: Infectious   (spreading the disease)
+   - R: Recovered    (immune for a while)
+
+   Each day:
+   1. Base births enter S, base deaths leave all compartments evenly
+   2. Transmission moves S → E, scaled by temperature and season
+   3. Incubation moves E → I (skipped when incubationDays = 0: SIR)
+   4. Infections resolve I → R or into disease deaths
+   5. Immunity wanes R → S
+   Disease deaths are added to the day's total deaths.
+   ============================================================ */
+
+import { createRng } from '../Base/Sim_Random';
+import { registerLayer } from '../Base/Sim_Jobs';
+
+/* ============================================================
+   DEFAULT DISEASE CONFIGURATION
+   ============================================================ */
+
+/**
+ * Default epidemic parameters, merged into the simulation config.
+ *
+ * Defaults describe a flu-like disease: it spreads best in cold
+ * weather and in winter, and immunity fades after about half a year.
+ */
+export const DEFAULT_DISEASE_CONFIG = {
+  // Outbreak start
+  initialInfected: 5,              // Infectious people on day 0
+  importationsPerYear: 2,          // Avg new infections brought in from outside per year
+
+  // Disease progression
+  transmissionRate: 0.35,          // β: new infections per infectious person per day (at full strength)
+  incubationDays: 3,               // Avg days exposed before infectious (0 = SIR, no E stage)
+  infectiousDays: 7,               // Avg days infectious before resolving
+  diseaseMortality: 0.02,          // Fraction of resolved infections that die (well-fed)
+  immunityDays: 180,               // Avg days immunity lasts (0 = permanent)
+
+  // Climate dependence
+  transmissionOptimalTemp: 35,     // Temperature where transmission peaks (°F)
+  transmissionTempTolerance: 20,   // Spread of the temperature response (σ, °F)
+  winterTransmission: 1.3,         // Seasonal multipliers on transmission
+  springTransmission: 1.0,
+  summerTransmission: 0.7,
+  fallTransmission: 1.0,
+};
+
+/**
+ * Smallest share of full transmission kept at very unfavorable temperatures.
+ * Diseases slow down in the "wrong" weather but never stop completely.
+ */
+const MIN_TEMPERATURE_FACTOR = 0.25;
+
+/* ============================================================
+   TRANSMISSION
+   ============================================================ */
+
+/**
+ * Calculate the effective transmission rate for one day.
+ *
+ * Formula:
+ * β_eff = β × temperatureFactor × seasonFactor
+ * - temperatureFactor: bell curve around transmissionOptimalTemp,
+ *   floored at MIN_TEMPERATURE_FACTOR
+ * - seasonFactor: {season}Transmission multiplier (1 if not set)
+ *
+ * @param {number} temperature - Day's temperature (°F)
+ * @param {string} seasonName - Day's classic season (see Sim_Seasons.js)
+ * @param {Object} config - Simulation config with disease fields
+ * @returns {number} Effective transmission rate (per day)
+ */
+export function effectiveTransmission(temperature, seasonName, config) {
+  const deviation = temperature - config.transmissionOptimalTemp;
+  const tolerance = Math.max(1, config.transmissionTempTolerance);
+  const bellCurve = Math.exp(-(deviation ** 2) / (2 * tolerance ** 2));
+  const temperatureFactor = MIN_TEMPERATURE_FACTOR + (1 - MIN_TEMPERATURE_FACTOR) * bellCurve;
+
+  const seasonKey = `${seasonName.charAt(0).toLowerCase()}${seasonName.slice(1)}Transmission`;
+  const seasonFactor = config[seasonKey] ?? 1;
+
+  return config.transmissionRate * temperatureFactor * seasonFactor;
+}
+
+/* ============================================================
+   MODEL LAYER
+   ============================================================ */
+
+/**
+ * Create the SEIR layer for one simulation run.
+ *
+ * Compartments are tracked as fractional people internally and
+ * rescaled every day so they always sum to the whole population.
+ *
+ * @param {{config: Object, seed: number}} context - Run context from runSimulation()
+ * @returns {{population: Function}} Engine model layer
+ */
+export function createDiseaseLayer({ config, seed }) {
+  const settings = { ...DEFAULT_DISEASE_CONFIG, ...config };
+  const rng = createRng(seed, 'disease');
+
+  const initialInfected = Math.min(settings.initialInfected, settings.startingPopulation);
+  let S = settings.startingPopulation - initialInfected;
+  let E = 0;
+  let I = initialInfected;
+  let R = 0;
+
+  // Fractional disease deaths carried over to the next day, so small
+  // outbreaks still add up to whole deaths instead of rounding to zero
+  let pendingDeaths = 0;
+
+  return {
+    population({ day, population, popChange, foodRatio }) {
+      // === STEP 1: Base births and deaths ===
+      // Births are born susceptible; ordinary deaths hit every compartment evenly
+      const survival = population > 0 ? 1 - popChange.deaths / population : 0;
+      S = S * survival + popChange.births;
+      E *= survival;
+      I *= survival;
+      R *= survival;
+
+      const N = S + E + I + R;
+
+      // === STEP 2: Imported infections ===
+      // Occasional travellers bring the disease back after it dies out
+      if (settings.importationsPerYear > 0 && rng() < settings.importationsPerYear / 365 && S >= 1) {
+        S -= 1;
+        E += 1;
+      }
+
+      // === STEP 3: Daily transitions ===
+      const beta = effectiveTransmission(day.temperature, day.classicSeason, settings);
+      const newExposed = N > 0 ? Math.min(S, beta * S * I / N) : 0;
+
+      const incubating = settings.incubationDays > 0;
+      const newInfectious = incubating ? E / settings.incubationDays : newExposed;
+
+      const resolved = I / Math.max(1, settings.infectiousDays);
+
+      // Malnutrition raises disease mortality: up to double when food runs out
+      const mortality = Math.min(1, settings.diseaseMortality * (2 - foodRatio));
+      pendingDeaths += resolved * mortality;
+      const diseaseDeaths = Math.min(Math.floor(pendingDeaths), popChange.newPopulation);
+      pendingDeaths -= diseaseDeaths;
+
+      const waning = settings.immunityDays > 0 ? R / settings.immunityDays : 0;
+
+      S += waning - newExposed;
+      E += incubating ? newExposed - newInfectious : 0;
+      I += newInfectious - resolved;
+      R += resolved - diseaseDeaths - waning;
+
+      // === STEP 4: Keep compartments consistent with the population ===
+      // The Base model works in whole people, so rescale the
+      // compartments to match the day's final population exactly
+      const finalPopulation = popChange.newPopulation - diseaseDeaths;
+      const total = Math.max(0, S) + Math.max(0, E) + Math.max(0, I) + Math.max(0, R);
+      const scale = total > 0 ? finalPopulation / total : 0;
+      S = Math.max(0, S) * scale;
+      E = Math.max(0, E) * scale;
+      I = Math.max(0, I) * scale;
+      R = Math.max(0, R) * scale;
+
+      return {
+        deaths: diseaseDeaths,
+        fields: {
+          susceptible: Math.round(S),
+          exposed: Math.round(E),
+          infectious: Math.round(I),
+          recovered: Math.round(R),
+          newInfections: Math.round(newExposed * 10) / 10,
+          diseaseDeaths,
+          transmission: Math.round(beta * 1000) / 1000
+        }
+      };
+    }
+  };
+}
+
+/* ============================================================
+   JOB RUNNER REGISTRATION
+   ============================================================ */
+
+// Lets jobs with this layer run in a worker: the page registers it
+// by loading this module, the worker by loading Disease_Worker.js
+registerLayer('disease', createDiseaseLayer);
@@ -0,0 +1,48 @@
+import { createDiseaseLayer, DEFAULT_DISEASE_CONFIG, effectiveTransmission } from './Disease_Model';
+import { DEFAULT_CONFIG, runSimulation } from '../Base/Sim_Engine';
+
+const CONFIG = { ...DEFAULT_CONFIG, ...DEFAULT_DISEASE_CONFIG, yearCount: 2 };
+
+describe('effectiveTransmission', () => {
+  test('peaks at the optimal temperature and scales by season', () => {
+    const { transmissionRate, transmissionOptimalTemp, winterTransmission } = DEFAULT_DISEASE_CONFIG;
+    expect(effectiveTransmission(transmissionOptimalTemp, 'Spring', CONFIG)).toBeCloseTo(transmissionRate);
+    expect(effectiveTransmission(transmissionOptimalTemp, 'Winter', CONFIG)).toBeCloseTo(transmissionRate * winterTransmission);
+  });
+
+  test('unfavorable temperatures slow transmission without stopping it', () => {
+    const far = effectiveTransmission(200, 'Spring', CONFIG);
+    expect(far).toBeGreaterThan(0);
+    expect(far).toBeCloseTo(DEFAULT_DISEASE_CONFIG.transmissionRate * 0.25);
+  });
+});
+
+describe('SEIR layer', () => {
+  const { populationData } = runSimulation(CONFIG, 21, [createDiseaseLayer]);
+
+  test('compartments add up to the population every day', () => {
+    populationData.forEach(day => {
+      const compartments = day.susceptible + day.exposed + day.infectious + day.recovered;
+      expect(Math.abs(compartments - day.population)).toBeLessThanOrEqual(2);
+    });
+  });
+
+  test('compartments are never negative', () => {
+    populationData.forEach(day => {
+      ['susceptible', 'exposed', 'infectious', 'recovered'].forEach(key => expect(day[key]).toBeGreaterThanOrEqual(0));
+    });
+  });
+
+  test('starts with the initial infections and spreads', () => {
+    expect(populationData[0].susceptible).toBeLessThan(CONFIG.startingPopulation);
+    expect(Math.max(...populationData.map(day => day.recovered))).toBeGreaterThan(0);
+  });
+
+  test('disease deaths are part of the day\'s deaths', () => {
+    populationData.forEach(day => expect(day.diseaseDeaths).toBeLessThanOrEqual(day.deaths));
+  });
+
+  test('the same seed gives the same outbreak', () => {
+    expect(runSimulation(CONFIG, 21, [createDiseaseLayer]).populationData).toEqual(populationData);
+  });
+});
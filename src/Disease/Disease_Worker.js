@@ -0,0 +1,10 @@
+/* ============================================================
+   Disease Simulation Web Worker
+   ------------------------------------------------------------
+   The Base worker (Base/Sim_Worker.js) with the disease layer
+   registered, so disease runs, batches and sweeps compute off
+   the main thread too.
+   ============================================================ */
+
+import './Disease_Model';
+import '../Base/Sim_Worker';
@@ -0,0 +1,16 @@
+/* ============================================================
+   Disease Worker Factory
+   ------------------------------------------------------------
+   Only loaded with import(), like Base/Sim_WorkerFactory.js:
+   environments without workers (e.g. the test runner) can't
+   load the `new URL(..., import.meta.url)` form.
+   ============================================================ */
+
+/**
+ * Start a new disease simulation worker (see Disease_Worker.js).
+ *
+ * @returns {Worker} Worker ready for job messages
+ */
+export function createDiseaseWorker() {
+  return new Worker(new URL('./Disease_Worker.js', import.meta.url));
+}
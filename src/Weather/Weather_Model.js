@@ -0,0 +1,236 @@
+/* ============================================================
+   Weather Model: Precipitation & Soil Moisture Layer
+   ------------------------------------------------------------
+   Framework-free water cycle that plugs into the shared
+   simulation engine as a model layer (see runSimulation in
+   Base/Sim_Engine.js).
+
+   Each day:
+   1. Wet/dry: two-state Markov chain per season
+      (chance of rain after a dry day, and after a wet day)
+   2. Amount: exponential draw around the season's mean rainfall
+   3. Snow: precipitation below freezing piles up as snowpack
+      and melts on warmer days
+   4. Soil bucket: rain + melt fill it, evaporation (warmer =
+      faster) drains it, anything above capacity runs off
+   5. State: drought when the bucket is nearly empty, flood
+      when heavy runoff leaves fields waterlogged
+
+   Soil moisture becomes the second limiting factor of crop
+   growth next to the temperature bell curve.
+   ============================================================ */
+
+import { createRng } from '../Base/Sim_Random';
+import { registerLayer } from '../Base/Sim_Jobs';
+
+/* ============================================================
+   DEFAULT WEATHER CONFIGURATION
+   ============================================================ */
+
+/**
+ * Default precipitation and soil parameters, merged into the simulation config.
+ *
+ * Per-season fields ({season}WetChance, {season}WetPersistence,
+ * {season}Rainfall) are also set by each climate preset.
+ */
+export const DEFAULT_WEATHER_CONFIG = {
+  // Wet/dry Markov chain per season
+  winterWetChance: 0.3,            // P(wet day | yesterday dry)
+  winterWetPersistence: 0.55,      // P(wet day | yesterday wet)
+  winterRainfall: 0.3,             // Mean precipitation on a wet day (inches)
+  springWetChance: 0.35,
+  springWetPersistence: 0.6,
+  springRainfall: 0.4,
+  summerWetChance: 0.3,
+  summerWetPersistence: 0.5,
+  summerRainfall: 0.45,
+  fallWetChance: 0.3,
+  fallWetPersistence: 0.55,
+  fallRainfall: 0.35,
+
+  // Soil water bucket
+  soilCapacity: 6,                 // Water the root zone can hold (inches)
+  initialSoilMoisture: 0.6,        // Starting fill (fraction of capacity)
+  evaporationRate: 0.25,           // Evaporation at 92°F from a full bucket (inches/day)
+  droughtThreshold: 0.2,           // Drought below this fill (fraction of capacity)
+  floodRunoff: 1.0,                // Flood when one day's runoff exceeds this (inches)
+};
+
+/**
+ * Soil fill (fraction) below which plants can't draw any water.
+ */
+const WILTING_POINT = 0.1;
+
+/**
+ * Soil fill (fraction) at and above which water no longer limits growth.
+ */
+const FIELD_OPTIMUM = 0.5;
+
+/**
+ * Growth multiplier on waterlogged (flooded) days.
+ */
+const FLOOD_GROWTH_FACTOR = 0.5;
+
+/**
+ * Days fields stay waterlogged after a flood.
+ */
+const FLOOD_DAYS = 3;
+
+/**
+ * Snowmelt per °F above freezing per day (inches) - degree-day melt.
+ */
+const MELT_RATE = 0.05;
+
+/**
+ * Temperature (°F) at or below which precipitation falls as snow.
+ */
+const FREEZING_POINT = 32;
+
+/**
+ * Display settings for each soil water state.
+ */
+export const WATER_STATES = {
+  normal: { name: 'Normal', color: null },
+  drought: { name: 'Drought', color: 'rgba(211, 84, 0, 0.15)' },
+  flood: { name: 'Flood', color: 'rgba(41, 128, 185, 0.2)' }
+};
+
+/* ============================================================
+   HELPER FUNCTIONS
+   ============================================================ */
+
+/**
+ * Read a per-season weather field, e.g. ('Summer', 'Rainfall') → config.summerRainfall.
+ *
+ * @param {Object} config - Simulation config with weather fields
+ * @param {string} seasonName - Season name
+ * @param {string} suffix - Field name after the season prefix
+ * @returns {number} Field value (0 if not set)
+ */
+function seasonField(config, seasonName, suffix) {
+  const key = `${seasonName.charAt(0).toLowerCase()}${seasonName.slice(1)}${suffix}`;
+  return config[key] ?? 0;
+}
+
+/**
+ * Convert soil fill into a 0-1 crop water factor.
+ *
+ * Linear between WILTING_POINT (0) and FIELD_OPTIMUM (1):
+ * plants need no more than a half-full bucket to grow freely.
+ *
+ * @param {number} fill - Soil moisture as fraction of capacity (0-1)
+ * @returns {number} Moisture factor (0-1)
+ */
+export function moistureFactor(fill) {
+  const factor = (fill - WILTING_POINT) / (FIELD_OPTIMUM - WILTING_POINT);
+  return Math.max(0, Math.min(1, factor));
+}
+
+/* ============================================================
+   WEATHER SERIES
+   ============================================================ */
+
+/**
+ * Generate daily precipitation, snowpack and soil moisture for a whole run.
+ *
+ * @param {Array<Object>} temperatureData - Engine temperature timeline ({classicSeason, temperature} per day)
+ * @param {Object} config - Simulation config with weather fields
+ * @param {function(): number} rng - Seeded generator (see Sim_Random.js)
+ * @returns {Array<{precipitation: number, snowpack: number, soilMoisture: number, waterState: string, moistureFactor: number}>}
+ */
+export function generateWeatherSeries(temperatureData, config, rng) {
+  const capacity = Math.max(0.1, config.soilCapacity);
+  let soil = capacity * Math.max(0, Math.min(1, config.initialSoilMoisture));
+  let snowpack = 0;
+  let wasWet = false;
+  let waterloggedDays = 0;
+
+  // Rainfall settings are kept per classic season (see Sim_Seasons.js)
+  return temperatureData.map(({ classicSeason: season, temperature }) => {
+    // === STEP 1: Wet or dry day (Markov chain) ===
+    const wetChance = wasWet
+      ? seasonField(config, season, 'WetPersistence')
+      : seasonField(config, season, 'WetChance');
+    const isWet = rng() < wetChance;
+    wasWet = isWet;
+
+    // === STEP 2: Amount (exponential around the season mean) ===
+    // Always draw so the stream stays aligned day-by-day
+    const amountDraw = rng();
+    const precipitation = isWet
+      ? -seasonField(config, season, 'Rainfall') * Math.log(1 - amountDraw)
+      : 0;
+
+    // === STEP 3: Snow accumulates, melts above freezing ===
+    let infiltration = 0;
+    if (temperature <= FREEZING_POINT) {
+      snowpack += precipitation;
+    } else {
+      const melt = Math.min(snowpack, MELT_RATE * (temperature - FREEZING_POINT));
+      snowpack -= melt;
+      infiltration = precipitation + melt;
+    }
+
+    // === STEP 4: Soil bucket ===
+    // Evaporation grows with warmth and slows as the soil dries out
+    const warmth = Math.max(0, (temperature - FREEZING_POINT) / 60);
+    const evaporation = config.evaporationRate * warmth * (soil / capacity);
+    soil = Math.max(0, soil + infiltration - evaporation);
+
+    const runoff = Math.max(0, soil - capacity);
+    soil = Math.min(soil, capacity);
+    const fill = soil / capacity;
+
+    // === STEP 5: Drought / flood state ===
+    if (runoff >= config.floodRunoff) waterloggedDays = FLOOD_DAYS;
+
+    let waterState = 'normal';
+    if (waterloggedDays > 0) {
+      waterState = 'flood';
+      waterloggedDays--;
+    } else if (fill < config.droughtThreshold) {
+      waterState = 'drought';
+    }
+
+    const factor = moistureFactor(fill) * (waterState === 'flood' ? FLOOD_GROWTH_FACTOR : 1);
+
+    return {
+      precipitation: Math.round(precipitation * 100) / 100,
+      snowpack: Math.round(snowpack * 100) / 100,
+      soilMoisture: Math.round(fill * 1000) / 1000,
+      waterState,
+      moistureFactor: Math.round(factor * 1000) / 1000
+    };
+  });
+}
+
+/* ============================================================
+   MODEL LAYER
+   ============================================================ */
+
+/**
+ * Create the weather layer for one simulation run.
+ *
+ * The water cycle only depends on the climate, not on the
+ * population, so the whole series is computed up front.
+ *
+ * @param {{config: Object, seed: number, temperatureData: Array<Object>}} context - Run context from runSimulation()
+ * @returns {{climate: Function, growthLimit: Function}} Engine model layer
+ */
+export function createWeatherLayer({ config, seed, temperatureData }) {
+  const settings = { ...DEFAULT_WEATHER_CONFIG, ...config };
+  const series = generateWeatherSeries(temperatureData, settings, createRng(seed, 'precipitation'));
+
+  return {
+    climate: (dayIndex) => series[dayIndex],
+    growthLimit: (dayIndex) => series[dayIndex].moistureFactor
+  };
+}
+
+/* ============================================================
+   JOB RUNNER REGISTRATION
+   ============================================================ */
+
+// Lets jobs with this layer run in a worker: the page registers it
+// by loading this module, the worker by loading Weather_Worker.js
+registerLayer('weather', createWeatherLayer);
@@ -0,0 +1,65 @@
+import { DEFAULT_WEATHER_CONFIG, generateWeatherSeries, moistureFactor } from './Weather_Model';
+import { createRng } from '../Base/Sim_Random';
+
+const CONFIG = { ...DEFAULT_WEATHER_CONFIG };
+
+/**
+ * A flat timeline of one season at one temperature.
+ */
+function timeline(season, temperature, days = 365) {
+  return Array.from({ length: days }, () => ({ season, classicSeason: season, temperature }));
+}
+
+describe('moistureFactor', () => {
+  test('is 0 at the wilting point and 1 from the field optimum up', () => {
+    expect(moistureFactor(0)).toBe(0);
+    expect(moistureFactor(0.1)).toBe(0);
+    expect(moistureFactor(0.3)).toBeCloseTo(0.5);
+    expect(moistureFactor(0.5)).toBe(1);
+    expect(moistureFactor(1)).toBe(1);
+  });
+});
+
+describe('soil bucket', () => {
+  test('stays between empty and full', () => {
+    const soaked = { ...CONFIG, summerWetChance: 1, summerWetPersistence: 1, summerRainfall: 3 };
+    const parched = { ...CONFIG, summerWetChance: 0, summerWetPersistence: 0, evaporationRate: 5 };
+    [soaked, parched].forEach(config => {
+      generateWeatherSeries(timeline('Summer', 90), config, createRng(4, 'precipitation')).forEach(day => {
+        expect(day.soilMoisture).toBeGreaterThanOrEqual(0);
+        expect(day.soilMoisture).toBeLessThanOrEqual(1);
+        expect(day.moistureFactor).toBeGreaterThanOrEqual(0);
+        expect(day.moistureFactor).toBeLessThanOrEqual(1);
+      });
+    });
+  });
+
+  test('steady heavy rain fills the bucket and floods the fields', () => {
+    const soaked = { ...CONFIG, summerWetChance: 1, summerWetPersistence: 1, summerRainfall: 3 };
+    const series = generateWeatherSeries(timeline('Summer', 70), soaked, createRng(4, 'precipitation'));
+    expect(series[series.length - 1].soilMoisture).toBeCloseTo(1, 1);
+    expect(series.some(day => day.waterState === 'flood')).toBe(true);
+  });
+
+  test('a dry hot spell drains the bucket into drought', () => {
+    const parched = { ...CONFIG, summerWetChance: 0, summerWetPersistence: 0, evaporationRate: 5 };
+    const series = generateWeatherSeries(timeline('Summer', 92), parched, createRng(4, 'precipitation'));
+    expect(series[series.length - 1].waterState).toBe('drought');
+    expect(series[series.length - 1].moistureFactor).toBe(0);
+  });
+
+  test('out-of-range starting fill is clamped', () => {
+    const dry = { ...CONFIG, winterWetChance: 0, winterWetPersistence: 0 };
+    const over = generateWeatherSeries(timeline('Winter', 20, 1), { ...dry, initialSoilMoisture: 3 }, createRng(1, 'precipitation'));
+    const under = generateWeatherSeries(timeline('Winter', 20, 1), { ...dry, initialSoilMoisture: -1 }, createRng(1, 'precipitation'));
+    expect(over[0].soilMoisture).toBe(1);
+    expect(under[0].soilMoisture).toBe(0);
+  });
+
+  test('precipitation below freezing piles up as snow instead of soaking in', () => {
+    const snowy = { ...CONFIG, winterWetChance: 1, winterWetPersistence: 1 };
+    const series = generateWeatherSeries(timeline('Winter', 20, 30), snowy, createRng(2, 'precipitation'));
+    expect(series[29].snowpack).toBeGreaterThan(0);
+    expect(series[29].soilMoisture).toBe(CONFIG.initialSoilMoisture);
+  });
+});
@@ -0,0 +1,10 @@
+/* ============================================================
+   Weather Simulation Web Worker
+   ------------------------------------------------------------
+   The Base worker (Base/Sim_Worker.js) with the weather layer
+   registered, so weather runs, batches and sweeps compute off
+   the main thread too.
+   ============================================================ */
+
+import './Weather_Model';
+import '../Base/Sim_Worker';
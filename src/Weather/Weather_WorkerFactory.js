@@ -0,0 +1,16 @@
+/* ============================================================
+   Weather Worker Factory
+   ------------------------------------------------------------
+   Only loaded with import(), like Base/Sim_WorkerFactory.js:
+   environments without workers (e.g. the test runner) can't
+   load the `new URL(..., import.meta.url)` form.
+   ============================================================ */
+
+/**
+ * Start a new weather simulation worker (see Weather_Worker.js).
+ *
+ * @returns {Worker} Worker ready for job messages
+ */
+export function createWeatherWorker() {
+  return new Worker(new URL('./Weather_Worker.js', import.meta.url));
+}